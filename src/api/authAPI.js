@@ -1,4 +1,11 @@
 import { fetcher } from '../utils/fetcher'; // Import the fetcher utility to make API requests
+import { normalizeUser } from './normalize'; // Server documents -> client model (`id`, not `_id`)
+import {
+  tokenResponseSchema,
+  userResponseSchema,
+  settingsResponseSchema,
+  messageResponseSchema,
+} from './schemas'; // Response contracts checked in development
 
 export const authAPI = {
   // AUTHENTICATION-RELATED FUNCTIONS
@@ -7,12 +14,16 @@ export const authAPI = {
    * Signup API function
    * Sends a POST request to create a new user
    * @param {Object} userData - The data of the new user (e.g., username, email, password, profilePicture)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {string} - The JWT token received from the backend
    */
-  signup: async (userData) => {
+  signup: async (userData, { signal } = {}) => {
     try {
       const response = await fetcher('/auth/signup', {
         method: 'POST',
+        schema: tokenResponseSchema,
+        signal,
         headers: {
           'Content-Type': 'application/json',
         },
@@ -29,12 +40,16 @@ export const authAPI = {
    * Sends a POST request to authenticate a user
    * @param {string} email - The user's email
    * @param {string} password - The user's password
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {string} - The JWT token received from the backend
    */
-  login: async (email, password) => {
+  login: async (email, password, { signal } = {}) => {
     try {
       const response = await fetcher('/auth/login', {
         method: 'POST',
+        schema: tokenResponseSchema,
+        signal,
         headers: {
           'Content-Type': 'application/json',
         },
@@ -51,17 +66,21 @@ export const authAPI = {
    * Sends a GET request to retrieve a user's data by their ID
    * @param {string} userId - The user's unique ID
    * @param {string} token - The JWT token to authenticate the request
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Object} - The user's profile data
    */
-  getUserById: async (userId, token) => {
+  getUserById: async (userId, token, { signal } = {}) => {
     try {
       const response = await fetcher(`/users/${userId}`, {
         method: 'GET',
+        schema: userResponseSchema,
+        signal,
         headers: {
           'Authorization': `Bearer ${token}`, // Include the JWT token in the Authorization header
         },
       });
-      return response.user; // Assuming the backend returns user data
+      return normalizeUser(response.user); // Assuming the backend returns user data
     } catch (error) {
       throw error; // Propagate the error for handling
     }
@@ -71,17 +90,21 @@ export const authAPI = {
    * Fetch the authenticated user's profile
    * Sends a GET request to retrieve the profile of the currently authenticated user
    * @param {string} token - The JWT token to authenticate the request
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Object} - The authenticated user's profile data
    */
-  getUserProfile: async (token) => {
+  getUserProfile: async (token, { signal } = {}) => {
     try {
       const response = await fetcher('/users/profile', {
         method: 'GET',
+        schema: userResponseSchema,
+        signal,
         headers: {
           'Authorization': `Bearer ${token}`, // Include the JWT token in the Authorization header
         },
       });
-      return response.user; // Assuming the backend returns user profile data
+      return normalizeUser(response.user); // Assuming the backend returns user profile data
     } catch (error) {
       throw error; // Propagate the error for handling
     }
@@ -92,19 +115,23 @@ export const authAPI = {
    * Sends a PUT request to update the user's profile with the provided data
    * @param {Object} updatedData - The updated profile information (e.g., username, email, profilePicture)
    * @param {string} token - The JWT token to authenticate the request
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Object} - The updated user profile data
    */
-  updateUserProfile: async (updatedData, token) => {
+  updateUserProfile: async (updatedData, token, { signal } = {}) => {
     try {
       const response = await fetcher('/users/profile', {
         method: 'PUT',
+        schema: userResponseSchema,
+        signal,
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`, // Include the JWT token in the Authorization header
         },
         body: JSON.stringify(updatedData), // Send the updated profile data as JSON
       });
-      return response.user; // Assuming the backend returns the updated user data
+      return normalizeUser(response.user); // Assuming the backend returns the updated user data
     } catch (error) {
       throw error; // Propagate the error for handling
     }
@@ -116,12 +143,16 @@ export const authAPI = {
    * @param {string} currentPassword - The user's current password
    * @param {string} newPassword - The new password to set
    * @param {string} token - The JWT token to authenticate the request
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {void}
    */
-  updateUserPassword: async (currentPassword, newPassword, token) => {
+  updateUserPassword: async (currentPassword, newPassword, token, { signal } = {}) => {
     try {
       await fetcher('/users/password', {
         method: 'PUT',
+        schema: messageResponseSchema,
+        signal,
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`, // Include the JWT token in the Authorization header
@@ -139,12 +170,16 @@ export const authAPI = {
    * Request a password reset
    * Sends a POST request to request a password reset and receive a reset token
    * @param {string} email - The email of the user requesting the password reset
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {void}
    */
-  requestPasswordReset: async (email) => {
+  requestPasswordReset: async (email, { signal } = {}) => {
     try {
       await fetcher('/users/forgot-password', {
         method: 'POST',
+        schema: messageResponseSchema,
+        signal,
         headers: {
           'Content-Type': 'application/json',
         },
@@ -160,12 +195,16 @@ export const authAPI = {
    * Sends a POST request to reset the user's password with a valid reset token
    * @param {string} resetToken - The password reset token provided via email
    * @param {string} newPassword - The new password to set
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {void}
    */
-  resetPassword: async (resetToken, newPassword) => {
+  resetPassword: async (resetToken, newPassword, { signal } = {}) => {
     try {
       await fetcher('/users/reset-password', {
         method: 'POST',
+        schema: messageResponseSchema,
+        signal,
         headers: {
           'Content-Type': 'application/json',
         },
@@ -183,12 +222,16 @@ export const authAPI = {
    * Sends a PUT request to update the authenticated user's settings
    * @param {Object} settingsData - The updated settings data
    * @param {string} token - The JWT token to authenticate the request
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Object} - The updated user settings
    */
-  updateUserSettings: async (settingsData, token) => {
+  updateUserSettings: async (settingsData, token, { signal } = {}) => {
     try {
       const response = await fetcher('/users/settings', {
         method: 'PUT',
+        schema: settingsResponseSchema,
+        signal,
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`, // Include the JWT token in the Authorization header
@@ -205,12 +248,16 @@ export const authAPI = {
    * Fetch the authenticated user's settings
    * Sends a GET request to retrieve the user's notification and email preferences
    * @param {string} token - The JWT token to authenticate the request
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Object} - The user's settings data
    */
-  fetchUserSettings: async (token) => {
+  fetchUserSettings: async (token, { signal } = {}) => {
     try {
       const response = await fetcher('/users/settings', {
         method: 'GET',
+        schema: settingsResponseSchema,
+        signal,
         headers: {
           'Authorization': `Bearer ${token}`, // Include the JWT token in the Authorization header
         },
@@ -227,12 +274,16 @@ export const authAPI = {
    * Refresh the JWT token for the authenticated user
    * Sends a POST request to refresh the user's JWT token
    * @param {string} token - The old JWT token to authenticate the request
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {string} - The new refreshed JWT token
    */
-  refreshToken: async (token) => {
+  refreshToken: async (token, { signal } = {}) => {
     try {
       const response = await fetcher('/users/refresh-token', {
         method: 'POST',
+        schema: tokenResponseSchema,
+        signal,
         headers: {
           'Authorization': `Bearer ${token}`, // Include the JWT token in the Authorization header
         },
@@ -1,16 +1,60 @@
 import { fetcher } from '../utils/fetcher';
+import { sortBooks, filterBooks, toBookListParams } from '../utils/bookFilters'; // Sort and filter options of lists
+import { normalizeBook, normalizeBooks } from './normalize'; // Server documents -> client model (`id`, not `_id`)
+import { bookSchema, bookListSchema, bookPageSchema, batchDeleteResponseSchema, coverUploadResponseSchema } from './schemas'; // Response contracts checked in development
 
 export const bookAPI = {
   /**
    * Fetch all books
    * Sends a GET request to retrieve all books
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Array} - Array of books
    */
-  getAllBooks: async () => {
+  getAllBooks: async ({ signal } = {}) => {
     try {
-      return await fetcher('/books', { method: 'GET' });
+      return normalizeBooks(await fetcher('/books', { method: 'GET', schema: bookListSchema, signal }));
     } catch (error) {
-      throw new Error('Failed to fetch books.');
+      throw new Error('Failed to fetch books.', { cause: error });
+    }
+  },
+
+  /**
+   * Fetch one page of books
+   * Sends a GET request with `page` and `limit` to the list endpoint matching the filter
+   * (all books, a shelf, or a search), so large libraries are never downloaded at once.
+   * Backends that ignore the parameters and return a plain array are treated as a single page.
+   * @param {Object} options
+   * @param {number} [options.page=1] - The page to fetch (1-based)
+   * @param {number} [options.pageSize=20] - The number of books per page
+   * @param {string} [options.shelfId] - Only books on this shelf
+   * @param {string} [options.query] - Only books matching this search query
+   * @param {string} [options.sort] - Sort order, e.g. 'title' or '-publishedDate' (see utils/bookFilters.js)
+   * @param {Object} [options.filters] - `{ format, language, publisher, tags }`
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
+   * @returns {Object} - `{ items, total, page, pageSize, hasMore }`
+   */
+  getBooksPage: async ({ page = 1, pageSize = 20, shelfId, query, sort, filters, signal } = {}) => {
+    let url = '/books';
+    const params = { page, limit: pageSize, ...toBookListParams({ sort, filters }) };
+    if (query) {
+      url = '/books/search';
+      params.q = query;
+    } else if (shelfId) {
+      url = `/books/shelf/${shelfId}`;
+    }
+
+    try {
+      const response = await fetcher(url, { method: 'GET', params, schema: bookPageSchema, signal });
+      if (Array.isArray(response)) {
+        // Backends without pagination also ignore the sort and filters
+        const items = sortBooks(filterBooks(normalizeBooks(response), filters), sort);
+        return { items, total: items.length, page: 1, pageSize: items.length, hasMore: false };
+      }
+      const total = response.total;
+      return { items: normalizeBooks(response.items), total, page, pageSize, hasMore: page * pageSize < total };
+    } catch (error) {
+      throw new Error(`Failed to fetch page ${page} of books.`, { cause: error });
     }
   },
 
@@ -18,13 +62,15 @@ export const bookAPI = {
    * Fetch a book by its ID
    * Sends a GET request to retrieve a book by its ID
    * @param {string} bookId - The ID of the book to fetch
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Object} - The retrieved book object
    */
-  getBookById: async (bookId) => {
+  getBookById: async (bookId, { signal } = {}) => {
     try {
-      return await fetcher(`/books/${bookId}`, { method: 'GET' });
+      return normalizeBook(await fetcher(`/books/${bookId}`, { method: 'GET', schema: bookSchema, signal }));
     } catch (error) {
-      throw new Error(`Failed to fetch book with ID ${bookId}.`);
+      throw new Error(`Failed to fetch book with ID ${bookId}.`, { cause: error });
     }
   },
 
@@ -32,13 +78,55 @@ export const bookAPI = {
    * Fetch books by shelf
    * Sends a GET request to retrieve books associated with a specific shelf
    * @param {string} shelfId - The ID of the shelf
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Array} - Array of books for the specified shelf
    */
-  getBooksByShelf: async (shelfId) => {
+  getBooksByShelf: async (shelfId, { signal } = {}) => {
     try {
-      return await fetcher(`/books/shelf/${shelfId}`, { method: 'GET' });
+      return normalizeBooks(await fetcher(`/books/shelf/${shelfId}`, { method: 'GET', schema: bookListSchema, signal }));
     } catch (error) {
-      throw new Error(`Failed to fetch books for shelf ${shelfId}.`);
+      throw new Error(`Failed to fetch books for shelf ${shelfId}.`, { cause: error });
+    }
+  },
+
+  /**
+   * Fetch the books of a person
+   * Sends a GET request to retrieve every book crediting the person, in any role (author, translator, ...)
+   * @param {string} authorId - The ID of the person (see utils/authors.js)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
+   * @returns {Array} - Array of books crediting the person
+   */
+  getBooksByAuthor: async (authorId, { signal } = {}) => {
+    try {
+      return normalizeBooks(await fetcher(`/authors/${encodeURIComponent(authorId)}/books`, {
+        method: 'GET',
+        schema: bookListSchema,
+        signal,
+      }));
+    } catch (error) {
+      throw new Error(`Failed to fetch books of author ${authorId}.`, { cause: error });
+    }
+  },
+
+  /**
+   * Fetch the books of a series
+   * Sends a GET request to retrieve every book of the series in the library, in any order
+   * @param {string} seriesId - The ID of the series (see utils/series.js)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
+   * @returns {Array} - Array of books of the series
+   */
+  getBooksBySeries: async (seriesId, { signal } = {}) => {
+    try {
+      return normalizeBooks(await fetcher(`/series/${encodeURIComponent(seriesId)}/books`, {
+        method: 'GET',
+        schema: bookListSchema,
+        signal,
+      }));
+    } catch (error) {
+      throw new Error(`Failed to fetch books of series ${seriesId}.`, { cause: error });
     }
   },
 
@@ -47,19 +135,24 @@ export const bookAPI = {
    * Sends a PUT request to update the shelf associated with a book
    * @param {string} bookId - The ID of the book to update
    * @param {string} newShelfId - The ID of the new shelf to assign the book to
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Object} - The updated book object
    */
-  updateBookShelf: async (bookId, newShelfId) => {
+  updateBookShelf: async (bookId, newShelfId, { signal } = {}) => {
     try {
-      return await fetcher(`/books/${bookId}/shelf`, {
+      return normalizeBook(await fetcher(`/books/${bookId}/shelf`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ shelf: newShelfId }), // Include the new shelf ID in the request body
-      });
+        schema: bookSchema,
+        signal,
+        offline: { description: 'Move a book to another shelf' }, // Queued in the outbox when offline
+      }));
     } catch (error) {
-      throw new Error('Failed to update the book shelf.');
+      throw new Error('Failed to update the book shelf.', { cause: error });
     }
   },
 
@@ -67,19 +160,24 @@ export const bookAPI = {
    * Create a new book
    * Sends a POST request to add a new book
    * @param {Object} bookData - The data of the book to create (e.g., title, authors, etc.)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Object} - The newly created book object
    */
-  createBook: async (bookData) => {
+  createBook: async (bookData, { signal } = {}) => {
     try {
-      return await fetcher('/books', {
+      return normalizeBook(await fetcher('/books', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(bookData), // Include the book data in the request body
-      });
+        schema: bookSchema,
+        signal,
+        offline: { description: `Add "${bookData.title}"`, createsResource: true }, // Queued in the outbox when offline
+      }));
     } catch (error) {
-      throw new Error('Failed to create the book.');
+      throw new Error('Failed to create the book.', { cause: error });
     }
   },
 
@@ -88,19 +186,24 @@ export const bookAPI = {
    * Sends a PUT request to update a book's details
    * @param {string} bookId - The ID of the book to update
    * @param {Object} updatedData - The updated data of the book (e.g., title, authors, etc.)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Object} - The updated book object
    */
-  updateBook: async (bookId, updatedData) => {
+  updateBook: async (bookId, updatedData, { signal } = {}) => {
     try {
-      return await fetcher(`/books/${bookId}`, {
+      return normalizeBook(await fetcher(`/books/${bookId}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(updatedData), // Include the updated book data in the request body
-      });
+        schema: bookSchema,
+        signal,
+        offline: { description: 'Edit a book' }, // Queued in the outbox when offline
+      }));
     } catch (error) {
-      throw new Error(`Failed to update book with ID ${bookId}.`);
+      throw new Error(`Failed to update book with ID ${bookId}.`, { cause: error });
     }
   },
 
@@ -108,13 +211,66 @@ export const bookAPI = {
    * Delete a book
    * Sends a DELETE request to delete a book by its ID
    * @param {string} bookId - The ID of the book to delete
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Object} - The deleted book object
    */
-  deleteBook: async (bookId) => {
+  deleteBook: async (bookId, { signal } = {}) => {
+    try {
+      return normalizeBook(await fetcher(`/books/${bookId}`, { method: 'DELETE', schema: bookSchema, signal }));
+    } catch (error) {
+      throw new Error(`Failed to delete book with ID ${bookId}.`, { cause: error });
+    }
+  },
+
+  /**
+   * Update several books at once
+   * Sends a PATCH request to the batch endpoint, which applies the same changes to every book
+   * @param {string[]} bookIds - The IDs of the books to update
+   * @param {Object} changes - `{ shelf, genre, addTags, removeTags }`; only the fields given are changed
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
+   * @returns {Array} - The updated books
+   */
+  updateBooks: async (bookIds, changes, { signal } = {}) => {
     try {
-      return await fetcher(`/books/${bookId}`, { method: 'DELETE' });
+      return normalizeBooks(await fetcher('/books/batch', {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ bookIds, changes }), // The books and the changes applied to each of them
+        schema: bookListSchema,
+        signal,
+        offline: { description: `Edit ${bookIds.length} books` }, // Queued in the outbox when offline
+      }));
     } catch (error) {
-      throw new Error(`Failed to delete book with ID ${bookId}.`);
+      throw new Error(`Failed to update ${bookIds.length} books.`, { cause: error });
+    }
+  },
+
+  /**
+   * Delete several books at once
+   * Sends a DELETE request to the batch endpoint
+   * @param {string[]} bookIds - The IDs of the books to delete
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
+   * @returns {Object} - `{ deletedIds }`, the IDs of the deleted books
+   */
+  deleteBooks: async (bookIds, { signal } = {}) => {
+    try {
+      return await fetcher('/books/batch', {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ bookIds }),
+        schema: batchDeleteResponseSchema,
+        signal,
+        offline: { description: `Delete ${bookIds.length} books` }, // Queued in the outbox when offline
+      });
+    } catch (error) {
+      throw new Error(`Failed to delete ${bookIds.length} books.`, { cause: error });
     }
   },
 
@@ -122,13 +278,15 @@ export const bookAPI = {
    * Search for books
    * Sends a GET request to search books by title or author
    * @param {string} query - The search query (e.g., part of the title or author's name)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Array} - Array of books matching the search query
    */
-  searchBooks: async (query) => {
+  searchBooks: async (query, { signal } = {}) => {
     try {
-      return await fetcher(`/books/search?q=${query}`, { method: 'GET' });
+      return normalizeBooks(await fetcher(`/books/search?q=${query}`, { method: 'GET', schema: bookListSchema, signal }));
     } catch (error) {
-      throw new Error(`Failed to search for books with query "${query}".`);
+      throw new Error(`Failed to search for books with query "${query}".`, { cause: error });
     }
   },
 
@@ -137,19 +295,76 @@ export const bookAPI = {
    * Sends a POST request to add a review to a book
    * @param {string} bookId - The ID of the book to review
    * @param {Object} reviewData - The review data (rating and comment)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Object} - The updated book object with the review
    */
-  addReview: async (bookId, reviewData) => {
+  addReview: async (bookId, reviewData, { signal } = {}) => {
     try {
-      return await fetcher(`/books/${bookId}/review`, {
+      return normalizeBook(await fetcher(`/books/${bookId}/review`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(reviewData), // Include the review data in the request body
+        schema: bookSchema,
+        signal,
+        offline: { description: 'Review a book' }, // Queued in the outbox when offline
+      }));
+    } catch (error) {
+      throw new Error('Failed to add review to the book.', { cause: error });
+    }
+  },
+
+  /**
+   * Log reading progress
+   * Sends a POST request adding an entry to the book's progress history; the server timestamps it
+   * @param {string} bookId - The ID of the book being read
+   * @param {Object} progress - `{ unit, value, total }` (see utils/progress.js)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
+   * @returns {Object} - The updated book object with the new entry
+   */
+  logProgress: async (bookId, progress, { signal } = {}) => {
+    try {
+      return normalizeBook(await fetcher(`/books/${bookId}/progress`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(progress),
+        schema: bookSchema,
+        signal,
+        offline: { description: 'Log reading progress' }, // Queued in the outbox when offline
+      }));
+    } catch (error) {
+      throw new Error('Failed to log reading progress.', { cause: error });
+    }
+  },
+
+  /**
+   * Upload a cover image
+   * Sends a multipart POST request with the image in the `cover` field. The book is not changed: the returned URL
+   * is saved as its `coverImageUrl` with the rest of the form. Uploads are never queued offline.
+   * @param {Blob} image - The cover image (cropped to the cover aspect ratio by BookForm)
+   * @param {Object} [options]
+   * @param {string} [options.fileName='cover.jpg'] - File name sent with the image
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when the form is closed)
+   * @returns {Object} - `{ coverImageUrl }`, the URL of the stored image
+   */
+  uploadCover: async (image, { fileName = 'cover.jpg', signal } = {}) => {
+    const formData = new FormData();
+    formData.append('cover', image, fileName);
+    try {
+      // No Content-Type header: the multipart boundary is set by the browser
+      return await fetcher('/books/covers', {
+        method: 'POST',
+        body: formData,
+        schema: coverUploadResponseSchema,
+        signal,
       });
     } catch (error) {
-      throw new Error('Failed to add review to the book.');
+      throw new Error('Failed to upload the cover image.', { cause: error });
     }
   },
 };
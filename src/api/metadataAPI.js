@@ -0,0 +1,115 @@
+/**
+ * metadataAPI.js
+ *
+ * Book metadata looked up by ISBN, used to pre-fill BookForm. The lookup goes through a pluggable provider:
+ *
+ *   { name, lookupByIsbn(isbn13, { signal }) => Promise<metadata | null> }
+ *
+ * where `metadata` is any subset of `{ title, authors, publisher, pageCount, publishedDate, description,
+ * coverImageUrl }` and null means the provider does not know the ISBN. Open Library is the default provider
+ * (see openLibraryProvider.js), the fixture provider of the mock backend in mock mode
+ * (see mocks/mockMetadataProvider.js); `setMetadataProvider` swaps in another catalog or test fixtures.
+ */
+
+import { ApiError, ERROR_CODES } from '../utils/apiError'; // Failed lookups reject like failed API calls
+import { isAbortError } from '../utils/abort'; // Cancelled lookups are passed through untouched
+import { toIsbn13 } from '../utils/isbn'; // Checksum validation and the ISBN-13 lookup key
+import { toPublishedDate } from '../utils/bookMetadata'; // Catalog dates ('September 1995') to the book model's
+import { createOpenLibraryProvider } from './openLibraryProvider';
+
+const USE_MOCK_API = process.env.REACT_APP_USE_MOCK_API === 'true'; // Use the mock backend's fixtures
+
+/**
+ * The provider used when none was set.
+ * @returns {Object}
+ */
+const createDefaultProvider = () => {
+  if (USE_MOCK_API) {
+    // Required lazily, like in fetcher.js, so the mock backend stays out of builds that do not use it
+    return require('../mocks/mockMetadataProvider').createFixtureMetadataProvider();
+  }
+  return createOpenLibraryProvider();
+};
+
+let provider = null; // Created on first use
+
+/**
+ * Replace the metadata provider (e.g. with `createFixtureMetadataProvider()` in tests).
+ * @param {Object|null} nextProvider - The provider, or null to go back to the default one.
+ */
+export const setMetadataProvider = (nextProvider) => {
+  provider = nextProvider;
+};
+
+/**
+ * The current metadata provider.
+ * @returns {Object}
+ */
+export const getMetadataProvider = () => {
+  if (!provider) provider = createDefaultProvider();
+  return provider;
+};
+
+const optionalString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+/**
+ * Give the metadata of a provider the shape of the book fields, dropping what is missing or malformed.
+ * @param {string} isbn - ISBN-13.
+ * @param {Object} metadata - Provider metadata.
+ * @returns {Object}
+ */
+const normalizeMetadata = (isbn, metadata) => {
+  const pageCount = Number.parseInt(metadata.pageCount, 10);
+  const fields = {
+    title: optionalString(metadata.title),
+    authors: Array.isArray(metadata.authors) ? metadata.authors.map(optionalString).filter(Boolean) : [],
+    publisher: optionalString(metadata.publisher),
+    pageCount: pageCount > 0 ? pageCount : undefined,
+    publishedDate: toPublishedDate(metadata.publishedDate),
+    description: optionalString(metadata.description),
+    coverImageUrl: optionalString(metadata.coverImageUrl),
+  };
+  return Object.entries(fields).reduce((result, [field, value]) => (
+    value === undefined ? result : { ...result, [field]: value }
+  ), { isbn });
+};
+
+export const metadataAPI = {
+  /**
+   * Look up the metadata of a book
+   * Asks the current provider for the book with this ISBN
+   * @param {string} value - ISBN-10 or ISBN-13, with or without hyphens
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the lookup
+   * @returns {Object} - `{ isbn (ISBN-13), title, authors, publisher, pageCount, publishedDate, description, coverImageUrl }`,
+   * without the fields the provider does not know
+   * @throws {ApiError} - VALIDATION_ERROR for an invalid ISBN, ISBN_NOT_FOUND when the provider does not know it
+   */
+  lookupByIsbn: async (value, { signal } = {}) => {
+    const isbn = toIsbn13(value);
+    if (!isbn) {
+      throw new ApiError(`Invalid ISBN: ${value}`, {
+        code: ERROR_CODES.VALIDATION_ERROR,
+        fieldErrors: { isbn: 'Invalid ISBN.' },
+      });
+    }
+
+    let metadata;
+    try {
+      metadata = await getMetadataProvider().lookupByIsbn(isbn, { signal });
+    } catch (error) {
+      if (isAbortError(error) || error instanceof ApiError) throw error;
+      // `fetch` rejects with a TypeError when the catalog cannot be reached
+      throw new ApiError('Failed to look up the ISBN.', { code: ERROR_CODES.NETWORK_ERROR, retryable: true, cause: error });
+    }
+
+    if (!metadata) {
+      throw new ApiError(`No metadata for ISBN ${isbn}`, {
+        status: 404,
+        code: 'ISBN_NOT_FOUND',
+        statusCode: ERROR_CODES.NOT_FOUND,
+      });
+    }
+    return normalizeMetadata(isbn, metadata);
+  },
+};
@@ -0,0 +1,81 @@
+import { metadataAPI, setMetadataProvider } from './metadataAPI';
+import { createOpenLibraryProvider } from './openLibraryProvider';
+import { createFixtureMetadataProvider } from '../mocks/mockMetadataProvider';
+import { ERROR_CODES } from '../utils/apiError';
+
+describe('metadataAPI', () => {
+  beforeEach(() => {
+    setMetadataProvider(createFixtureMetadataProvider());
+  });
+
+  afterAll(() => {
+    setMetadataProvider(null);
+  });
+
+  test('looks up an ISBN-10 or ISBN-13 and returns the book fields', async () => {
+    const metadata = await metadataAPI.lookupByIsbn('0-261-10221-4');
+    expect(metadata).toMatchObject({
+      isbn: '9780261102217',
+      title: 'The Hobbit',
+      authors: ['J.R.R. Tolkien'],
+      publisher: 'HarperCollins',
+      pageCount: 310,
+    });
+
+    // Fields the provider does not know are left out rather than blanked
+    setMetadataProvider(createFixtureMetadataProvider({ '9780441172719': { title: ' Dune ', pageCount: 'n/a' } }));
+    expect(await metadataAPI.lookupByIsbn('978-0-441-17271-9')).toEqual({ isbn: '9780441172719', title: 'Dune', authors: [] });
+  });
+
+  test('rejects invalid and unknown ISBNs without guessing', async () => {
+    await expect(metadataAPI.lookupByIsbn('978-0-261-10221-8')).rejects.toMatchObject({
+      code: ERROR_CODES.VALIDATION_ERROR,
+      fieldErrors: { isbn: expect.any(String) },
+    });
+    await expect(metadataAPI.lookupByIsbn('9780000000002')).rejects.toMatchObject({
+      code: 'ISBN_NOT_FOUND',
+      statusCode: ERROR_CODES.NOT_FOUND,
+    });
+  });
+
+  test('reports an unreachable catalog as a network error', async () => {
+    setMetadataProvider({ name: 'offline', lookupByIsbn: () => Promise.reject(new TypeError('Failed to fetch')) });
+    await expect(metadataAPI.lookupByIsbn('9780261102217')).rejects.toMatchObject({ code: ERROR_CODES.NETWORK_ERROR });
+  });
+
+  test('maps Open Library records to metadata', async () => {
+    const fetchFn = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({
+        'ISBN:9780261102217': {
+          title: 'The Hobbit',
+          subtitle: 'or There and Back Again',
+          authors: [{ name: 'J.R.R. Tolkien' }],
+          publishers: [{ name: 'HarperCollins' }],
+          number_of_pages: 310,
+          publish_date: '1995',
+          notes: { value: 'Illustrated by the author.' },
+          cover: { medium: 'https://covers.example/m.jpg', large: 'https://covers.example/l.jpg' },
+        },
+      }),
+    });
+    setMetadataProvider(createOpenLibraryProvider({ baseUrl: 'https://catalog.example', fetchFn }));
+
+    expect(await metadataAPI.lookupByIsbn('9780261102217')).toEqual({
+      isbn: '9780261102217',
+      title: 'The Hobbit: or There and Back Again',
+      authors: ['J.R.R. Tolkien'],
+      publisher: 'HarperCollins',
+      pageCount: 310,
+      publishedDate: '1995',
+      description: 'Illustrated by the author.',
+      coverImageUrl: 'https://covers.example/l.jpg',
+    });
+    expect(fetchFn.mock.calls[0][0]).toBe(
+      'https://catalog.example/api/books?bibkeys=ISBN:9780261102217&format=json&jscmd=data'
+    );
+
+    fetchFn.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({}) });
+    await expect(metadataAPI.lookupByIsbn('9780261102217')).rejects.toMatchObject({ code: 'ISBN_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * normalize.js
+ *
+ * Maps the documents returned by the backend to the client model used everywhere else in the app.
+ * The backend (Express/Mongo) identifies documents with `_id`; the client model uses a string `id` only, so
+ * the store and components never have to guess which of the two a book, shelf, review or user carries.
+ *
+ * Client model:
+ * - Book:   { id, title, originalTitle, authors: [Contributor], genre, tags, isbn, publisher, publishedDate, pageCount,
+ *             language, format, description, series, seriesPosition, seriesLength, coverImageUrl, shelf,
+ *             reviews: [Review], progress: [ProgressEntry], ...other fields }
+ * - Contributor: { id, name, role } (see utils/authors.js; plain author names are converted)
+ * - Review: { id, user, rating, comment, ...other fields }
+ * - ProgressEntry: { id, unit, value, total, loggedAt } (see utils/progress.js)
+ * - Shelf:  { id, name, userId, books: [Book | bookId], ...other fields }
+ * - User:   { id, username, email, profilePicture, ...other fields (including JWT claims) }
+ *
+ * Normalizers are idempotent (a document that already has an `id` is left as is) and let the placeholders of
+ * mutations queued offline (see utils/outbox.js) through untouched.
+ */
+
+import { isQueuedMutation } from '../utils/outbox'; // Placeholders returned for mutations queued offline
+import { toContributors } from '../utils/authors'; // Authors as `{ id, name, role }`
+
+/**
+ * Read the ID of a document, whichever field carries it.
+ * @param {Object} doc - A server document or a normalized entity.
+ * @returns {string|undefined} - The ID as a string.
+ */
+const readId = (doc) => {
+  const id = doc.id !== undefined && doc.id !== null ? doc.id : doc._id;
+  return id === undefined || id === null ? undefined : String(id);
+};
+
+/**
+ * Replace `_id` with `id` on a document.
+ * @param {Object} doc - A server document.
+ * @returns {Object} - A copy without `_id`, with a string `id`.
+ */
+const withId = (doc) => {
+  const { _id, ...rest } = doc;
+  return { ...rest, id: readId(doc) };
+};
+
+// Leave missing values and offline placeholders alone
+const isNormalizable = (doc) => Boolean(doc) && typeof doc === 'object' && !isQueuedMutation(doc);
+
+/**
+ * Normalize a review embedded in a book.
+ * @param {Object} review - The server review.
+ * @returns {Object} - The client review.
+ */
+export const normalizeReview = (review) => (isNormalizable(review) ? withId(review) : review);
+
+/**
+ * Normalize an entry of a book's reading progress history.
+ * @param {Object} entry - The server entry.
+ * @returns {Object} - The client entry.
+ */
+export const normalizeProgressEntry = (entry) => (isNormalizable(entry) ? withId(entry) : entry);
+
+/**
+ * Normalize a book.
+ * @param {Object} book - The server book.
+ * @returns {Object} - The client book.
+ */
+export const normalizeBook = (book) => {
+  if (!isNormalizable(book)) return book;
+  return {
+    ...withId(book),
+    authors: toContributors(book.authors),
+    reviews: (book.reviews || []).map(normalizeReview),
+    ...(Array.isArray(book.progress) && { progress: book.progress.map(normalizeProgressEntry) }),
+  };
+};
+
+/**
+ * Normalize a list of books.
+ * @param {Object[]} books - The server books.
+ * @returns {Object[]} - The client books.
+ */
+export const normalizeBooks = (books) => (Array.isArray(books) ? books.map(normalizeBook) : books);
+
+/**
+ * Normalize a shelf. Its books are IDs when not populated and book documents when populated.
+ * @param {Object} shelf - The server shelf.
+ * @returns {Object} - The client shelf.
+ */
+export const normalizeShelf = (shelf) => {
+  if (!isNormalizable(shelf)) return shelf;
+  return {
+    ...withId(shelf),
+    userId: shelf.userId === undefined || shelf.userId === null ? shelf.userId : String(shelf.userId),
+    books: (shelf.books || []).map((book) => (typeof book === 'object' ? normalizeBook(book) : String(book))),
+  };
+};
+
+/**
+ * Normalize a list of shelves.
+ * @param {Object[]} shelves - The server shelves.
+ * @returns {Object[]} - The client shelves.
+ */
+export const normalizeShelves = (shelves) => (Array.isArray(shelves) ? shelves.map(normalizeShelf) : shelves);
+
+/**
+ * Normalize a user, from the API or from the claims of a decoded JWT.
+ * @param {Object} user - The server user.
+ * @returns {Object} - The client user.
+ */
+export const normalizeUser = (user) => (isNormalizable(user) ? withId(user) : user);
+
+/**
+ * ID of a shelf's book, whether it is populated or not.
+ * @param {Object|string} book - A book or a book ID.
+ * @returns {string} - The book ID.
+ */
+export const getBookId = (book) => (typeof book === 'object' && book !== null ? readId(book) : String(book));
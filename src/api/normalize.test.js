@@ -0,0 +1,27 @@
+import { normalizeBook, normalizeShelf, normalizeUser, getBookId } from './normalize';
+import { outbox } from '../utils/outbox';
+
+describe('normalize', () => {
+  test('maps server books and their reviews to the client model', () => {
+    const book = normalizeBook({ _id: 'book-1', title: 'Dune', reviews: [{ _id: 'review-1', rating: 5 }] });
+
+    expect(book).toEqual({ id: 'book-1', title: 'Dune', authors: [], reviews: [{ id: 'review-1', rating: 5 }] });
+    expect(normalizeBook(book)).toEqual(book); // Idempotent
+  });
+
+  test('normalizes shelves with populated or unpopulated books', () => {
+    const shelf = normalizeShelf({ _id: 'shelf-1', name: 'Mine', userId: 'user-1', books: ['book-1', { _id: 'book-2', title: 'Emma' }] });
+
+    expect(shelf.id).toBe('shelf-1');
+    expect(shelf).not.toHaveProperty('_id');
+    expect(shelf.books.map(getBookId)).toEqual(['book-1', 'book-2']);
+  });
+
+  test('keeps users and offline placeholders usable', async () => {
+    expect(normalizeUser({ _id: 'user-1', username: 'reader', exp: 1 })).toEqual({ id: 'user-1', username: 'reader', exp: 1 });
+
+    const queued = await outbox.enqueueMutation({ url: '/books', method: 'POST', description: 'Add a book', createsResource: true });
+    expect(outbox.isQueuedMutation(normalizeBook(queued))).toBe(true);
+    await outbox.clearOutbox();
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * openLibraryProvider.js
+ *
+ * Book metadata provider backed by the Open Library Books API (see metadataAPI.js for the provider interface).
+ * The API is public and needs no key; `REACT_APP_OPEN_LIBRARY_URL` points it at a mirror or a proxy.
+ */
+
+import { ApiError, getStatusCode } from '../utils/apiError'; // Failed lookups reject like failed API calls
+
+const OPEN_LIBRARY_URL = process.env.REACT_APP_OPEN_LIBRARY_URL || 'https://openlibrary.org';
+
+/**
+ * The description of an Open Library record: its notes (a string or `{ value }`), or else its first excerpt.
+ * @param {Object} record
+ * @returns {string|undefined}
+ */
+const readDescription = (record) => {
+  if (typeof record.notes === 'string') return record.notes;
+  if (record.notes && record.notes.value) return record.notes.value;
+  return record.excerpts && record.excerpts[0] ? record.excerpts[0].text : undefined;
+};
+
+/**
+ * Map an Open Library record (`jscmd=data` format) to provider metadata.
+ * @param {Object} record
+ * @returns {Object}
+ */
+const toMetadata = (record) => ({
+  title: record.subtitle ? `${record.title}: ${record.subtitle}` : record.title,
+  authors: (record.authors || []).map((author) => author.name),
+  publisher: record.publishers && record.publishers[0] ? record.publishers[0].name : undefined,
+  pageCount: record.number_of_pages,
+  publishedDate: record.publish_date,
+  description: readDescription(record),
+  coverImageUrl: record.cover ? record.cover.large || record.cover.medium : undefined,
+});
+
+/**
+ * Create a metadata provider backed by Open Library.
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Open Library base URL.
+ * @param {Function} [options.fetchFn] - `fetch` implementation (the browser's by default).
+ * @returns {Object} - The provider: `{ name, lookupByIsbn }`.
+ */
+export const createOpenLibraryProvider = ({ baseUrl = OPEN_LIBRARY_URL, fetchFn = (...args) => fetch(...args) } = {}) => ({
+  name: 'openLibrary',
+
+  /**
+   * @param {string} isbn - ISBN-13.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the lookup.
+   * @returns {Promise<Object|null>} - The metadata, or null when Open Library does not know the ISBN.
+   */
+  lookupByIsbn: async (isbn, { signal } = {}) => {
+    const key = `ISBN:${isbn}`;
+    const response = await fetchFn(`${baseUrl}/api/books?bibkeys=${key}&format=json&jscmd=data`, { signal });
+    if (!response.ok) {
+      const code = getStatusCode(response.status);
+      throw new ApiError(`Open Library responded with ${response.status}`, {
+        status: response.status,
+        code,
+        retryable: response.status >= 500 || response.status === 429,
+      });
+    }
+    const body = await response.json();
+    return body && body[key] ? toMetadata(body[key]) : null;
+  },
+});
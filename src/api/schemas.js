@@ -0,0 +1,112 @@
+/**
+ * schemas.js
+ *
+ * The response contract of the backend for every call made by `authAPI`, `bookAPI` and `shelfAPI`.
+ * Passed to `fetcher` as `schema`, so responses are checked before they are normalized (see normalize.js),
+ * which is why these describe server documents (`_id`). Extra fields are allowed; only missing or mistyped fields
+ * are reported. Checked in development and tests only (see `fetcher`).
+ */
+
+import * as s from '../utils/schema'; // Minimal runtime schema checker
+
+// USERS AND AUTHENTICATION
+
+export const userSchema = s.object({
+  _id: s.id(),
+  username: s.string(),
+  email: s.string(),
+  profilePicture: s.optional(s.string()),
+});
+
+// Login, signup and token refresh
+export const tokenResponseSchema = s.object({
+  token: s.string(),
+  refreshToken: s.optional(s.string()),
+});
+
+export const userResponseSchema = s.object({ user: userSchema });
+
+export const settingsResponseSchema = s.object({ settings: s.object({}) });
+
+// Password changes and resets only confirm with a message
+export const messageResponseSchema = s.optional(s.object({ message: s.optional(s.string()) }));
+
+// BOOKS
+
+export const reviewSchema = s.object({
+  _id: s.optional(s.id()),
+  user: s.optional(s.string()),
+  rating: s.number(),
+  comment: s.optional(s.string()),
+});
+
+// An entry of the reading progress history (see utils/progress.js)
+export const progressEntrySchema = s.object({
+  _id: s.optional(s.id()),
+  unit: s.string(),
+  value: s.number(),
+  total: s.optional(s.number()),
+  loggedAt: s.optional(s.string()),
+});
+
+// A person credited on a book; older documents list authors as plain names
+export const contributorSchema = s.oneOf(
+  s.string(),
+  s.object({ _id: s.optional(s.id()), name: s.string(), role: s.optional(s.string()) })
+);
+
+export const bookSchema = s.object({
+  _id: s.id(),
+  title: s.string(),
+  authors: s.optional(s.arrayOf(contributorSchema)),
+  genre: s.optional(s.string()),
+  tags: s.optional(s.arrayOf(s.string())),
+  isbn: s.optional(s.string()),
+  publisher: s.optional(s.string()),
+  pageCount: s.optional(s.number()),
+  publishedDate: s.optional(s.string()),
+  description: s.optional(s.string()),
+  originalTitle: s.optional(s.string()),
+  language: s.optional(s.string()),
+  format: s.optional(s.string()),
+  series: s.optional(s.string()),
+  seriesPosition: s.optional(s.number()),
+  seriesLength: s.optional(s.number()),
+  coverImageUrl: s.optional(s.string()),
+  shelf: s.optional(s.string()),
+  reviews: s.optional(s.arrayOf(reviewSchema)),
+  progress: s.optional(s.arrayOf(progressEntrySchema)),
+});
+
+export const bookListSchema = s.arrayOf(bookSchema);
+
+// Paginated list endpoints; backends without pagination return the plain list
+export const bookPageSchema = s.oneOf(
+  bookListSchema,
+  s.object({ items: bookListSchema, total: s.number() })
+);
+
+// Batch deletion answers with the IDs of the books it deleted
+export const batchDeleteResponseSchema = s.object({ deletedIds: s.arrayOf(s.id()) });
+
+// Cover uploads answer with the URL of the stored image
+export const coverUploadResponseSchema = s.object({ coverImageUrl: s.string() });
+
+// TAGS
+
+// The tags of the library with the number of books having each
+export const tagListSchema = s.arrayOf(s.object({ name: s.string(), count: s.number() }));
+
+// SHELVES
+
+export const shelfSchema = s.object({
+  _id: s.id(),
+  name: s.string(),
+  userId: s.optional(s.id()),
+  books: s.arrayOf(s.oneOf(s.id(), bookSchema)), // Book IDs, or book documents when populated
+});
+
+export const shelfListSchema = s.arrayOf(shelfSchema);
+
+// Deleting a shelf answers 204 No Content
+export const emptyResponseSchema = s.any();
@@ -0,0 +1,42 @@
+import { mockServer } from '../mocks/mockServer';
+import { validateSchema, assertSchema } from '../utils/schema';
+import { tokenResponseSchema, userResponseSchema, bookListSchema, bookPageSchema, shelfListSchema } from './schemas';
+
+// Send a request straight to the mock adapter, the way Axios would
+const request = async (method, url, { data, token } = {}) => {
+  const response = await mockServer.adapter({
+    method,
+    url,
+    baseURL: 'http://localhost:5000/api',
+    data: data === undefined ? undefined : JSON.stringify(data),
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  return response.data;
+};
+
+describe('schemas', () => {
+  beforeEach(() => {
+    mockServer.reset();
+  });
+
+  test('the mock backend honours the response contract', async () => {
+    const login = await request('post', '/auth/login', { data: { email: 'reader@shelflife.test', password: 'password123' } });
+    expect(validateSchema(tokenResponseSchema, login)).toEqual([]);
+
+    const { token } = login;
+    expect(validateSchema(userResponseSchema, await request('get', '/users/profile', { token }))).toEqual([]);
+    expect(validateSchema(bookListSchema, await request('get', '/books', { token }))).toEqual([]);
+    expect(validateSchema(bookPageSchema, await request('get', '/books?page=1&limit=2', { token }))).toEqual([]);
+    expect(validateSchema(shelfListSchema, await request('get', '/shelves', { token }))).toEqual([]);
+  });
+
+  test('reports readable errors for unexpected shapes', () => {
+    expect(() => assertSchema(tokenResponseSchema, { message: 'Created' }, 'POST /auth/signup'))
+      .toThrow('Unexpected response from POST /auth/signup:\n  token: expected a string, received undefined');
+
+    expect(validateSchema(bookListSchema, [{ _id: 'book-1', title: 'Dune' }, { _id: 'book-2', reviews: [{}] }])).toEqual([
+      '[1].title: expected a string, received undefined',
+      '[1].reviews[0].rating: expected a number, received undefined',
+    ]);
+  });
+});
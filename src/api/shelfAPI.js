@@ -1,17 +1,21 @@
 import { fetcher } from '../utils/fetcher';
+import { normalizeShelf, normalizeShelves } from './normalize'; // Server documents -> client model (`id`, not `_id`)
+import { shelfSchema, shelfListSchema, emptyResponseSchema } from './schemas'; // Response contracts checked in development
 
 export const shelfAPI = {
   /**
    * Fetch all shelves for the authenticated user
    * Sends a GET request to retrieve all shelves associated with the authenticated user
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Promise<Array>} - Array of shelf objects
    */
-  getAllShelves: async () => {
+  getAllShelves: async ({ signal } = {}) => {
     try {
       // Fetch all shelves for the authenticated user
-      return await fetcher('/shelves');
+      return normalizeShelves(await fetcher('/shelves', { schema: shelfListSchema, signal }));
     } catch (error) {
-      throw new Error('Failed to fetch shelves for the user.');
+      throw new Error('Failed to fetch shelves for the user.', { cause: error });
     }
   },
 
@@ -19,17 +23,19 @@ export const shelfAPI = {
    * Fetch a specific shelf by its ID
    * Sends a GET request to retrieve the details of a specific shelf
    * @param {string} shelfId - The ID of the shelf to fetch
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Promise<Object>} - The shelf object
    */
-  getShelfById: async (shelfId) => {
+  getShelfById: async (shelfId, { signal } = {}) => {
     try {
       // Ensure the shelf ID is provided
       if (!shelfId) {
         throw new Error('Shelf ID is required to fetch shelf details.');
       }
-      return await fetcher(`/shelves/${shelfId}`);
+      return normalizeShelf(await fetcher(`/shelves/${shelfId}`, { schema: shelfSchema, signal }));
     } catch (error) {
-      throw new Error(`Failed to fetch shelf with ID ${shelfId}.`);
+      throw new Error(`Failed to fetch shelf with ID ${shelfId}.`, { cause: error });
     }
   },
 
@@ -37,23 +43,28 @@ export const shelfAPI = {
    * Create a new shelf for the authenticated user
    * Sends a POST request to create a new shelf with the provided data
    * @param {Object} shelfData - The data for the new shelf (e.g., name, books)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Promise<Object>} - The newly created shelf object
    */
-  createShelf: async (shelfData) => {
+  createShelf: async (shelfData, { signal } = {}) => {
     try {
       // Validate shelf data before making the request
       if (!shelfData || !shelfData.name) {
         throw new Error('Shelf data must include a name.');
       }
-      return await fetcher('/shelves', {
+      return normalizeShelf(await fetcher('/shelves', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(shelfData),
-      });
+        schema: shelfSchema,
+        signal,
+        offline: { description: `Create the shelf "${shelfData.name}"`, createsResource: true }, // Queued in the outbox when offline
+      }));
     } catch (error) {
-      throw new Error('Failed to create shelf.');
+      throw new Error('Failed to create shelf.', { cause: error });
     }
   },
 
@@ -62,9 +73,11 @@ export const shelfAPI = {
    * Sends a PUT request to update the shelf with the provided data
    * @param {string} shelfId - The ID of the shelf to update
    * @param {Object} updateData - The data to update the shelf with (e.g., name, books)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Promise<Object>} - The updated shelf object
    */
-  updateShelf: async (shelfId, updateData) => {
+  updateShelf: async (shelfId, updateData, { signal } = {}) => {
     try {
       // Ensure the shelf ID and update data are provided
       if (!shelfId) {
@@ -73,15 +86,18 @@ export const shelfAPI = {
       if (!updateData) {
         throw new Error('Update data is required to update the shelf.');
       }
-      return await fetcher(`/shelves/${shelfId}`, {
+      return normalizeShelf(await fetcher(`/shelves/${shelfId}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(updateData),
-      });
+        schema: shelfSchema,
+        signal,
+        offline: { description: 'Edit a shelf' }, // Queued in the outbox when offline
+      }));
     } catch (error) {
-      throw new Error(`Failed to update shelf with ID ${shelfId}.`);
+      throw new Error(`Failed to update shelf with ID ${shelfId}.`, { cause: error });
     }
   },
 
@@ -89,19 +105,24 @@ export const shelfAPI = {
    * Delete a shelf
    * Sends a DELETE request to remove the shelf by its ID
    * @param {string} shelfId - The ID of the shelf to delete
-   * @returns {Promise<void>} - Resolves when the shelf is successfully deleted
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
+   * @returns {Promise<void|Object>} - Resolves when the shelf is successfully deleted (or with the outbox placeholder when queued offline)
    */
-  deleteShelf: async (shelfId) => {
+  deleteShelf: async (shelfId, { signal } = {}) => {
     try {
       // Ensure the shelf ID is provided
       if (!shelfId) {
         throw new Error('Shelf ID is required to delete the shelf.');
       }
-      await fetcher(`/shelves/${shelfId}`, {
+      return await fetcher(`/shelves/${shelfId}`, {
         method: 'DELETE',
+        schema: emptyResponseSchema,
+        signal,
+        offline: { description: 'Delete a shelf' }, // Queued in the outbox when offline
       });
     } catch (error) {
-      throw new Error(`Failed to delete shelf with ID ${shelfId}.`);
+      throw new Error(`Failed to delete shelf with ID ${shelfId}.`, { cause: error });
     }
   },
 
@@ -110,23 +131,28 @@ export const shelfAPI = {
    * Sends a POST request to add a book to a specific shelf
    * @param {string} shelfId - The ID of the shelf to add the book to
    * @param {string} bookId - The ID of the book to add
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Promise<Object>} - The updated shelf object
    */
-  addBookToShelf: async (shelfId, bookId) => {
+  addBookToShelf: async (shelfId, bookId, { signal } = {}) => {
     try {
       // Ensure the shelf ID and book ID are provided
       if (!shelfId || !bookId) {
         throw new Error('Shelf ID and Book ID are required to add a book to the shelf.');
       }
-      return await fetcher(`/shelves/${shelfId}/books`, {
+      return normalizeShelf(await fetcher(`/shelves/${shelfId}/books`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ bookId }),
-      });
+        schema: shelfSchema,
+        signal,
+        offline: { description: 'Add a book to a shelf' }, // Queued in the outbox when offline
+      }));
     } catch (error) {
-      throw new Error(`Failed to add book with ID ${bookId} to shelf with ID ${shelfId}.`);
+      throw new Error(`Failed to add book with ID ${bookId} to shelf with ID ${shelfId}.`, { cause: error });
     }
   },
 
@@ -135,23 +161,86 @@ export const shelfAPI = {
    * Sends a DELETE request to remove a book from a specific shelf
    * @param {string} shelfId - The ID of the shelf to remove the book from
    * @param {string} bookId - The ID of the book to remove
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
    * @returns {Promise<Object>} - The updated shelf object
    */
-  removeBookFromShelf: async (shelfId, bookId) => {
+  removeBookFromShelf: async (shelfId, bookId, { signal } = {}) => {
     try {
       // Ensure the shelf ID and book ID are provided
       if (!shelfId || !bookId) {
         throw new Error('Shelf ID and Book ID are required to remove a book from the shelf.');
       }
-      return await fetcher(`/shelves/${shelfId}/books`, {
+      return normalizeShelf(await fetcher(`/shelves/${shelfId}/books`, {
         method: 'DELETE',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ bookId }),
-      });
+        schema: shelfSchema,
+        signal,
+        offline: { description: 'Remove a book from a shelf' }, // Queued in the outbox when offline
+      }));
+    } catch (error) {
+      throw new Error(`Failed to remove book with ID ${bookId} from shelf with ID ${shelfId}.`, { cause: error });
+    }
+  },
+
+  /**
+   * Add several books to several shelves at once
+   * Sends a POST request to the batch endpoint; books already on a shelf stay there once
+   * @param {string[]} shelfIds - The IDs of the shelves
+   * @param {string[]} bookIds - The IDs of the books to add to each shelf
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
+   * @returns {Promise<Array>} - The updated shelves
+   */
+  addBooksToShelves: async (shelfIds, bookIds, { signal } = {}) => {
+    try {
+      if (shelfIds.length === 0 || bookIds.length === 0) {
+        throw new Error('Shelf IDs and book IDs are required to add books to shelves.');
+      }
+      return normalizeShelves(await fetcher('/shelves/batch/books', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ shelfIds, bookIds }),
+        schema: shelfListSchema,
+        signal,
+        offline: { description: `Add ${bookIds.length} books to ${shelfIds.length} shelves` }, // Queued in the outbox when offline
+      }));
+    } catch (error) {
+      throw new Error(`Failed to add ${bookIds.length} books to ${shelfIds.length} shelves.`, { cause: error });
+    }
+  },
+
+  /**
+   * Remove several books from several shelves at once
+   * Sends a DELETE request to the batch endpoint
+   * @param {string[]} shelfIds - The IDs of the shelves
+   * @param {string[]} bookIds - The IDs of the books to remove from each shelf
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
+   * @returns {Promise<Array>} - The updated shelves
+   */
+  removeBooksFromShelves: async (shelfIds, bookIds, { signal } = {}) => {
+    try {
+      if (shelfIds.length === 0 || bookIds.length === 0) {
+        throw new Error('Shelf IDs and book IDs are required to remove books from shelves.');
+      }
+      return normalizeShelves(await fetcher('/shelves/batch/books', {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ shelfIds, bookIds }),
+        schema: shelfListSchema,
+        signal,
+        offline: { description: `Remove ${bookIds.length} books from ${shelfIds.length} shelves` }, // Queued in the outbox when offline
+      }));
     } catch (error) {
-      throw new Error(`Failed to remove book with ID ${bookId} from shelf with ID ${shelfId}.`);
+      throw new Error(`Failed to remove ${bookIds.length} books from ${shelfIds.length} shelves.`, { cause: error });
     }
   },
-};
\ No newline at end of file
+};
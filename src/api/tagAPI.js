@@ -0,0 +1,72 @@
+import { fetcher } from '../utils/fetcher';
+import { tagListSchema } from './schemas'; // Response contracts checked in development
+
+// Tags are names rather than documents, so there is nothing to normalize: every endpoint answers with the
+// tags of the library, `[{ name, count }]`. Renaming and merging rewrite many books at once and need the server,
+// so unlike book edits they are not queued while offline.
+export const tagAPI = {
+  /**
+   * Fetch the tags of the library
+   * Sends a GET request to retrieve every tag with the number of books having it
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
+   * @returns {Promise<Array>} - `[{ name, count }]`, alphabetically
+   */
+  getTags: async ({ signal } = {}) => {
+    try {
+      return await fetcher('/tags', { schema: tagListSchema, signal });
+    } catch (error) {
+      throw new Error('Failed to fetch tags.', { cause: error });
+    }
+  },
+
+  /**
+   * Rename a tag on every book having it
+   * Sends a PUT request with the new name; renaming to an existing tag merges the two
+   * @param {string} name - The current name of the tag
+   * @param {string} newName - The new name
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
+   * @returns {Promise<Array>} - The tags of the library after the change
+   */
+  renameTag: async (name, newName, { signal } = {}) => {
+    try {
+      return await fetcher(`/tags/${encodeURIComponent(name)}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: newName }),
+        schema: tagListSchema,
+        signal,
+      });
+    } catch (error) {
+      throw new Error(`Failed to rename tag ${name}.`, { cause: error });
+    }
+  },
+
+  /**
+   * Merge several tags into one
+   * Sends a POST request to the merge endpoint; every book having one of the tags gets the target tag instead
+   * @param {string[]} tags - The tags to merge
+   * @param {string} into - The tag they are merged into (an existing tag or a new name)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (e.g. when superseded or unmounted)
+   * @returns {Promise<Array>} - The tags of the library after the change
+   */
+  mergeTags: async (tags, into, { signal } = {}) => {
+    try {
+      return await fetcher('/tags/merge', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ tags, into }),
+        schema: tagListSchema,
+        signal,
+      });
+    } catch (error) {
+      throw new Error(`Failed to merge ${tags.length} tags.`, { cause: error });
+    }
+  },
+};
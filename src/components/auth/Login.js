@@ -26,7 +26,7 @@ const Login = () => {
   // Initialize React Hook Form with validation management
   const { register, handleSubmit, formState: { errors }, reset } = useForm();
 
-  // Access the authentication-related actions and states from the AuthContext
+  // Access the authentication-related actions and states from the store (useAuth)
   const { login, isLoading, error } = useAuth();
 
   // Initialize translation hook from i18n
@@ -61,7 +61,7 @@ const Login = () => {
       <h2>{t('login.title')}</h2> {/* Display localized title using i18n */}
 
       {/* Conditionally render an error message if login fails */}
-      {error && <ErrorMessage message={error} />}
+      {error && <ErrorMessage error={error} />}
 
       {/* Render the login form, with validation and form submission handled by React Hook Form */}
       <form onSubmit={handleSubmit(onSubmit)} aria-label="login-form">
@@ -22,7 +22,7 @@ const LogoutButton = () => {
   /**
    * Function to handle the logout process
    * 
-   * This function triggers the `logout` function from the AuthContext,
+   * This function triggers the `logout` action of useAuth,
    * which will clear the user session and remove the token from storage.
    */
   const handleLogout = async () => {
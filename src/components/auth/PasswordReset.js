@@ -53,7 +53,7 @@ const PasswordReset = () => {
       <h2>{t('passwordReset.heading')}</h2> {/* Localized heading for "Password Reset" */}
 
       {/* Conditionally render error message, if any, using the ErrorMessage component */}
-      {error && <ErrorMessage message={error} />}
+      {error && <ErrorMessage error={error} />}
 
       {/* Form for password reset, handled by react-hook-form */}
       <form onSubmit={handleSubmit(onSubmit)}>
@@ -54,7 +54,7 @@ const PasswordResetConfirm = () => {
       <h2>{t('passwordResetConfirm.heading')}</h2> {/* Localized heading for password reset confirmation */}
 
       {/* Conditionally render error message, if any, using the ErrorMessage component */}
-      {error && <ErrorMessage message={error} />}
+      {error && <ErrorMessage error={error} />}
 
       {/* Form for password reset confirmation, handled by react-hook-form */}
       <form onSubmit={handleSubmit(onSubmit)}>
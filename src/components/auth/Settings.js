@@ -85,7 +85,7 @@ const Settings = () => {
       <h2>{t('settings.title')}</h2> {/* Localized title for the settings page */}
 
       {/* Display error message if there is an error */}
-      {error && <ErrorMessage message={error} />}
+      {error && <ErrorMessage error={error} />}
 
       {/* Form to handle settings updates */}
       <Form onFinish={handleSubmit(onSubmit)} layout="vertical" className="settings-form">
@@ -12,6 +12,7 @@ import { Link, useNavigate } from "react-router-dom"; // React Router for naviga
 import { useAuth } from "../../hooks/useAuth"; // Custom hook for authentication logic
 import { useTranslation } from "react-i18next"; // Hook for accessing translation functions (i18n)
 import ErrorMessage from '../ui/ErrorMessage'; // Error message component for displaying any form errors
+import { applyFieldErrors } from "../../utils/apiError"; // Server validation errors shown on the matching fields
 import { Spin } from "antd"; // Ant Design spinner for showing loading states
 import {
   formContainerStyles,
@@ -28,6 +29,7 @@ const Signup = () => {
     handleSubmit, // To handle form submission
     formState: { errors }, // To get form validation errors
     reset, // Reset function to clear form fields
+    setError, // To show the server's validation errors on the fields
   } = useForm();
 
   // Extract signup function and state (isLoading, error) from the custom useAuth hook
@@ -54,8 +56,11 @@ const Signup = () => {
       // Redirect to the homepage ("/") after successful signup
       navigate("/", { replace: true });
     } catch (err) {
-      // Log any unexpected errors to the console
-      console.error("Signup error:", err);
+      // Show validation errors (e.g. an email that is already registered) next to the fields; other errors are
+      // shown above the form by the useAuth error state
+      if (!applyFieldErrors(err, setError, ["username", "email", "password"])) {
+        console.error("Signup error:", err); // Log any unexpected errors to the console
+      }
     }
   };
 
@@ -64,7 +69,8 @@ const Signup = () => {
       <h2>{t("signup.title")}</h2> {/* Localized form title */}
 
       {/* If there's an error during signup, display it using ErrorMessage component */}
-      {error && <ErrorMessage message={error} />}
+      {error && <ErrorMessage error={error} />}
+      {errors.root?.server && <ErrorMessage message={errors.root.server.message} />}
 
       {/* Form for user signup */}
       <form onSubmit={handleSubmit(onSubmit)} aria-label="signup-form">
@@ -74,7 +74,7 @@ const UpdatePassword = () => {
       <h2>{t('passwordUpdate.title')}</h2> {/* Localized title for updating password */}
 
       {/* Display error message if there is an error from the API */}
-      {error && <ErrorMessage message={error} />}
+      {error && <ErrorMessage error={error} />}
 
       {/* Form to update the user's password */}
       <Form onFinish={handleSubmit(onSubmit)} layout="vertical" className="update-password-form">
@@ -82,7 +82,7 @@ const UserProfile = () => {
 
   // Display an error message if there was an issue fetching or updating the profile
   if (error) {
-    return <ErrorMessage message={error} />; // Display the error message using the ErrorMessage component
+    return <ErrorMessage error={error} />; // Display the error message using the ErrorMessage component
   }
 
   // Handle case where the profile data is not available (e.g., fetch failed or not logged in)
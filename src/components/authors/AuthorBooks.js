@@ -0,0 +1,77 @@
+/**
+ * AuthorBooks Component
+ * Purpose: The books of one person in the library, oldest first, with the person's role on each book when it is
+ * not author (e.g. translator) and the user's own rating of the book.
+ * Props:
+ * - books: The books crediting the person.
+ * - authorId: The ID of the person (see utils/authors.js).
+ * - user: The logged-in user, whose reviews give the ratings.
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom'; // Client-side links to the book pages
+import styled from '@emotion/styled'; // Emotion for styling components
+import { Empty, List, Rate } from 'antd'; // Ant Design components
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { getAuthorRoles, AUTHOR_ROLE_LABELS } from '../../utils/authors'; // Roles of the person on a book
+import { sortBooks } from '../../utils/bookFilters'; // Publication order
+import coverPlaceholder from '../../assets/images/cover-placeholder.svg'; // Shown for books without a cover
+
+const Cover = styled.img`
+  width: 48px;
+  height: 72px;
+  object-fit: cover;
+  border-radius: 4px;
+`;
+
+/**
+ * The rating the user gave a book, from their review.
+ * @param {Object} book
+ * @param {Object} [user] - `{ id, username }`; reviews name their author by username.
+ * @returns {number|undefined}
+ */
+const getUserRating = (book, user) => {
+  if (!user) return undefined;
+  const review = (book.reviews || []).find((item) => item.user === user.username || item.user === user.id);
+  return review ? review.rating : undefined;
+};
+
+/**
+ * AuthorBooks Component
+ * @param {Object} props - See above.
+ * @returns {JSX.Element}
+ */
+const AuthorBooks = ({ books, authorId, user }) => {
+  const { t } = useTranslation();
+
+  if (books.length === 0) return <Empty description={t('authorPage.noBooks', 'No books by this person in the library.')} />;
+
+  return (
+    <List
+      itemLayout="horizontal"
+      dataSource={sortBooks(books, 'publishedDate')}
+      renderItem={(book) => {
+        const roles = getAuthorRoles(book, authorId).filter((role) => role !== 'author');
+        const rating = getUserRating(book, user);
+        return (
+          <List.Item
+            extra={rating !== undefined
+              ? <Rate disabled value={rating} aria-label={t('authorPage.yourRating', 'Your rating')} />
+              : <span>{t('authorPage.notRated', 'Not rated')}</span>}
+          >
+            <List.Item.Meta
+              avatar={<Cover src={book.coverImageUrl || coverPlaceholder} alt="" />}
+              title={<Link to={`/books/${book.id}`}>{book.title}</Link>}
+              description={[
+                book.publishedDate && book.publishedDate.slice(0, 4), // The year is enough here
+                ...roles.map((role) => t(`authorRoles.${role}`, AUTHOR_ROLE_LABELS[role])),
+              ].filter(Boolean).join(' · ')}
+            />
+          </List.Item>
+        );
+      }}
+    />
+  );
+};
+
+export default AuthorBooks;
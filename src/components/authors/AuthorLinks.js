@@ -0,0 +1,39 @@
+/**
+ * AuthorLinks Component
+ * Purpose: The people credited on a book, each linking to their author page (`/authors/:authorId`). Roles other
+ * than author are named after the person: "Ursula K. Le Guin, Jean Bailhache (Translator)".
+ * Props:
+ * - authors: The book's `authors` (contributors, or plain names from older documents).
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom'; // Client-side links to the author pages
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { toContributors, AUTHOR_ROLE_LABELS } from '../../utils/authors'; // Contributors `{ id, name, role }`
+
+/**
+ * AuthorLinks Component
+ * @param {Array} authors - The book's authors.
+ * @returns {JSX.Element}
+ */
+const AuthorLinks = ({ authors }) => {
+  const { t } = useTranslation();
+  const contributors = toContributors(authors);
+
+  if (contributors.length === 0) return <>{t('book.noAuthors')}</>;
+
+  return (
+    <>
+      {contributors.map((contributor, index) => (
+        <React.Fragment key={`${contributor.id}|${contributor.role}`}>
+          {index > 0 && ', '}
+          <Link to={`/authors/${encodeURIComponent(contributor.id)}`}>{contributor.name}</Link>
+          {contributor.role !== 'author'
+            && ` (${t(`authorRoles.${contributor.role}`, AUTHOR_ROLE_LABELS[contributor.role])})`}
+        </React.Fragment>
+      ))}
+    </>
+  );
+};
+
+export default AuthorLinks;
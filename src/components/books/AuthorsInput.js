@@ -0,0 +1,136 @@
+/**
+ * AuthorsInput Component
+ * Purpose: Authors field of BookForm. The people credited on the book are entered as tags, each with a role
+ * (author, translator, illustrator, narrator). Names are added with Enter, or by typing or pasting them separated
+ * by commas or semicolons ("Gaiman, Pratchett" adds two authors); Backspace in the empty input removes the last one.
+ * Props:
+ * - value: The contributors, `[{ name, role }]`.
+ * - onChange: Called with the new list.
+ * - status: (Optional) 'error' to show the field as invalid.
+ */
+
+import React, { useState } from 'react';
+import styled from '@emotion/styled'; // Emotion for styling components
+import { Input, Select, Tag } from 'antd'; // Ant Design components
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { AUTHOR_ROLES, AUTHOR_ROLE_LABELS, getAuthorId, parseAuthorNames } from '../../utils/authors';
+
+const Contributors = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 6px;
+
+  .ant-tag {
+    display: inline-flex;
+    align-items: center;
+    margin: 0;
+  }
+`;
+
+// The input takes the rest of the row, and a row of its own when the tags leave too little room
+const NameInput = styled(Input)`
+  flex: 1 1 160px;
+  min-width: 160px;
+`;
+
+/**
+ * AuthorsInput Component
+ * @param {Object[]} [value] - The contributors.
+ * @param {Function} onChange - Receives the new contributors.
+ * @param {string} [status] - 'error' when the field is invalid.
+ * @returns {JSX.Element}
+ */
+const AuthorsInput = ({ value = [], onChange, status, ...inputProps }) => {
+  const { t } = useTranslation();
+  const [text, setText] = useState(''); // Name being typed
+
+  const roleOptions = AUTHOR_ROLES.map((role) => ({ value: role, label: t(`authorRoles.${role}`, AUTHOR_ROLE_LABELS[role]) }));
+
+  /**
+   * Add names as authors; a person already credited as author is not added twice.
+   * @param {string[]} names
+   */
+  const addNames = (names) => {
+    const added = names
+      .filter((name, index) => names.findIndex((other) => getAuthorId(other) === getAuthorId(name)) === index)
+      .filter((name) => !value.some((contributor) => (
+        contributor.role === 'author' && getAuthorId(contributor.name) === getAuthorId(name)
+      )))
+      .map((name) => ({ name, role: 'author' }));
+    if (added.length > 0) onChange([...value, ...added]);
+  };
+
+  // Names followed by a separator are added right away; the one still being typed stays in the input
+  const handleTextChange = (event) => {
+    const nextText = event.target.value;
+    const lastSeparator = Math.max(nextText.lastIndexOf(','), nextText.lastIndexOf(';'), nextText.lastIndexOf('\n'));
+    if (lastSeparator === -1) {
+      setText(nextText);
+      return;
+    }
+    addNames(parseAuthorNames(nextText.slice(0, lastSeparator)));
+    setText(nextText.slice(lastSeparator + 1).trimStart());
+  };
+
+  // Add the name being typed
+  const commitText = () => {
+    addNames(parseAuthorNames(text));
+    setText('');
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault(); // Enter adds the name instead of submitting the form
+      commitText();
+    } else if (event.key === 'Backspace' && text === '' && value.length > 0) {
+      onChange(value.slice(0, -1));
+    }
+  };
+
+  const changeRole = (index, role) => {
+    onChange(value.map((contributor, i) => (i === index ? { ...contributor, role } : contributor)));
+  };
+
+  const remove = (index) => {
+    onChange(value.filter((contributor, i) => i !== index));
+  };
+
+  return (
+    <Contributors>
+      {value.map((contributor, index) => (
+        <Tag
+          key={`${getAuthorId(contributor.name)}|${contributor.role}|${index}`}
+          closable
+          closeIcon
+          onClose={(event) => {
+            event.preventDefault(); // The list is controlled: the tag goes away when `value` changes
+            remove(index);
+          }}
+        >
+          {contributor.name}
+          <Select
+            size="small"
+            variant="borderless"
+            popupMatchSelectWidth={false}
+            aria-label={t('bookForm.authorRole', { name: contributor.name, defaultValue: 'Role of {{name}}' })}
+            value={contributor.role}
+            options={roleOptions}
+            onChange={(role) => changeRole(index, role)}
+          />
+        </Tag>
+      ))}
+      <NameInput
+        {...inputProps}
+        status={status}
+        value={text}
+        placeholder={t('bookForm.enterAuthors', 'Add a name and press Enter')}
+        onChange={handleTextChange}
+        onKeyDown={handleKeyDown}
+        onBlur={commitText} // A name typed before saving is not lost
+      />
+    </Contributors>
+  );
+};
+
+export default AuthorsInput;
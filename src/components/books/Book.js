@@ -2,16 +2,24 @@
  * Book Component
  * Purpose: Displays a single book's information (e.g., title, author, genre, cover image, and shelf status).
  * Additional Functionality: If reviews are enabled, users can directly add a review for the book.
- * Context Functions Used:
- * - getBookById: To fetch the specific book details by ID.
- * - addReview: If the component allows users to add a review directly.
+ * Hooks Used:
+ * - useBookQuery: To fetch the specific book details by ID (each card loads its own book).
+ * - useAddReview: If the component allows users to add a review directly.
+ * - useMoveBook: To change the book's shelf.
+ * Books being read show their progress, updatable in one tap.
  */
 
-import React, { useEffect, useCallback, useState } from 'react'; // Hooks for component lifecycle and performance optimization
+import React, { useCallback, useState } from 'react'; // Hooks for component state and performance optimization
 import { useTranslation } from 'react-i18next'; // Hook for internationalization (i18n support)
-import { Select, Card, Button, Modal, Input, Rate } from 'antd'; // Ant Design components for UI: Select for dropdown, Card for layout, Modal for review submission
+import { Select, Card, Button, Modal, Input, Rate, message } from 'antd'; // Ant Design components for UI: Select for dropdown, Card for layout, Modal for review submission
 import LazyLoad from 'react-lazyload'; // LazyLoad to improve performance by loading images only when visible
-import { useBook } from '../../hooks/useBook'; // Custom hook to handle book-related actions (like updating the shelf)
+import { useBookQuery } from '../../hooks/useBookQueries'; // Load this card's book, with its own loading/error state
+import { useAddReview, useMoveBook } from '../../hooks/useBookMutations'; // Mutations with their own status
+import ErrorMessage from '../ui/ErrorMessage'; // Localized message of a failed request
+import AuthorLinks from '../authors/AuthorLinks'; // Authors linking to their author pages
+import ReadingProgressBar from '../progress/ReadingProgressBar'; // Progress of a book being read
+import ProgressQuickUpdate from '../progress/ProgressQuickUpdate'; // One-tap progress updates
+import coverPlaceholder from '../../assets/images/cover-placeholder.svg'; // Shown for books without a cover
 import {
   bookCardStyles,
   bookCoverStyles,
@@ -25,18 +33,18 @@ import {
 const { Option } = Select;
 
 const Book = ({ bookId }) => {
-  const { getBookById, addReview, updateBookShelf, book, isLoading, error } = useBook(); // Destructure relevant context functions
+  // Fetched when the component mounts or the bookId changes, and cancelled when it unmounts
+  const { data: book, isLoading, error } = useBookQuery(bookId);
+  const { mutateAsync: addReview, isPending: isSubmittingReview, error: reviewError, reset: resetReview } = useAddReview();
+  const { mutate: updateBookShelf } = useMoveBook();
   const { t } = useTranslation(); // Hook to access translation function for i18n
   const [isModalVisible, setIsModalVisible] = useState(false); // State to handle modal visibility for adding reviews
   const [reviewData, setReviewData] = useState({ rating: 0, comment: '' }); // State to handle review inputs
 
-  useEffect(() => {
-    getBookById(bookId); // Fetch book details when the component mounts or the bookId changes
-  }, [getBookById, bookId]); // Dependency array ensures useEffect runs only when necessary
-
   /**
    * Handles shelf change for the book.
-   * This function updates the shelf of the book via the `updateBookShelf` context function.
+   * This function updates the shelf of the book via the `useMoveBook` mutation (a failed move is rolled back and
+   * announced by the optimistic update).
    * @param {string} value - The selected shelf value (e.g., 'currentlyReading', 'wantToRead', 'read', or 'none').
    */
   const handleShelfChange = useCallback(
@@ -58,24 +66,30 @@ const Book = ({ bookId }) => {
    */
   const handleCancel = () => {
     setIsModalVisible(false); // Set modal visibility to false
+    resetReview(); // Forget the error of a previous attempt
   };
 
   /**
    * Handles submitting a review for the book.
-   * This function calls the `addReview` context function to submit the review.
+   * This function calls the `useAddReview` mutation to submit the review; the modal stays open when it fails.
    */
   const handleSubmitReview = async () => {
     if (reviewData.rating > 0 && reviewData.comment) {
-      await addReview(bookId, reviewData); // Call to add the review
-      setReviewData({ rating: 0, comment: '' }); // Reset the review form
-      setIsModalVisible(false); // Close the modal after submission
+      try {
+        await addReview(bookId, reviewData); // Call to add the review
+        setReviewData({ rating: 0, comment: '' }); // Reset the review form
+        setIsModalVisible(false); // Close the modal after submission
+        message.success(t('review.success', 'Your review was added.'));
+      } catch (err) {
+        // Shown in the modal through the mutation's `error`
+      }
     } else {
       alert(t('review.missingFields')); // Alert if rating/comment is missing
     }
   };
 
   if (isLoading) return <p>{t('loading')}</p>; // Display loading state
-  if (error) return <p>{t('error', { message: error })}</p>; // Display error state
+  if (error) return <ErrorMessage error={error} />; // Display error state
   if (!book) return <p>{t('book.notFound')}</p>; // Display if no book is found
 
   return (
@@ -87,7 +101,7 @@ const Book = ({ bookId }) => {
           <LazyLoad height={200} offset={100} once> {/* Lazy load the book cover image */}
             <img
               css={bookCoverStyles} // Apply global styles for book cover
-              src={book.coverImageUrl || 'https://via.placeholder.com/150'} // Fallback image if no cover image is provided
+              src={book.coverImageUrl || coverPlaceholder} // Fallback image if no cover image is provided
               alt={book.title}
             />
           </LazyLoad>
@@ -95,10 +109,12 @@ const Book = ({ bookId }) => {
       >
         <h3 css={bookTitleStyles}>{book.title}</h3> {/* Display the book's title */}
         <p css={bookAuthorsStyles}>
-          {book.authors?.length > 0 ? book.authors.join(', ') : t('book.noAuthors')} {/* Display authors or fallback */}
+          <AuthorLinks authors={book.authors} /> {/* Display authors, linked to their pages, or fallback */}
         </p>
         <p>{t('book.genre')}: {book.genre || t('book.noGenre')}</p> {/* Display genre */}
         <p>{t('book.isbn')}: {book.isbn || t('book.noIsbn')}</p> {/* Display ISBN */}
+        <ReadingProgressBar book={book} /> {/* Only for books on the Currently Reading shelf */}
+        <ProgressQuickUpdate book={book} />
 
         {/* Dropdown for changing the shelf */}
         <Select
@@ -124,6 +140,7 @@ const Book = ({ bookId }) => {
         visible={isModalVisible}
         onCancel={handleCancel}
         onOk={handleSubmitReview}
+        confirmLoading={isSubmittingReview} // While the review is being saved
       >
         <Rate
           onChange={(value) => setReviewData((prev) => ({ ...prev, rating: value }))}
@@ -135,6 +152,7 @@ const Book = ({ bookId }) => {
           value={reviewData.comment}
           onChange={(e) => setReviewData((prev) => ({ ...prev, comment: e.target.value }))}
         />
+        <ErrorMessage error={reviewError} /> {/* Why the last submission failed, if it did */}
       </Modal>
     </div>
   );
@@ -6,17 +6,20 @@
  * - Deleting the book
  * - Moving the book to a different shelf
  * - Editing the book details
+ * - Editing the book's tags
  * 
- * It uses Ant Design's Modal component for confirmation dialogs and the `useBook` context for managing
- * book-related actions like deleting or updating the book's shelf.
+ * It uses Ant Design's Modal component for confirmation dialogs and the `useDeleteBook`, `useMoveBook` and
+ * `useUpdateBook` mutation hooks, so each action reports its own progress and outcome.
  * 
  * Props:
  * - bookId: The ID of the book for which actions will be performed.
  * - currentShelf: The current shelf of the book (used for updating the shelf).
+ * - tags: The current tags of the book.
  * 
- * Context Functions Used:
- * - deleteBook: To delete a book.
- * - updateBookShelf: To change the book's shelf.
+ * Hooks Used:
+ * - useDeleteBook: To delete a book.
+ * - useMoveBook: To change the book's shelf.
+ * - useUpdateBook: To save the book's tags.
  * 
  * Additional Functionality:
  * - Confirmation modals for deleting and updating the book's shelf.
@@ -25,17 +28,20 @@
 
 import React, { useState } from 'react';
 import { Modal, Button, Select, message } from 'antd'; // Ant Design components for modal, button, and select dropdown
-import { useBook } from '../../hooks/useBook'; // Custom hook for accessing book context functions
+import { useDeleteBook, useMoveBook, useUpdateBook } from '../../hooks/useBookMutations'; // Book mutations with their own status
 import { useTranslation } from 'react-i18next'; // For i18n support (translations)
 import { ExclamationCircleOutlined } from '@ant-design/icons'; // Ant Design icon for warning in confirmation dialogs
+import TagSelect from '../tags/TagSelect'; // Tags with suggestions from the library
 
 const { Option } = Select;
 const { confirm } = Modal;
 
-const BookActions = ({ bookId, currentShelf }) => {
-  const { deleteBook, updateBookShelf } = useBook(); // Extract deleteBook and updateBookShelf functions from context
+const BookActions = ({ bookId, currentShelf, tags = [] }) => {
+  const { mutateAsync: deleteBook, isPending: isDeleting } = useDeleteBook(); // Rejects when the book is not deleted
+  const { mutateAsync: updateBookShelf, isPending: isMoving } = useMoveBook(); // Rejects when the move is reverted
+  const { mutateAsync: updateBook, isPending: isTagging } = useUpdateBook(); // Rejects when the tags are not saved
+  const [pendingTags, setPendingTags] = useState(null); // Tags shown while they are being saved
   const { t } = useTranslation(); // Translation hook for i18n support
-  const [loading, setLoading] = useState(false); // State to track loading during actions
 
   /**
    * Show a confirmation modal before deleting the book.
@@ -51,13 +57,10 @@ const BookActions = ({ bookId, currentShelf }) => {
       cancelText: t('bookActions.cancel'), // Localized cancel button text
       onOk: async () => {
         try {
-          setLoading(true); // Set loading to true while deleting
           await deleteBook(bookId); // Call deleteBook function with the book ID
           message.success(t('bookActions.deleteSuccess')); // Display success message on successful delete
         } catch (error) {
           message.error(t('bookActions.deleteError')); // Display error message if delete fails
-        } finally {
-          setLoading(false); // Reset loading state after action completes
         }
       },
     });
@@ -70,13 +73,27 @@ const BookActions = ({ bookId, currentShelf }) => {
    */
   const handleShelfChange = async (newShelf) => {
     try {
-      setLoading(true); // Set loading to true while updating the shelf
       await updateBookShelf(bookId, newShelf); // Call updateBookShelf function with the book ID and new shelf
       message.success(t('bookActions.updateShelfSuccess')); // Display success message on successful shelf update
     } catch (error) {
       message.error(t('bookActions.updateShelfError')); // Display error message if update fails
+    }
+  };
+
+  /**
+   * Save the book's tags as soon as they change.
+   * The new tags are shown while they are saved, and the saved ones again if saving fails.
+   *
+   * @param {string[]} nextTags - The new tags of the book.
+   */
+  const handleTagsChange = async (nextTags) => {
+    setPendingTags(nextTags);
+    try {
+      await updateBook(bookId, { tags: nextTags });
+    } catch (error) {
+      message.error(t('bookActions.updateTagsError', 'Could not save the tags.'));
     } finally {
-      setLoading(false); // Reset loading state after action completes
+      setPendingTags(null);
     }
   };
 
@@ -85,7 +102,7 @@ const BookActions = ({ bookId, currentShelf }) => {
       {/* Button to trigger the delete confirmation modal */}
       <Button
         danger
-        loading={loading} // Display loading indicator if action is in progress
+        loading={isDeleting} // Display loading indicator while the book is being deleted
         onClick={showDeleteConfirm} // Trigger the confirmation modal for deleting the book
         style={{ marginRight: '10px' }}
       >
@@ -96,7 +113,7 @@ const BookActions = ({ bookId, currentShelf }) => {
       <Select
         defaultValue={currentShelf || 'none'} // Default value is the current shelf or 'none'
         onChange={handleShelfChange} // Call handleShelfChange when a new shelf is selected
-        disabled={loading} // Disable dropdown while an action is in progress
+        disabled={isDeleting || isMoving} // Disable dropdown while an action is in progress
         style={{ width: 150 }}
       >
         {/* Dropdown options for different shelves */}
@@ -105,6 +122,16 @@ const BookActions = ({ bookId, currentShelf }) => {
         <Option value="read">{t('shelves.read')}</Option>
         <Option value="none">{t('shelves.none')}</Option>
       </Select>
+
+      {/* Tags of the book, saved on every change */}
+      <TagSelect
+        value={pendingTags || tags}
+        onChange={handleTagsChange}
+        disabled={isDeleting}
+        loading={isTagging}
+        aria-label={t('bookActions.tags', 'Tags')}
+        style={{ minWidth: 220, marginLeft: '10px' }}
+      />
     </div>
   );
 };
@@ -1,20 +1,30 @@
 /**
  * BookDetails Component
  * Purpose: Displays detailed information about a specific book, including metadata such as publication date, status, reviews, and ratings.
+ * Bibliographic fields (ISBN, original title, publisher, pages, language, format, description) are listed when known,
+ * and books of a series show their place in it with links to the previous and next books. Books being read show their
+ * progress with its history and a form to log more.
  * Additional Functionality: Allows adding new reviews (using `addReview`) and editing book details using `BookForm`.
  * Context Functions Used:
  * - getBookById: Fetches detailed information of a specific book by its ID.
  * - addReview: Allows users to add a review for the book.
- * - updateBook: Provides the ability to edit the book's details.
+ * - updateBook (through `BookForm`): Provides the ability to edit the book's details.
  */
 
 import React, { useEffect, useMemo, useState } from "react"; // Hooks for side effects, memoization, and managing state
 import { useParams, useNavigate } from "react-router-dom"; // Hooks from React Router for route parameters and navigation
 import { useBook } from '../../hooks/useBook'; // Custom hook for accessing book-related actions and data
 import { useTranslation } from "react-i18next"; // Hook for handling internationalization (i18n)
-import { Button, Card, Modal, Input, Rate } from "antd"; // Ant Design UI components: Button, Card for layout, Modal for reviews, Input for text fields, Rate for star rating
+import { Button, Card, Modal, Input, Rate, Descriptions } from "antd"; // Ant Design UI components: Button, Card for layout, Modal for reviews, Input for text fields, Rate for star rating, Descriptions for the bibliographic fields
 import BookForm from "./BookForm"; // Component for editing book details
-import { LoadingErrorWrapper } from "../common/LoadingErrorWrapper"; // HOC for handling loading and error states
+import AuthorLinks from "../authors/AuthorLinks"; // Authors linking to their author pages
+import SeriesNavigation from "../series/SeriesNavigation"; // "Book 3 of 7", with the previous and next books
+import ReadingProgressBar from "../progress/ReadingProgressBar"; // Latest progress with its bar
+import ProgressForm from "../progress/ProgressForm"; // Log a page, percentage or timestamp
+import ProgressHistory from "../progress/ProgressHistory"; // Every entry logged, newest first
+import coverPlaceholder from "../../assets/images/cover-placeholder.svg"; // Shown for books without a cover
+import LoadingErrorWrapper from "../ui/LoadingErrorWrapper"; // Reusable loading/error wrapper
+import { BOOK_FORMAT_LABELS, getLanguageName } from "../../utils/bookMetadata"; // Names of formats and languages
 import {
   bookCardStyles,
   bookCoverStyles,
@@ -25,17 +35,19 @@ import {
 } from "../../assets/styles/globalStyles"; // Global styles from Emotion's CSS-in-JS
 
 const BookDetails = () => {
-  const { id: bookId } = useParams(); // Extract the book ID from the URL parameters using React Router's useParams
-  const { t } = useTranslation(); // Hook to access translation function for i18n
+  const { bookId } = useParams(); // The book ID of the route (`/books/:bookId`)
+  const { t, i18n } = useTranslation(); // Hook to access translation function for i18n; `i18n.language` names the book's language
   const navigate = useNavigate(); // Hook for navigating to other routes
-  const { getBookById, addReview, book, isLoading, error, updateBook } =
+  const { getBookById, addReview, book, isLoading, error } =
     useBook(); // Extract relevant context functions and state
   const [isEditing, setIsEditing] = useState(false); // State to toggle between view and edit modes
   const [isModalVisible, setIsModalVisible] = useState(false); // State for review modal visibility
   const [reviewData, setReviewData] = useState({ rating: 0, comment: "" }); // State to hold review input values
 
   useEffect(() => {
-    getBookById(bookId); // Fetch the book details when the component mounts or when the bookId changes
+    const controller = new AbortController(); // Cancels the request when the bookId changes or the component unmounts
+    getBookById(bookId, { signal: controller.signal }); // Fetch the book details when the component mounts or when the bookId changes
+    return () => controller.abort();
   }, [getBookById, bookId]); // Re-run effect when bookId or getBookById changes
 
   // Memoize the book data to avoid unnecessary re-renders
@@ -43,10 +55,9 @@ const BookDetails = () => {
 
   /**
    * Handles form submission after editing book details.
-   * Switches back to view mode after the form is successfully submitted.
+   * BookForm has already saved the changes; switches back to view mode.
    */
-  const handleFormSubmit = async (updatedBookData) => {
-    await updateBook(bookId, updatedBookData); // Call the updateBook function to save changes
+  const handleFormSubmit = () => {
     setIsEditing(false); // Exit editing mode after submission
   };
 
@@ -74,6 +85,28 @@ const BookDetails = () => {
     setIsEditing(true); // Switch to edit mode
   };
 
+  // Bibliographic fields of the book, in display order; unknown ones are left out
+  const bibliographicItems = book
+    ? [
+        { key: "originalTitle", label: t("book.originalTitle", "Original title"), value: book.originalTitle },
+        { key: "isbn", label: t("book.isbn", "ISBN"), value: book.isbn },
+        { key: "publisher", label: t("book.publisher", "Publisher"), value: book.publisher },
+        { key: "pageCount", label: t("book.pageCount", "Pages"), value: book.pageCount },
+        {
+          key: "language",
+          label: t("book.language", "Language"),
+          value: book.language && getLanguageName(book.language, i18n.language),
+        },
+        {
+          key: "format",
+          label: t("book.format", "Format"),
+          value: book.format && t(`bookFormats.${book.format}`, BOOK_FORMAT_LABELS[book.format] || book.format),
+        },
+      ]
+        .filter((item) => item.value !== undefined && item.value !== null && item.value !== "")
+        .map(({ key, label, value }) => ({ key, label, children: value }))
+    : [];
+
   if (isLoading) return <p>{t("loading")}</p>; // Display loading state
   if (error) return <p>{t("error", { message: error })}</p>; // Display error state
   if (!book) return <p>{t("book.notFound")}</p>; // Display if no book data is found
@@ -99,7 +132,7 @@ const BookDetails = () => {
             {/* Book Cover */}
             <img
               src={
-                memoizedBook.coverImageUrl || "https://via.placeholder.com/150"
+                memoizedBook.coverImageUrl || coverPlaceholder
               } // Fallback image if no cover
               alt={memoizedBook.title}
               css={bookCoverStyles} // Apply cover styles
@@ -109,11 +142,11 @@ const BookDetails = () => {
             {/* Render book title */}
             {/* Book Authors */}
             <p css={bookAuthorsStyles}>
-              {memoizedBook.authors?.length > 0
-                ? memoizedBook.authors.join(", ")
-                : t("book.noAuthors")}{" "}
-              {/* Render authors or fallback message */}
+              <AuthorLinks authors={memoizedBook.authors} />{" "}
+              {/* Render authors, linked to their pages, or fallback message */}
             </p>
+            <SeriesNavigation book={memoizedBook} />
+            {/* Render the place of the book in its series */}
             {/* Additional Book Info */}
             <p>
               {t("book.genre")}: {memoizedBook.genre || t("book.noGenre")}
@@ -121,13 +154,29 @@ const BookDetails = () => {
             {/* Render book genre */}
             <p>
               {t("book.publicationDate")}:{" "}
-              {memoizedBook.publicationDate || t("book.noPublicationDate")}
+              {memoizedBook.publishedDate || t("book.noPublicationDate")}
             </p>{" "}
             {/* Render publication date */}
+            {bibliographicItems.length > 0 && (
+              <Descriptions column={1} size="small" items={bibliographicItems} />
+            )}
+            {/* Render ISBN, original title, publisher, pages, language and format */}
+            {memoizedBook.description && <p>{memoizedBook.description}</p>}
+            {/* Render description */}
             <p>
               {t("book.status")}: {memoizedBook.status || t("book.noStatus")}
             </p>{" "}
             {/* Render book status */}
+            {/* Reading progress, for books on the Currently Reading shelf */}
+            {memoizedBook.shelf === "currentlyReading" && (
+              <div>
+                <h3>{t("progress.title", "Reading progress")}</h3>
+                <ReadingProgressBar book={memoizedBook} />
+                <ProgressForm book={memoizedBook} />
+                <h4>{t("progress.history", "History")}</h4>
+                <ProgressHistory book={memoizedBook} />
+              </div>
+            )}
             {/* Reviews Section */}
             <div>
               <h3>{t("book.reviews")}</h3> {/* Reviews header */}
@@ -4,22 +4,68 @@
  * Context Functions Used:
  * - addBook: To add a new book to the collection.
  * - updateBook: To update an existing book's details.
+ * - metadataAPI.lookupByIsbn: To pre-fill the form from the book's ISBN (see api/metadataAPI.js).
  * Props:
  * - initialData: (Optional) Data of the book being edited. If provided, the form is in edit mode; otherwise, it's for adding a new book.
  * - onSubmit: Function to call when the form is successfully submitted.
  * - onCancel: (Optional) Function to call when the form is canceled.
+ * - initialIsbn: (Optional) ISBN of a new book, e.g. read from a barcode photo; the form is pre-filled from it.
  * Additional Functionality:
- * - Form validation for required fields such as title and authors.
+ * - Authors are entered as tags, each with a role (author, translator, illustrator, narrator; see AuthorsInput).
+ * - Series: its name, the book's position in it (fractional for in-between entries, e.g. 2.5) and its length.
+ * - Tags are chosen from the tags of the library or typed (see TagSelect).
+ * - Form validation for required fields such as title and authors, the ISBN check digit, publication dates
+ *   (YYYY, YYYY-MM or YYYY-MM-DD), page counts and field lengths (see utils/bookMetadata.js).
+ * - Language and format are chosen from lists; languages are named in the user's language.
+ * - The cover is a URL or a local image, cropped and uploaded in place (see CoverUpload).
+ * - "Look up" fills in the title, authors, publisher, page count, publication date, description and cover of the
+ *   ISBN; fields the catalog does not know keep what the user typed.
+ * - Validation errors returned by the server are shown on the matching fields.
  * - Differentiates between add and edit modes based on whether `initialData` is provided.
  */
 
-import React, { useEffect } from 'react'; // Import useEffect to handle side effects like populating form data
+import React, { useEffect, useCallback } from 'react'; // Import useEffect to handle side effects like populating form data
 import { useForm } from 'react-hook-form'; // React Hook Form for managing form state and validation
 import { useBook } from '../../hooks/useBook'; // Custom hook for interacting with book-related actions
-import { Input, Button, Form } from 'antd'; // Ant Design components for UI: Input, Button, and Form layout
+import { Input, Button, Form, Space, Select } from 'antd'; // Ant Design components for UI: Input, Button, and Form layout
 import styled from '@emotion/styled'; // Emotion for CSS-in-JS styled components
 import { useTranslation } from 'react-i18next'; // i18n for handling translations
 import { buttonStyles, formContainerStyles } from '../../assets/styles/globalStyles'; // Global styles
+import ErrorMessage from '../ui/ErrorMessage'; // Form-level server errors
+import { applyFieldErrors } from '../../utils/apiError'; // Server validation errors shown on the matching fields
+import { useMutation } from '../../hooks/useMutation'; // Pending and error state of the ISBN lookup
+import { metadataAPI } from '../../api/metadataAPI'; // Book metadata by ISBN
+import { isValidIsbn } from '../../utils/isbn'; // ISBN-10/13 check digit validation
+import CoverUpload from './CoverUpload'; // Upload and crop a local cover image
+import AuthorsInput from './AuthorsInput'; // Authors as tags with roles
+import TagSelect from '../tags/TagSelect'; // Tags with suggestions from the library
+import { normalizeTags } from '../../utils/tags'; // Tags without duplicates
+import { toContributors } from '../../utils/authors'; // Authors as `{ id, name, role }`
+import { MAX_SERIES_NAME_LENGTH, MAX_SERIES_LENGTH, isValidSeriesPosition } from '../../utils/series'; // Series limits
+import {
+  BOOK_FORMATS,
+  BOOK_FORMAT_LABELS,
+  COMMON_LANGUAGES,
+  MAX_TITLE_LENGTH,
+  MAX_PUBLISHER_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_PAGE_COUNT,
+  getLanguageName,
+  isLanguageCode,
+  isValidPublishedDate,
+} from '../../utils/bookMetadata'; // Allowed values and limits of the bibliographic fields
+
+// Fields that can show a server validation error
+const BOOK_FIELDS = [
+  'title', 'originalTitle', 'authors', 'isbn', 'publisher', 'publishedDate', 'pageCount', 'language', 'format',
+  'description', 'series', 'seriesPosition', 'seriesLength', 'tags', 'coverImageUrl',
+];
+
+// Number inputs give text; an empty one leaves the field out
+const toOptionalNumber = (value) => (value === '' || value === null || value === undefined ? undefined : Number(value));
+
+// http(s) URLs, and the data URLs of covers stored inline by backends without file storage (e.g. the mock backend)
+const COVER_URL_PATTERN = /^(https?:\/\/[^\s/?#]+[^\s]*|data:image\/[\w.+-]+;base64,[\w+/=]+)$/i;
 
 // Styled container for the form using Emotion's CSS-in-JS
 const BookFormContainer = styled.div`
@@ -35,41 +81,117 @@ const FormButtons = styled.div`
   margin-top: 20px; /* Add spacing at the top */
 `;
 
-const BookForm = ({ initialData, onSubmit, onCancel }) => {
-  const { addBook, updateBook, isLoading } = useBook(); // Extract the addBook, updateBook functions, and isLoading state from BookContext
-  const { t } = useTranslation(); // Hook for translations
+const BookForm = ({ initialData, onSubmit, onCancel, initialIsbn }) => {
+  const { addBook, updateBook, isLoading } = useBook(); // Extract the addBook, updateBook functions, and isLoading state from useBook
+  const { t, i18n } = useTranslation(); // Hook for translations; `i18n.language` names the book languages
 
   // React Hook Form setup, including default values when in edit mode (initialData is passed)
-  const { register, handleSubmit, reset, setValue, formState: { errors } } = useForm({
-    defaultValues: initialData || {}, // If editing, pre-fill the form with initialData
+  const {
+    register, handleSubmit, reset, setValue, getValues, setError, trigger, watch, formState: { errors },
+  } = useForm({
+    // If editing, pre-fill the form with initialData
+    defaultValues: initialData
+      ? { ...initialData, authors: toContributors(initialData.authors) }
+      : { authors: [], tags: [], ...(initialIsbn && { isbn: initialIsbn }) },
   });
+  const isbnLookup = useMutation(metadataAPI.lookupByIsbn); // Own pending and error state, apart from saving
+
+  // Ant Design inputs do not expose their DOM value to React Hook Form, so values set with `setValue` (edit mode,
+  // ISBN lookup) are passed back to the inputs explicitly
+  const values = watch();
+
+  /**
+   * Register a field and bind its current value.
+   * @param {string} name - The field.
+   * @param {Object} [rules] - React Hook Form validation rules.
+   * @returns {Object} - Props for the Ant Design input.
+   */
+  const bindField = (name, rules) => {
+    const value = values[name];
+    return { ...register(name, rules), value: Array.isArray(value) ? value.join(', ') : value ?? '' };
+  };
+
+  // The authors, tags and Select fields have no DOM input to register, so they are registered here and set with `setValue`
+  useEffect(() => {
+    register('tags');
+    register('authors', {
+      validate: (value) => toContributors(value).some((contributor) => contributor.role === 'author')
+        || t('bookForm.authorsRequired'),
+    });
+    register('language', {
+      validate: (value) => !value || isLanguageCode(value) || t('bookForm.invalidLanguage', 'Choose a language from the list.'),
+    });
+    register('format', {
+      validate: (value) => !value || BOOK_FORMATS.includes(value) || t('bookForm.invalidFormat', 'Choose a format from the list.'),
+    });
+  }, [register, t]);
+
+  // Languages to choose from, named in the user's language; a less common language of the book is kept
+  const languageCodes = values.language && !COMMON_LANGUAGES.includes(values.language)
+    ? [...COMMON_LANGUAGES, values.language]
+    : COMMON_LANGUAGES;
+  const languageOptions = languageCodes.map((code) => ({ value: code, label: getLanguageName(code, i18n.language) }));
 
   // Populate the form with `initialData` when editing a book
   useEffect(() => {
     if (initialData) {
       Object.keys(initialData).forEach((key) => {
-        setValue(key, initialData[key]); // Set each form field with the corresponding data
+        setValue(key, key === 'authors' ? toContributors(initialData.authors) : initialData[key]); // Set each form field with the corresponding data
       });
     }
   }, [initialData, setValue]); // Only re-run the effect if `initialData` or `setValue` changes
 
+  /**
+   * Fills in the form with the metadata of the entered ISBN. Errors (unknown ISBN, catalog unreachable) are shown
+   * below the ISBN field and leave the form as it is.
+   */
+  const { mutate: lookupIsbn } = isbnLookup;
+  const handleLookup = useCallback(async () => {
+    if (!(await trigger('isbn'))) return; // Invalid check digit: the field shows why
+    const metadata = await lookupIsbn(getValues('isbn'));
+    if (!metadata) return;
+
+    const { authors, ...fields } = metadata;
+    Object.entries(fields).forEach(([field, value]) => setValue(field, value, { shouldValidate: true }));
+    if (authors.length > 0) {
+      // The catalog only knows the authors: translators, illustrators and narrators entered by the user are kept
+      const others = toContributors(getValues('authors')).filter((contributor) => contributor.role !== 'author');
+      setValue('authors', [...authors.map((name) => ({ name, role: 'author' })), ...others], { shouldValidate: true });
+    }
+  }, [trigger, getValues, setValue, lookupIsbn]);
+
+  // A new book opened with an ISBN (e.g. from a barcode photo) is looked up right away
+  useEffect(() => {
+    if (initialData || !initialIsbn) return;
+    setValue('isbn', initialIsbn);
+    handleLookup();
+  }, [initialData, initialIsbn, setValue, handleLookup]);
+
   /**
    * Handles form submission.
    * If `initialData` exists, the form is used for editing, otherwise for adding a new book.
-   * @param {Object} data - The form data.
+   * @param {Object} formData - The form data.
    */
-  const handleFormSubmit = async (data) => {
+  const handleFormSubmit = async (formData) => {
+    // People are identified by the backend: only their names and roles are sent
+    const data = {
+      ...formData,
+      authors: toContributors(formData.authors).map(({ name, role }) => ({ name, role })),
+      tags: normalizeTags(formData.tags),
+    };
     try {
       if (initialData) {
         await updateBook(initialData.id, data); // Update the existing book if `initialData` is provided
       } else {
         await addBook(data); // Add a new book if no `initialData` is provided
       }
+      reset(); // Reset the form to its default state after a successful submission
       onSubmit(); // Call the onSubmit callback to notify parent component
     } catch (error) {
-      console.error('Error adding/updating book:', error); // Log any errors that occur during form submission
-    } finally {
-      reset(); // Reset the form to its default state after submission
+      // Keep the user's input: invalid fields are marked, other errors are shown by the page (useBook error)
+      if (!applyFieldErrors(error, setError, BOOK_FIELDS)) {
+        console.error('Error adding/updating book:', error); // Log any errors that occur during form submission
+      }
     }
   };
 
@@ -78,8 +200,34 @@ const BookForm = ({ initialData, onSubmit, onCancel }) => {
       {/* Display dynamic form title based on add or edit mode */}
       <h2>{initialData ? t('bookForm.editBook') : t('bookForm.addBook')}</h2> {/* Translated title */}
 
+      {/* Server validation errors about fields this form does not have */}
+      {errors.root?.server && <ErrorMessage message={errors.root.server.message} />}
+
       {/* Ant Design form layout with React Hook Form integration */}
       <Form onFinish={handleSubmit(handleFormSubmit)} layout="vertical">
+        {/* ISBN Field, with the lookup that pre-fills the rest of the form */}
+        <Form.Item
+          label={t('bookForm.isbn', 'ISBN')}
+          validateStatus={errors.isbn ? 'error' : ''}
+          help={errors.isbn ? t(errors.isbn.message) : null}
+        >
+          <Space.Compact style={{ width: '100%' }}>
+            <Input
+              type="text"
+              placeholder={t('bookForm.enterIsbn', 'ISBN-10 or ISBN-13')}
+              {...bindField('isbn', {
+                // Optional, but a mistyped ISBN would look up (and save) another book
+                validate: (value) => !value || isValidIsbn(value)
+                  || t('bookForm.invalidIsbn', 'Enter a valid ISBN-10 or ISBN-13.'),
+              })}
+            />
+            <Button onClick={handleLookup} loading={isbnLookup.isPending} disabled={!values.isbn}>
+              {t('bookForm.lookUp', 'Look up')}
+            </Button>
+          </Space.Compact>
+          <ErrorMessage error={isbnLookup.error} />
+        </Form.Item>
+
         {/* Title Field */}
         <Form.Item
           label={t('bookForm.title')} // Localized label for "Title"
@@ -89,7 +237,31 @@ const BookForm = ({ initialData, onSubmit, onCancel }) => {
           <Input
             type="text"
             placeholder={t('bookForm.enterTitle')} // Localized placeholder
-            {...register('title', { required: t('bookForm.titleRequired') })} // React Hook Form validation rules
+            {...bindField('title', {
+              required: t('bookForm.titleRequired'),
+              maxLength: {
+                value: MAX_TITLE_LENGTH,
+                message: t('bookForm.titleTooLong', { max: MAX_TITLE_LENGTH, defaultValue: 'Use at most {{max}} characters.' }),
+              },
+            })} // React Hook Form validation rules
+          />
+        </Form.Item>
+
+        {/* Original Title Field (of a translation) */}
+        <Form.Item
+          label={t('bookForm.originalTitle', 'Original title')}
+          validateStatus={errors.originalTitle ? 'error' : ''}
+          help={errors.originalTitle ? t(errors.originalTitle.message) : null}
+        >
+          <Input
+            type="text"
+            placeholder={t('bookForm.enterOriginalTitle', 'Title in the original language, for translations')}
+            {...bindField('originalTitle', {
+              maxLength: {
+                value: MAX_TITLE_LENGTH,
+                message: t('bookForm.titleTooLong', { max: MAX_TITLE_LENGTH, defaultValue: 'Use at most {{max}} characters.' }),
+              },
+            })}
           />
         </Form.Item>
 
@@ -98,11 +270,191 @@ const BookForm = ({ initialData, onSubmit, onCancel }) => {
           label={t('bookForm.authors')} // Localized label for "Authors"
           validateStatus={errors.authors ? 'error' : ''} // Show error state if authors validation fails
           help={errors.authors ? t(errors.authors.message) : null} // Display error message if validation fails
+        >
+          <AuthorsInput
+            value={values.authors || []}
+            onChange={(authors) => setValue('authors', authors, { shouldValidate: true })}
+            status={errors.authors ? 'error' : ''}
+          />
+        </Form.Item>
+
+        {/* Series Fields: name, position of the book and number of books */}
+        <Form.Item
+          label={t('bookForm.series', 'Series')}
+          validateStatus={errors.series ? 'error' : ''}
+          help={errors.series ? t(errors.series.message) : null}
         >
           <Input
             type="text"
-            placeholder={t('bookForm.enterAuthors')} // Localized placeholder
-            {...register('authors', { required: t('bookForm.authorsRequired') })} // React Hook Form validation rules
+            placeholder={t('bookForm.enterSeries', 'Name of the series, if the book is part of one')}
+            {...bindField('series', {
+              maxLength: {
+                value: MAX_SERIES_NAME_LENGTH,
+                message: t('bookForm.seriesTooLong', { max: MAX_SERIES_NAME_LENGTH, defaultValue: 'Use at most {{max}} characters.' }),
+              },
+            })}
+          />
+        </Form.Item>
+        <Space align="start">
+          <Form.Item
+            label={t('bookForm.seriesPosition', 'Number in series')}
+            validateStatus={errors.seriesPosition ? 'error' : ''}
+            help={errors.seriesPosition ? t(errors.seriesPosition.message) : null}
+          >
+            <Input
+              type="number"
+              min={0}
+              step="any" // 2.5 for a novella between the second and third books
+              {...bindField('seriesPosition', {
+                setValueAs: toOptionalNumber,
+                validate: (value, formValues) => {
+                  if (value === undefined) return true;
+                  if (!formValues.series) return t('bookForm.seriesRequired', 'Name the series first.');
+                  return isValidSeriesPosition(value) || t('bookForm.invalidSeriesPosition', 'Enter a number such as 3 or 2.5.');
+                },
+              })}
+            />
+          </Form.Item>
+          <Form.Item
+            label={t('bookForm.seriesLength', 'Books in series')}
+            validateStatus={errors.seriesLength ? 'error' : ''}
+            help={errors.seriesLength ? t(errors.seriesLength.message) : null}
+          >
+            <Input
+              type="number"
+              min={1}
+              max={MAX_SERIES_LENGTH}
+              {...bindField('seriesLength', {
+                setValueAs: toOptionalNumber,
+                validate: (value, formValues) => {
+                  if (value === undefined) return true;
+                  if (!Number.isInteger(value) || value < 1 || value > MAX_SERIES_LENGTH) {
+                    return t('bookForm.invalidSeriesLength', { max: MAX_SERIES_LENGTH, defaultValue: 'Enter a whole number, up to {{max}}.' });
+                  }
+                  return !(formValues.seriesPosition > value)
+                    || t('bookForm.seriesPositionAfterEnd', 'The book cannot come after the last one of the series.');
+                },
+              })}
+            />
+          </Form.Item>
+        </Space>
+
+        {/* Tags Field */}
+        <Form.Item
+          label={t('bookForm.tags', 'Tags')}
+          validateStatus={errors.tags ? 'error' : ''}
+          help={errors.tags ? t(errors.tags.message) : null}
+        >
+          <TagSelect
+            value={values.tags || []}
+            onChange={(tags) => setValue('tags', tags)}
+            status={errors.tags ? 'error' : ''}
+          />
+        </Form.Item>
+
+        {/* Publisher Field */}
+        <Form.Item
+          label={t('bookForm.publisher', 'Publisher')}
+          validateStatus={errors.publisher ? 'error' : ''}
+          help={errors.publisher ? t(errors.publisher.message) : null}
+        >
+          <Input
+            type="text"
+            {...bindField('publisher', {
+              maxLength: {
+                value: MAX_PUBLISHER_LENGTH,
+                message: t('bookForm.publisherTooLong', { max: MAX_PUBLISHER_LENGTH, defaultValue: 'Use at most {{max}} characters.' }),
+              },
+            })}
+          />
+        </Form.Item>
+
+        {/* Page Count Field */}
+        <Form.Item
+          label={t('bookForm.pageCount', 'Pages')}
+          validateStatus={errors.pageCount ? 'error' : ''}
+          help={errors.pageCount ? t(errors.pageCount.message) : null}
+        >
+          <Input
+            type="number"
+            min={1}
+            max={MAX_PAGE_COUNT}
+            {...bindField('pageCount', {
+              setValueAs: toOptionalNumber,
+              validate: (value) => value === undefined
+                || (Number.isInteger(value) && value >= 1 && value <= MAX_PAGE_COUNT)
+                || t('bookForm.invalidPageCount', { max: MAX_PAGE_COUNT, defaultValue: 'Enter a whole number of pages, up to {{max}}.' }),
+            })}
+          />
+        </Form.Item>
+
+        {/* Publication Date Field (as precise as it is known: catalogs often only know the year) */}
+        <Form.Item
+          label={t('bookForm.publishedDate', 'Publication date')}
+          validateStatus={errors.publishedDate ? 'error' : ''}
+          help={errors.publishedDate ? t(errors.publishedDate.message) : null}
+        >
+          <Input
+            type="text"
+            placeholder={t('bookForm.enterPublishedDate', 'YYYY, YYYY-MM or YYYY-MM-DD')}
+            {...bindField('publishedDate', {
+              validate: (value) => !value || isValidPublishedDate(value)
+                || t('bookForm.invalidPublishedDate', 'Enter a past date as YYYY, YYYY-MM or YYYY-MM-DD.'),
+            })}
+          />
+        </Form.Item>
+
+        {/* Language Field (ISO 639 code, named in the user's language) */}
+        <Form.Item
+          label={t('bookForm.language', 'Language')}
+          validateStatus={errors.language ? 'error' : ''}
+          help={errors.language ? t(errors.language.message) : null}
+        >
+          <Select
+            showSearch
+            allowClear
+            optionFilterProp="label"
+            placeholder={t('bookForm.chooseLanguage', 'Choose a language')}
+            options={languageOptions}
+            value={values.language || undefined}
+            onChange={(value) => setValue('language', value, { shouldValidate: true })}
+          />
+        </Form.Item>
+
+        {/* Format Field */}
+        <Form.Item
+          label={t('bookForm.format', 'Format')}
+          validateStatus={errors.format ? 'error' : ''}
+          help={errors.format ? t(errors.format.message) : null}
+        >
+          <Select
+            allowClear
+            placeholder={t('bookForm.chooseFormat', 'Choose a format')}
+            options={BOOK_FORMATS.map((format) => ({
+              value: format,
+              label: t(`bookFormats.${format}`, BOOK_FORMAT_LABELS[format]),
+            }))}
+            value={values.format || undefined}
+            onChange={(value) => setValue('format', value, { shouldValidate: true })}
+          />
+        </Form.Item>
+
+        {/* Description Field */}
+        <Form.Item
+          label={t('bookForm.description', 'Description')}
+          validateStatus={errors.description ? 'error' : ''}
+          help={errors.description ? t(errors.description.message) : null}
+        >
+          <Input.TextArea
+            rows={4}
+            showCount
+            maxLength={MAX_DESCRIPTION_LENGTH}
+            {...bindField('description', {
+              maxLength: {
+                value: MAX_DESCRIPTION_LENGTH,
+                message: t('bookForm.descriptionTooLong', { max: MAX_DESCRIPTION_LENGTH, defaultValue: 'Use at most {{max}} characters.' }),
+              },
+            })}
           />
         </Form.Item>
 
@@ -115,14 +467,19 @@ const BookForm = ({ initialData, onSubmit, onCancel }) => {
           <Input
             type="text"
             placeholder={t('bookForm.enterCoverImageUrl')} // Localized placeholder
-            {...register('coverImageUrl', {
-              // Regex pattern for validating a correct image URL
+            {...bindField('coverImageUrl', {
+              // Any web address: CDNs and the upload endpoint often serve images without a file extension
               pattern: {
-                value: /^https?:\/\/.*\.(jpeg|jpg|png|gif|webp)$/, // Regex for image URLs
+                value: COVER_URL_PATTERN,
                 message: t('bookForm.invalidImageUrl'), // Localized error message for invalid URLs
               },
             })}
           />
+          {/* Or upload a local image, cropped to the cover aspect ratio */}
+          <CoverUpload
+            value={values.coverImageUrl}
+            onChange={(url) => setValue('coverImageUrl', url, { shouldValidate: true })}
+          />
         </Form.Item>
 
         {/* Form buttons (Submit and Cancel) */}
@@ -2,28 +2,40 @@
  * BookList Component
  * Purpose: Displays a list of books, typically used to show books from a shelf or search results.
  * Context Functions Used:
- * - fetchBooks: To retrieve all books.
- * - getBooksByShelf: To retrieve books filtered by shelf.
- * - searchBooks: If the list displays search results.
+ * - fetchBooksPage (through useBookPages): To fetch books page by page from the server (all books, a shelf, or a search).
  * - deleteBook: If the component allows deleting books from the list.
  * Props:
- * - books: Array of books to be displayed in the list.
+ * - books: (optional) Array of books to display. Without it, BookList fetches its own pages from the server.
  * - shelfId: (optional) Shelf ID to fetch books filtered by shelf.
  * - searchQuery: (optional) Query to search for books by title or author.
+ * - tags: (optional) Only books with all of these tags; the list's own tag filter is hidden.
  * - onDeleteBook: (optional) Function to delete a book from the list.
+ * - mode: (optional) 'pagination' (default, page numbers) or 'infinite' (next page loads near the bottom).
+ * - pageSize: (optional) Books per page.
+ * - selectable: (optional) Offer the selection mode (default true).
  * Additional Functionality:
- * - Pagination, lazy loading, or infinite scrolling for large lists.
- * - Filtering and sorting options based on title, author, or rating.
+ * - Server-driven pagination or infinite scrolling for large libraries, lazy loading and animations.
+ * - Sorting (title, original title, publication date, pages, publisher) and filtering by format, language,
+ *   publisher and tags; server-driven lists send them to the API, a `books` prop is sorted and filtered here.
+ * - Selection mode: checkboxes, shift-click ranges and "select all on page", with bulk actions on the selected
+ *   books (see BulkActionsBar).
  */
 
-import React, { useEffect, useState, useMemo } from 'react';
+import React, { useEffect, useState, useRef, useCallback, useMemo } from 'react';
 import styled from '@emotion/styled'; // For styling components using Emotion
-import { Empty, Pagination, Button } from 'antd'; // Ant Design components for UI elements
+import { Empty, Pagination, Button, Spin, Checkbox, Select, Input, Space } from 'antd'; // Ant Design components for UI elements
 import LazyLoad from 'react-lazyload'; // Lazy loading for performance optimization
 import { useSpring, animated } from 'react-spring'; // Animation library for smooth transitions
 import { useBook } from '../../hooks/useBook'; // Custom hook to interact with book context
+import { useBookPages } from '../../hooks/useBookPages'; // Server-driven pages of books
+import { useSelection } from '../../hooks/useSelection'; // Selection mode (checkboxes, ranges, select all)
 import Book from './Book'; // Import the Book component to display individual books
+import BulkActionsBar from './BulkActionsBar'; // Actions on the selected books
 import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { getErrorMessage } from '../../utils/errorMessages'; // Error code to localized message
+import { BOOK_SORTS, sortBooks, filterBooks } from '../../utils/bookFilters'; // Sort and filter options
+import { BOOK_FORMATS, BOOK_FORMAT_LABELS, COMMON_LANGUAGES, getLanguageName } from '../../utils/bookMetadata';
+import TagSelect from '../tags/TagSelect'; // Tag filter, with the tags of the library
 
 // Styled container for the list of books using CSS Grid for responsiveness
 const BookListContainer = styled.ul`
@@ -40,42 +52,137 @@ const AnimatedListItem = styled(animated.li)`
   display: block;
 `;
 
+// Footer under an infinite list: loading indicator, "load more" fallback and scroll sentinel
+const InfiniteScrollFooter = styled.div`
+  display: flex;
+  justify-content: center;
+  padding: 20px 0;
+`;
+
+// Row above the list: the "Select" button, or the bulk actions while selecting
+const ListToolbar = styled.div`
+  display: flex;
+  justify-content: flex-end;
+  margin-top: 10px;
+`;
+
+// Row above the list: sort order and filters
+const ListControls = styled(Space)`
+  margin-top: 10px;
+`;
+
+// English defaults of the `bookList.sort.<sort>` i18n keys
+const SORT_LABELS = {
+  title: 'Title (A–Z)',
+  '-title': 'Title (Z–A)',
+  originalTitle: 'Original title',
+  '-publishedDate': 'Newest first',
+  publishedDate: 'Oldest first',
+  pageCount: 'Shortest first',
+  '-pageCount': 'Longest first',
+  publisher: 'Publisher',
+};
+
+const NO_FILTERS = { format: undefined, language: undefined, publisher: undefined, tags: undefined };
+
+const DEFAULT_PAGE_SIZE = 10; // Books per page (or per infinite-scroll batch)
+const INFINITE_SCROLL_MARGIN = '400px'; // Start fetching the next page this far before the bottom of the list
+
 /**
  * BookList Component
- * Renders a list of books with lazy loading, pagination, and animations.
+ * Renders a list of books with lazy loading, pagination or infinite scrolling, and animations.
  * Handles empty states, shelf filtering, and search results.
  *
- * @param {Array} books - Array of book objects to be displayed.
+ * When `books` is passed, that array is paginated locally (e.g. the books embedded in a shelf).
+ * Otherwise pages are fetched from the server as they are needed, so large libraries never load at once.
+ *
+ * @param {Array} books - (Optional) Array of book objects to be displayed.
  * @param {String} shelfId - (Optional) Shelf ID to filter books by shelf.
  * @param {String} searchQuery - (Optional) Search query for books by title or author.
+ * @param {String[]} tags - (Optional) Only books with all of these tags.
  * @param {Function} onDeleteBook - (Optional) Function to handle book deletion.
+ * @param {String} mode - (Optional) 'pagination' or 'infinite'.
+ * @param {Number} pageSize - (Optional) Books per page.
+ * @param {Boolean} selectable - (Optional) Offer the selection mode.
  * @returns {JSX.Element} - Returns a list of books or an empty state if no books are available.
  */
-const BookList = ({ books, shelfId, searchQuery, onDeleteBook }) => {
-  const [currentPage, setCurrentPage] = useState(1); // State to manage pagination
-  const [booksPerPage] = useState(10); // Books to display per page
+const BookList = ({
+  books,
+  shelfId,
+  searchQuery,
+  tags,
+  onDeleteBook,
+  mode = 'pagination',
+  pageSize = DEFAULT_PAGE_SIZE,
+  selectable = true,
+}) => {
+  const isServerDriven = books === undefined; // Without a `books` prop, fetch pages from the server
+  const [currentPage, setCurrentPage] = useState(1); // Page (or number of batches shown) for a `books` prop
   const [hasLoaded, setHasLoaded] = useState(false); // Track if lazy-loaded books are fully loaded
-  const { t } = useTranslation(); // Translation hook for i18n support
-  const { fetchBooks, getBooksByShelf, searchBooks, deleteBook } = useBook(); // Extract book-related actions from context
+  const sentinelRef = useRef(null); // Element near the bottom of an infinite list that triggers the next page
+  const [sort, setSort] = useState(undefined); // One of BOOK_SORTS, or the server's order
+  const [filters, setFilters] = useState(NO_FILTERS); // `{ format, language, publisher, tags }`
+  const { t, i18n } = useTranslation(); // Translation hook for i18n support; `i18n.language` names the languages
+  const { deleteBook } = useBook(); // Extract book-related actions from context
+
+  // Tags given by the parent replace the list's own tag filter; joined, so a new array with the same tags is no change
+  const tagsKey = tags ? tags.join(',') : '';
+  const listFilters = useMemo(
+    () => (tagsKey ? { ...filters, tags: tagsKey.split(',') } : filters),
+    [filters, tagsKey]
+  );
+  const serverPages = useBookPages({
+    shelfId, searchQuery, sort, filters: listFilters, pageSize, mode, enabled: isServerDriven,
+  }); // A new sort or filter is a new list, which starts from the first page
+  const { loadMore: loadMorePages, goToPage } = serverPages;
+  const hasFilters = Object.values(listFilters).some((value) => (Array.isArray(value) ? value.length > 0 : Boolean(value)));
 
+  // A new `books` prop, sort or filter starts again from the first page
   useEffect(() => {
-    // Fetch books based on the shelfId or searchQuery
-    if (shelfId) {
-      getBooksByShelf(shelfId);
-    } else if (searchQuery) {
-      searchBooks(searchQuery);
+    setCurrentPage(1);
+  }, [books, sort, listFilters]);
+
+  // Books to display and pagination state, from the server pages or from the `books` prop
+  const localBooks = useMemo(() => sortBooks(filterBooks(books || [], listFilters), sort), [books, listFilters, sort]);
+  const currentBooks = isServerDriven
+    ? serverPages.books
+    : localBooks.slice(mode === 'infinite' ? 0 : (currentPage - 1) * pageSize, currentPage * pageSize);
+  const totalBooks = isServerDriven ? serverPages.total : localBooks.length;
+  const page = isServerDriven ? serverPages.page : currentPage;
+  const hasMore = isServerDriven ? serverPages.hasMore : currentPage * pageSize < localBooks.length;
+  const isFetching = isServerDriven && serverPages.isLoading;
+
+  // Selection mode: "select all" and shift-click ranges apply to the displayed books, in display order
+  const pageIdsKey = currentBooks.map((book) => book.id).join('\n');
+  const pageIds = useMemo(() => (pageIdsKey ? pageIdsKey.split('\n') : []), [pageIdsKey]);
+  const selection = useSelection(pageIds);
+
+  /**
+   * Show the next batch of books (infinite mode).
+   */
+  const loadMore = useCallback(() => {
+    if (isServerDriven) {
+      loadMorePages();
     } else {
-      fetchBooks();
+      setCurrentPage((prevPage) => prevPage + 1);
     }
-  }, [fetchBooks, getBooksByShelf, searchBooks, shelfId, searchQuery]);
-
-  // Memoize the filtered list of books to avoid unnecessary re-renders
-  const filteredBooks = useMemo(() => books, [books]);
+  }, [isServerDriven, loadMorePages]);
 
-  // Pagination logic to get books for the current page
-  const indexOfLastBook = currentPage * booksPerPage;
-  const indexOfFirstBook = indexOfLastBook - booksPerPage;
-  const currentBooks = filteredBooks.slice(indexOfFirstBook, indexOfLastBook);
+  // Infinite scrolling: load the next page when the sentinel below the list comes close to the viewport
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (mode !== 'infinite' || !hasMore || isFetching || !sentinel || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: INFINITE_SCROLL_MARGIN }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [mode, hasMore, isFetching, loadMore]);
 
   // Define animation props for smooth book rendering
   const animationProps = useSpring({
@@ -90,8 +197,18 @@ const BookList = ({ books, shelfId, searchQuery, onDeleteBook }) => {
   };
 
   // Handle page change in pagination
-  const handlePageChange = (page) => {
-    setCurrentPage(page);
+  const handlePageChange = (nextPage) => {
+    if (isServerDriven) {
+      goToPage(nextPage);
+    } else {
+      setCurrentPage(nextPage);
+    }
+  };
+
+  // Change one filter, keeping the others; an empty value (including no tags) removes the filter
+  const handleFilterChange = (field, value) => {
+    const isEmpty = Array.isArray(value) ? value.length === 0 : !value;
+    setFilters((prev) => ({ ...prev, [field]: isEmpty ? undefined : value }));
   };
 
   // Handle delete action (this uses the deleteBook function)
@@ -106,8 +223,93 @@ const BookList = ({ books, shelfId, searchQuery, onDeleteBook }) => {
     }
   };
 
+  // Sort order and filters; shown while loading too, so that a filter without results can be cleared
+  const listControls = (
+    <ListControls wrap>
+      <Select
+        allowClear
+        style={{ minWidth: 170 }}
+        placeholder={t('bookList.sortBy', 'Sort by')}
+        aria-label={t('bookList.sortBy', 'Sort by')}
+        value={sort}
+        onChange={setSort}
+        options={BOOK_SORTS.map((value) => ({ value, label: t(`bookList.sort.${value}`, SORT_LABELS[value]) }))}
+      />
+      <Select
+        allowClear
+        style={{ minWidth: 140 }}
+        placeholder={t('bookList.allFormats', 'All formats')}
+        aria-label={t('bookList.format', 'Format')}
+        value={filters.format}
+        onChange={(value) => handleFilterChange('format', value)}
+        options={BOOK_FORMATS.map((format) => ({
+          value: format,
+          label: t(`bookFormats.${format}`, BOOK_FORMAT_LABELS[format]),
+        }))}
+      />
+      <Select
+        allowClear
+        showSearch
+        optionFilterProp="label"
+        style={{ minWidth: 160 }}
+        placeholder={t('bookList.allLanguages', 'All languages')}
+        aria-label={t('bookList.language', 'Language')}
+        value={filters.language}
+        onChange={(value) => handleFilterChange('language', value)}
+        options={COMMON_LANGUAGES.map((code) => ({ value: code, label: getLanguageName(code, i18n.language) }))}
+      />
+      {/* Applied on Enter, not on every keystroke, so that typing does not fetch a page per letter */}
+      <Input.Search
+        allowClear
+        placeholder={t('bookList.publisher', 'Publisher')}
+        aria-label={t('bookList.publisher', 'Publisher')}
+        onSearch={(value) => handleFilterChange('publisher', value.trim())}
+      />
+      {!tags && (
+        <TagSelect
+          allowNew={false} // Only tags some book has can match
+          style={{ minWidth: 180 }}
+          aria-label={t('bookList.tags', 'Tags')}
+          value={filters.tags}
+          onChange={(value) => handleFilterChange('tags', value)}
+        />
+      )}
+    </ListControls>
+  );
+
+  // First page of a server-driven list still loading
+  if (isFetching && currentBooks.length === 0) {
+    return (
+      <>
+        {listControls}
+        <Spin />
+      </>
+    );
+  }
+
+  // Server-driven list that failed to load
+  if (isServerDriven && serverPages.error && currentBooks.length === 0) {
+    return (
+      <>
+        {listControls}
+        <Empty description={getErrorMessage(t, serverPages.error)} />
+      </>
+    );
+  }
+
   return (
     <>
+      {listControls}
+      {/* Selection mode: bulk actions on the selected books */}
+      {selectable && (selection.isSelecting ? (
+        <BulkActionsBar selection={selection} shelfId={shelfId} />
+      ) : (
+        currentBooks.length > 0 && (
+          <ListToolbar>
+            <Button onClick={selection.start}>{t('bookList.select', 'Select')}</Button>
+          </ListToolbar>
+        )
+      ))}
       {currentBooks.length > 0 ? (
         <BookListContainer>
           {currentBooks.map((book) => (
@@ -120,6 +322,14 @@ const BookList = ({ books, shelfId, searchQuery, onDeleteBook }) => {
               onContentVisible={handleLazyLoad} // Trigger animation when content is visible
             >
               <AnimatedListItem style={animationProps}>
+                {selection.isSelecting && (
+                  <Checkbox
+                    checked={selection.isSelected(book.id)}
+                    onChange={(e) => selection.toggle(book.id, e.nativeEvent)} // Shift-click selects a range
+                  >
+                    {book.title}
+                  </Checkbox>
+                )}
                 <Book book={book} />
                 {/* If onDeleteBook is passed, display delete button */}
                 {onDeleteBook && (
@@ -136,19 +346,30 @@ const BookList = ({ books, shelfId, searchQuery, onDeleteBook }) => {
           ))}
         </BookListContainer>
       ) : (
-        // If no books are available, show an empty state with a localized message
-        <Empty description={t('bookList.empty')} />
+        // If no books are available (or none match the filters), show an empty state with a localized message
+        <Empty description={hasFilters ? t('bookList.noMatches', 'No books match these filters.') : t('bookList.empty')} />
       )}
       {/* Pagination component to navigate between pages */}
-      {filteredBooks.length > booksPerPage && (
+      {mode !== 'infinite' && totalBooks > pageSize && (
         <Pagination
-          current={currentPage}
-          pageSize={booksPerPage}
-          total={filteredBooks.length}
+          current={page}
+          pageSize={pageSize}
+          total={totalBooks}
           onChange={handlePageChange}
+          showSizeChanger={false} // The page size is set by the parent
           style={{ marginTop: '20px', textAlign: 'center' }} // Add spacing and center alignment
         />
       )}
+      {/* Infinite scrolling: sentinel watched by the IntersectionObserver, with a button as a fallback */}
+      {mode === 'infinite' && (hasMore || isFetching) && (
+        <InfiniteScrollFooter ref={sentinelRef}>
+          {isFetching ? (
+            <Spin />
+          ) : (
+            <Button onClick={loadMore}>{t('bookList.loadMore', 'Load more')}</Button>
+          )}
+        </InfiniteScrollFooter>
+      )}
     </>
   );
 };
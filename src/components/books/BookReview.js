@@ -2,26 +2,28 @@
 /**
  * BookReview Component
  * This component is responsible for displaying the list of reviews for a specific book and
- * allowing users to submit new reviews (rating and comments). It utilizes the `addReview`
- * function from the context to add reviews and displays reviews that exist for the book.
+ * allowing users to submit new reviews (rating and comments). It adds reviews with the `useAddReview`
+ * mutation hook, whose pending and error state belong to this form only, and displays reviews that exist for the book.
  * 
  * Props:
  * - bookId: The ID of the book to fetch and display reviews for.
+ * - reviews: The reviews of the book.
  * 
- * Context Functions Used:
- * - addReview: To add reviews to the specific book.
+ * Hooks Used:
+ * - useAddReview: To add reviews to the specific book.
  * 
  * Additional Functionality:
  * - A form to submit new reviews.
  * - A list of existing reviews, including rating and comments from users.
  */
 
-import React, { useState } from 'react';
-import { useBook } from '../../hooks/useBook'; // Custom hook to access book context functions
+import React from 'react';
+import { useAddReview } from '../../hooks/useBookMutations'; // Add a review, with the status of this form only
 import { useForm } from 'react-hook-form'; // For handling form submissions and validation
-import { Rate, Input, Button, List, Avatar, Form, Spin } from 'antd'; // Ant Design components for form, rating, and list
+import { Rate, Input, Button, List, Avatar, Form } from 'antd'; // Ant Design components for form, rating, and list
 import { useTranslation } from 'react-i18next'; // For translations
 import styled from '@emotion/styled'; // Emotion for styling components
+import ErrorMessage from '../ui/ErrorMessage'; // Localized message of a failed submission
 
 // Styled container for the review section
 const ReviewContainer = styled.div`
@@ -52,26 +54,22 @@ const StyledReviewList = styled(List)`
 `;
 
 const BookReview = ({ bookId, reviews }) => {
-  const { addReview, isLoading, error } = useBook(); // Extract addReview function and state from the context
+  const { mutateAsync: addReview, isPending, error } = useAddReview(); // Status of this form's submissions only
   const { t } = useTranslation(); // Translation hook for i18n support
   const { register, handleSubmit, reset, formState: { errors } } = useForm(); // Initialize react-hook-form for form handling
-  const [submitting, setSubmitting] = useState(false); // State to track submission
 
   /**
    * Handle form submission for adding a new review.
+   * The form keeps its values when the review cannot be saved, so the user can try again.
    * 
    * @param {Object} data - Contains the rating and comment from the form input.
    */
   const onSubmit = async (data) => {
-    setSubmitting(true); // Set submitting to true while the review is being submitted
-
     try {
-      await addReview(bookId, data); // Call the addReview function with bookId and review data
+      await addReview(bookId, data); // Call the addReview mutation with bookId and review data
       reset(); // Reset the form fields after successful submission
-    } catch (error) {
-      console.error('Error adding review:', error); // Log any error that occurs during submission
-    } finally {
-      setSubmitting(false); // Reset submitting state after submission completes
+    } catch (err) {
+      // Shown below the form through the mutation's `error`
     }
   };
 
@@ -104,12 +102,15 @@ const BookReview = ({ bookId, reviews }) => {
             />
           </Form.Item>
 
+          {/* Why the last submission failed, if it did */}
+          <ErrorMessage error={error} />
+
           {/* Submit Button */}
           <Form.Item>
             <Button
               type="primary"
               htmlType="submit"
-              loading={submitting} // Show loading indicator while submitting
+              loading={isPending} // Show loading indicator while submitting
             >
               {t('bookReview.submitReview')} {/* Localized submit button text */}
             </Button>
@@ -117,29 +118,22 @@ const BookReview = ({ bookId, reviews }) => {
         </Form>
       </ReviewFormContainer>
 
-      {/* Display loading spinner if the reviews are being fetched */}
-      {isLoading ? (
-        <Spin />
-      ) : error ? (
-        <p>{t('bookReview.errorLoadingReviews')}</p> // Display error message if reviews fail to load
-      ) : (
-        // Display a list of reviews using Ant Design's List component
-        <StyledReviewList
-          itemLayout="horizontal"
-          dataSource={reviews} // Pass reviews array as the data source for the list
-          renderItem={(review) => (
-            <List.Item>
-              <List.Item.Meta
-                avatar={<Avatar>{review.user.charAt(0).toUpperCase()}</Avatar>} // Display user's avatar using first letter
-                title={<span>{review.user}</span>} // Display the reviewer's name
-                description={review.comment} // Display the review comment
-              />
-              {/* Display the review rating */}
-              <Rate disabled defaultValue={review.rating} />
-            </List.Item>
-          )}
-        />
-      )}
+      {/* Display a list of reviews using Ant Design's List component (they come with the book) */}
+      <StyledReviewList
+        itemLayout="horizontal"
+        dataSource={reviews} // Pass reviews array as the data source for the list
+        renderItem={(review) => (
+          <List.Item>
+            <List.Item.Meta
+              avatar={<Avatar>{review.user.charAt(0).toUpperCase()}</Avatar>} // Display user's avatar using first letter
+              title={<span>{review.user}</span>} // Display the reviewer's name
+              description={review.comment} // Display the review comment
+            />
+            {/* Display the review rating */}
+            <Rate disabled defaultValue={review.rating} />
+          </List.Item>
+        )}
+      />
     </ReviewContainer>
   );
 };
@@ -42,9 +42,10 @@ const BookShelf = ({ shelfId, shelfName }) => {
 
   // Fetch the books for the specific shelf when the component mounts or the shelfId changes
   useEffect(() => {
-    if (shelfId) {
-      getBooksByShelf(shelfId); // Call the context function to fetch books by shelf ID
-    }
+    if (!shelfId) return undefined;
+    const controller = new AbortController(); // Cancels the request when the shelfId changes or the component unmounts
+    getBooksByShelf(shelfId, { signal: controller.signal }); // Call the context function to fetch books by shelf ID
+    return () => controller.abort();
   }, [shelfId, getBooksByShelf]);
 
   /**
@@ -60,15 +61,17 @@ const BookShelf = ({ shelfId, shelfName }) => {
   /**
    * Handle the drop event when a book is moved to a new shelf.
    * This updates the shelf of the dragged book using the `updateBookShelf` function.
+   * The move is optimistic, so the drop is not awaited: the book shows up on its new shelf immediately
+   * and the store's updateBookShelf action rolls it back (with a notice) if the server rejects the change.
    *
    * @param {string} targetShelfId - The ID of the target shelf where the book is dropped.
    */
   const handleDrop = useCallback(
-    async (targetShelfId) => {
+    (targetShelfId) => {
       if (draggingBookId && targetShelfId !== shelfId) {
         // If a book is dragged and dropped into a different shelf, update its shelf
-        await updateBookShelf(draggingBookId, targetShelfId);
         setDraggingBookId(null); // Reset the dragged book ID after drop
+        updateBookShelf(draggingBookId, targetShelfId);
       }
     },
     [draggingBookId, shelfId, updateBookShelf]
@@ -0,0 +1,251 @@
+/**
+ * BulkActionsBar Component
+ * Purpose: The toolbar of the selection mode of BookList and ShelfBooksList. It applies one action to every
+ * selected book at once, through the batch endpoints: move to a reading shelf, add to custom shelves, remove from
+ * the listed shelf, edit the genre or tags, and delete.
+ * Hooks Used:
+ * - useUpdateBooks, useDeleteBooks: Batch book changes, each with its own pending and error state.
+ * - useAddBooksToShelves, useRemoveBooksFromShelves: Batch shelf changes.
+ * - useShelf: The user's shelves to add the books to.
+ * Props:
+ * - selection: The selection of the list (see hooks/useSelection.js).
+ * - shelfId: (optional) The shelf being listed; custom shelves offer "Remove from shelf".
+ */
+
+import React, { useState } from 'react';
+import styled from '@emotion/styled'; // Emotion for styling components
+import { Button, Checkbox, Form, Input, Modal, Popconfirm, Select, Space, message } from 'antd'; // Ant Design components
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { useShelf } from '../../hooks/useShelf'; // The user's shelves
+import { useUpdateBooks, useDeleteBooks } from '../../hooks/useBookMutations'; // Batch book changes
+import { useAddBooksToShelves, useRemoveBooksFromShelves } from '../../hooks/useShelfMutations'; // Batch shelf changes
+import { getErrorMessage } from '../../utils/errorMessages'; // Error code to localized message
+
+const { Option } = Select;
+
+// Sticky toolbar above the list, so the actions stay at hand while scrolling through a long library
+const Toolbar = styled.div`
+  position: sticky;
+  top: 0;
+  z-index: 2;
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 10px;
+  padding: 12px 16px;
+  margin-top: 10px;
+  background-color: #494761;
+  border-radius: 8px;
+  color: white;
+`;
+
+const SelectedCount = styled.span`
+  font-weight: bold;
+  margin-right: 10px;
+`;
+
+// Reading shelves every book can be moved to (the same choices as BookActions)
+const READING_SHELVES = ['currentlyReading', 'wantToRead', 'read', 'none'];
+
+/**
+ * BulkActionsBar Component
+ * @param {Object} selection - The selection of the list (see hooks/useSelection.js).
+ * @param {string} [shelfId] - The shelf being listed.
+ * @returns {JSX.Element}
+ */
+const BulkActionsBar = ({ selection, shelfId }) => {
+  const { t } = useTranslation();
+  const { shelves } = useShelf(); // Custom shelves the books can be added to
+  const updateBooks = useUpdateBooks();
+  const deleteBooks = useDeleteBooks();
+  const addBooksToShelves = useAddBooksToShelves();
+  const removeBooksFromShelves = useRemoveBooksFromShelves();
+  const [targetShelfIds, setTargetShelfIds] = useState([]); // Custom shelves picked for "Add to shelves"
+  const [isEditOpen, setIsEditOpen] = useState(false); // Genre and tags modal
+  const [editForm] = Form.useForm();
+
+  const { selectedIds } = selection;
+  const count = selectedIds.length;
+  const isListedShelfCustom = Boolean(shelfId) && shelves.some((shelf) => shelf.id === shelfId);
+  const isBusy = [updateBooks, deleteBooks, addBooksToShelves, removeBooksFromShelves].some((mutation) => mutation.isPending);
+
+  /**
+   * Run a batch mutation on the selected books and report the outcome.
+   * @param {Object} mutation - One of the mutation hooks above.
+   * @param {Array} args - Arguments of the mutation.
+   * @param {string} successMessage - Shown when every book was changed.
+   * @returns {Promise<boolean>} - Whether the mutation succeeded.
+   */
+  const runBatch = async (mutation, args, successMessage) => {
+    try {
+      await mutation.mutateAsync(...args);
+      message.success(successMessage);
+      return true;
+    } catch (err) {
+      message.error(getErrorMessage(t, err)); // Batches apply entirely or not at all: nothing changed
+      return false;
+    }
+  };
+
+  const handleMove = (shelf) => runBatch(
+    updateBooks,
+    [selectedIds, { shelf }],
+    t('bulkActions.moved', { count, defaultValue: '{{count}} books moved.' })
+  );
+
+  const handleAddToShelves = async () => {
+    const added = await runBatch(
+      addBooksToShelves,
+      [targetShelfIds, selectedIds],
+      t('bulkActions.added', { count, defaultValue: '{{count}} books added to the shelves.' })
+    );
+    if (added) setTargetShelfIds([]);
+  };
+
+  const handleRemoveFromShelf = async () => {
+    const removed = await runBatch(
+      removeBooksFromShelves,
+      [[shelfId], selectedIds],
+      t('bulkActions.removed', { count, defaultValue: '{{count}} books removed from the shelf.' })
+    );
+    if (removed) selection.clear(); // They are no longer in the list
+  };
+
+  const handleDelete = async () => {
+    const deleted = await runBatch(
+      deleteBooks,
+      [selectedIds],
+      t('bulkActions.deleted', { count, defaultValue: '{{count}} books deleted.' })
+    );
+    if (deleted) selection.clear();
+  };
+
+  /**
+   * Apply the genre and tags of the edit modal. Empty fields leave the books as they are.
+   * @param {Object} values - `{ genre, addTags, removeTags }`.
+   */
+  const handleEdit = async ({ genre, addTags = [], removeTags = [] }) => {
+    const changes = {
+      ...(genre && genre.trim() && { genre: genre.trim() }),
+      ...(addTags.length > 0 && { addTags }),
+      ...(removeTags.length > 0 && { removeTags }),
+    };
+    if (Object.keys(changes).length === 0) {
+      setIsEditOpen(false);
+      return;
+    }
+    const edited = await runBatch(
+      updateBooks,
+      [selectedIds, changes],
+      t('bulkActions.edited', { count, defaultValue: '{{count}} books updated.' })
+    );
+    if (edited) {
+      setIsEditOpen(false);
+      editForm.resetFields();
+    }
+  };
+
+  return (
+    <Toolbar>
+      <Checkbox checked={selection.isPageSelected} onChange={selection.togglePage}>
+        {t('bulkActions.selectPage', 'Select all on page')}
+      </Checkbox>
+      <SelectedCount>{t('bulkActions.selectedCount', { count, defaultValue: '{{count}} selected' })}</SelectedCount>
+
+      <Space wrap>
+        {/* Move to a reading shelf */}
+        <Select
+          value={null}
+          placeholder={t('bulkActions.moveTo', 'Move to...')}
+          onChange={handleMove}
+          disabled={count === 0 || isBusy}
+          style={{ width: 170 }}
+        >
+          {READING_SHELVES.map((shelf) => (
+            <Option key={shelf} value={shelf}>{t(`shelves.${shelf}`)}</Option>
+          ))}
+        </Select>
+
+        {/* Add to custom shelves */}
+        {shelves.length > 0 && (
+          <>
+            <Select
+              mode="multiple"
+              value={targetShelfIds}
+              placeholder={t('bulkActions.addToShelves', 'Add to shelves...')}
+              onChange={setTargetShelfIds}
+              disabled={count === 0 || isBusy}
+              style={{ minWidth: 200 }}
+            >
+              {shelves.map((shelf) => (
+                <Option key={shelf.id} value={shelf.id}>{shelf.name}</Option>
+              ))}
+            </Select>
+            <Button
+              onClick={handleAddToShelves}
+              disabled={count === 0 || targetShelfIds.length === 0}
+              loading={addBooksToShelves.isPending}
+            >
+              {t('bulkActions.add', 'Add')}
+            </Button>
+          </>
+        )}
+
+        {/* Remove from the listed shelf */}
+        {isListedShelfCustom && (
+          <Popconfirm
+            title={t('bulkActions.confirmRemove', { count, defaultValue: 'Remove {{count}} books from this shelf?' })}
+            onConfirm={handleRemoveFromShelf}
+            disabled={count === 0}
+          >
+            <Button disabled={count === 0 || isBusy} loading={removeBooksFromShelves.isPending}>
+              {t('bulkActions.removeFromShelf', 'Remove from shelf')}
+            </Button>
+          </Popconfirm>
+        )}
+
+        <Button onClick={() => setIsEditOpen(true)} disabled={count === 0 || isBusy}>
+          {t('bulkActions.editGenreTags', 'Edit genre or tags')}
+        </Button>
+
+        <Popconfirm
+          title={t('bulkActions.confirmDelete', { count, defaultValue: 'Delete {{count}} books? This cannot be undone.' })}
+          onConfirm={handleDelete}
+          okType="danger"
+          disabled={count === 0}
+        >
+          <Button danger disabled={count === 0 || isBusy} loading={deleteBooks.isPending}>
+            {t('bulkActions.delete', 'Delete')}
+          </Button>
+        </Popconfirm>
+
+        <Button type="link" onClick={selection.stop}>
+          {t('bulkActions.done', 'Done')}
+        </Button>
+      </Space>
+
+      {/* Genre and tags of the selected books */}
+      <Modal
+        title={t('bulkActions.editTitle', { count, defaultValue: 'Edit {{count}} books' })}
+        open={isEditOpen}
+        onCancel={() => setIsEditOpen(false)}
+        onOk={() => editForm.submit()}
+        confirmLoading={updateBooks.isPending}
+      >
+        <Form form={editForm} layout="vertical" onFinish={handleEdit}>
+          <Form.Item name="genre" label={t('bulkActions.genre', 'Genre')}>
+            <Input placeholder={t('bulkActions.genreUnchanged', 'Leave empty to keep each book\'s genre')} />
+          </Form.Item>
+          <Form.Item name="addTags" label={t('bulkActions.addTags', 'Add tags')}>
+            <Select mode="tags" tokenSeparators={[',']} />
+          </Form.Item>
+          <Form.Item name="removeTags" label={t('bulkActions.removeTags', 'Remove tags')}>
+            <Select mode="tags" tokenSeparators={[',']} />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </Toolbar>
+  );
+};
+
+export default BulkActionsBar;
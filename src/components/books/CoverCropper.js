@@ -0,0 +1,149 @@
+/**
+ * CoverCropper Component
+ * Purpose: Lets the user choose the part of an image that becomes a book cover. The crop keeps the standard cover
+ * aspect ratio; it is moved by dragging (or with the arrow keys) and resized with the zoom slider, and a preview
+ * shows the resulting cover.
+ * Props:
+ * - src: URL of the image (usually an object URL of the chosen file).
+ * - imageWidth, imageHeight: Natural size of the image.
+ * - crop: The current crop, in natural image pixels (see utils/imageCrop.js).
+ * - onChange: Called with the new crop.
+ */
+
+import React, { useRef } from 'react';
+import styled from '@emotion/styled'; // Emotion for styling components
+import { Slider } from 'antd'; // Zoom control
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { getLargestCrop, moveCrop, zoomCrop, MAX_ZOOM } from '../../utils/imageCrop'; // Crop geometry
+
+const STAGE_SIZE = 360; // The image is shown scaled to fit this square
+const PREVIEW_WIDTH = 120; // Width of the cover preview
+const KEYBOARD_STEP = 10; // Arrow keys move the crop by this many displayed pixels
+
+const Layout = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 20px;
+  align-items: flex-start;
+`;
+
+const Stage = styled.div`
+  position: relative;
+  overflow: hidden; /* Clips the shade around the crop */
+  user-select: none;
+  touch-action: none; /* Dragging the crop must not scroll the page on touch screens */
+
+  img {
+    display: block;
+    width: 100%;
+    height: 100%;
+  }
+`;
+
+// The crop area; its huge shadow darkens the rest of the image
+const CropBox = styled.div`
+  position: absolute;
+  border: 2px solid #ffffff;
+  box-shadow: 0 0 0 9999px rgba(0, 0, 0, 0.55);
+  cursor: move;
+
+  &:focus-visible {
+    outline: 2px solid #1677ff;
+  }
+`;
+
+const Preview = styled.div`
+  width: ${PREVIEW_WIDTH}px;
+  border-radius: 5px;
+  background-repeat: no-repeat;
+  box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+`;
+
+/**
+ * CoverCropper Component
+ * @param {Object} props - See above.
+ * @returns {JSX.Element}
+ */
+const CoverCropper = ({ src, imageWidth, imageHeight, crop, onChange }) => {
+  const { t } = useTranslation();
+  const drag = useRef(null); // `{ clientX, clientY, crop }` where the current drag started
+
+  const scale = Math.min(STAGE_SIZE / imageWidth, STAGE_SIZE / imageHeight); // Image pixels -> displayed pixels
+  const zoom = getLargestCrop(imageWidth, imageHeight).width / crop.width;
+  const previewScale = PREVIEW_WIDTH / crop.width; // Image pixels -> preview pixels
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId); // Keep dragging when the pointer leaves the box
+    drag.current = { clientX: event.clientX, clientY: event.clientY, crop };
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag.current) return;
+    const dx = (event.clientX - drag.current.clientX) / scale;
+    const dy = (event.clientY - drag.current.clientY) / scale;
+    onChange(moveCrop(drag.current.crop, dx, dy, imageWidth, imageHeight));
+  };
+
+  const handlePointerUp = () => {
+    drag.current = null;
+  };
+
+  const handleKeyDown = (event) => {
+    const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const move = moves[event.key];
+    if (!move) return;
+    event.preventDefault();
+    onChange(moveCrop(crop, (move[0] * KEYBOARD_STEP) / scale, (move[1] * KEYBOARD_STEP) / scale, imageWidth, imageHeight));
+  };
+
+  return (
+    <Layout>
+      <div>
+        <Stage style={{ width: imageWidth * scale, height: imageHeight * scale }}>
+          <img src={src} alt="" draggable={false} />
+          <CropBox
+            role="slider" // Moved with the arrow keys
+            tabIndex={0}
+            aria-label={t('coverUpload.cropArea', 'Cover area')}
+            aria-valuetext={`${Math.round(crop.x)}, ${Math.round(crop.y)}`}
+            style={{
+              left: crop.x * scale,
+              top: crop.y * scale,
+              width: crop.width * scale,
+              height: crop.height * scale,
+            }}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onKeyDown={handleKeyDown}
+          />
+        </Stage>
+        <div>{t('coverUpload.zoom', 'Zoom')}</div>
+        <Slider
+          min={1}
+          max={MAX_ZOOM}
+          step={0.05}
+          value={zoom}
+          tooltip={{ formatter: null }}
+          onChange={(value) => onChange(zoomCrop(crop, value, imageWidth, imageHeight))}
+        />
+      </div>
+
+      {/* The cover as it will be saved */}
+      <div>
+        <div>{t('coverUpload.preview', 'Preview')}</div>
+        <Preview
+          style={{
+            height: crop.height * previewScale,
+            backgroundImage: `url(${src})`,
+            backgroundSize: `${imageWidth * previewScale}px ${imageHeight * previewScale}px`,
+            backgroundPosition: `${-crop.x * previewScale}px ${-crop.y * previewScale}px`,
+          }}
+        />
+      </div>
+    </Layout>
+  );
+};
+
+export default CoverCropper;
@@ -0,0 +1,140 @@
+/**
+ * CoverUpload Component
+ * Purpose: Cover image field of BookForm. Shows the current cover and lets the user upload a local image instead
+ * of typing a URL: the image is cropped to the cover aspect ratio in a modal (see CoverCropper), uploaded, and the
+ * URL of the stored image becomes the book's `coverImageUrl`.
+ * Hooks Used:
+ * - useUploadCover: The multipart upload, with its own pending and error state.
+ * Props:
+ * - value: The current cover URL.
+ * - onChange: Called with the URL of the uploaded cover.
+ */
+
+import React, { useEffect, useState } from 'react';
+import styled from '@emotion/styled'; // Emotion for styling components
+import { Button, Modal, Upload, message } from 'antd'; // Ant Design components
+import { UploadOutlined } from '@ant-design/icons'; // Upload icon
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { useUploadCover } from '../../hooks/useBookMutations'; // Cover upload with its own status
+import { getLargestCrop, cropImage } from '../../utils/imageCrop'; // Initial crop and the cropped image
+import CoverCropper from './CoverCropper'; // Crop area and preview
+import ErrorMessage from '../ui/ErrorMessage'; // Localized message of a failed upload
+import coverPlaceholder from '../../assets/images/cover-placeholder.svg'; // Shown until there is a cover
+
+const CoverField = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 16px;
+`;
+
+const CoverThumbnail = styled.img`
+  width: 60px;
+  height: 90px;
+  object-fit: cover;
+  border-radius: 4px;
+`;
+
+/**
+ * Load an image file to crop it.
+ * @param {File} file
+ * @returns {Promise<Object>} - `{ src, image }`: an object URL (to revoke when done) and the loaded image.
+ */
+const loadImageFile = (file) => new Promise((resolve, reject) => {
+  const src = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => resolve({ src, image });
+  image.onerror = () => {
+    URL.revokeObjectURL(src);
+    reject(new Error(`Cannot decode ${file.name}`));
+  };
+  image.src = src;
+});
+
+/**
+ * CoverUpload Component
+ * @param {string} [value] - The current cover URL.
+ * @param {Function} onChange - Receives the URL of the uploaded cover.
+ * @returns {JSX.Element}
+ */
+const CoverUpload = ({ value, onChange }) => {
+  const { t } = useTranslation();
+  const upload = useUploadCover();
+  const [editing, setEditing] = useState(null); // `{ src, image, crop }` of the image being cropped
+  const [isCropping, setIsCropping] = useState(false); // Encoding the cropped image
+
+  // The object URL of the image being cropped is released when the modal closes or the form unmounts
+  const editingSrc = editing && editing.src;
+  useEffect(() => () => {
+    if (editingSrc) URL.revokeObjectURL(editingSrc);
+  }, [editingSrc]);
+
+  /**
+   * Open the chosen image in the crop modal.
+   * @param {File} file
+   * @returns {boolean} - False, so that Upload does not send the file itself.
+   */
+  const handleFile = (file) => {
+    if (!/^image\//.test(file.type)) {
+      message.error(t('coverUpload.notAnImage', 'Choose an image file (JPEG, PNG, WebP or GIF).'));
+      return false;
+    }
+    loadImageFile(file)
+      .then(({ src, image }) => {
+        upload.reset();
+        setEditing({ src, image, crop: getLargestCrop(image.naturalWidth, image.naturalHeight) });
+      })
+      .catch(() => message.error(t('coverUpload.unreadableImage', 'This image could not be opened.')));
+    return false;
+  };
+
+  // Crop, upload, and use the stored image as the cover
+  const handleConfirm = async () => {
+    setIsCropping(true);
+    let image;
+    try {
+      image = await cropImage(editing.image, editing.crop);
+    } catch (err) {
+      message.error(t('coverUpload.unreadableImage', 'This image could not be opened.'));
+      return;
+    } finally {
+      setIsCropping(false);
+    }
+    const coverImageUrl = await upload.mutate(image);
+    if (!coverImageUrl) return; // The error is shown in the modal, which stays open to try again
+    onChange(coverImageUrl);
+    setEditing(null);
+  };
+
+  return (
+    <CoverField>
+      <CoverThumbnail src={value || coverPlaceholder} alt={t('coverUpload.current', 'Current cover')} />
+      <Upload accept="image/*" showUploadList={false} beforeUpload={handleFile}>
+        <Button icon={<UploadOutlined />}>{t('coverUpload.upload', 'Upload a cover')}</Button>
+      </Upload>
+
+      <Modal
+        title={t('coverUpload.cropTitle', 'Crop the cover')}
+        open={Boolean(editing)}
+        onOk={handleConfirm}
+        okText={t('coverUpload.useCover', 'Use this cover')}
+        confirmLoading={isCropping || upload.isPending}
+        onCancel={() => setEditing(null)}
+        width={600}
+        destroyOnClose
+      >
+        {editing && (
+          <CoverCropper
+            src={editing.src}
+            imageWidth={editing.image.naturalWidth}
+            imageHeight={editing.image.naturalHeight}
+            crop={editing.crop}
+            onChange={(crop) => setEditing((prev) => ({ ...prev, crop }))}
+          />
+        )}
+        <ErrorMessage error={upload.error} />
+      </Modal>
+    </CoverField>
+  );
+};
+
+export default CoverUpload;
@@ -0,0 +1,67 @@
+/**
+ * ScanBarcodeButton Component
+ * Purpose: Adds a book from a photo of its back cover. The ISBN barcode is read in the browser (nothing is
+ * uploaded) and the user lands on `/books/create` with the form pre-filled from the ISBN (see BookForm).
+ * Hooks Used:
+ * - useMutation: Progress and error of reading the photo.
+ * Props:
+ * - type: (optional) Ant Design button type.
+ */
+
+import React from 'react';
+import { Button, Upload, message } from 'antd'; // Ant Design components
+import { BarcodeOutlined } from '@ant-design/icons'; // Barcode icon
+import { useNavigate } from 'react-router-dom'; // Navigation to the pre-filled form
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { useMutation } from '../../hooks/useMutation'; // Pending state of the decoding
+import { readIsbnFromImage, BARCODE_ERRORS } from '../../utils/barcodeImage'; // Photo -> ISBN
+
+/**
+ * The localized message of a photo that could not be read.
+ * @param {Function} t - Translation function.
+ * @param {Error} error - Error with a `BARCODE_ERRORS` code.
+ * @returns {string}
+ */
+const getBarcodeErrorMessage = (t, error) => {
+  switch (error.code) {
+    case BARCODE_ERRORS.UNREADABLE_IMAGE:
+      return t('scanBarcode.unreadableImage', 'This file could not be opened as an image. Try a JPEG or PNG photo.');
+    case BARCODE_ERRORS.NOT_AN_ISBN:
+      return t('scanBarcode.notAnIsbn', 'This barcode is not a book\'s ISBN. Photograph the barcode starting with 978 or 979.');
+    default:
+      return t('scanBarcode.notFound', 'No barcode was found. Take a sharp, well-lit photo with the barcode filling most of it.');
+  }
+};
+
+/**
+ * ScanBarcodeButton Component
+ * @param {string} [type='default'] - Ant Design button type.
+ * @returns {JSX.Element}
+ */
+const ScanBarcodeButton = ({ type = 'default' }) => {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const { mutateAsync: readIsbn, isPending } = useMutation(readIsbnFromImage);
+
+  /**
+   * Read the chosen photo and open the form of the book.
+   * @param {File} file
+   * @returns {boolean} - False, so that Upload keeps the file instead of sending it anywhere.
+   */
+  const handleFile = (file) => {
+    readIsbn(file)
+      .then((isbn) => navigate(`/books/create?isbn=${isbn}`))
+      .catch((error) => message.error(getBarcodeErrorMessage(t, error)));
+    return false;
+  };
+
+  return (
+    <Upload accept="image/*" showUploadList={false} beforeUpload={handleFile} disabled={isPending}>
+      <Button type={type} icon={<BarcodeOutlined />} loading={isPending}>
+        {t('scanBarcode.button', 'Add from barcode photo')}
+      </Button>
+    </Upload>
+  );
+};
+
+export default ScanBarcodeButton;
@@ -1,15 +1,16 @@
 // SearchBooks.js
 /**
  * SearchBooks Component
- * This component allows users to search for books by title or author. It uses the `searchBooks` function from the context
- * and displays the results using the `BookList` component.
+ * This component allows users to search for books by title or author. It searches with the `useBookSearch` query hook,
+ * whose loading and error state belong to this component only, and displays the results using the `BookList` component.
  */
 
-import React, { useState, useCallback } from "react";
+import React, { useState } from "react";
 import { Input, Button } from "antd"; // Ant Design components for the search input and button
 import { useTranslation } from "react-i18next"; // For translations
-import { useBook } from "../../hooks/useBook"; // Import the custom hook to handle book-related actions
+import { useBookSearch } from "../../hooks/useBookQueries"; // Search with the status of this component only
 import BookList from "./BookList"; // Import the BookList component to display search results
+import ErrorMessage from "../ui/ErrorMessage"; // Localized message of a failed search
 import styled from "@emotion/styled"; // Emotion for styling
 
 // Styled container for search input and button
@@ -32,11 +33,11 @@ const SearchInput = styled(Input)`
  * Handles searching for books by title or author and displaying the results.
  */
 const SearchBooks = () => {
-  const [query, setQuery] = useState(""); // State to store the search query
-  const [searchedBooks, setSearchedBooks] = useState([]); // State to store the search results
-  const [isSearching, setIsSearching] = useState(false); // State to manage the loading state during a search
+  const [query, setQuery] = useState(""); // State to store the search query as typed
+  const [submittedQuery, setSubmittedQuery] = useState(""); // The query searched for
   const { t } = useTranslation(); // Hook for i18n translations
-  const { searchBooks } = useBook(); // Extract the searchBooks function from the useBook hook
+  // Results of the submitted query; a new query cancels the search in flight, and so does unmounting
+  const { data: searchedBooks, isPending: isSearching, isError, error, status } = useBookSearch(submittedQuery);
 
   /**
    * Handle input change and update the query state
@@ -48,20 +49,13 @@ const SearchBooks = () => {
 
   /**
    * Handle the search action when the user submits the query.
-   * This function triggers the `searchBooks` context function and updates the search results.
    */
-  const handleSearch = useCallback(async () => {
+  const handleSearch = () => {
     if (query.trim() === "") return; // Prevent empty search queries
-    setIsSearching(true); // Start the loading state
-    try {
-      const results = await searchBooks(query); // Call the context function to search for books
-      setSearchedBooks(results); // Update the state with search results
-    } catch (error) {
-      console.error("Error searching books:", error);
-    } finally {
-      setIsSearching(false); // End the loading state
-    }
-  }, [query, searchBooks]);
+    setSubmittedQuery(query);
+  };
+
+  const hasSearched = status !== "idle"; // Nothing to report before the first search
 
   return (
     <div>
@@ -79,15 +73,17 @@ const SearchBooks = () => {
         </Button>
       </SearchContainer>
 
+      {/* Why the search failed, if it did */}
+      {isError && <ErrorMessage error={error} />}
+
       {/* Display the BookList component with the search results */}
-      {searchedBooks.length > 0
-        ? {
-            /* Display the list of searched books */
-          }(<BookList books={searchedBooks} />)
-        : !isSearching && (
-            <p>{t("searchBooks.noResults")}</p>
-          ) // Show "no results" message when there are no books
-      }
+      {searchedBooks.length > 0 ? (
+        <BookList books={searchedBooks} />
+      ) : (
+        hasSearched && !isSearching && !isError && (
+          <p>{t("searchBooks.noResults")}</p> // Show "no results" message when there are no books
+        )
+      )}
     </div>
   );
 };
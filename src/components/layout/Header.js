@@ -15,6 +15,7 @@ import { css } from '@emotion/react'; // Emotion for CSS-in-JS styling
 import { Layout, Menu } from 'antd'; // Ant Design components for UI layout and menu
 import { UserOutlined, BookOutlined } from '@ant-design/icons'; // Ant Design icons for UI enhancement
 import LogoutButton from '../auth/LogoutButton'; // Import the LogoutButton component
+import NetworkStatusIndicator from '../ui/NetworkStatusIndicator'; // Online, offline or degraded connectivity
 import { logoStyles, headerContainerStyles, navMenuStyles } from '../../assets/styles/globalStyles'; // Import global styles
 
 // Destructure Ant Design's Layout component to use its Header
@@ -25,6 +26,7 @@ const { Header: AntHeader } = Layout;
  * 
  * This component renders a navigation header with different options based on the user's authentication state.
  * It conditionally shows login, signup, and profile-related links. If the user is logged in, a logout button is also shown.
+ * The connectivity status is always shown, so users know when data cannot be loaded.
  */
 const Header = () => {
   const { user } = useAuth(); // Access the user state from useAuth hook
@@ -75,6 +77,9 @@ const Header = () => {
             </>
           )}
         </Menu>
+
+        {/* Connectivity: online, offline, or degraded while requests are being retried */}
+        <NetworkStatusIndicator />
       </div>
     </AntHeader>
   );
@@ -7,12 +7,13 @@
  */
 
 import React from 'react';
-import { NavLink } from 'react-router-dom'; // Import NavLink for navigation between pages
+import { NavLink, useLocation } from 'react-router-dom'; // Import NavLink for navigation between pages
 import { useShelf } from '../../hooks/useShelf'; // Custom hook for managing shelf data
 import { Typography, Divider } from 'antd'; // Ant Design components for UI elements
 import styled from '@emotion/styled'; // Emotion for CSS-in-JS styling
-import { BookOutlined, FolderOutlined } from '@ant-design/icons'; // Icons for shelves
+import { BookOutlined, FolderOutlined, TagsOutlined } from '@ant-design/icons'; // Icons for shelves and tags
 import { useTranslation } from 'react-i18next'; // Translation hook for internationalization
+import CurrentlyReading from '../progress/CurrentlyReading'; // Books being read, with one-tap progress updates
 
 // Styled sidebar container
 const SidebarContainer = styled.aside`
@@ -58,6 +59,7 @@ const StyledNavLink = styled(NavLink)`
 const Sidebar = () => {
   const { shelves } = useShelf(); // Get shelf data (default and custom shelves) from useShelf hook
   const { t } = useTranslation(); // Initialize translation hook for i18n support
+  const { pathname } = useLocation(); // The home page shows the books being read itself
 
   return (
     <SidebarContainer>
@@ -80,6 +82,7 @@ const Sidebar = () => {
             <BookOutlined style={{ marginRight: 8 }} /> {/* Icon for Currently Reading */}
             {t('sidebar.currentlyReading')} {/* Localized label for Currently Reading */}
           </StyledNavLink>
+          {pathname !== '/' && <CurrentlyReading compact />} {/* The books being read, with their progress */}
         </ShelfItem>
 
         {/* Default shelf: Want to Read */}
@@ -100,13 +103,21 @@ const Sidebar = () => {
 
         {/* Custom shelves created by the user */}
         {shelves.map((shelf) => (
-          <ShelfItem key={shelf._id}>
-            <StyledNavLink to={`/shelf/${shelf._id}`} activeClassName="active">
+          <ShelfItem key={shelf.id}>
+            <StyledNavLink to={`/shelf/${shelf.id}`} activeClassName="active">
               <FolderOutlined style={{ marginRight: 8 }} /> {/* Icon for custom shelf */}
               {shelf.name} {/* Display the name of the custom shelf */}
             </StyledNavLink>
           </ShelfItem>
         ))}
+
+        {/* Tags of the library, with renaming and merging */}
+        <ShelfItem>
+          <StyledNavLink to="/tags" activeClassName="active">
+            <TagsOutlined style={{ marginRight: 8 }} /> {/* Icon for tags */}
+            {t('sidebar.tags', 'Tags')} {/* Localized label for Tags */}
+          </StyledNavLink>
+        </ShelfItem>
       </ShelfList>
     </SidebarContainer>
   );
@@ -0,0 +1,103 @@
+/**
+ * CurrentlyReading Component
+ * Purpose: The books on the Currently Reading shelf with their progress and one-tap updates, for the home page and
+ * (compact: titles and "+" buttons only) the sidebar.
+ * Nothing is loaded or shown for logged-out visitors.
+ * Hooks Used:
+ * - useAuth: Whether someone is logged in.
+ * - useBookListQuery: The books of the Currently Reading shelf, with their own loading/error state.
+ * Props:
+ * - compact: (Optional) Titles, small bars and the "+" buttons only, for narrow spaces.
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom'; // Client-side links to the books
+import styled from '@emotion/styled'; // Emotion for styling components
+import { List, Progress, Spin } from 'antd'; // Ant Design components
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { useAuth } from '../../hooks/useAuth'; // Shelves belong to the logged-in user
+import { useBookListQuery } from '../../hooks/useBookQueries'; // The books of the shelf
+import { getCurrentProgress, getProgressPercent } from '../../utils/progress';
+import ReadingProgressBar from './ReadingProgressBar'; // Latest entry with its bar
+import ProgressQuickUpdate from './ProgressQuickUpdate'; // One-tap "+" and the full form
+import ErrorMessage from '../ui/ErrorMessage'; // Localized message of a failed request
+
+const CompactList = styled.ul`
+  list-style: none;
+  padding: 0 0 0 24px; /* Under the shelf link's label */
+  margin: 8px 0 0;
+`;
+
+const CompactItem = styled.li`
+  margin-bottom: 10px;
+
+  a {
+    color: inherit;
+    display: block;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+`;
+
+const CompactRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+
+  .ant-progress {
+    flex: 1;
+    margin: 0;
+  }
+`;
+
+/**
+ * CurrentlyReading Component
+ * @param {Object} props - See above.
+ * @returns {JSX.Element|null}
+ */
+const CurrentlyReading = ({ compact = false }) => {
+  const { t } = useTranslation();
+  const { user } = useAuth();
+  const { data: books, isLoading, error } = useBookListQuery({ shelfId: 'currentlyReading', enabled: Boolean(user) });
+
+  if (!user) return null;
+
+  if (compact) {
+    // The sidebar stays quiet while loading or failing; the shelf link next to it still works
+    if (!books || books.length === 0) return null;
+    return (
+      <CompactList>
+        {books.map((book) => (
+          <CompactItem key={book.id}>
+            <Link to={`/books/${book.id}`}>{book.title}</Link>
+            <CompactRow>
+              <Progress percent={getProgressPercent(getCurrentProgress(book)) || 0} size="small" showInfo={false} />
+              <ProgressQuickUpdate book={book} />
+            </CompactRow>
+          </CompactItem>
+        ))}
+      </CompactList>
+    );
+  }
+
+  if (isLoading) return <Spin />;
+  if (error) return <ErrorMessage error={error} />;
+
+  return (
+    <List
+      dataSource={books || []}
+      locale={{ emptyText: t('progress.nothingReading', 'You are not reading any book at the moment.') }}
+      renderItem={(book) => (
+        <List.Item key={book.id} actions={[<ProgressQuickUpdate key="update" book={book} />]}>
+          <List.Item.Meta
+            title={<Link to={`/books/${book.id}`}>{book.title}</Link>}
+            description={<ReadingProgressBar book={book} />}
+          />
+        </List.Item>
+      )}
+    />
+  );
+};
+
+export default CurrentlyReading;
@@ -0,0 +1,154 @@
+/**
+ * ProgressForm Component
+ * Purpose: Log how far the user is in a book they are reading, as a page number, a percentage or an audiobook
+ * timestamp. The unit and the length of the book start from the latest entry (or the page count of the book); an
+ * audiobook's position and length are typed as timestamps ('1:02:03').
+ * Hooks Used:
+ * - useLogProgress: Logs the entry, shown right away and removed again if the server rejects it.
+ * Props:
+ * - book: The book, on the Currently Reading shelf.
+ * - onLogged: (Optional) Called once the entry is logged, e.g. to close the popover holding the form.
+ */
+
+import React from 'react';
+import { Button, Form, Input, InputNumber, Segmented, message } from 'antd'; // Ant Design components
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { useLogProgress } from '../../hooks/useBookMutations'; // Progress logging with its own status
+import { getFieldErrors } from '../../utils/apiError'; // Invalid values are shown next to their field
+import {
+  PROGRESS_UNITS,
+  PROGRESS_UNIT_LABELS,
+  getCurrentProgress,
+  getDefaultProgressUnit,
+  parseTimestamp,
+  formatTimestamp,
+  validateProgress,
+} from '../../utils/progress';
+import ErrorMessage from '../ui/ErrorMessage'; // Other failures, under the form
+
+// English defaults of the `progress.errors.<code>` i18n keys (see `validateProgress`)
+const ERROR_MESSAGES = {
+  invalidUnit: 'Choose how to log your progress.',
+  invalidValue: 'Enter where you are in the book.',
+  totalRequired: 'Enter the length of the book.',
+  invalidTotal: 'Enter a valid length.',
+  beyondTotal: 'This is past the end of the book.',
+};
+
+/**
+ * The form values to start from: the unit and length of the latest entry, else the book's default unit and page
+ * count.
+ * @param {Object} book
+ * @returns {Object} - `{ unit, value, total }`, timestamps as text.
+ */
+const getInitialValues = (book) => {
+  const current = getCurrentProgress(book);
+  const unit = current ? current.unit : getDefaultProgressUnit(book);
+  let total = current && current.unit === unit ? current.total : undefined;
+  if (total === undefined && unit === 'page') total = book.pageCount;
+  if (unit === 'time') {
+    return {
+      unit,
+      value: current ? formatTimestamp(current.value) : '',
+      total: total !== undefined ? formatTimestamp(total) : '',
+    };
+  }
+  return { unit, value: current ? current.value : undefined, total };
+};
+
+/**
+ * ProgressForm Component
+ * @param {Object} props - See above.
+ * @returns {JSX.Element}
+ */
+const ProgressForm = ({ book, onLogged }) => {
+  const { t } = useTranslation();
+  const [form] = Form.useForm();
+  const { mutateAsync: logProgress, isPending, error, reset } = useLogProgress();
+  const unit = Form.useWatch('unit', form);
+
+  /**
+   * Switch the unit; the value and length of another unit do not carry over.
+   * @param {string} nextUnit
+   */
+  const handleUnitChange = (nextUnit) => {
+    const total = nextUnit === 'page' ? book.pageCount : undefined;
+    form.setFieldsValue({ value: nextUnit === 'time' ? '' : undefined, total: nextUnit === 'time' ? '' : total });
+  };
+
+  /**
+   * Check the entry and log it.
+   * @param {Object} values - `{ unit, value, total }` from the form.
+   */
+  const handleSubmit = async (values) => {
+    const entry = values.unit === 'time'
+      ? { unit: 'time', value: parseTimestamp(values.value), total: parseTimestamp(values.total) }
+      : { unit: values.unit, value: values.value, ...(values.unit === 'page' && { total: values.total }) };
+    // A timestamp that cannot be read counts as missing
+    if (entry.value === null) entry.value = undefined;
+    if (entry.total === null) entry.total = undefined;
+
+    const errors = validateProgress(entry);
+    if (Object.keys(errors).length > 0) {
+      form.setFields(Object.entries(errors).map(([name, code]) => ({
+        name,
+        errors: [t(`progress.errors.${code}`, ERROR_MESSAGES[code])],
+      })));
+      return;
+    }
+
+    reset();
+    try {
+      await logProgress(book.id, entry);
+      message.success(t('progress.logged', 'Progress logged.'));
+      if (onLogged) onLogged();
+    } catch (err) {
+      const fieldErrors = getFieldErrors(err);
+      form.setFields(Object.entries(fieldErrors)
+        .filter(([name]) => ['unit', 'value', 'total'].includes(name))
+        .map(([name, fieldError]) => ({ name, errors: [fieldError] })));
+    }
+  };
+
+  const timestampPlaceholder = t('progress.timestampPlaceholder', 'h:mm:ss');
+
+  return (
+    <Form form={form} layout="vertical" initialValues={getInitialValues(book)} onFinish={handleSubmit}>
+      <Form.Item name="unit" label={t('progress.unit', 'Log as')}>
+        <Segmented
+          options={PROGRESS_UNITS.map((value) => ({ value, label: t(`progress.units.${value}`, PROGRESS_UNIT_LABELS[value]) }))}
+          onChange={handleUnitChange}
+        />
+      </Form.Item>
+
+      {unit === 'time' ? (
+        <>
+          <Form.Item name="value" label={t('progress.position', 'Position')}>
+            <Input placeholder={timestampPlaceholder} />
+          </Form.Item>
+          <Form.Item name="total" label={t('progress.length', 'Length of the audiobook')}>
+            <Input placeholder={timestampPlaceholder} />
+          </Form.Item>
+        </>
+      ) : (
+        <>
+          <Form.Item name="value" label={unit === 'page' ? t('progress.page', 'Page') : t('progress.percent', 'Percent')}>
+            <InputNumber min={0} max={unit === 'percent' ? 100 : undefined} addonAfter={unit === 'percent' ? '%' : null} />
+          </Form.Item>
+          {unit === 'page' && (
+            <Form.Item name="total" label={t('progress.pages', 'Pages in the book')}>
+              <InputNumber min={1} precision={0} />
+            </Form.Item>
+          )}
+        </>
+      )}
+
+      <Button type="primary" htmlType="submit" loading={isPending}>
+        {t('progress.log', 'Log progress')}
+      </Button>
+      <ErrorMessage error={error && !Object.keys(getFieldErrors(error)).length ? error : null} />
+    </Form>
+  );
+};
+
+export default ProgressForm;
@@ -0,0 +1,45 @@
+/**
+ * ProgressHistory Component
+ * Purpose: The progress logged for a book, newest first, each entry with when it was logged. Entries not saved yet
+ * (e.g. logged offline) are marked as such.
+ * Props:
+ * - book: The book.
+ */
+
+import React from 'react';
+import { Empty, Timeline } from 'antd'; // Ant Design components
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { getProgressHistory, formatProgress } from '../../utils/progress';
+
+/**
+ * ProgressHistory Component
+ * @param {Object} props - See above.
+ * @returns {JSX.Element}
+ */
+const ProgressHistory = ({ book }) => {
+  const { t, i18n } = useTranslation();
+  const history = getProgressHistory(book).reverse(); // Newest first
+  const dateFormat = new Intl.DateTimeFormat(i18n.language, { dateStyle: 'medium', timeStyle: 'short' });
+
+  if (history.length === 0) return <Empty description={t('progress.none', 'No progress logged yet')} />;
+
+  return (
+    <Timeline
+      items={history.map((entry, index) => ({
+        key: entry.id || `pending-${index}`,
+        color: entry.loggedAt ? 'blue' : 'gray',
+        children: (
+          <>
+            {formatProgress(t, entry)}
+            {' · '}
+            <small>
+              {entry.loggedAt ? dateFormat.format(new Date(entry.loggedAt)) : t('progress.pendingSync', 'Not saved yet')}
+            </small>
+          </>
+        ),
+      }))}
+    />
+  );
+};
+
+export default ProgressHistory;
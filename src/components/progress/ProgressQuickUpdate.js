@@ -0,0 +1,65 @@
+/**
+ * ProgressQuickUpdate Component
+ * Purpose: Update the progress of a book being read in one tap: "+10 pages", "+5%" or "+15 min" moves the latest
+ * entry on by one step (see `advanceProgress` in utils/progress.js), and "Update" opens the full form for any other
+ * position. When the step cannot be taken (an audiobook whose length is not known yet, or a finished book) only the
+ * form is offered.
+ * Hooks Used:
+ * - useLogProgress: Logs the step, shown right away and removed again if the server rejects it.
+ * Props:
+ * - book: The book, on the Currently Reading shelf.
+ * - size: (Optional) Size of the buttons (default 'small').
+ */
+
+import React, { useState } from 'react';
+import { Button, Popover, Space } from 'antd'; // Ant Design components
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { useLogProgress } from '../../hooks/useBookMutations'; // Progress logging with its own status
+import { advanceProgress, PROGRESS_STEPS } from '../../utils/progress';
+import ProgressForm from './ProgressForm'; // Any other position, in the popover
+
+/**
+ * ProgressQuickUpdate Component
+ * @param {Object} props - See above.
+ * @returns {JSX.Element|null}
+ */
+const ProgressQuickUpdate = ({ book, size = 'small' }) => {
+  const { t } = useTranslation();
+  const { mutate: logProgress } = useLogProgress(); // A rejected step is rolled back and announced by the optimistic update
+  const [isFormOpen, setIsFormOpen] = useState(false);
+
+  if (book.shelf !== 'currentlyReading') return null;
+
+  const next = advanceProgress(book);
+  const stepLabels = {
+    page: t('progress.stepPages', { count: PROGRESS_STEPS.page, defaultValue: '+{{count}} pages' }),
+    percent: t('progress.stepPercent', { count: PROGRESS_STEPS.percent, defaultValue: '+{{count}}%' }),
+    time: t('progress.stepMinutes', { count: PROGRESS_STEPS.time / 60, defaultValue: '+{{count}} min' }),
+  };
+
+  return (
+    <Space size="small" onClick={(e) => e.stopPropagation()}> {/* Taps do not open the card they are on */}
+      {next && (
+        <Button
+          size={size}
+          onClick={() => logProgress(book.id, next)}
+          aria-label={t('progress.stepLabel', { title: book.title, step: stepLabels[next.unit], defaultValue: '{{step}} in {{title}}' })}
+        >
+          {stepLabels[next.unit]}
+        </Button>
+      )}
+      <Popover
+        trigger="click"
+        open={isFormOpen}
+        onOpenChange={setIsFormOpen}
+        title={t('progress.formTitle', { title: book.title, defaultValue: 'Progress in {{title}}' })}
+        content={<ProgressForm book={book} onLogged={() => setIsFormOpen(false)} />}
+        destroyTooltipOnHide // The form starts from the latest entry each time
+      >
+        <Button size={size}>{t('progress.update', 'Update')}</Button>
+      </Popover>
+    </Space>
+  );
+};
+
+export default ProgressQuickUpdate;
@@ -0,0 +1,59 @@
+/**
+ * ReadingProgressBar Component
+ * Purpose: How far the user is in a book they are reading, for `Book` cards, `BookDetails` and the currently
+ * reading lists: a progress bar with the latest entry ('Page 120 of 300', '45%', '1:02:03 of 10:00:00').
+ * Nothing is rendered for books that are not on the Currently Reading shelf.
+ * Props:
+ * - book: The book.
+ * - size: (Optional) 'small' for compact lists.
+ */
+
+import React from 'react';
+import styled from '@emotion/styled'; // Emotion for styling components
+import { Progress } from 'antd'; // Ant Design components
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { getCurrentProgress, getProgressPercent, formatProgress } from '../../utils/progress';
+
+const Bar = styled.div`
+  margin: 8px 0;
+
+  small {
+    display: block;
+    opacity: 0.8;
+  }
+`;
+
+/**
+ * ReadingProgressBar Component
+ * @param {Object} props - See above.
+ * @returns {JSX.Element|null}
+ */
+const ReadingProgressBar = ({ book, size = 'default' }) => {
+  const { t } = useTranslation();
+
+  if (book.shelf !== 'currentlyReading') return null;
+
+  const current = getCurrentProgress(book);
+  if (!current) {
+    return (
+      <Bar>
+        <small>{t('progress.none', 'No progress logged yet')}</small>
+      </Bar>
+    );
+  }
+
+  const percent = getProgressPercent(current);
+  return (
+    <Bar>
+      <Progress
+        percent={percent}
+        size={size}
+        status={current.pendingSync ? 'active' : 'normal'} // Animated until the server has it
+        aria-label={t('progress.label', 'Reading progress')}
+      />
+      <small>{formatProgress(t, current)}</small>
+    </Bar>
+  );
+};
+
+export default ReadingProgressBar;
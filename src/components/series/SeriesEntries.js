@@ -0,0 +1,81 @@
+/**
+ * SeriesEntries Component
+ * Purpose: A whole series in reading order, for the series page. Each entry shows its number and whether it is
+ * read, currently being read, elsewhere in the library, or missing from the library.
+ * Props:
+ * - entries: The entries of the series, `[{ position, book }]` (see `getSeriesEntries` in utils/series.js).
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom'; // Client-side links to the book pages
+import styled from '@emotion/styled'; // Emotion for styling components
+import { List, Tag } from 'antd'; // Ant Design components
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import coverPlaceholder from '../../assets/images/cover-placeholder.svg'; // Shown for books without a cover
+
+const Cover = styled.img`
+  width: 48px;
+  height: 72px;
+  object-fit: cover;
+  border-radius: 4px;
+`;
+
+// Entries missing from the library are dimmed
+const MissingEntry = styled.span`
+  opacity: 0.6;
+`;
+
+/**
+ * The status tag of an entry: its reading status (the book's shelf), or missing.
+ * @param {Object|null} book
+ * @param {Function} t - The translation function.
+ * @returns {JSX.Element}
+ */
+const renderStatus = (book, t) => {
+  if (!book) return <Tag>{t('series.missing', 'Missing')}</Tag>;
+  if (book.shelf === 'read') return <Tag color="green">{t('shelves.read', 'Read')}</Tag>;
+  if (book.shelf === 'currentlyReading') return <Tag color="blue">{t('shelves.currentlyReading', 'Currently Reading')}</Tag>;
+  if (book.shelf === 'wantToRead') return <Tag color="gold">{t('shelves.wantToRead', 'Want to Read')}</Tag>;
+  return <Tag color="purple">{t('series.inLibrary', 'In your library')}</Tag>;
+};
+
+/**
+ * SeriesEntries Component
+ * @param {Object[]} entries - The entries of the series.
+ * @returns {JSX.Element}
+ */
+const SeriesEntries = ({ entries }) => {
+  const { t, i18n } = useTranslation(); // `i18n.language` formats positions such as 2.5
+  const formatNumber = new Intl.NumberFormat(i18n.language).format;
+
+  return (
+    <List
+      itemLayout="horizontal"
+      dataSource={entries}
+      rowKey={({ position, book }) => (book ? book.id : `missing-${position}`)}
+      renderItem={({ position, book }) => {
+        const number = position === undefined
+          ? t('series.unnumbered', 'Unnumbered')
+          : t('series.book', { number: formatNumber(position), defaultValue: 'Book {{number}}' });
+        return (
+          <List.Item extra={renderStatus(book, t)}>
+            {book ? (
+              <List.Item.Meta
+                avatar={<Cover src={book.coverImageUrl || coverPlaceholder} alt="" />}
+                title={<Link to={`/books/${book.id}`}>{book.title}</Link>}
+                description={number}
+              />
+            ) : (
+              <List.Item.Meta
+                title={<MissingEntry>{number}</MissingEntry>}
+                description={t('series.notInLibrary', 'Not in your library')}
+              />
+            )}
+          </List.Item>
+        );
+      }}
+    />
+  );
+};
+
+export default SeriesEntries;
@@ -0,0 +1,70 @@
+/**
+ * SeriesNavigation Component
+ * Purpose: Where a book stands in its series, for BookDetails: "Book 3 of 7 in Dune", the series name linking to its
+ * page (`/series/:seriesId`), with links to the previous and next books of the series in the library.
+ * Hooks Used:
+ * - useSeriesBooks: The books of the series, for the length and the neighbours.
+ * Props:
+ * - book: The displayed book; nothing is rendered when it is not part of a series.
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom'; // Client-side links to the series and book pages
+import styled from '@emotion/styled'; // Emotion for styling components
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { useSeriesBooks } from '../../hooks/useBookQueries'; // The books of the series, with their own status
+import { getSeriesId, getSeriesLength, getSeriesNeighbours, isValidSeriesPosition } from '../../utils/series';
+
+const Navigation = styled.div`
+  margin-bottom: 12px;
+
+  nav {
+    display: flex;
+    justify-content: space-between;
+    gap: 12px;
+  }
+`;
+
+/**
+ * SeriesNavigation Component
+ * @param {Object} book - The displayed book.
+ * @returns {JSX.Element|null}
+ */
+const SeriesNavigation = ({ book }) => {
+  const { t, i18n } = useTranslation(); // `i18n.language` formats positions such as 2.5
+  const seriesId = book.series ? getSeriesId(book.series) : '';
+  const { data: seriesBooks } = useSeriesBooks(seriesId || undefined);
+
+  if (!seriesId) return null;
+
+  // Until the series has loaded, the book alone tells its position and possibly the length
+  const books = seriesBooks && seriesBooks.some((item) => item.id === book.id) ? seriesBooks : [book];
+  const length = getSeriesLength(books);
+  const { previous, next } = getSeriesNeighbours(books, book.id);
+  const seriesLink = <Link to={`/series/${encodeURIComponent(seriesId)}`}>{book.series}</Link>;
+
+  let position = null;
+  if (isValidSeriesPosition(book.seriesPosition)) {
+    const number = new Intl.NumberFormat(i18n.language).format(book.seriesPosition);
+    position = length >= book.seriesPosition
+      ? t('series.bookOf', { number, length, defaultValue: 'Book {{number}} of {{length}}' })
+      : t('series.book', { number, defaultValue: 'Book {{number}}' });
+  }
+
+  return (
+    <Navigation>
+      <p>
+        {position ? <>{position} · </> : `${t('series.partOf', 'Part of')} `}
+        {seriesLink}
+      </p>
+      {(previous || next) && (
+        <nav aria-label={t('series.navigation', 'Books of the series')}>
+          <span>{previous && <Link to={`/books/${previous.id}`}>← {previous.title}</Link>}</span>
+          <span>{next && <Link to={`/books/${next.id}`}>{next.title} →</Link>}</span>
+        </nav>
+      )}
+    </Navigation>
+  );
+};
+
+export default SeriesNavigation;
@@ -2,13 +2,14 @@
  * AddBookToShelf.js
  * 
  * This component provides an interface for adding books to a specific shelf.
- * It uses `useShelf` custom hook to manage adding books to the shelf and provides a dropdown or search functionality for book selection.
+ * It uses the `useAddBookToShelf` mutation hook to add books to the shelf and the `useBookListQuery` hook for the dropdown
+ * (with search) of books to choose from, each with a loading and error state of its own.
  * This component is designed with Ant Design for UI elements and utilizes Emotion for styling.
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
-import { useShelf } from '../../hooks/useShelf'; // Custom hook to handle shelf actions
-import { useBook } from '../../hooks/useBook'; // Custom hook to handle book-related actions
+import React, { useState, useCallback } from 'react';
+import { useAddBookToShelf } from '../../hooks/useShelfMutations'; // Add a book, with the status of this form only
+import { useBookListQuery } from '../../hooks/useBookQueries'; // The books to choose from
 import { Select, Button, Spin, Alert } from 'antd'; // Ant Design components for select dropdown, button, spinner, and alerts
 import styled from '@emotion/styled'; // Emotion for styling components
 import { useTranslation } from 'react-i18next'; // Hook for internationalization (i18n)
@@ -17,6 +18,7 @@ import {
   buttonStyles,
   selectFieldStyles,
 } from '../../assets/styles/globalStyles'; // Import global styles for consistent design
+import { getErrorMessage } from '../../utils/errorMessages'; // Error code to localized message
 
 // Destructure Option from Ant Design's Select component
 const { Option } = Select;
@@ -37,16 +39,12 @@ const FormContainer = styled.div`
  * @param {Function} onAddCompleted - A callback function to be called after the book is successfully added to the shelf.
  */
 const AddBookToShelf = ({ shelfId, onAddCompleted }) => {
-  const { addBookToShelf, isLoading, error } = useShelf(); // Extract addBookToShelf function, loading, and error state from useShelf hook
-  const { books, fetchBooks, isLoading: isBooksLoading, error: bookError } = useBook(); // Access book-related functions and state from useBook hook
+  const { mutateAsync: addBookToShelf, isPending: isLoading, error } = useAddBookToShelf(); // Status of this form's additions
+  // Every book, loaded when the component mounts (and cancelled if it unmounts first)
+  const { data: books, isLoading: isBooksLoading, error: bookError } = useBookListQuery();
   const [selectedBookId, setSelectedBookId] = useState(null); // State to track the selected book ID
   const { t } = useTranslation(); // Initialize the translation hook for i18n support
 
-  // Fetch the list of books when the component mounts
-  useEffect(() => {
-    fetchBooks(); // Fetch all available books
-  }, [fetchBooks]);
-
   /**
    * Handle the book selection change.
    * 
@@ -65,7 +63,7 @@ const AddBookToShelf = ({ shelfId, onAddCompleted }) => {
     e.preventDefault(); // Prevent the default form submission behavior
     if (selectedBookId) {
       try {
-        // Call the addBookToShelf function from the shelf context to add the book to the shelf
+        // Call the addBookToShelf mutation to add the book to the shelf
         await addBookToShelf(shelfId, selectedBookId);
         setSelectedBookId(null); // Clear the selected book after successful addition
 
@@ -73,7 +71,7 @@ const AddBookToShelf = ({ shelfId, onAddCompleted }) => {
           onAddCompleted(); // Trigger the callback passed via props once the book is added
         }
       } catch (err) {
-        console.error('Error adding book to shelf:', err); // Log any errors encountered during the addition
+        // Shown above the form through the mutation's `error`; the selection is kept to try again
       }
     }
   }, [selectedBookId, addBookToShelf, shelfId, onAddCompleted]);
@@ -82,7 +80,7 @@ const AddBookToShelf = ({ shelfId, onAddCompleted }) => {
     <FormContainer>
       {/* Display any errors encountered during the book fetching or adding process */}
       {(error || bookError) && (
-        <Alert message={t(error || bookError)} type="error" showIcon />
+        <Alert message={getErrorMessage(t, error || bookError)} type="error" showIcon />
       )}
 
       {/* Display loading spinner while fetching books */}
@@ -100,7 +98,7 @@ const AddBookToShelf = ({ shelfId, onAddCompleted }) => {
             css={selectFieldStyles} // Apply global styles to the select field
           >
             {books.map((book) => (
-              <Option key={book._id} value={book._id}>
+              <Option key={book.id} value={book.id}>
                 {book.title} {/* Display the book title as the option text */}
               </Option>
             ))}
@@ -2,12 +2,12 @@
  * RemoveBookFromShelf.js
  * 
  * This component provides an interface for users to remove books from a specific shelf.
- * It uses the ShelfContext to manage the removal of books and is designed to be used as a button or within a book list.
+ * It uses the useRemoveBookFromShelf mutation hook to remove books and is designed to be used as a button or within a book list.
  * The component supports internationalization using react-i18next and uses Ant Design for UI.
  */
 
 import React, { useCallback } from 'react'; // Import React and hooks
-import { useShelf } from '../../hooks/useShelf'; // Custom hook to access shelf-related logic
+import { useRemoveBookFromShelf } from '../../hooks/useShelfMutations'; // Remove a book, rejecting when it fails
 import { Button, Popconfirm, message } from 'antd'; // Ant Design components for UI
 import { useTranslation } from 'react-i18next'; // Hook for internationalization
 import styled from '@emotion/styled'; // Emotion for CSS-in-JS styling
@@ -32,16 +32,16 @@ const RemoveButton = styled(Button)`
  * @returns {JSX.Element} - A button component to remove a book from the shelf.
  */
 const RemoveBookFromShelf = ({ shelfId, bookId, onRemoveCompleted }) => {
-  const { removeBookFromShelf } = useShelf(); // Access the removeBookFromShelf function from ShelfContext
+  const { mutateAsync: removeBookFromShelf, isPending } = useRemoveBookFromShelf(); // Status of this button's removals
   const { t } = useTranslation(); // Translation hook for internationalization
 
   /**
    * Handles the removal of a book from a shelf.
-   * Calls the removeBookFromShelf function from the context and shows a success message upon completion.
+   * Calls the removeBookFromShelf mutation and shows a success or error message once it settles.
    */
   const handleRemoveBook = useCallback(async () => {
     try {
-      await removeBookFromShelf(shelfId, bookId); // Remove the book using ShelfContext
+      await removeBookFromShelf(shelfId, bookId); // Remove the book (rejects when the removal is reverted)
       message.success(t('removeBook.success')); // Show success message
 
       if (onRemoveCompleted) {
@@ -60,7 +60,7 @@ const RemoveBookFromShelf = ({ shelfId, bookId, onRemoveCompleted }) => {
       okText={t('removeBook.confirm')} // Localized confirm button text
       cancelText={t('removeBook.cancel')} // Localized cancel button text
     >
-      <RemoveButton type="primary" danger>
+      <RemoveButton type="primary" danger loading={isPending}>
         {t('removeBook.buttonLabel')} {/* Localized label for the remove button */}
       </RemoveButton>
     </Popconfirm>
@@ -2,15 +2,20 @@
  * ShelfBooksList.js
  * 
  * This component renders a list of books that are part of a specific shelf.
- * It uses ShelfContext to fetch the books for a given shelf and provides the functionality to remove books directly from the list.
+ * It uses the useShelf hook to fetch the books for a given shelf and provides the functionality to remove books directly from the list.
+ * A selection mode (checkboxes, shift-click ranges, select all) applies bulk actions to several books at once (see BulkActionsBar).
+ * A tag filter narrows the list to the books having all of the chosen tags.
  * Ant Design is used for the UI, while Emotion provides consistent styling.
  * It also supports localization through `react-i18next` for multilingual support.
  */
 
-import React, { useEffect } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { useParams } from 'react-router-dom'; // Hook to get the shelf ID from the URL params
 import { useShelf } from '../../hooks/useShelf'; // Custom hook to access shelf-related data and actions
-import { List, Button, Typography, Spin, Alert } from 'antd'; // Ant Design components for list, buttons, typography, and alerts
+import { useSelection } from '../../hooks/useSelection'; // Selection mode (checkboxes, ranges, select all)
+import BulkActionsBar from '../books/BulkActionsBar'; // Actions on the selected books
+import TagSelect from '../tags/TagSelect'; // Tag filter, with the tags of the library
+import { List, Button, Typography, Spin, Alert, Checkbox } from 'antd'; // Ant Design components for list, buttons, typography, and alerts
 import styled from '@emotion/styled'; // Emotion for CSS-in-JS styling
 import { useTranslation } from 'react-i18next'; // Hook for i18n support (translations)
 import {
@@ -18,6 +23,8 @@ import {
   listItemStyles,
   buttonStyles,
 } from '../../assets/styles/globalStyles'; // Import global styles for consistency
+import { getErrorMessage } from '../../utils/errorMessages'; // Error code to localized message
+import { filterBooks } from '../../utils/bookFilters'; // Same tag filter as the book lists
 
 // Destructure Title from Ant Design's Typography component
 const { Title } = Typography;
@@ -45,18 +52,29 @@ const StyledListItem = styled(List.Item)`
  */
 const ShelfBooksList = () => {
   const { shelfId } = useParams(); // Get the shelfId from the URL params
-  const { getShelfById, removeBookFromShelf, shelves, isLoading, error } = useShelf(); // Get necessary functions and states from the ShelfContext
+  const { getShelfById, removeBookFromShelf, shelves, isLoading, error } = useShelf(); // Get necessary functions and states from useShelf
   const { t } = useTranslation(); // Translation hook for internationalization (i18n)
+  const [tags, setTags] = useState([]); // Tag filter; empty shows every book of the shelf
 
   // Fetch the specific shelf by ID when the component mounts
   useEffect(() => {
-    if (shelfId) {
-      getShelfById(shelfId);
-    }
+    if (!shelfId) return undefined;
+    const controller = new AbortController(); // Cancels the request when the shelfId changes or the component unmounts
+    getShelfById(shelfId, { signal: controller.signal });
+    return () => controller.abort();
   }, [shelfId, getShelfById]);
 
   // Find the specific shelf in the state
-  const shelf = shelves.find((shelf) => shelf._id === shelfId);
+  const shelf = shelves.find((shelf) => shelf.id === shelfId);
+
+  // Books that are loaded (unknown books are IDs until the shelf is refetched) and match the tag filter, in display
+  // order for ranges
+  const shelfBooks = useMemo(
+    () => filterBooks(shelf ? shelf.books.filter((book) => typeof book === 'object') : [], { tags }),
+    [shelf, tags]
+  );
+  const bookIds = useMemo(() => shelfBooks.map((book) => book.id), [shelfBooks]);
+  const selection = useSelection(bookIds);
 
   // Display loading spinner while waiting for the shelf data
   if (isLoading) {
@@ -65,7 +83,7 @@ const ShelfBooksList = () => {
 
   // Display error message if an error occurs while fetching the shelf
   if (error) {
-    return <Alert message={t('shelfBooksList.error', { error })} type="error" showIcon />; // Display localized error message
+    return <Alert message={t('shelfBooksList.error', { error: getErrorMessage(t, error) })} type="error" showIcon />; // Display localized error message
   }
 
   // Display a message if the shelf is not found
@@ -76,7 +94,7 @@ const ShelfBooksList = () => {
   // Handler to remove a book from the shelf
   const handleRemoveBook = async (bookId) => {
     try {
-      await removeBookFromShelf(shelfId, bookId); // Call the removeBookFromShelf function from the ShelfContext
+      await removeBookFromShelf(shelfId, bookId); // Call the removeBookFromShelf action of useShelf
     } catch (err) {
       console.error('Error removing book from shelf:', err); // Log any errors encountered during removal
     }
@@ -87,11 +105,36 @@ const ShelfBooksList = () => {
       {/* Display the title of the section */}
       <Title level={3}>{t('shelfBooksList.title', { shelfName: shelf.name })}</Title> {/* Localized title for the shelf */}
 
+      {/* Selection mode: bulk actions on the selected books */}
+      {selection.isSelecting ? (
+        <BulkActionsBar selection={selection} shelfId={shelfId} />
+      ) : (
+        shelfBooks.length > 0 && (
+          <Button onClick={selection.start}>{t('shelfBooksList.select', 'Select')}</Button>
+        )
+      )}
+
+      {/* Tag filter */}
+      <TagSelect
+        allowNew={false} // Only tags some book has can match
+        style={{ minWidth: 220, margin: '10px 0' }}
+        aria-label={t('shelfBooksList.tags', 'Tags')}
+        value={tags}
+        onChange={setTags}
+      />
+
       {/* List of books on the shelf */}
       <List
-        dataSource={shelf.books} // Use the list of books from the selected shelf
+        dataSource={shelfBooks} // Use the list of books from the selected shelf
+        locale={tags.length > 0 ? { emptyText: t('shelfBooksList.noMatches', 'No books on this shelf have these tags.') } : undefined}
         renderItem={(book) => (
-          <StyledListItem key={book._id}> {/* Each book has a unique key */}
+          <StyledListItem key={book.id}> {/* Each book has a unique key */}
+            {selection.isSelecting && (
+              <Checkbox
+                checked={selection.isSelected(book.id)}
+                onChange={(e) => selection.toggle(book.id, e.nativeEvent)} // Shift-click selects a range
+              />
+            )}
             <div>
               <strong>{book.title}</strong> - {book.author}
             </div>
@@ -99,7 +142,7 @@ const ShelfBooksList = () => {
               type="primary"
               danger
               css={buttonStyles} // Apply global button styles
-              onClick={() => handleRemoveBook(book._id)} // Remove the book from the shelf when the button is clicked
+              onClick={() => handleRemoveBook(book.id)} // Remove the book from the shelf when the button is clicked
             >
               {t('shelfBooksList.removeBook')} {/* Localized button text for removing a book */}
             </Button>
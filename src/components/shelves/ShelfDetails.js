@@ -2,7 +2,7 @@
  * ShelfDetails.js
  * 
  * This component displays detailed information about a specific shelf, including its list of books.
- * It integrates with the ShelfContext to fetch, update, add, or remove books from a shelf.
+ * It integrates with the useShelf hook to fetch, update, add, or remove books from a shelf.
  * Users can also edit the shelf name or add/remove books while viewing the shelf details.
  * The component uses Ant Design for UI and Emotion for consistent styling.
  * Internationalization is handled by react-i18next for multilingual support.
@@ -22,6 +22,7 @@ import {
   titleStyles,
   buttonStyles
 } from '../../assets/styles/globalStyles'; // Import global styles for consistency
+import { getErrorMessage } from '../../utils/errorMessages'; // Error code to localized message
 
 // Destructure Title from Ant Design's Typography component
 const { Title } = Typography;
@@ -53,7 +54,7 @@ const ShelfDetail = () => {
     shelves,
     isLoading,
     error
-  } = useShelf(); // Access shelf-related state and actions from ShelfContext
+  } = useShelf(); // Access shelf-related state and actions from useShelf
   const { t } = useTranslation(); // Initialize translation hook for i18n
   const [isEditing, setIsEditing] = useState(false); // State to control whether the shelf is being edited
   const [isAddBookModalVisible, setIsAddBookModalVisible] = useState(false); // State for controlling add book modal visibility
@@ -61,11 +62,13 @@ const ShelfDetail = () => {
 
   // Fetch the shelf details when the component mounts or shelfId changes
   useEffect(() => {
-    getShelfById(shelfId);
+    const controller = new AbortController(); // Cancels the request when the shelfId changes or the component unmounts
+    getShelfById(shelfId, { signal: controller.signal });
+    return () => controller.abort();
   }, [shelfId, getShelfById]);
 
   // Memoize the shelf data to prevent unnecessary re-renders when shelfId or shelves change
-  const shelf = useMemo(() => shelves.find((shelf) => shelf._id === shelfId), [shelves, shelfId]);
+  const shelf = useMemo(() => shelves.find((shelf) => shelf.id === shelfId), [shelves, shelfId]);
 
   // Handle toggling between edit mode and view mode
   const toggleEditMode = () => {
@@ -100,7 +103,7 @@ const ShelfDetail = () => {
 
   // Display error message if an error occurs while fetching the shelf
   if (error) {
-    return <div css={errorMessageStyles}>{t('shelfDetail.error', { error })}</div>; // Display localized error message
+    return <div css={errorMessageStyles}>{t('shelfDetail.error', { error: getErrorMessage(t, error) })}</div>; // Display localized error message
   }
 
   // Display a message if the shelf is not found
@@ -156,6 +159,7 @@ const ShelfDetail = () => {
           {/* Render the list of books in the shelf */}
           <BookList
             books={shelf.books}
+            shelfId={shelf.id} // Lets the selection mode remove books from this shelf
             onRemoveBook={handleRemoveBook} // Pass the handleRemoveBook function to the BookList component
           />
         </>
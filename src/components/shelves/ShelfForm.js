@@ -3,7 +3,8 @@
  * 
  * This component provides a form for users to create or edit a shelf by entering the shelf name.
  * The component integrates with the `useShelf` hook for managing shelf creation or updating, 
- * and uses `react-i18next` for internationalization (i18n).
+ * and uses `react-i18next` for internationalization (i18n). Validation errors returned by the server are shown on
+ * the shelf name field.
  * Ant Design is used for form components and UI, while Emotion is used for consistent styling.
  */
 
@@ -17,6 +18,8 @@ import {
   buttonStyles,
   inputFieldStyles,
 } from '../../assets/styles/globalStyles'; // Import global styles for consistent UI
+import { applyFieldErrors } from '../../utils/apiError'; // Server validation errors shown on the matching fields
+import { getErrorMessage } from '../../utils/errorMessages'; // Error code to localized message
 
 // Styled form container using Emotion and applying global styles
 const FormContainer = styled(Form)`
@@ -47,6 +50,7 @@ const FormHeader = styled.h2`
 const ShelfForm = ({ onShelfCreated, initialShelfData }) => {
   const { createShelf, updateShelf, error, isLoading } = useShelf(); // Access shelf creation and update logic, loading, and error state
   const [shelfName, setShelfName] = useState(initialShelfData?.name || ''); // Local state to track the shelf name input
+  const [serverErrors, setServerErrors] = useState({}); // Server validation messages by field ('name', 'root.server')
   const { t } = useTranslation(); // Hook to handle translations
 
   // Determine if the form is being used to edit an existing shelf or create a new one
@@ -63,10 +67,11 @@ const ShelfForm = ({ onShelfCreated, initialShelfData }) => {
   const handleSubmit = useCallback(async (e) => {
     e.preventDefault(); // Prevent default form submission behavior
     if (isShelfNameValid) { // Only proceed if the shelf name is valid
+      setServerErrors({}); // Forget the errors of the previous attempt
       try {
         if (isEditing) {
           // Update the existing shelf
-          await updateShelf(initialShelfData._id, { name: shelfName });
+          await updateShelf(initialShelfData.id, { name: shelfName });
         } else {
           // Create a new shelf
           await createShelf(shelfName);
@@ -76,7 +81,11 @@ const ShelfForm = ({ onShelfCreated, initialShelfData }) => {
           onShelfCreated(); // Optionally, execute the callback to handle post-creation or post-update behavior
         }
       } catch (err) {
-        console.error('Error creating/updating shelf:', err); // Log errors for debugging
+        // Invalid fields are marked on the form; other errors are shown from the useShelf error state
+        const showFieldError = (field, { message }) => setServerErrors((prev) => ({ ...prev, [field]: message }));
+        if (!applyFieldErrors(err, showFieldError, ['name'])) {
+          console.error('Error creating/updating shelf:', err); // Log errors for debugging
+        }
       }
     }
   }, [shelfName, isShelfNameValid, createShelf, updateShelf, isEditing, initialShelfData, onShelfCreated]);
@@ -93,19 +102,23 @@ const ShelfForm = ({ onShelfCreated, initialShelfData }) => {
       <FormHeader>{isEditing ? t('shelfForm.editTitle') : t('shelfForm.createTitle')}</FormHeader> {/* Localized form title */}
 
       {/* Display an error message if an error occurs during shelf creation or update */}
-      {error && <Alert message={t(error)} type="error" showIcon />}
+      {error && <Alert message={getErrorMessage(t, error)} type="error" showIcon />}
+      {serverErrors['root.server'] && <Alert message={t(serverErrors['root.server'])} type="error" showIcon />}
 
       {/* Shelf name input field */}
       <Form.Item
         label={t('shelfForm.shelfName')} // Localized label for the input field
         required // Make the field required
-        validateStatus={!isShelfNameValid ? 'error' : 'success'} // Display validation status based on input
-        help={!isShelfNameValid ? t('shelfForm.shelfNameError') : ''} // Provide localized error message if the name is invalid
+        validateStatus={!isShelfNameValid || serverErrors.name ? 'error' : 'success'} // Display validation status based on input
+        help={!isShelfNameValid ? t('shelfForm.shelfNameError') : serverErrors.name ? t(serverErrors.name) : ''} // Localized message if the name is invalid, or the server's one
       >
         <Input
           type="text"
           value={shelfName} // Bind the shelfName state to the input value
-          onChange={(e) => setShelfName(e.target.value)} // Update state on input change
+          onChange={(e) => {
+            setShelfName(e.target.value); // Update state on input change
+            setServerErrors(({ name, ...others }) => others); // The server's verdict was about the previous name
+          }}
           css={inputFieldStyles} // Apply global styles to the input field
           placeholder={t('shelfForm.shelfNamePlaceholder')} // Localized placeholder for the input field
           required // Mark the input field as required
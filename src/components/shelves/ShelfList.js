@@ -20,6 +20,7 @@ import {
   listItemStyles,
   buttonStyles,
 } from '../../assets/styles/globalStyles'; // Import global styles for consistency
+import { getErrorMessage } from '../../utils/errorMessages'; // Error code to localized message
 
 // Destructure Title from Ant Design's Typography component
 const { Title } = Typography;
@@ -67,7 +68,7 @@ const ShelfList = () => {
     return (
       <Alert
         message={t('shelfList.errorTitle')} // Localized error title
-        description={t('shelfList.errorDescription', { error })} // Localized error description
+        description={t('shelfList.errorDescription', { error: getErrorMessage(t, error) })} // Localized error description
         type="error" // Set alert type to error
         showIcon // Show the error icon
         css={errorMessageStyles} // Apply global error message styles
@@ -85,15 +86,15 @@ const ShelfList = () => {
       <List
         dataSource={memoizedShelves} // Use memoized data to avoid unnecessary re-renders
         renderItem={(shelf) => (
-          <StyledListItem key={shelf._id}> {/* Each shelf has a unique key */}
-            <Link to={`/shelf/${shelf._id}`} style={{ color: 'inherit' }}> {/* Link to the shelf's details page */}
+          <StyledListItem key={shelf.id}> {/* Each shelf has a unique key */}
+            <Link to={`/shelf/${shelf.id}`} style={{ color: 'inherit' }}> {/* Link to the shelf's details page */}
               <FolderOutlined style={{ marginRight: 8 }} /> {/* Folder icon for representing shelves */}
               {t('shelfList.shelfName', { name: shelf.name, count: shelf.books.length })} {/* Localized shelf name and book count */}
             </Link>
             {/* Delete button for each shelf */}
             <Popconfirm
               title={t('shelfList.deleteConfirm')} // Localized confirmation message
-              onConfirm={() => deleteShelf(shelf._id)} // Call deleteShelf function on confirmation
+              onConfirm={() => deleteShelf(shelf.id)} // Call deleteShelf function on confirmation
               okText={t('shelfList.confirm')} // Localized confirm text
               cancelText={t('shelfList.cancel')} // Localized cancel text
             >
@@ -17,6 +17,8 @@ import {
   buttonStyles,
   inputFieldStyles,
 } from '../../assets/styles/globalStyles'; // Import global styles for consistent design
+import { applyFieldErrors } from '../../utils/apiError'; // Server validation errors shown on the matching fields
+import { getErrorMessage } from '../../utils/errorMessages'; // Error code to localized message
 
 // Styled container for the form using Emotion and global styles
 const FormContainer = styled(Form)`
@@ -41,19 +43,22 @@ const FormHeader = styled.h2`
 const UpdateShelf = ({ initialShelfData, onUpdateCompleted }) => {
   const { getShelfById, updateShelf, error, isLoading } = useShelf(); // Extract shelf actions from useShelf hook
   const [shelfName, setShelfName] = useState(initialShelfData?.name || ''); // Local state to hold the updated shelf name
+  const [serverErrors, setServerErrors] = useState({}); // Server validation messages by field ('name', 'root.server')
   const { t } = useTranslation(); // Initialize the translation hook for i18n support
 
   useEffect(() => {
+    const controller = new AbortController(); // Cancels the request if the shelf changes or the component unmounts
     const fetchShelfDetails = async () => {
-      if (!initialShelfData?._id) return;
+      if (!initialShelfData?.id) return;
       try {
-        const shelf = await getShelfById(initialShelfData._id);
-        setShelfName(shelf.name);
+        const shelf = await getShelfById(initialShelfData.id, { signal: controller.signal });
+        if (shelf) setShelfName(shelf.name); // Undefined when cancelled
       } catch (err) {
         console.error('Error fetching shelf details:', err);
       }
     };
     fetchShelfDetails();
+    return () => controller.abort();
   }, [initialShelfData, getShelfById]);
 
   // Memoized validation check to ensure shelf name is not empty or invalid
@@ -68,20 +73,25 @@ const UpdateShelf = ({ initialShelfData, onUpdateCompleted }) => {
     async (e) => {
       e.preventDefault(); // Prevent the default form submission behavior
       if (isShelfNameValid) {
+        setServerErrors({}); // Forget the errors of the previous attempt
         try {
           // Call the updateShelf function from the shelf context to update the shelf
-          await updateShelf(initialShelfData._id, { name: shelfName });
+          await updateShelf(initialShelfData.id, { name: shelfName });
           setShelfName(''); // Clear the input field after successful update
 
           if (onUpdateCompleted) {
             onUpdateCompleted(); // Trigger the callback passed via props once the update is complete
           }
         } catch (err) {
-          console.error('Error updating shelf:', err); // Log any errors encountered during the update
+          // Invalid fields are marked on the form; other errors are shown from the useShelf error state
+          const showFieldError = (field, { message }) => setServerErrors((prev) => ({ ...prev, [field]: message }));
+          if (!applyFieldErrors(err, showFieldError, ['name'])) {
+            console.error('Error updating shelf:', err); // Log any errors encountered during the update
+          }
         }
       }
     },
-    [shelfName, isShelfNameValid, updateShelf, initialShelfData._id, onUpdateCompleted]
+    [shelfName, isShelfNameValid, updateShelf, initialShelfData.id, onUpdateCompleted]
   );
 
   return (
@@ -90,19 +100,23 @@ const UpdateShelf = ({ initialShelfData, onUpdateCompleted }) => {
       <FormHeader>{t('shelfUpdateForm.title')}</FormHeader> {/* Localized form header */}
 
       {/* Display any errors encountered during the update process using Ant Design's Alert component */}
-      {error && <Alert message={t(error)} type="error" showIcon />}
+      {error && <Alert message={getErrorMessage(t, error)} type="error" showIcon />}
+      {serverErrors['root.server'] && <Alert message={t(serverErrors['root.server'])} type="error" showIcon />}
 
       {/* Shelf name input field */}
       <Form.Item
         label={t('shelfUpdateForm.shelfName')} // Localized label for the input field
         required // Mark the field as required
-        validateStatus={!isShelfNameValid ? 'error' : 'success'} // Show error state if the shelf name is invalid
-        help={!isShelfNameValid ? t('shelfUpdateForm.shelfNameError') : ''} // Display localized error message for invalid name
+        validateStatus={!isShelfNameValid || serverErrors.name ? 'error' : 'success'} // Show error state if the shelf name is invalid
+        help={!isShelfNameValid ? t('shelfUpdateForm.shelfNameError') : serverErrors.name ? t(serverErrors.name) : ''} // Localized message for an invalid name, or the server's one
       >
         <Input
           type="text"
           value={shelfName}
-          onChange={(e) => setShelfName(e.target.value)} // Update the state as the user types
+          onChange={(e) => {
+            setShelfName(e.target.value); // Update the state as the user types
+            setServerErrors(({ name, ...others }) => others); // The server's verdict was about the previous name
+          }}
           css={inputFieldStyles} // Apply global input field styles
           placeholder={t('shelfUpdateForm.shelfNamePlaceholder')} // Localized placeholder text
           required // Make the input field required
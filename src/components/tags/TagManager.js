@@ -0,0 +1,189 @@
+/**
+ * TagManager Component
+ * Purpose: The tags of the library for the tags page: each tag with the number of books having it, linking to those
+ * books (`/search?tags=<tag>`). A tag can be renamed, and several selected tags merged into one; renaming a tag to
+ * the name of another merges the two.
+ * Hooks Used:
+ * - useRenameTag, useMergeTags: Tag changes, each with its own pending and error state.
+ * Props:
+ * - tags: The tags of the library, `[{ name, count }]`.
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom'; // Client-side links to the books of a tag
+import styled from '@emotion/styled'; // Emotion for styling components
+import { AutoComplete, Button, Empty, Form, Input, Modal, Table, message } from 'antd'; // Ant Design components
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { useRenameTag, useMergeTags } from '../../hooks/useBookMutations'; // Tag changes with their own status
+import { getFieldErrors } from '../../utils/apiError'; // Invalid names are shown next to the field
+import { normalizeTag, isSameTag, MAX_TAG_LENGTH } from '../../utils/tags';
+import ErrorMessage from '../ui/ErrorMessage'; // Other failures, in the dialog
+
+const Toolbar = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin-bottom: 12px;
+`;
+
+/**
+ * The books of a tag.
+ * @param {string} tag
+ * @returns {string}
+ */
+const getTagUrl = (tag) => `/search?tags=${encodeURIComponent(tag)}`;
+
+/**
+ * TagManager Component
+ * @param {Object[]} tags - The tags of the library.
+ * @returns {JSX.Element}
+ */
+const TagManager = ({ tags }) => {
+  const { t } = useTranslation();
+  const renameTag = useRenameTag();
+  const mergeTags = useMergeTags();
+  const [pickedTags, setSelectedTags] = useState([]); // Tags picked for merging
+  const [dialog, setDialog] = useState(null); // `{ type: 'rename' | 'merge', tags }` while a dialog is open
+  const [form] = Form.useForm();
+  const newName = Form.useWatch('name', form); // Renaming to another tag's name merges them, which the dialog tells
+
+  const mutation = dialog && dialog.type === 'merge' ? mergeTags : renameTag;
+  // Picked tags that were renamed or merged since (e.g. in another tab) are no longer selected
+  const selectedTags = pickedTags.filter((name) => tags.some((tag) => tag.name === name));
+
+  /**
+   * Open the rename or merge dialog, with the current name (rename) or the most used tag (merge) as the new name.
+   * @param {string} type - 'rename' or 'merge'.
+   * @param {string[]} dialogTags - The tags the dialog changes.
+   */
+  const openDialog = (type, dialogTags) => {
+    const byCount = tags.filter((tag) => dialogTags.includes(tag.name)).sort((a, b) => b.count - a.count);
+    renameTag.reset();
+    mergeTags.reset();
+    form.setFieldsValue({ name: byCount.length > 0 ? byCount[0].name : dialogTags[0] });
+    setDialog({ type, tags: dialogTags });
+  };
+
+  const closeDialog = () => {
+    setDialog(null);
+    form.resetFields();
+  };
+
+  /**
+   * Rename or merge the tags of the dialog.
+   * @param {Object} values - `{ name }`, the new name.
+   */
+  const handleSubmit = async ({ name }) => {
+    const tagName = normalizeTag(name);
+    try {
+      if (dialog.type === 'merge') {
+        await mergeTags.mutateAsync(dialog.tags, tagName);
+        message.success(t('tagManager.merged', { count: dialog.tags.length, name: tagName, defaultValue: '{{count}} tags merged into "{{name}}".' }));
+        setSelectedTags([]);
+      } else {
+        await renameTag.mutateAsync(dialog.tags[0], tagName);
+        message.success(t('tagManager.renamed', { name: tagName, defaultValue: 'Tag renamed to "{{name}}".' }));
+      }
+      closeDialog();
+    } catch (err) {
+      // The backend names the field it rejected: `name` when renaming, `into` when merging
+      const fieldErrors = getFieldErrors(err);
+      const fieldError = fieldErrors.name || fieldErrors.into;
+      if (fieldError) form.setFields([{ name: 'name', errors: [fieldError] }]);
+    }
+  };
+
+  const columns = [
+    {
+      title: t('tagManager.tag', 'Tag'),
+      dataIndex: 'name',
+      key: 'name',
+      sorter: (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }),
+      render: (name) => <Link to={getTagUrl(name)}>{name}</Link>,
+    },
+    {
+      title: t('tagManager.books', 'Books'),
+      dataIndex: 'count',
+      key: 'count',
+      sorter: (a, b) => a.count - b.count,
+      render: (count, { name }) => (
+        <Link to={getTagUrl(name)}>{t('tagManager.bookCount', { count, defaultValue: '{{count}} book(s)' })}</Link>
+      ),
+    },
+    {
+      key: 'actions',
+      render: (_, { name }) => (
+        <Button size="small" onClick={() => openDialog('rename', [name])}>{t('tagManager.rename', 'Rename')}</Button>
+      ),
+    },
+  ];
+
+  if (tags.length === 0) return <Empty description={t('tagManager.empty', 'No book has tags yet.')} />;
+
+  // The dialog's own error, unless it is about the name field (shown under the field)
+  const dialogError = mutation.error && !Object.keys(getFieldErrors(mutation.error)).length ? mutation.error : null;
+  const mergesIntoOther = dialog && dialog.type === 'rename' && tags.some((tag) => (
+    !isSameTag(tag.name, dialog.tags[0]) && isSameTag(tag.name, newName || '')
+  ));
+
+  return (
+    <>
+      <Toolbar>
+        <Button
+          type="primary"
+          disabled={selectedTags.length < 2}
+          onClick={() => openDialog('merge', selectedTags)}
+        >
+          {t('tagManager.merge', { count: selectedTags.length, defaultValue: 'Merge {{count}} tags' })}
+        </Button>
+        {selectedTags.length < 2 && <span>{t('tagManager.mergeHint', 'Select two or more tags to merge them.')}</span>}
+      </Toolbar>
+
+      <Table
+        rowKey="name"
+        dataSource={tags}
+        columns={columns}
+        pagination={tags.length > 50 ? { pageSize: 50, showSizeChanger: false } : false}
+        rowSelection={{ selectedRowKeys: selectedTags, onChange: setSelectedTags }}
+      />
+
+      <Modal
+        title={dialog && dialog.type === 'merge'
+          ? t('tagManager.mergeTitle', { count: dialog.tags.length, defaultValue: 'Merge {{count}} tags' })
+          : t('tagManager.renameTitle', { name: dialog ? dialog.tags[0] : '', defaultValue: 'Rename "{{name}}"' })}
+        open={Boolean(dialog)}
+        onCancel={closeDialog}
+        onOk={() => form.submit()}
+        okText={dialog && dialog.type === 'merge' ? t('tagManager.mergeOk', 'Merge') : t('tagManager.renameOk', 'Rename')}
+        confirmLoading={mutation.isPending}
+        forceRender // Keeps the form connected while closed
+      >
+        {dialog && dialog.type === 'merge' && (
+          <p>{t('tagManager.mergeDescription', { tags: dialog.tags.join(', '), defaultValue: 'Books tagged {{tags}} get the tag below instead.' })}</p>
+        )}
+        <Form form={form} layout="vertical" onFinish={handleSubmit}>
+          <Form.Item
+            name="name"
+            label={dialog && dialog.type === 'merge' ? t('tagManager.mergeInto', 'Merge into') : t('tagManager.newName', 'New name')}
+            rules={[{ validator: (_, value) => (normalizeTag(value)
+              ? Promise.resolve()
+              : Promise.reject(new Error(t('tagManager.nameRequired', 'Enter a name for the tag.')))) }]}
+            extra={mergesIntoOther
+              ? t('tagManager.renameMerges', 'A tag with this name exists: the two tags will be merged.')
+              : null}
+          >
+            {dialog && dialog.type === 'merge' ? (
+              // One of the merged tags, or a new name
+              <AutoComplete options={dialog.tags.map((tag) => ({ value: tag }))} maxLength={MAX_TAG_LENGTH} />
+            ) : (
+              <Input maxLength={MAX_TAG_LENGTH} />
+            )}
+          </Form.Item>
+        </Form>
+        <ErrorMessage error={dialogError} />
+      </Modal>
+    </>
+  );
+};
+
+export default TagManager;
@@ -0,0 +1,76 @@
+/**
+ * TagSelect Component
+ * Purpose: Multi-select of book tags, suggesting the tags of the library with the number of books having each.
+ * New tags are typed and added with Enter or a comma; a tag typed in another case ('Classic') takes the spelling
+ * already used in the library ('classic'), so the same tag is not created twice.
+ * Hooks Used:
+ * - useTags: The tags of the library, for the suggestions.
+ * Props:
+ * - value: The selected tags.
+ * - onChange: Called with the new tags, cleaned up (see `normalizeTags` in utils/tags.js).
+ * - allowNew: (Optional) Whether tags that are not in the library can be entered (default true); filters turn it off.
+ * - Any other prop is passed to the antd `Select` (placeholder, style, disabled, status...).
+ */
+
+import React, { useMemo } from 'react';
+import styled from '@emotion/styled'; // Emotion for styling components
+import { Select } from 'antd'; // Ant Design components
+import { useTranslation } from 'react-i18next'; // i18n for internationalization support
+import { useTags } from '../../hooks/useBookQueries'; // The tags of the library, with their counts
+import { normalizeTags, isSameTag, MAX_TAG_LENGTH } from '../../utils/tags';
+
+const Option = styled.span`
+  display: flex;
+  justify-content: space-between;
+  gap: 8px;
+
+  small {
+    opacity: 0.6;
+  }
+`;
+
+/**
+ * TagSelect Component
+ * @param {Object} props - See above.
+ * @returns {JSX.Element}
+ */
+const TagSelect = ({ value, onChange, allowNew = true, ...selectProps }) => {
+  const { t } = useTranslation();
+  const { data: tags, isLoading } = useTags();
+
+  const options = useMemo(
+    () => (tags || []).map(({ name, count }) => ({ value: name, label: name, count })),
+    [tags]
+  );
+
+  const handleChange = (nextTags) => {
+    const spelled = nextTags.map((tag) => {
+      const existing = (tags || []).find((item) => isSameTag(item.name, tag));
+      return existing ? existing.name : tag;
+    });
+    onChange(normalizeTags(spelled));
+  };
+
+  return (
+    <Select
+      mode={allowNew ? 'tags' : 'multiple'}
+      tokenSeparators={[',']}
+      allowClear
+      loading={isLoading}
+      maxLength={MAX_TAG_LENGTH}
+      placeholder={allowNew ? t('tags.placeholder', 'Add tags') : t('tags.filterPlaceholder', 'Filter by tags')}
+      {...selectProps}
+      value={value || []}
+      onChange={handleChange}
+      options={options}
+      optionRender={(option) => (
+        <Option>
+          {option.label}
+          {option.data.count !== undefined && <small>{option.data.count}</small>}
+        </Option>
+      )}
+    />
+  );
+};
+
+export default TagSelect;
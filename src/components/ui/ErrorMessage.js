@@ -1,6 +1,7 @@
 /**
  * ErrorMessage Component
  * This component is designed to display localized error messages, leveraging `react-i18next` for translation.
+ * API errors are mapped from their error code to a localized message (see utils/errorMessages.js).
  * If no error message is provided, the component will return `null`, avoiding unnecessary rendering.
  * The visual styling of the error message is handled using Emotion's styled-components.
  */
@@ -9,6 +10,7 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import styled from '@emotion/styled'; // Import styled from Emotion for defining styled components
 import { useTranslation } from 'react-i18next'; // Import useTranslation for localization support
+import { getErrorMessage } from '../../utils/errorMessages'; // Error code to localized message
 
 // Define a styled component for the error message container
 const StyledErrorMessage = styled.div`
@@ -26,12 +28,13 @@ const StyledErrorMessage = styled.div`
  * ErrorMessage functional component
  * 
  * @param {Object} props - Component properties.
- * @param {string} props.message - A key string that corresponds to a specific error message in the i18n translation file.
+ * @param {Error|string} [props.error] - The error to describe (usually an `ApiError` stored by a context).
+ * @param {Error|string} [props.message] - Same as `error`; a string is a key in the i18n translation file.
  * 
- * @returns {JSX.Element|null} - The component renders the translated error message if `message` is provided. 
- *                               If `message` is not provided, it returns `null` and does not render anything.
+ * @returns {JSX.Element|null} - The component renders the translated error message if an error is provided. 
+ *                               Otherwise, it returns `null` and does not render anything.
  */
-const ErrorMessage = ({ message }) => {
+const ErrorMessage = ({ error, message = error }) => {
   // Extract the translation function using the useTranslation hook from react-i18next
   const { t } = useTranslation();
 
@@ -41,14 +44,15 @@ const ErrorMessage = ({ message }) => {
   // Render the error message within the styled container
   return (
     <StyledErrorMessage>
-      <p>{t(message)}</p> {/* Use the translation function to fetch and display the localized message */}
+      <p>{getErrorMessage(t, message)}</p> {/* Localized message for the error code (or the i18n key) */}
     </StyledErrorMessage>
   );
 };
 
 // Define prop types for the component to specify the expected prop type
 ErrorMessage.propTypes = {
-  message: PropTypes.string, // The `message` prop should be a string (specifically a key in the i18n translation files)
+  error: PropTypes.oneOfType([PropTypes.instanceOf(Error), PropTypes.string]), // An error, or an i18n key
+  message: PropTypes.oneOfType([PropTypes.instanceOf(Error), PropTypes.string]), // Same as `error`
 };
 
 // Export the ErrorMessage component for use in other parts of the application
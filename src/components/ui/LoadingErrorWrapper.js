@@ -16,7 +16,7 @@ import ErrorMessage from './ErrorMessage'; // Import the custom ErrorMessage com
  * 
  * @param {Object} props - The props object that contains loading, error, and children components.
  * @param {boolean} props.isLoading - A boolean indicating if loading is in progress.
- * @param {string} props.error - An error message to display if an error has occurred.
+ * @param {Error|string} props.error - The error to display if one has occurred (see ErrorMessage).
  * @param {React.ReactNode} props.children - The children components to render if no loading or error is present.
  * 
  * @returns {JSX.Element} - Returns a loading spinner, error message, or the wrapped component based on the state.
@@ -35,7 +35,7 @@ const LoadingErrorWrapper = ({ isLoading, error, children }) => {
   if (error) {
     return (
       <div style={{ padding: '20px', maxWidth: '600px', margin: '0 auto' }}>
-        <ErrorMessage message={error} /> {/* Display translated error message */}
+        <ErrorMessage error={error} /> {/* Display translated error message */}
         {/* Alternatively, you could use Ant Design's Alert for non-localized errors */}
         {/* <Alert message="Error" description={error} type="error" showIcon /> */}
       </div>
@@ -49,7 +49,7 @@ const LoadingErrorWrapper = ({ isLoading, error, children }) => {
 // Define prop types for the component
 LoadingErrorWrapper.propTypes = {
   isLoading: PropTypes.bool.isRequired, // Whether loading is happening
-  error: PropTypes.string, // An optional error message
+  error: PropTypes.oneOfType([PropTypes.instanceOf(Error), PropTypes.string]), // An optional error
   children: PropTypes.node.isRequired, // The child components to render
 };
 
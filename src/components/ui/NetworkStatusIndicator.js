@@ -0,0 +1,67 @@
+/**
+ * NetworkStatusIndicator.js
+ *
+ * A small connectivity badge for the Header: online, offline, or degraded (the server is slow to answer or failing,
+ * and requests are being retried). The tooltip tells users why their shelves may not be loading.
+ */
+
+import React from 'react';
+import { Badge, Tooltip } from 'antd'; // Ant Design status dot and tooltip
+import { useTranslation } from 'react-i18next'; // For translations
+import styled from '@emotion/styled'; // Emotion for styling components
+import { useOffline } from '../../hooks/useOffline'; // Connectivity state
+import { NETWORK_STATUS } from '../../utils/networkStatus'; // Status values
+
+// Keep the badge text readable on the dark header
+const StatusBadge = styled(Badge)`
+  .ant-badge-status-text {
+    color: rgba(255, 255, 255, 0.85);
+  }
+`;
+
+/**
+ * NetworkStatusIndicator Component
+ *
+ * @returns {JSX.Element} - The status badge with an explanatory tooltip.
+ */
+const NetworkStatusIndicator = () => {
+  const { t } = useTranslation(); // Translation hook
+  const { networkStatus, pendingChanges } = useOffline(); // Connectivity and changes waiting to sync
+
+  // Badge color, label and explanation for each status
+  const statuses = {
+    [NETWORK_STATUS.ONLINE]: {
+      badge: 'success',
+      label: t('networkStatus.online', 'Online'),
+      description: t('networkStatus.onlineDescription', 'Connected to ShelfLife.'),
+    },
+    [NETWORK_STATUS.DEGRADED]: {
+      badge: 'warning',
+      label: t('networkStatus.degraded', 'Connection issues'),
+      description: t(
+        'networkStatus.degradedDescription',
+        'The server is not responding reliably. Requests are being retried; saved data is shown meanwhile.'
+      ),
+    },
+    [NETWORK_STATUS.OFFLINE]: {
+      badge: 'error',
+      label: t('networkStatus.offline', 'Offline'),
+      description: t(
+        'networkStatus.offlineDescription',
+        'You are offline. Saved shelves are shown and your changes will sync when you reconnect.'
+      ),
+    },
+  };
+  const { badge, label, description } = statuses[networkStatus] || statuses[NETWORK_STATUS.ONLINE];
+  const pending = pendingChanges.length > 0
+    ? ` ${t('networkStatus.pending', '{{count}} change(s) waiting to sync.', { count: pendingChanges.length })}`
+    : '';
+
+  return (
+    <Tooltip title={`${description}${pending}`} placement="bottomRight">
+      <StatusBadge status={badge} text={label} aria-live="polite" />
+    </Tooltip>
+  );
+};
+
+export default NetworkStatusIndicator;
@@ -0,0 +1,81 @@
+/**
+ * OfflineBanner.js
+ *
+ * Shows the offline state of the app above the page content:
+ * - While offline: a notice that changes are saved locally, with the number of changes waiting to sync.
+ * - While the outbox is replayed: a syncing notice.
+ * - Conflicts (changes the server rejected on replay): one alert per change, with Retry and Discard actions.
+ * Renders nothing when online with nothing pending.
+ */
+
+import React from 'react';
+import { Alert, Button, Space } from 'antd'; // Ant Design components for the notices and actions
+import { useTranslation } from 'react-i18next'; // For translations
+import styled from '@emotion/styled'; // Emotion for styling components
+import { useOffline } from '../../hooks/useOffline'; // Connectivity and outbox state
+
+// Styled container stacking the notices above the page content
+const BannerContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  margin-bottom: 16px;
+`;
+
+/**
+ * OfflineBanner Component
+ *
+ * @returns {JSX.Element|null} - The offline, syncing and conflict notices, or nothing.
+ */
+const OfflineBanner = () => {
+  const { isOnline, isSyncing, pendingChanges, conflicts, retryConflict, discardConflict } = useOffline();
+  const { t } = useTranslation(); // Hook for translations
+
+  if (isOnline && !isSyncing && pendingChanges.length === 0 && conflicts.length === 0) return null;
+
+  return (
+    <BannerContainer role="status">
+      {!isOnline && (
+        <Alert
+          type="warning"
+          showIcon
+          message={t('offline.title', 'You are offline')}
+          description={t('offline.pending', {
+            count: pendingChanges.length,
+            defaultValue: 'Saved pages stay available. Changes are kept on this device ({{count}} waiting) and will sync when you reconnect.',
+          })}
+        />
+      )}
+
+      {isOnline && isSyncing && pendingChanges.length > 0 && (
+        <Alert
+          type="info"
+          showIcon
+          message={t('offline.syncing', { count: pendingChanges.length, defaultValue: 'Syncing {{count}} offline change(s)...' })}
+        />
+      )}
+
+      {conflicts.map((conflict) => (
+        <Alert
+          key={conflict.id}
+          type="error"
+          showIcon
+          message={t('offline.conflict', { description: conflict.description, defaultValue: '"{{description}}" could not be synced' })}
+          description={conflict.error}
+          action={(
+            <Space direction="vertical">
+              <Button size="small" onClick={() => retryConflict(conflict.id)}>
+                {t('offline.retry', 'Retry')}
+              </Button>
+              <Button size="small" danger onClick={() => discardConflict(conflict.id)}>
+                {t('offline.discard', 'Discard')}
+              </Button>
+            </Space>
+          )}
+        />
+      ))}
+    </BannerContainer>
+  );
+};
+
+export default OfflineBanner;
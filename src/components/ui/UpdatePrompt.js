@@ -0,0 +1,40 @@
+/**
+ * UpdatePrompt.js
+ *
+ * Tells the user that a new build of ShelfLife has been deployed and offers to reload into it.
+ * Shown from index.js, outside the React tree, through Ant Design's notification API; it stays open until the
+ * user reloads or closes it (the new version then activates on the next visit).
+ */
+
+import React from 'react';
+import { Button, notification } from 'antd'; // Ant Design notification and button
+import { applyUpdate } from '../../serviceWorkerRegistration'; // Activates the waiting service worker
+import { translate } from '../../utils/translate'; // Outside the React tree, so no `useTranslation`
+
+const UPDATE_NOTIFICATION_KEY = 'shelflife-update'; // Keeps a single prompt open
+
+/**
+ * Show the "update available" prompt.
+ * @param {ServiceWorkerRegistration} registration - The registration with the waiting service worker.
+ */
+export const showUpdatePrompt = (registration) => {
+  notification.info({
+    key: UPDATE_NOTIFICATION_KEY,
+    message: translate('updatePrompt.title', 'Update available'),
+    description: translate('updatePrompt.description', 'A new version of ShelfLife is ready. Reload to start using it.'),
+    duration: 0, // Stay open until the user acts
+    placement: 'bottomRight',
+    btn: (
+      <Button
+        type="primary"
+        size="small"
+        onClick={() => {
+          notification.destroy(UPDATE_NOTIFICATION_KEY);
+          applyUpdate(registration);
+        }}
+      >
+        {translate('updatePrompt.reload', 'Reload')}
+      </Button>
+    ),
+  });
+};
@@ -0,0 +1,113 @@
+import React, { createContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../hooks/useAuth'; // Hook for accessing authenticated user data
+import { queryCache } from '../utils/queryCache'; // Shared query cache, persisted for offline use
+import { offlineStore } from '../utils/offlineStore'; // IndexedDB storage for queries and the outbox
+import { outbox } from '../utils/outbox'; // Queue of mutations made offline
+import { isNetworkError, syncOutbox } from '../utils/fetcher'; // Network failure detection and outbox replay
+import { networkStatus as connectivity } from '../utils/networkStatus'; // Online, offline or degraded
+
+// Persist every query so the Home, Shelf and Book pages can load from IndexedDB when the server is unreachable
+queryCache.setQueryPersister({
+  read: offlineStore.readQuery,
+  write: offlineStore.writeQuery,
+  clear: offlineStore.clearPersistedQueries,
+  shouldFallBack: isNetworkError,
+});
+
+// Create the OfflineContext to expose connectivity and the state of the outbox
+export const OfflineContext = createContext();
+
+/**
+ * OfflineProvider tracks connectivity, replays the outbox when the connection (or the user) comes back,
+ * and exposes pending changes and conflicts so the UI can show them.
+ */
+export const OfflineProvider = ({ children }) => {
+  const { user } = useAuth(); // Replays need an authenticated user
+  const [isOnline, setIsOnline] = useState(navigator.onLine); // Browser connectivity
+  const [networkStatus, setNetworkStatus] = useState(connectivity.getNetworkStatus()); // 'online', 'offline' or 'degraded'
+  const [entries, setEntries] = useState(outbox.getOutboxEntries()); // Every outbox entry, oldest first
+  const [isSyncing, setIsSyncing] = useState(false); // Whether the outbox is being replayed
+
+  /**
+   * Replay the outbox, then refetch the displayed queries so local (pendingSync) copies get replaced by server data.
+   * @returns {Promise<Object|undefined>} - `{ replayed, conflicts, pending }` counts.
+   */
+  const sync = useCallback(async () => {
+    setIsSyncing(true);
+    try {
+      const result = await syncOutbox();
+      if (result.replayed > 0 || result.conflicts > 0) {
+        queryCache.invalidateQueries({ tags: ['books', 'book', 'shelves'] });
+      }
+      return result;
+    } catch (err) {
+      console.error('Error replaying offline changes:', err);
+    } finally {
+      setIsSyncing(false);
+    }
+  }, []);
+
+  // Mirror the outbox and the connectivity status in state
+  useEffect(() => outbox.subscribeOutbox(setEntries), []);
+  useEffect(() => connectivity.subscribeNetworkStatus(setNetworkStatus), []);
+
+  // Replay what was left in the outbox when the app starts or a user logs in
+  useEffect(() => {
+    if (!user) return;
+    outbox.loadOutbox().then(() => {
+      if (navigator.onLine && outbox.hasPendingMutations()) sync();
+    });
+  }, [user, sync]);
+
+  // Track connectivity and replay as soon as the connection returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      sync();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [sync]);
+
+  /**
+   * Queue a conflicting change again and replay it.
+   * @param {number} id - The outbox entry ID.
+   */
+  const retryConflict = useCallback(async (id) => {
+    await outbox.retryMutation(id);
+    return sync();
+  }, [sync]);
+
+  /**
+   * Give up on a conflicting change and reload the server's version of the data.
+   * @param {number} id - The outbox entry ID.
+   */
+  const discardConflict = useCallback(async (id) => {
+    await outbox.discardMutation(id);
+    queryCache.invalidateQueries({ tags: ['books', 'book', 'shelves'] });
+  }, []);
+
+  // Memoize the context value to avoid unnecessary re-renders
+  const contextValue = useMemo(() => ({
+    isOnline,
+    networkStatus,
+    isSyncing,
+    pendingChanges: entries.filter(entry => entry.status === 'pending'),
+    conflicts: entries.filter(entry => entry.status === 'conflict'),
+    sync,
+    retryConflict,
+    discardConflict,
+  }), [isOnline, networkStatus, isSyncing, entries, sync, retryConflict, discardConflict]);
+
+  return (
+    <OfflineContext.Provider value={contextValue}>
+      {children}
+    </OfflineContext.Provider>
+  );
+};
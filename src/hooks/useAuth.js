@@ -1,21 +1,40 @@
-import { useContext } from 'react';  // Import the useContext hook from React
-import { AuthContext } from '../context/AuthContext';  // Import the AuthContext for accessing the AuthProvider
+import { useMemo } from 'react';
+import { useDispatch, useSelector } from 'react-redux'; // Read and update the store
+import { bindActionCreators } from 'redux';
+import { selectUser, selectProfile, selectSettings, selectIsSessionInitialized } from '../store/auth'; // Session state
+import { selectIsLoading, selectLastError } from '../store/requests'; // Status of the auth requests
+import { authActions, AUTH_REQUESTS } from '../store/authActions'; // Thunks calling the API
+
+// Protected routes wait for the stored session to be checked, and the login and signup forms for their request
+const selectAuthLoading = (state) => (
+  !selectIsSessionInitialized(state) || selectIsLoading(state, [AUTH_REQUESTS.LOGIN, AUTH_REQUESTS.SIGNUP])
+);
+const selectAuthError = (state) => selectLastError(state, 'auth/');
 
 /**
- * Custom hook to provide authentication-related state and actions.
- * 
- * @returns {Object} The authentication context value (user, login, logout, etc.)
- * @throws {Error} If used outside the AuthProvider.
+ * Custom hook to provide authentication-related state and actions, backed by the Redux store (see src/store).
+ *
+ * @returns {Object} `{ user, profile, settings, isLoading, error }` and the auth actions (login, signup, logout,
+ *   fetchUserProfile, updateProfile, updatePassword, requestPasswordReset, resetPassword, fetchUserSettings,
+ *   updateUserSettings, getUserById).
  */
 export const useAuth = () => {
-  // Access the AuthContext, which holds the user, login, logout, and other authentication-related values.
-  const context = useContext(AuthContext);
+  const dispatch = useDispatch();
+  const user = useSelector(selectUser); // The logged-in user, decoded from the access token
+  const profile = useSelector(selectProfile);
+  const settings = useSelector(selectSettings);
+  const isLoading = useSelector(selectAuthLoading);
+  const error = useSelector(selectAuthError); // Error of the last auth request, if it failed (an ApiError)
 
-  // If the hook is used outside the AuthProvider, throw an error to alert the developer.
-  if (!context) {
-    throw new Error('useAuth must be used within an AuthProvider');
-  }
+  // Bound once: the actions keep their identity, so they are safe in effect dependencies
+  const actions = useMemo(() => bindActionCreators(authActions, dispatch), [dispatch]);
 
-  // Return the context value so it can be accessed by components.
-  return context;
-};
\ No newline at end of file
+  return useMemo(() => ({
+    user,
+    profile,
+    settings,
+    isLoading,
+    error,
+    ...actions,
+  }), [user, profile, settings, isLoading, error, actions]);
+};
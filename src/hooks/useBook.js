@@ -1,21 +1,60 @@
-import { useContext } from 'react';  // Import the useContext hook from React
-import { BookContext } from '../context/BookContext';  // Import the BookContext for accessing the BookProvider
+import { useMemo } from 'react';
+import { useDispatch, useSelector } from 'react-redux'; // Read and update the store
+import { bindActionCreators } from 'redux';
+import { selectBooks, selectBook, selectSearchResults } from '../store/books'; // Normalized books
+import { selectIsLoading, selectLastError, withoutRejection } from '../store/requests'; // Status of the book requests
+import { bookActions, subscribeBooksPage, BOOK_REQUESTS } from '../store/bookActions'; // Thunks calling the API
+
+// Requests shown by the shared `isLoading` flag (reviews and shelf moves never blocked the page)
+const LOADING_REQUESTS = [
+  BOOK_REQUESTS.LIST,
+  BOOK_REQUESTS.DETAIL,
+  BOOK_REQUESTS.SEARCH,
+  BOOK_REQUESTS.SAVE,
+  BOOK_REQUESTS.DELETE,
+];
+
+const selectBooksLoading = (state) => selectIsLoading(state, LOADING_REQUESTS);
+const selectBooksError = (state) => selectLastError(state, 'books/');
+
+// These report failures through `error` only and resolve with undefined; the mutation hooks
+// (hooks/useBookMutations.js) reject instead, for components that show the error where it happened
+const facadeActions = {
+  ...bookActions,
+  updateBookShelf: withoutRejection(bookActions.updateBookShelf),
+  deleteBook: withoutRejection(bookActions.deleteBook),
+  addReview: withoutRejection(bookActions.addReview),
+  updateBooks: withoutRejection(bookActions.updateBooks),
+  deleteBooks: withoutRejection(bookActions.deleteBooks),
+};
 
 /**
- * Custom hook to provide book-related state and actions.
- * 
- * @returns {Object} The book context value (books, updateBookShelf, etc.)
- * @throws {Error} If used outside the BookProvider.
+ * Custom hook to provide book-related state and actions, backed by the Redux store (see src/store).
+ * Components that only need one value can use `useSelector` with the selectors of store/books.js instead,
+ * and re-render only when that value changes; components that need the status of their own request use the
+ * query and mutation hooks (hooks/useBookQueries.js, hooks/useBookMutations.js).
+ *
+ * @returns {Object} `{ books, book, searchResults, isLoading, error }` and the book actions
+ *   (fetchBooks, getBookById, getBooksByShelf, fetchBooksPage, subscribeBooksPage, updateBookShelf, addBook,
+ *   updateBook, deleteBook, updateBooks, deleteBooks, searchBooks, addReview).
  */
 export const useBook = () => {
-  // Access the BookContext, which holds the books and book-related actions.
-  const context = useContext(BookContext);
+  const dispatch = useDispatch();
+  const books = useSelector(selectBooks); // The displayed list (all books or a shelf)
+  const book = useSelector(selectBook); // The displayed book
+  const searchResults = useSelector(selectSearchResults); // Results of the current search
+  const isLoading = useSelector(selectBooksLoading);
+  const error = useSelector(selectBooksError); // Error of the last book request, if it failed (an ApiError)
 
-  // If the hook is used outside the BookProvider, throw an error to alert the developer.
-  if (!context) {
-    throw new Error('useBook must be used within a BookProvider');
-  }
+  // Bound once: the actions keep their identity, so they are safe in effect dependencies
+  const actions = useMemo(() => ({ ...bindActionCreators(facadeActions, dispatch), subscribeBooksPage }), [dispatch]);
 
-  // Return the context value so it can be accessed by components.
-  return context;
-};
\ No newline at end of file
+  return useMemo(() => ({
+    books,
+    book,
+    searchResults,
+    isLoading,
+    error,
+    ...actions,
+  }), [books, book, searchResults, isLoading, error, actions]);
+};
@@ -0,0 +1,52 @@
+import { useActionMutation } from './useMutation'; // Per-component status of a store thunk
+import {
+  addBook,
+  updateBook,
+  deleteBook,
+  updateBookShelf,
+  addReview,
+  updateBooks,
+  deleteBooks,
+  uploadCover,
+  logProgress,
+} from '../store/bookActions';
+import { renameTag, mergeTags } from '../store/tagActions';
+
+/**
+ * Book mutations with their own pending, error and result state (see useMutation). Unlike the actions of
+ * `useBook`, a failure is reported to the component that asked for the change, not through the shared `error`.
+ * Each returns `{ status, data, error, isPending, isSuccess, isError, mutate, mutateAsync, reset }`.
+ */
+
+// mutate(bookData)
+export const useAddBook = () => useActionMutation(addBook);
+
+// mutate(bookId, bookData)
+export const useUpdateBook = () => useActionMutation(updateBook);
+
+// mutate(bookId)
+export const useDeleteBook = () => useActionMutation(deleteBook);
+
+// mutate(bookId, newShelfId)
+export const useMoveBook = () => useActionMutation(updateBookShelf);
+
+// mutate(bookId, { rating, comment })
+export const useAddReview = () => useActionMutation(addReview);
+
+// mutate(bookIds, { shelf, genre, addTags, removeTags })
+export const useUpdateBooks = () => useActionMutation(updateBooks);
+
+// mutate(bookIds)
+export const useDeleteBooks = () => useActionMutation(deleteBooks);
+
+// mutate(image), resolves with the URL of the stored image
+export const useUploadCover = () => useActionMutation(uploadCover);
+
+// mutate(bookId, { unit, value, total })
+export const useLogProgress = () => useActionMutation(logProgress);
+
+// mutate(name, newName), resolves with the tags of the library
+export const useRenameTag = () => useActionMutation(renameTag);
+
+// mutate(tags, into), resolves with the tags of the library
+export const useMergeTags = () => useActionMutation(mergeTags);
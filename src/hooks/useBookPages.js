@@ -0,0 +1,117 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useBook } from './useBook'; // Access the paginated fetching of the book actions
+import { isAbortError } from '../utils/abort'; // Cancelled requests are expected, not errors
+import { toBookListParams } from '../utils/bookFilters'; // Sort and filters identify the list
+
+/**
+ * Custom hook for server-driven pagination of books (all books, one shelf, or search results).
+ *
+ * Two modes:
+ * - 'pagination': one page at a time, selected with `goToPage` (for the Pagination component).
+ * - 'infinite': pages accumulate; `loadMore` fetches the next one (for infinite scrolling).
+ *
+ * Pages go through the shared query cache, so revisiting a page is instant and mutations elsewhere
+ * (shelf moves, edits, deletions) show up in the loaded pages.
+ *
+ * @param {Object} options
+ * @param {string} [options.shelfId] - Only books on this shelf.
+ * @param {string} [options.searchQuery] - Only books matching this query.
+ * @param {string} [options.sort] - Sort order, e.g. '-publishedDate' (see utils/bookFilters.js).
+ * @param {Object} [options.filters] - `{ format, language, publisher, tags }`.
+ * @param {number} [options.pageSize=20] - Books per page.
+ * @param {string} [options.mode='pagination'] - 'pagination' or 'infinite'.
+ * @param {boolean} [options.enabled=true] - Set to false to skip fetching (e.g. when the books are passed in).
+ * @returns {Object} - `{ books, total, page, hasMore, isLoading, error, goToPage, loadMore }`.
+ */
+export const useBookPages = ({
+  shelfId, searchQuery, sort, filters, pageSize = 20, mode = 'pagination', enabled = true,
+} = {}) => {
+  const { fetchBooksPage, subscribeBooksPage } = useBook();
+  const [pages, setPages] = useState({}); // page number -> `{ items, total, hasMore }`
+  const [page, setPage] = useState(1); // Current page (pagination) or last requested page (infinite)
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start over whenever the list itself changes. Done during render (not in an effect) so the fetch below
+  // never requests the previous list's page number for the new list.
+  const listParams = JSON.stringify(toBookListParams({ sort, filters })); // Stable across renders, unlike `filters`
+  const listId = [shelfId, searchQuery, pageSize, mode, listParams].join('|');
+  const [currentListId, setCurrentListId] = useState(listId);
+  if (currentListId !== listId) {
+    setCurrentListId(listId);
+    setPages({});
+    setPage(1);
+    setError(null);
+  }
+
+  // Fetch the requested page; leaving the page or the list (or unmounting) cancels the request
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const controller = new AbortController();
+
+    const { sort: listSort, ...listFilters } = JSON.parse(listParams);
+
+    setIsLoading(true);
+    fetchBooksPage({
+      shelfId, query: searchQuery, sort: listSort, filters: listFilters, page, pageSize, signal: controller.signal,
+    })
+      .then((data) => {
+        if (controller.signal.aborted) return; // Served from the cache just as the list changed
+        setPages((prevPages) => ({ ...prevPages, [page]: data }));
+        setIsLoading(false);
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return; // The next request (if any) owns the loading state
+        console.error('Error fetching books page:', err);
+        setError(err);
+        setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [enabled, fetchBooksPage, shelfId, searchQuery, listParams, page, pageSize]);
+
+  // Keep loaded pages in sync with the cache
+  const loadedPages = Object.keys(pages).join(',');
+  useEffect(() => {
+    if (!loadedPages) return undefined;
+    const { sort: listSort, ...listFilters } = JSON.parse(listParams);
+    const unsubscribers = loadedPages.split(',').map((loadedPage) => subscribeBooksPage(
+      { shelfId, query: searchQuery, sort: listSort, filters: listFilters, page: Number(loadedPage), pageSize },
+      (data) => setPages((prevPages) => ({ ...prevPages, [loadedPage]: data }))
+    ));
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [loadedPages, subscribeBooksPage, shelfId, searchQuery, listParams, pageSize]);
+
+  // Books to display: the current page, or every page loaded so far (without duplicates when pages shifted)
+  const books = useMemo(() => {
+    if (mode !== 'infinite') return pages[page] ? pages[page].items : [];
+    const seen = new Set();
+    return Object.keys(pages)
+      .sort((a, b) => a - b)
+      .flatMap((loadedPage) => pages[loadedPage].items)
+      .filter((item) => {
+        if (seen.has(item.id)) return false;
+        seen.add(item.id);
+        return true;
+      });
+  }, [pages, page, mode]);
+
+  const knownPage = pages[page] || Object.values(pages)[0]; // While a page loads, any loaded page still knows the total
+  const total = knownPage ? knownPage.total : 0;
+  const hasMore = Boolean(pages[page] && pages[page].hasMore);
+
+  /**
+   * Show a given page (pagination mode).
+   * @param {number} nextPage - The page number (1-based).
+   */
+  const goToPage = useCallback((nextPage) => setPage(nextPage), []);
+
+  /**
+   * Fetch the next page (infinite mode). Does nothing while a page is loading or when there is no next page.
+   */
+  const loadMore = useCallback(() => {
+    if (!isLoading && hasMore) setPage((prevPage) => prevPage + 1);
+  }, [isLoading, hasMore]);
+
+  return { books, total, page, hasMore, isLoading, error, goToPage, loadMore };
+};
@@ -0,0 +1,120 @@
+import { useCallback, useMemo } from 'react';
+import { useDispatch } from 'react-redux';
+import { useStoreQuery } from './useStoreQuery'; // Per-component status, data from the store
+import { selectBookById, makeSelectQueryBooks } from '../store/books'; // Normalized books
+import {
+  loadBook,
+  loadBooks,
+  loadSearchResults,
+  loadAuthorBooks,
+  loadSeriesBooks,
+  getBookQueryKey,
+  getBookListQuery,
+  getSearchQueryKey,
+  getAuthorBooksQueryKey,
+  getSeriesBooksQueryKey,
+} from '../store/bookActions'; // Reads that do not change what `useBook` displays
+import { loadTags } from '../store/tagActions';
+import { selectTags, TAGS_QUERY_KEY } from '../store/tags';
+
+/**
+ * Custom hook loading one book, with its own pending and error state.
+ * A copy of the book already loaded by a list is shown while the book itself loads.
+ *
+ * @param {string} [bookId] - The ID of the book; nothing is loaded without one.
+ * @param {Object} [options] - `{ enabled }`.
+ * @returns {Object} - `{ data: book|null, status, error, isPending, isLoading, isError, refetch }` (see useStoreQuery).
+ */
+export const useBookQuery = (bookId, { enabled = true } = {}) => {
+  const dispatch = useDispatch();
+  const select = useCallback((state) => (bookId ? selectBookById(state, bookId) : null), [bookId]);
+  const load = useCallback((signal) => dispatch(loadBook(bookId, { signal })), [dispatch, bookId]);
+
+  return useStoreQuery({ key: bookId ? getBookQueryKey(bookId) : null, load, select, enabled });
+};
+
+/**
+ * Custom hook loading a book list (every book, or the books of one shelf), with its own pending and error state.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.shelfId] - Only the books of this shelf.
+ * @param {boolean} [options.enabled=true] - Set to false to skip loading.
+ * @returns {Object} - `{ data: books, status, error, isPending, isLoading, isError, refetch }` (see useStoreQuery).
+ */
+export const useBookListQuery = ({ shelfId, enabled = true } = {}) => {
+  const dispatch = useDispatch();
+  const { key } = getBookListQuery({ shelfId });
+  const selectQueryBooks = useMemo(makeSelectQueryBooks, []);
+  const select = useCallback((state) => selectQueryBooks(state, key), [selectQueryBooks, key]);
+  const load = useCallback((signal) => dispatch(loadBooks({ shelfId }, { signal })), [dispatch, shelfId]);
+
+  return useStoreQuery({ key, load, select, enabled });
+};
+
+/**
+ * Custom hook searching books by title or author, with its own pending and error state. A new query cancels the
+ * search still in flight; an empty query shows no results.
+ *
+ * @param {string} query - The search query.
+ * @returns {Object} - `{ data: books, status, error, isPending, isLoading, isError, refetch }` (see useStoreQuery).
+ */
+export const useBookSearch = (query) => {
+  const dispatch = useDispatch();
+  const trimmedQuery = (query || '').trim();
+  const key = trimmedQuery ? getSearchQueryKey(trimmedQuery) : null;
+  const selectQueryBooks = useMemo(makeSelectQueryBooks, []);
+  const select = useCallback((state) => selectQueryBooks(state, key), [selectQueryBooks, key]);
+  const load = useCallback(
+    (signal) => dispatch(loadSearchResults(trimmedQuery, { signal })),
+    [dispatch, trimmedQuery]
+  );
+
+  return useStoreQuery({ key, load, select });
+};
+
+/**
+ * Custom hook loading every book of a person (as author, translator, illustrator or narrator), with its own
+ * pending and error state.
+ *
+ * @param {string} [authorId] - The ID of the person (see utils/authors.js); nothing is loaded without one.
+ * @returns {Object} - `{ data: books, status, error, isPending, isLoading, isError, refetch }` (see useStoreQuery).
+ */
+export const useAuthorBooks = (authorId) => {
+  const dispatch = useDispatch();
+  const key = authorId ? getAuthorBooksQueryKey(authorId) : null;
+  const selectQueryBooks = useMemo(makeSelectQueryBooks, []);
+  const select = useCallback((state) => selectQueryBooks(state, key), [selectQueryBooks, key]);
+  const load = useCallback((signal) => dispatch(loadAuthorBooks(authorId, { signal })), [dispatch, authorId]);
+
+  return useStoreQuery({ key, load, select });
+};
+
+/**
+ * Custom hook loading the books of a series in the library, with its own pending and error state.
+ *
+ * @param {string} [seriesId] - The ID of the series (see utils/series.js); nothing is loaded without one.
+ * @returns {Object} - `{ data: books, status, error, isPending, isLoading, isError, refetch }` (see useStoreQuery).
+ */
+export const useSeriesBooks = (seriesId) => {
+  const dispatch = useDispatch();
+  const key = seriesId ? getSeriesBooksQueryKey(seriesId) : null;
+  const selectQueryBooks = useMemo(makeSelectQueryBooks, []);
+  const select = useCallback((state) => selectQueryBooks(state, key), [selectQueryBooks, key]);
+  const load = useCallback((signal) => dispatch(loadSeriesBooks(seriesId, { signal })), [dispatch, seriesId]);
+
+  return useStoreQuery({ key, load, select });
+};
+
+/**
+ * Custom hook loading the tags of the library with the number of books having each, with its own pending and
+ * error state. Used by the tag pickers and filters, and by the tags page.
+ *
+ * @returns {Object} - `{ data: [{ name, count }]|null, status, error, isPending, isLoading, isError, refetch }`
+ *   (see useStoreQuery).
+ */
+export const useTags = () => {
+  const dispatch = useDispatch();
+  const load = useCallback((signal) => dispatch(loadTags({ signal })), [dispatch]);
+
+  return useStoreQuery({ key: TAGS_QUERY_KEY, load, select: selectTags });
+};
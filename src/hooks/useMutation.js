@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useDispatch } from 'react-redux';
+import { REQUEST_STATUS } from '../store/requests'; // Same statuses as the store's named requests
+
+const IDLE_STATE = { status: REQUEST_STATUS.IDLE, data: undefined, error: null };
+
+/**
+ * Custom hook running a mutation for the calling component, with a status of its own: two components saving at
+ * the same time (e.g. a review form and a shelf menu) each see only their own pending state and error.
+ *
+ * @param {Function} mutationFn - Receives the arguments of `mutate` and returns a promise; memoize it (`useCallback`).
+ * @returns {Object} - `{ status, data, error, isPending, isSuccess, isError, mutate, mutateAsync, reset }`.
+ *   `mutate` never rejects (it resolves with undefined on failure, read `error`); `mutateAsync` rejects with the error,
+ *   for callers that handle it themselves (e.g. forms mapping field errors).
+ */
+export const useMutation = (mutationFn) => {
+  const [state, setState] = useState(IDLE_STATE);
+  const isMounted = useRef(true);
+  const latestCall = useRef(0); // Only the latest call settles the status
+
+  useEffect(() => {
+    isMounted.current = true;
+    return () => {
+      isMounted.current = false;
+    };
+  }, []);
+
+  const mutateAsync = useCallback(async (...args) => {
+    latestCall.current += 1;
+    const call = latestCall.current;
+    const settle = (nextState) => {
+      if (isMounted.current && call === latestCall.current) setState(nextState);
+    };
+
+    setState({ status: REQUEST_STATUS.PENDING, data: undefined, error: null });
+    try {
+      const data = await mutationFn(...args);
+      settle({ status: REQUEST_STATUS.SUCCEEDED, data, error: null });
+      return data;
+    } catch (error) {
+      settle({ status: REQUEST_STATUS.FAILED, data: undefined, error });
+      throw error;
+    }
+  }, [mutationFn]);
+
+  const mutate = useCallback((...args) => mutateAsync(...args).catch(() => undefined), [mutateAsync]);
+
+  // Back to idle, e.g. when the user dismisses the error
+  const reset = useCallback(() => {
+    latestCall.current += 1; // A call still in flight no longer settles the status
+    setState(IDLE_STATE);
+  }, []);
+
+  return useMemo(() => ({
+    ...state,
+    isPending: state.status === REQUEST_STATUS.PENDING,
+    isSuccess: state.status === REQUEST_STATUS.SUCCEEDED,
+    isError: state.status === REQUEST_STATUS.FAILED,
+    mutate,
+    mutateAsync,
+    reset,
+  }), [state, mutate, mutateAsync, reset]);
+};
+
+/**
+ * `useMutation` for a thunk action creator of the store (see store/bookActions.js, store/shelfActions.js).
+ * @param {Function} actionCreator - Receives the arguments of `mutate` and returns a thunk.
+ * @returns {Object} - See `useMutation`.
+ */
+export const useActionMutation = (actionCreator) => {
+  const dispatch = useDispatch();
+  const mutationFn = useCallback((...args) => dispatch(actionCreator(...args)), [dispatch, actionCreator]);
+  return useMutation(mutationFn);
+};
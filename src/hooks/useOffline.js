@@ -0,0 +1,21 @@
+import { useContext } from 'react';  // Import the useContext hook from React
+import { OfflineContext } from '../context/OfflineContext';  // Import the OfflineContext for accessing the OfflineProvider
+
+/**
+ * Custom hook to provide connectivity and offline sync state.
+ *
+ * @returns {Object} The offline context value (isOnline, networkStatus, pendingChanges, conflicts, retryConflict, etc.)
+ * @throws {Error} If used outside the OfflineProvider.
+ */
+export const useOffline = () => {
+  // Access the OfflineContext, which holds connectivity and the outbox state.
+  const context = useContext(OfflineContext);
+
+  // If the hook is used outside the OfflineProvider, throw an error to alert the developer.
+  if (!context) {
+    throw new Error('useOffline must be used within an OfflineProvider');
+  }
+
+  // Return the context value so it can be accessed by components.
+  return context;
+};
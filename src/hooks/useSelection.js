@@ -0,0 +1,67 @@
+import { useState, useCallback, useRef, useMemo } from 'react';
+import {
+  toggleSelection,
+  addToSelection,
+  removeFromSelection,
+  isEverySelected,
+} from '../utils/selection'; // Pure selection logic (toggle, shift-click ranges, select all)
+
+/**
+ * Custom hook for the selection mode of a list of books (checkboxes, shift-click ranges, "select all on page").
+ * The selection survives page changes, so books of several pages can be changed at once.
+ *
+ * @param {string[]} pageIds - The IDs of the displayed items, in display order.
+ * @returns {Object} - `{ isSelecting, selectedIds, isSelected, isPageSelected, toggle, togglePage, clear, start, stop }`.
+ */
+export const useSelection = (pageIds) => {
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const anchorId = useRef(null); // The item clicked last, where a shift-click range starts
+
+  /**
+   * Click on an item's checkbox.
+   * @param {string} id - The item.
+   * @param {Object} [event] - The click event; with the Shift key held, the range from the last clicked item is selected.
+   */
+  const toggle = useCallback((id, event) => {
+    const range = Boolean(event && event.shiftKey);
+    setSelectedIds((prevIds) => toggleSelection(prevIds, pageIds, id, { anchorId: anchorId.current, range }));
+    anchorId.current = id;
+  }, [pageIds]);
+
+  const isPageSelected = isEverySelected(selectedIds, pageIds);
+
+  // Select every item of the page, or deselect them when they all are
+  const togglePage = useCallback(() => {
+    setSelectedIds((prevIds) => (
+      isEverySelected(prevIds, pageIds) ? removeFromSelection(prevIds, pageIds) : addToSelection(prevIds, pageIds)
+    ));
+  }, [pageIds]);
+
+  const clear = useCallback(() => {
+    setSelectedIds([]);
+    anchorId.current = null;
+  }, []);
+
+  const start = useCallback(() => setIsSelecting(true), []);
+
+  // Leave the selection mode, forgetting the selection
+  const stop = useCallback(() => {
+    setIsSelecting(false);
+    clear();
+  }, [clear]);
+
+  const isSelected = useCallback((id) => selectedIds.includes(id), [selectedIds]);
+
+  return useMemo(() => ({
+    isSelecting,
+    selectedIds,
+    isSelected,
+    isPageSelected,
+    toggle,
+    togglePage,
+    clear,
+    start,
+    stop,
+  }), [isSelecting, selectedIds, isSelected, isPageSelected, toggle, togglePage, clear, start, stop]);
+};
@@ -1,21 +1,40 @@
-import { useContext } from 'react';  // Import the useContext hook from React
-import { ShelfContext } from '../context/ShelfContext';  // Import the ShelfContext for accessing the ShelfProvider
+import { useMemo } from 'react';
+import { useDispatch, useSelector } from 'react-redux'; // Read and update the store
+import { bindActionCreators } from 'redux';
+import { selectShelves } from '../store/shelves'; // Normalized shelves
+import { selectIsLoading, selectLastError, withoutRejection } from '../store/requests'; // Status of the shelf requests
+import { shelfActions, SHELF_REQUESTS } from '../store/shelfActions'; // Thunks calling the API
+
+const selectShelvesLoading = (state) => selectIsLoading(state, [SHELF_REQUESTS.LIST]);
+const selectShelvesError = (state) => selectLastError(state, 'shelves/');
+
+// These report failures through `error` only and resolve with undefined (see hooks/useShelfMutations.js for
+// rejecting versions); createShelf and updateShelf reject, for the forms
+const facadeActions = {
+  ...shelfActions,
+  deleteShelf: withoutRejection(shelfActions.deleteShelf),
+  addBookToShelf: withoutRejection(shelfActions.addBookToShelf),
+  removeBookFromShelf: withoutRejection(shelfActions.removeBookFromShelf),
+  addBooksToShelves: withoutRejection(shelfActions.addBooksToShelves),
+  removeBooksFromShelves: withoutRejection(shelfActions.removeBooksFromShelves),
+};
 
 /**
- * Custom hook to provide shelf-related state and actions.
- * 
- * @returns {Object} The shelf context value (shelves, createShelf, updateShelf, etc.)
- * @throws {Error} If used outside the ShelfProvider.
+ * Custom hook to provide shelf-related state and actions, backed by the Redux store (see src/store).
+ * The user's shelves are fetched by the store whenever the user changes.
+ *
+ * @returns {Object} `{ shelves, isLoading, error }` and the shelf actions
+ *   (createShelf, updateShelf, deleteShelf, addBookToShelf, removeBookFromShelf, addBooksToShelves,
+ *   removeBooksFromShelves, getShelfById).
  */
 export const useShelf = () => {
-  // Access the ShelfContext, which holds the shelves and shelf-related actions.
-  const context = useContext(ShelfContext);
+  const dispatch = useDispatch();
+  const shelves = useSelector(selectShelves); // The user's shelves, with their books
+  const isLoading = useSelector(selectShelvesLoading);
+  const error = useSelector(selectShelvesError); // Error of the last shelf request, if it failed (an ApiError)
 
-  // If the hook is used outside the ShelfProvider, throw an error to alert the developer.
-  if (!context) {
-    throw new Error('useShelf must be used within a ShelfProvider');
-  }
+  // Bound once: the actions keep their identity, so they are safe in effect dependencies
+  const actions = useMemo(() => bindActionCreators(facadeActions, dispatch), [dispatch]);
 
-  // Return the context value so it can be accessed by components.
-  return context;
-};
\ No newline at end of file
+  return useMemo(() => ({ shelves, isLoading, error, ...actions }), [shelves, isLoading, error, actions]);
+};
@@ -0,0 +1,37 @@
+import { useActionMutation } from './useMutation'; // Per-component status of a store thunk
+import {
+  createShelf,
+  updateShelf,
+  deleteShelf,
+  addBookToShelf,
+  removeBookFromShelf,
+  addBooksToShelves,
+  removeBooksFromShelves,
+} from '../store/shelfActions';
+
+/**
+ * Shelf mutations with their own pending, error and result state (see useMutation). Unlike the actions of
+ * `useShelf`, a failure is reported to the component that asked for the change, not through the shared `error`.
+ * Each returns `{ status, data, error, isPending, isSuccess, isError, mutate, mutateAsync, reset }`.
+ */
+
+// mutate(shelfName)
+export const useCreateShelf = () => useActionMutation(createShelf);
+
+// mutate(shelfId, updateData)
+export const useUpdateShelf = () => useActionMutation(updateShelf);
+
+// mutate(shelfId)
+export const useDeleteShelf = () => useActionMutation(deleteShelf);
+
+// mutate(shelfId, bookId)
+export const useAddBookToShelf = () => useActionMutation(addBookToShelf);
+
+// mutate(shelfId, bookId)
+export const useRemoveBookFromShelf = () => useActionMutation(removeBookFromShelf);
+
+// mutate(shelfIds, bookIds)
+export const useAddBooksToShelves = () => useActionMutation(addBooksToShelves);
+
+// mutate(shelfIds, bookIds)
+export const useRemoveBooksFromShelves = () => useActionMutation(removeBooksFromShelves);
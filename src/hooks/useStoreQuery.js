@@ -0,0 +1,79 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { useSelector } from 'react-redux'; // The data comes from the normalized store
+import { REQUEST_STATUS } from '../store/requests'; // Same statuses as the store's named requests
+import { watchQuery } from '../store/sync'; // Displayed queries are refetched when invalidated
+import { isAbortError, startLatestRequest } from '../utils/abort'; // Cancel superseded and unmounted requests
+
+const IDLE_STATE = { status: REQUEST_STATUS.IDLE, error: null };
+
+/**
+ * Custom hook loading one query for the calling component, with a status of its own: a failed or slow request
+ * here does not show up in other components, and theirs do not show up here.
+ *
+ * The data itself is read from the store, so it stays in sync with every other copy of the same books (edits,
+ * realtime events, other tabs). While mounted the query stays watched, so invalidations refetch it right away.
+ * Building block of the query hooks (see hooks/useBookQueries.js).
+ *
+ * @param {Object} options
+ * @param {string|null} options.key - The query key; null skips loading (e.g. no book selected yet).
+ * @param {Function} options.load - Receives an `AbortSignal` and returns a promise; memoize it (`useCallback`)
+ *   with the values the query depends on.
+ * @param {Function} options.select - Selects the data from the store state; memoize it as well.
+ * @param {boolean} [options.enabled=true] - Set to false to skip loading.
+ * @returns {Object} - `{ data, status, error, isPending, isLoading, isError, refetch }`: `isPending` while a request is
+ *   in flight, `isLoading` while one is in flight and there is no data to show yet.
+ */
+export const useStoreQuery = ({ key, load, select, enabled = true }) => {
+  const data = useSelector(select);
+  const [state, setState] = useState(IDLE_STATE);
+  const latestRequest = useRef(null); // AbortController of the latest request, cancelled when superseded
+
+  const run = useCallback((signal) => {
+    const request = startLatestRequest(latestRequest, signal);
+    setState({ status: REQUEST_STATUS.PENDING, error: null });
+    return load(request.signal).then(
+      (result) => {
+        if (request.isLatest() && !request.signal.aborted) setState({ status: REQUEST_STATUS.SUCCEEDED, error: null });
+        return result;
+      },
+      (error) => {
+        if (isAbortError(error)) return undefined; // Superseded or unmounted: the newer request owns the status
+        if (request.isLatest()) setState({ status: REQUEST_STATUS.FAILED, error });
+        return undefined;
+      }
+    );
+  }, [load]);
+
+  useEffect(() => {
+    if (!enabled || !key) {
+      setState(IDLE_STATE);
+      return undefined;
+    }
+    const controller = new AbortController(); // Leaving the query (or unmounting) cancels its request
+    const unwatch = watchQuery(key);
+    run(controller.signal);
+    return () => {
+      controller.abort();
+      unwatch();
+    };
+  }, [enabled, key, run]);
+
+  /**
+   * Load the query again (e.g. a "Retry" button after an error). Fresh cached data is served as is.
+   * @returns {Promise<*>} - Resolves with the data, or undefined if the request failed.
+   */
+  const refetch = useCallback(() => (enabled && key ? run() : Promise.resolve(undefined)), [enabled, key, run]);
+
+  const isPending = state.status === REQUEST_STATUS.PENDING;
+  const hasData = Array.isArray(data) ? data.length > 0 : data !== null && data !== undefined;
+
+  return useMemo(() => ({
+    data,
+    status: state.status,
+    error: state.error, // An ApiError, if the last request failed
+    isPending,
+    isLoading: isPending && !hasData,
+    isError: state.status === REQUEST_STATUS.FAILED,
+    refetch,
+  }), [data, state, isPending, hasData, refetch]);
+};
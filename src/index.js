@@ -3,6 +3,8 @@ import ReactDOM from 'react-dom/client'; // ReactDOM to render React elements in
 // import './index.css'; // Import global CSS styles
 import App from './App'; // Import the root App component
 import reportWebVitals from './reportWebVitals'; // Import performance measuring tool
+import * as serviceWorkerRegistration from './serviceWorkerRegistration'; // Offline app shell and cover caching
+import { showUpdatePrompt } from './components/ui/UpdatePrompt'; // "Update available, reload" prompt
 
 /**
  * Entry point of the React application.
@@ -24,6 +26,10 @@ root.render(
   </React.StrictMode>
 );
 
+// Register the service worker (production builds only) so the app is installable and starts offline.
+// When a new build is deployed, the new service worker waits and the user is offered a reload.
+serviceWorkerRegistration.register({ onUpdate: showUpdatePrompt });
+
 // Performance measuring
 // reportWebVitals logs performance metrics or sends them to an analytics endpoint.
 // By default, it can log to the console for performance monitoring.
@@ -0,0 +1,147 @@
+/**
+ * fixtures.js
+ *
+ * Default seed data for the in-browser mock backend (see mockServer.js).
+ * Documents mirror what the Express/Mongo backend returns: Mongo-style `_id`s, shelves that reference books,
+ * reviews embedded in their book, and authors as plain names (older documents) or `{ name, role }`.
+ * Pass a subset or a whole new data set to `mockServer.seed()` to override it.
+ */
+
+export const defaultFixtures = {
+  // Users that can log in against the mock backend (password is stored in clear text, this is fake data)
+  users: [
+    {
+      _id: 'user-1',
+      username: 'reader',
+      email: 'reader@shelflife.test',
+      password: 'password123',
+      profilePicture: '',
+      settings: { emailNotifications: true, newsletter: false },
+    },
+  ],
+
+  // Books in the catalog; `shelf` is the reading status used by the book shelf dropdowns
+  books: [
+    {
+      _id: 'book-1',
+      title: 'The Hobbit',
+      authors: ['J.R.R. Tolkien'],
+      genre: 'Fantasy',
+      isbn: '9780261102217',
+      publisher: 'HarperCollins',
+      publishedDate: '1995',
+      pageCount: 310,
+      language: 'en',
+      format: 'paperback',
+      coverImageUrl: '',
+      shelf: 'read',
+      reviews: [{ _id: 'review-1', user: 'reader', rating: 5, comment: 'A classic.' }],
+    },
+    {
+      _id: 'book-2',
+      title: 'Good Omens',
+      authors: [{ name: 'Neil Gaiman', role: 'author' }, { name: 'Terry Pratchett', role: 'author' }],
+      genre: 'Fantasy',
+      publishedDate: '1990-05',
+      language: 'en',
+      format: 'ebook',
+      coverImageUrl: '',
+      shelf: 'currentlyReading',
+      progress: [
+        { _id: 'progress-1', unit: 'percent', value: 20, loggedAt: '2026-10-12T20:15:00.000Z' },
+        { _id: 'progress-2', unit: 'percent', value: 45, loggedAt: '2026-10-14T21:40:00.000Z' },
+      ],
+      reviews: [],
+    },
+    {
+      _id: 'book-3',
+      title: 'Dune',
+      authors: ['Frank Herbert'],
+      genre: 'Science Fiction',
+      tags: ['classic', 'science fiction'],
+      isbn: '9780441172719',
+      publisher: 'Ace Books',
+      publishedDate: '1990',
+      pageCount: 535,
+      language: 'en',
+      format: 'hardcover',
+      series: 'Dune',
+      seriesPosition: 1,
+      seriesLength: 6,
+      coverImageUrl: '',
+      shelf: 'wantToRead',
+      reviews: [],
+    },
+    {
+      _id: 'book-4',
+      title: 'La Main gauche de la nuit',
+      originalTitle: 'The Left Hand of Darkness',
+      authors: [
+        { name: 'Ursula K. Le Guin', role: 'author' },
+        { name: 'Jean Bailhache', role: 'translator' },
+        { name: 'Marie Lenoir', role: 'narrator' },
+      ],
+      genre: 'Science Fiction',
+      tags: ['classic'],
+      language: 'fr',
+      format: 'audiobook',
+      coverImageUrl: '',
+      shelf: 'none',
+      reviews: [],
+    },
+    {
+      _id: 'book-5',
+      title: 'Dune Messiah',
+      authors: ['Frank Herbert'],
+      genre: 'Science Fiction',
+      tags: ['sci-fi'],
+      publisher: 'Ace Books',
+      publishedDate: '1987',
+      pageCount: 331,
+      language: 'en',
+      format: 'paperback',
+      series: 'Dune',
+      seriesPosition: 2,
+      coverImageUrl: '',
+      shelf: 'read',
+      reviews: [{ _id: 'review-2', user: 'reader', rating: 4, comment: 'Darker than the first one.' }],
+    },
+  ],
+
+  // Custom shelves created by users; `books` holds book IDs and is populated in responses
+  shelves: [
+    { _id: 'shelf-1', name: 'Favorites', userId: 'user-1', books: ['book-1'] },
+    { _id: 'shelf-2', name: 'Book Club', userId: 'user-1', books: ['book-2', 'book-3'] },
+  ],
+};
+
+// Book metadata by ISBN-13, served by the fixture metadata provider (see mockMetadataProvider.js) instead of a
+// remote catalog, so the ISBN lookup of BookForm works offline and in tests
+export const defaultMetadataFixtures = {
+  '9780261102217': {
+    title: 'The Hobbit',
+    authors: ['J.R.R. Tolkien'],
+    publisher: 'HarperCollins',
+    pageCount: 310,
+    publishedDate: '1995',
+    description: 'Bilbo Baggins is swept into a quest to reclaim the dwarves\' treasure from the dragon Smaug.',
+    coverImageUrl: 'https://covers.openlibrary.org/b/isbn/9780261102217-L.jpg',
+  },
+  '9780441172719': {
+    title: 'Dune',
+    authors: ['Frank Herbert'],
+    publisher: 'Ace Books',
+    pageCount: 535,
+    publishedDate: '1990',
+    description: 'Paul Atreides and his family take control of the desert planet Arrakis, the only source of the spice.',
+    coverImageUrl: 'https://covers.openlibrary.org/b/isbn/9780441172719-L.jpg',
+  },
+  '9780441478125': {
+    title: 'The Left Hand of Darkness',
+    authors: ['Ursula K. Le Guin'],
+    publisher: 'Ace Books',
+    pageCount: 304,
+    publishedDate: '1987',
+    coverImageUrl: 'https://covers.openlibrary.org/b/isbn/9780441478125-L.jpg',
+  },
+};
@@ -0,0 +1,114 @@
+/**
+ * mockEventServer.js
+ *
+ * In-memory stand-in for the backend's event stream (see utils/realtime.js). The mock backend publishes an event
+ * for every change it makes (`book.updated`, `shelf.bookAdded`, `review.created`, ...) and connected clients
+ * receive the ones meant for them, like devices sharing an account would from the real server.
+ *
+ * Like the real stream, events carry increasing IDs and a client reconnecting with `lastEventId` first receives
+ * the events it missed. When those are no longer kept, it receives `stream.resync` and refetches instead.
+ */
+
+const MAX_LOG_SIZE = 500; // Events kept for resuming clients
+
+let log = []; // Recent events: { id, type, data, userId }
+let lastId = 0; // ID of the last published event
+let connections = new Set(); // Open client connections
+
+/**
+ * Deliver an event to a connection on a later tick, as a network would.
+ * @param {Object} connection - The client connection.
+ * @param {Object} event - `{ id, type, data }`.
+ */
+const send = (connection, { id, type, data }) => {
+  setTimeout(() => {
+    if (connection.open) connection.onEvent({ id: String(id), type, data: JSON.parse(JSON.stringify(data)) });
+  }, 0);
+};
+
+// Whether an event is meant for a user (events without a user are for everyone)
+const isVisibleTo = (event, userId) => !event.userId || event.userId === userId;
+
+/**
+ * Publish an event to the connected clients.
+ * @param {string} type - Event type (e.g. 'book.updated').
+ * @param {Object} data - Event payload, with server documents (`_id`).
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Only this user's clients receive the event (e.g. changes to their shelves).
+ * @returns {Object} - The event.
+ */
+export const publish = (type, data, { userId = null } = {}) => {
+  lastId += 1;
+  const event = { id: lastId, type, data, userId };
+  log = [...log, event].slice(-MAX_LOG_SIZE);
+  connections.forEach((connection) => {
+    if (isVisibleTo(event, connection.userId)) send(connection, event);
+  });
+  return event;
+};
+
+/**
+ * Open a client connection.
+ * @param {Object} options
+ * @param {string} options.userId - The authenticated user.
+ * @param {string} [options.lastEventId] - ID of the last event the client received, to resume after it.
+ * @param {Function} options.onOpen - Called once connected.
+ * @param {Function} options.onEvent - Receives `{ id, type, data }`.
+ * @param {Function} options.onError - Called when the connection drops.
+ * @returns {Object} - `{ close }`.
+ */
+export const connect = ({ userId, lastEventId, onOpen, onEvent, onError }) => {
+  const connection = { userId, onEvent, onError, open: true };
+  connections.add(connection);
+
+  setTimeout(() => {
+    if (!connection.open) return;
+    onOpen();
+    if (lastEventId === undefined || lastEventId === null) return;
+
+    const resumeFrom = Number(lastEventId);
+    const oldest = log.length > 0 ? log[0].id : lastId + 1;
+    if (Number.isNaN(resumeFrom) || resumeFrom < oldest - 1 || resumeFrom > lastId) {
+      send(connection, { id: lastId, type: 'stream.resync', data: {} }); // Missed events are gone: refetch everything
+      return;
+    }
+    log
+      .filter((event) => event.id > resumeFrom && isVisibleTo(event, userId))
+      .forEach((event) => send(connection, event));
+  }, 0);
+
+  return {
+    close: () => {
+      connection.open = false;
+      connections.delete(connection);
+    },
+  };
+};
+
+/**
+ * Drop every open connection, like a server restart or a lost network (clients are expected to reconnect).
+ */
+export const dropConnections = () => {
+  const dropped = [...connections];
+  connections = new Set();
+  dropped.forEach((connection) => {
+    connection.open = false;
+    connection.onError(new Error('Connection lost.'));
+  });
+};
+
+/**
+ * Forget every event and drop every connection.
+ */
+export const reset = () => {
+  dropConnections();
+  log = [];
+  lastId = 0;
+};
+
+export const mockEventServer = {
+  publish,
+  connect,
+  dropConnections,
+  reset,
+};
@@ -0,0 +1,31 @@
+/**
+ * mockMetadataProvider.js
+ *
+ * Book metadata provider backed by local fixtures instead of a remote catalog (see api/metadataAPI.js for the
+ * provider interface). It is the default provider in mock mode and the one tests plug in with
+ * `setMetadataProvider`.
+ */
+
+import { defaultMetadataFixtures } from './fixtures'; // Metadata by ISBN-13
+import { throwIfAborted } from '../utils/abort'; // Cancelled lookups reject like cancelled requests
+
+/**
+ * Create a metadata provider that answers from a fixed set of records.
+ * @param {Object} [records=defaultMetadataFixtures] - Metadata by ISBN-13.
+ * @returns {Object} - The provider: `{ name, lookupByIsbn }`.
+ */
+export const createFixtureMetadataProvider = (records = defaultMetadataFixtures) => ({
+  name: 'fixtures',
+
+  /**
+   * @param {string} isbn - ISBN-13.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the lookup.
+   * @returns {Promise<Object|null>} - A copy of the record, or null when the ISBN is unknown.
+   */
+  lookupByIsbn: async (isbn, { signal } = {}) => {
+    throwIfAborted(signal);
+    const record = records[isbn];
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+  },
+});
@@ -0,0 +1,885 @@
+/**
+ * mockServer.js
+ *
+ * In-browser mock of the ShelfLife Express/Mongo backend. It answers every route called by `authAPI`,
+ * `bookAPI` and `shelfAPI` from an in-memory database seeded with fixtures, so the UI can be developed,
+ * demoed and integration-tested without running the real backend.
+ *
+ * It plugs into Axios as a custom adapter (see `fetcher.js`), which means the request/response interceptors
+ * (token attachment, token refresh) run exactly as they do against the real API.
+ * Enable it with `REACT_APP_USE_MOCK_API=true`; in development it is also exposed as `window.shelflifeMock`
+ * so latency and errors can be tweaked from the browser console.
+ *
+ * Every change is also published on the mock event stream (see mockEventServer.js and `connectEvents`), which
+ * the realtime client subscribes to instead of the backend's.
+ */
+
+import { defaultFixtures } from './fixtures'; // Default seed data
+import { mockEventServer } from './mockEventServer'; // Event stream of the changes made here
+import { sortBooks, filterBooks } from '../utils/bookFilters'; // Same sort and filters as the client
+import { toContributors, hasAuthor } from '../utils/authors'; // Authors are names or `{ name, role }`
+import { getSeriesId } from '../utils/series'; // Series are identified by the slug of their name
+import { normalizeTag, normalizeTags, isSameTag, replaceTags, countTags } from '../utils/tags'; // Tags ignore case
+import { validateProgress } from '../utils/progress'; // Same progress rules as the client
+
+const DEFAULT_TOKEN_TTL_SECONDS = 60 * 60; // Lifetime of the mock JWTs (1 hour)
+const DEFAULT_LATENCY = parseInt(process.env.REACT_APP_MOCK_API_LATENCY, 10) || 0; // e.g. REACT_APP_MOCK_API_LATENCY=400
+const MAX_COVER_BYTES = 2 * 1024 * 1024; // Largest accepted cover upload
+
+// Deep copy helper so the fixtures and the responses never share references with the database
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+let db = null; // In-memory database: { users, books, shelves, refreshTokens, resetTokens }
+let latency = { min: DEFAULT_LATENCY, max: DEFAULT_LATENCY }; // Simulated network latency in milliseconds
+let tokenTtl = DEFAULT_TOKEN_TTL_SECONDS; // Lifetime of newly issued tokens, in seconds
+let injectedErrors = []; // Errors to return instead of running the matching route handler
+let idCounter = 0; // Counter used to generate unique IDs
+
+/**
+ * Error thrown by route handlers to produce a non-2xx response.
+ * `details` are merged into the error body, like the real backend's `{ message, code, errors }`.
+ */
+class MockHttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Generate a unique, Mongo-like string ID.
+ * @param {string} prefix - Prefix describing the entity (e.g., 'book').
+ * @returns {string} - The new ID.
+ */
+const nextId = (prefix) => `${prefix}-${Date.now().toString(36)}-${++idCounter}`;
+
+// TOKENS
+
+/**
+ * Base64url-encode a JSON value (the encoding used by JWT segments).
+ * @param {Object} value - The value to encode.
+ * @returns {string} - The encoded segment.
+ */
+const encodeSegment = (value) =>
+  btoa(unescape(encodeURIComponent(JSON.stringify(value))))
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+/**
+ * Decode a base64url JWT segment back into a JSON value.
+ * @param {string} segment - The encoded segment.
+ * @returns {Object} - The decoded value.
+ */
+const decodeSegment = (segment) =>
+  JSON.parse(decodeURIComponent(escape(atob(segment.replace(/-/g, '+').replace(/_/g, '/')))));
+
+/**
+ * Issue an unsigned JWT for a user. `jwt-decode` only reads the payload, so no signature is needed.
+ * @param {Object} user - The user to issue the token for.
+ * @returns {string} - The token.
+ */
+const createToken = (user) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = { _id: user._id, username: user.username, email: user.email, iat: issuedAt, exp: issuedAt + tokenTtl };
+  return `${encodeSegment({ alg: 'none', typ: 'JWT' })}.${encodeSegment(payload)}.mock-signature`;
+};
+
+/**
+ * Read the payload of a mock token.
+ * @param {string} token - The token to read.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowExpired=false] - Accept expired tokens (used by the refresh endpoint).
+ * @returns {Object|null} - The payload, or null if the token is malformed or expired.
+ */
+const readToken = (token, { allowExpired = false } = {}) => {
+  try {
+    const payload = decodeSegment(token.split('.')[1]);
+    if (!allowExpired && payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Issue an access token and a refresh token for a user.
+ * @param {Object} user - The authenticated user.
+ * @returns {Object} - `{ token, refreshToken }`.
+ */
+const issueTokens = (user) => {
+  const refreshToken = nextId('refresh');
+  db.refreshTokens[refreshToken] = user._id;
+  return { token: createToken(user), refreshToken };
+};
+
+// SERIALIZERS
+
+// Strip private fields before a user leaves the mock backend
+const toPublicUser = ({ password, settings, ...user }) => clone(user);
+
+/**
+ * Filter and sort a list of books (`?format=ebook&sort=-publishedDate`), then paginate it when the request asks
+ * for a page (`?page=2&limit=20`), like the backend's paginated endpoints.
+ * Without `page`, the full array is returned, as older backends do.
+ * @param {Object[]} books - The full result list.
+ * @param {Object} query - The request query.
+ * @returns {Object[]|Object} - The list, or `{ items, total, page, limit }`.
+ */
+const paginate = (books, query) => {
+  const list = sortBooks(filterBooks(books, query), query.sort);
+  if (query.page === undefined) return list;
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.max(1, parseInt(query.limit, 10) || 20);
+  return { items: list.slice((page - 1) * limit, page * limit), total: list.length, page, limit };
+};
+
+// Populate a shelf's book IDs with the book documents, like a Mongo `populate('books')`
+const toShelfResponse = (shelf) => ({
+  ...clone(shelf),
+  books: shelf.books.map((bookId) => db.books.find((book) => book._id === bookId)).filter(Boolean).map(clone),
+});
+
+// LOOKUP HELPERS
+
+const findUser = (userId) => db.users.find((user) => user._id === userId);
+
+const findBook = (bookId) => {
+  const book = db.books.find((item) => item._id === bookId);
+  if (!book) throw new MockHttpError(404, 'Book not found.');
+  return book;
+};
+
+const findShelf = (shelfId, user) => {
+  const shelf = db.shelves.find((item) => item._id === shelfId && item.userId === user._id);
+  if (!shelf) throw new MockHttpError(404, 'Shelf not found.');
+  return shelf;
+};
+
+/**
+ * Read the non-empty ID list of a batch request body (e.g. `bookIds`), like the backend's batch validation.
+ * @param {Object} body - The request body.
+ * @param {string} field - The field holding the IDs.
+ * @returns {string[]} - The IDs, without duplicates.
+ */
+const requireIds = (body, field) => {
+  const ids = body && body[field];
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new MockHttpError(400, `${field} must be a non-empty array.`, {
+      code: 'VALIDATION_ERROR',
+      errors: { [field]: `${field} must be a non-empty array.` },
+    });
+  }
+  return [...new Set(ids)];
+};
+
+/**
+ * Apply the changes of a batch edit to a book.
+ * @param {Object} book - The book document, changed in place.
+ * @param {Object} changes - `{ shelf, genre, addTags, removeTags }`.
+ */
+const applyBookChanges = (book, { shelf, genre, addTags = [], removeTags = [] }) => {
+  if (shelf !== undefined) book.shelf = shelf;
+  if (genre !== undefined) book.genre = genre;
+  if (addTags.length > 0 || removeTags.length > 0) {
+    const tags = (book.tags || []).filter((tag) => !removeTags.some((removed) => isSameTag(removed, tag)));
+    book.tags = normalizeTags([...tags, ...addTags]);
+  }
+};
+
+/**
+ * Replace tags on every book having one of them (renaming or merging tags), like the backend's tag routes.
+ * @param {string[]} from - The tags to replace; each must be used by a book.
+ * @param {string} to - The tag replacing them.
+ * @param {string} field - The request body field holding `to`, for validation errors.
+ * @returns {Object[]} - The tags of the library after the change.
+ */
+const retagBooks = (from, to, field) => {
+  const tag = normalizeTag(to);
+  if (!tag) {
+    throw new MockHttpError(400, 'The tag name is required.', {
+      code: 'VALIDATION_ERROR',
+      errors: { [field]: 'The tag name is required.' },
+    });
+  }
+  const tags = countTags(db.books);
+  from.forEach((name) => {
+    if (!tags.some((item) => isSameTag(item.name, name))) throw new MockHttpError(404, `Tag not found: ${name}.`);
+  });
+  db.books.forEach((book) => {
+    const nextTags = replaceTags(book.tags, from, tag);
+    if (nextTags === book.tags) return;
+    book.tags = nextTags;
+    mockEventServer.publish('book.updated', { book: clone(book) });
+  });
+  return countTags(db.books);
+};
+
+const requireFields = (body, fields) => {
+  const missing = fields.filter((field) => !body || body[field] === undefined || body[field] === '');
+  if (missing.length > 0) {
+    throw new MockHttpError(400, `Missing required field(s): ${missing.join(', ')}.`, {
+      code: 'VALIDATION_ERROR',
+      errors: Object.fromEntries(missing.map((field) => [field, `${field} is required.`])),
+    });
+  }
+};
+
+// ROUTES
+
+/**
+ * Read an uploaded file as a data URL.
+ * @param {Blob} file
+ * @returns {Promise<string>}
+ */
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+/**
+ * Build a route entry from an Express-style path (e.g. '/books/:bookId').
+ * @param {string} method - HTTP method.
+ * @param {string} path - Express-style path pattern.
+ * @param {Function} handler - Receives `{ params, query, body, user, headers }` and returns the response data
+ *                             (or `{ status, data }` for non-200 responses).
+ * @param {Object} [options]
+ * @param {boolean} [options.auth=true] - Whether the route requires a valid Bearer token.
+ * @returns {Object} - The route entry.
+ */
+const route = (method, path, handler, { auth = true } = {}) => {
+  const keys = [];
+  const pattern = path.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { method, path, regex: new RegExp(`^${pattern}/?$`), keys, handler, auth };
+};
+
+// Order matters: static segments ('/users/profile', '/books/search') must come before parameterized ones.
+const routes = [
+  // AUTHENTICATION
+  route('POST', '/auth/signup', ({ body }) => {
+    requireFields(body, ['username', 'email', 'password']);
+    if (db.users.some((user) => user.email === body.email)) {
+      throw new MockHttpError(409, 'A user with this email already exists.', {
+        code: 'EMAIL_TAKEN',
+        errors: { email: 'A user with this email already exists.' },
+      });
+    }
+    const user = {
+      _id: nextId('user'),
+      username: body.username,
+      email: body.email,
+      password: body.password,
+      profilePicture: body.profilePicture || '',
+      settings: {},
+    };
+    db.users.push(user);
+    return { status: 201, data: issueTokens(user) };
+  }, { auth: false }),
+
+  route('POST', '/auth/login', ({ body }) => {
+    requireFields(body, ['email', 'password']);
+    const user = db.users.find((item) => item.email === body.email && item.password === body.password);
+    if (!user) throw new MockHttpError(401, 'Invalid email or password.', { code: 'INVALID_CREDENTIALS' });
+    return issueTokens(user);
+  }, { auth: false }),
+
+  // USERS
+  route('POST', '/users/refresh-token', ({ body, headers }) => {
+    // Accept either a refresh token or the (possibly expired) access token, like the real backend
+    const refreshUserId = body && body.refreshToken ? db.refreshTokens[body.refreshToken] : null;
+    const bearer = (headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const payload = bearer ? readToken(bearer, { allowExpired: true }) : null;
+    const user = findUser(refreshUserId || (payload && payload._id));
+    if (!user) throw new MockHttpError(401, 'Invalid refresh token.');
+    if (body && body.refreshToken) delete db.refreshTokens[body.refreshToken]; // Refresh tokens are single-use
+    return issueTokens(user);
+  }, { auth: false }),
+
+  route('POST', '/users/forgot-password', ({ body }) => {
+    requireFields(body, ['email']);
+    const user = db.users.find((item) => item.email === body.email);
+    const response = { message: 'If this email is registered, a reset link has been sent.' };
+    if (user) {
+      const resetToken = nextId('reset');
+      db.resetTokens[resetToken] = user._id;
+      response.resetToken = resetToken; // Mock-only: lets the reset flow be completed without an inbox
+    }
+    return response;
+  }, { auth: false }),
+
+  route('POST', '/users/reset-password', ({ body }) => {
+    requireFields(body, ['token', 'newPassword']);
+    const user = findUser(db.resetTokens[body.token]);
+    if (!user) throw new MockHttpError(400, 'Invalid or expired reset token.');
+    user.password = body.newPassword;
+    delete db.resetTokens[body.token];
+    return { message: 'Password has been reset.' };
+  }, { auth: false }),
+
+  route('GET', '/users/profile', ({ user }) => ({ user: toPublicUser(user) })),
+
+  route('PUT', '/users/profile', ({ user, body }) => {
+    ['username', 'email', 'profilePicture'].forEach((field) => {
+      if (body && body[field] !== undefined) user[field] = body[field];
+    });
+    return { user: toPublicUser(user) };
+  }),
+
+  route('PUT', '/users/password', ({ user, body }) => {
+    requireFields(body, ['oldPassword', 'newPassword']);
+    if (body.oldPassword !== user.password) throw new MockHttpError(400, 'Current password is incorrect.');
+    user.password = body.newPassword;
+    return { message: 'Password updated.' };
+  }),
+
+  route('GET', '/users/settings', ({ user }) => ({ settings: clone(user.settings || {}) })),
+
+  route('PUT', '/users/settings', ({ user, body }) => {
+    user.settings = { ...(user.settings || {}), ...((body && body.settings) || {}) };
+    return { settings: clone(user.settings) };
+  }),
+
+  route('GET', '/users/:userId', ({ params }) => {
+    const user = findUser(params.userId);
+    if (!user) throw new MockHttpError(404, 'User not found.');
+    return { user: toPublicUser(user) };
+  }),
+
+  // BOOKS
+  route('GET', '/books', ({ query }) => paginate(clone(db.books), query)),
+
+  route('GET', '/books/search', ({ query }) => {
+    const term = (query.q || '').trim().toLowerCase();
+    return paginate(clone(db.books.filter((book) =>
+      book.title.toLowerCase().includes(term) ||
+      toContributors(book.authors).some((author) => author.name.toLowerCase().includes(term))
+    )), query);
+  }),
+
+  route('GET', '/books/shelf/:shelfId', ({ params, query, user }) => {
+    // Custom shelves hold book IDs; the default shelves are the books' reading status
+    const shelf = db.shelves.find((item) => item._id === params.shelfId && item.userId === user._id);
+    if (shelf) return paginate(toShelfResponse(shelf).books, query);
+    return paginate(clone(db.books.filter((book) => book.shelf === params.shelfId)), query);
+  }),
+
+  route('POST', '/books', ({ body }) => {
+    requireFields(body, ['title']);
+    const book = { shelf: 'none', reviews: [], ...clone(body), _id: nextId('book') };
+    db.books.push(book);
+    mockEventServer.publish('book.created', { book: clone(book) });
+    return { status: 201, data: clone(book) };
+  }),
+
+  // Multipart upload: the image is kept inline as a data URL, since the mock has no file storage
+  route('POST', '/books/covers', async ({ body }) => {
+    const image = body instanceof FormData ? body.get('cover') : null;
+    if (!image || typeof image === 'string') {
+      throw new MockHttpError(400, 'Missing required field(s): cover.', {
+        code: 'VALIDATION_ERROR',
+        errors: { cover: 'cover is required.' },
+      });
+    }
+    if (!/^image\/(jpeg|png|webp|gif)$/.test(image.type)) {
+      throw new MockHttpError(415, 'Covers must be JPEG, PNG, WebP or GIF images.', { code: 'UNSUPPORTED_IMAGE_TYPE' });
+    }
+    if (image.size > MAX_COVER_BYTES) {
+      throw new MockHttpError(413, 'The cover image is too large.', { code: 'IMAGE_TOO_LARGE' });
+    }
+    return { status: 201, data: { coverImageUrl: await readAsDataUrl(image) } };
+  }),
+
+  // Batch routes: every ID is checked before anything changes, so a batch applies entirely or not at all
+  route('PATCH', '/books/batch', ({ body }) => {
+    const books = requireIds(body, 'bookIds').map(findBook);
+    books.forEach((book) => {
+      applyBookChanges(book, (body && body.changes) || {});
+      mockEventServer.publish('book.updated', { book: clone(book) });
+    });
+    return books.map(clone);
+  }),
+
+  route('DELETE', '/books/batch', ({ body }) => {
+    const deletedIds = requireIds(body, 'bookIds').map((bookId) => findBook(bookId)._id);
+    db.books = db.books.filter((book) => !deletedIds.includes(book._id));
+    db.shelves.forEach((shelf) => {
+      shelf.books = shelf.books.filter((bookId) => !deletedIds.includes(bookId)); // Keep shelves consistent
+    });
+    deletedIds.forEach((bookId) => mockEventServer.publish('book.deleted', { bookId }));
+    return { deletedIds };
+  }),
+
+  route('GET', '/books/:bookId', ({ params }) => clone(findBook(params.bookId))),
+
+  route('PUT', '/books/:bookId', ({ params, body }) => {
+    const book = findBook(params.bookId);
+    const { _id, reviews, ...updates } = body || {}; // IDs and reviews cannot be overwritten through this route
+    Object.assign(book, clone(updates));
+    mockEventServer.publish('book.updated', { book: clone(book) });
+    return clone(book);
+  }),
+
+  route('DELETE', '/books/:bookId', ({ params }) => {
+    const book = findBook(params.bookId);
+    db.books = db.books.filter((item) => item._id !== book._id);
+    db.shelves.forEach((shelf) => {
+      shelf.books = shelf.books.filter((bookId) => bookId !== book._id); // Keep shelves consistent
+    });
+    mockEventServer.publish('book.deleted', { bookId: book._id });
+    return clone(book);
+  }),
+
+  route('PUT', '/books/:bookId/shelf', ({ params, body }) => {
+    requireFields(body, ['shelf']);
+    const book = findBook(params.bookId);
+    book.shelf = body.shelf;
+    mockEventServer.publish('book.updated', { book: clone(book) });
+    return clone(book);
+  }),
+
+  route('POST', '/books/:bookId/review', ({ params, body, user }) => {
+    requireFields(body, ['rating']);
+    const book = findBook(params.bookId);
+    const review = { _id: nextId('review'), user: user.username, rating: body.rating, comment: body.comment || '' };
+    book.reviews = [...(book.reviews || []), review];
+    mockEventServer.publish('review.created', { bookId: book._id, review: clone(review), book: clone(book) });
+    return clone(book);
+  }),
+
+  // Progress is only logged for the books being read; the server keeps the history and timestamps each entry
+  route('POST', '/books/:bookId/progress', ({ params, body }) => {
+    const book = findBook(params.bookId);
+    if (book.shelf !== 'currentlyReading') {
+      throw new MockHttpError(409, 'Progress can only be logged for books being read.', { code: 'NOT_CURRENTLY_READING' });
+    }
+    const { unit, value, total } = body || {};
+    const entry = { unit, value, ...(unit !== 'percent' && { total }) };
+    const errors = validateProgress(entry);
+    if (Object.keys(errors).length > 0) {
+      throw new MockHttpError(400, 'Invalid progress.', {
+        code: 'VALIDATION_ERROR',
+        errors: Object.fromEntries(Object.keys(errors).map((field) => [field, `${field} is invalid.`])),
+      });
+    }
+    book.progress = [...(book.progress || []), { _id: nextId('progress'), ...entry, loggedAt: new Date().toISOString() }];
+    mockEventServer.publish('book.updated', { book: clone(book) });
+    return clone(book);
+  }),
+
+  // AUTHORS
+  // Every book crediting the person, in any role; an author without books is simply an empty list
+  route('GET', '/authors/:authorId/books', ({ params }) => clone(db.books.filter((book) => hasAuthor(book, params.authorId)))),
+
+  // SERIES
+  // Every book naming the series; the client puts them in reading order
+  route('GET', '/series/:seriesId/books', ({ params }) => clone(db.books.filter((book) => (
+    Boolean(book.series) && getSeriesId(book.series) === params.seriesId
+  )))),
+
+  // TAGS
+  route('GET', '/tags', () => countTags(db.books)),
+
+  // Static segment before '/tags/:tag'; a book having several of the tags keeps the target tag once
+  route('POST', '/tags/merge', ({ body }) => {
+    requireFields(body, ['into']);
+    return retagBooks(requireIds(body, 'tags'), body.into, 'into');
+  }),
+
+  // Renaming to the name of another tag merges the two
+  route('PUT', '/tags/:tag', ({ params, body }) => {
+    requireFields(body, ['name']);
+    return retagBooks([params.tag], body.name, 'name');
+  }),
+
+  // SHELVES
+  route('GET', '/shelves', ({ user }) =>
+    db.shelves.filter((shelf) => shelf.userId === user._id).map(toShelfResponse)
+  ),
+
+  route('POST', '/shelves', ({ body, user }) => {
+    requireFields(body, ['name']);
+    const shelf = { _id: nextId('shelf'), name: body.name, userId: user._id, books: body.books || [] };
+    db.shelves.push(shelf);
+    mockEventServer.publish('shelf.created', { shelf: toShelfResponse(shelf) }, { userId: user._id });
+    return { status: 201, data: toShelfResponse(shelf) };
+  }),
+
+  route('POST', '/shelves/batch/books', ({ body, user }) => {
+    const shelves = requireIds(body, 'shelfIds').map((shelfId) => findShelf(shelfId, user));
+    const bookIds = requireIds(body, 'bookIds').map((bookId) => findBook(bookId)._id); // 404 if a book does not exist
+    shelves.forEach((shelf) => {
+      shelf.books = [...shelf.books, ...bookIds.filter((bookId) => !shelf.books.includes(bookId))];
+      mockEventServer.publish('shelf.updated', { shelf: toShelfResponse(shelf) }, { userId: user._id });
+    });
+    return shelves.map(toShelfResponse);
+  }),
+
+  route('DELETE', '/shelves/batch/books', ({ body, user }) => {
+    const shelves = requireIds(body, 'shelfIds').map((shelfId) => findShelf(shelfId, user));
+    const bookIds = requireIds(body, 'bookIds');
+    shelves.forEach((shelf) => {
+      shelf.books = shelf.books.filter((bookId) => !bookIds.includes(bookId));
+      mockEventServer.publish('shelf.updated', { shelf: toShelfResponse(shelf) }, { userId: user._id });
+    });
+    return shelves.map(toShelfResponse);
+  }),
+
+  route('GET', '/shelves/:shelfId', ({ params, user }) => toShelfResponse(findShelf(params.shelfId, user))),
+
+  route('PUT', '/shelves/:shelfId', ({ params, body, user }) => {
+    const shelf = findShelf(params.shelfId, user);
+    if (body && body.name !== undefined) shelf.name = body.name;
+    if (body && Array.isArray(body.books)) shelf.books = [...body.books];
+    mockEventServer.publish('shelf.updated', { shelf: toShelfResponse(shelf) }, { userId: user._id });
+    return toShelfResponse(shelf);
+  }),
+
+  route('DELETE', '/shelves/:shelfId', ({ params, user }) => {
+    const shelf = findShelf(params.shelfId, user);
+    db.shelves = db.shelves.filter((item) => item._id !== shelf._id);
+    mockEventServer.publish('shelf.deleted', { shelfId: shelf._id }, { userId: user._id });
+    return { status: 204, data: '' };
+  }),
+
+  route('POST', '/shelves/:shelfId/books', ({ params, body, user }) => {
+    requireFields(body, ['bookId']);
+    const shelf = findShelf(params.shelfId, user);
+    findBook(body.bookId); // 404 if the book does not exist
+    if (!shelf.books.includes(body.bookId)) shelf.books.push(body.bookId);
+    mockEventServer.publish(
+      'shelf.bookAdded',
+      { shelfId: shelf._id, bookId: body.bookId, shelf: toShelfResponse(shelf) },
+      { userId: user._id }
+    );
+    return toShelfResponse(shelf);
+  }),
+
+  route('DELETE', '/shelves/:shelfId/books', ({ params, body, user }) => {
+    requireFields(body, ['bookId']);
+    const shelf = findShelf(params.shelfId, user);
+    shelf.books = shelf.books.filter((bookId) => bookId !== body.bookId);
+    mockEventServer.publish(
+      'shelf.bookRemoved',
+      { shelfId: shelf._id, bookId: body.bookId, shelf: toShelfResponse(shelf) },
+      { userId: user._id }
+    );
+    return toShelfResponse(shelf);
+  }),
+];
+
+// REQUEST HANDLING
+
+/**
+ * Resolve the API path and query of an Axios request config, relative to its base URL.
+ * @param {Object} config - Axios request config.
+ * @returns {Object} - `{ path, query }`.
+ */
+const resolveRequest = (config) => {
+  const baseURL = config.baseURL || '';
+  const isAbsolute = /^[a-z][a-z\d+\-.]*:\/\//i.test(config.url || '');
+  const fullUrl = isAbsolute || !baseURL
+    ? config.url
+    : `${baseURL.replace(/\/+$/, '')}/${(config.url || '').replace(/^\/+/, '')}`;
+  const url = new URL(fullUrl, 'http://mock.local');
+  const basePath = new URL(baseURL || '/', 'http://mock.local').pathname.replace(/\/+$/, '');
+
+  let path = url.pathname;
+  if (basePath && path.startsWith(basePath)) path = path.slice(basePath.length) || '/';
+
+  const query = Object.fromEntries(url.searchParams.entries());
+  return { path, query: { ...query, ...(config.params || {}) } };
+};
+
+/**
+ * Read a request header from either an AxiosHeaders instance or a plain object.
+ * @param {Object} headers - Request headers.
+ * @param {string} name - Header name.
+ * @returns {string|undefined} - The header value.
+ */
+const readHeader = (headers, name) => {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+};
+
+/**
+ * Parse the request body sent by Axios (a JSON string for the API modules, or `FormData` for uploads).
+ * @param {*} data - The raw request data.
+ * @returns {*} - The parsed body.
+ */
+const parseBody = (data) => {
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+};
+
+/**
+ * Wait for the configured latency (a random value between `min` and `max`).
+ * Stops early when the request is cancelled through its `AbortSignal`, like a real aborted request.
+ * @param {AbortSignal} [signal] - The request's `config.signal`.
+ * @returns {Promise<void>}
+ */
+const simulateLatency = (signal) => {
+  const delay = latency.min + Math.random() * (latency.max - latency.min);
+  if (delay <= 0) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve(); // The adapter checks `signal.aborted` right after waiting
+    };
+    const timer = setTimeout(done, delay);
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+};
+
+/**
+ * Find the first injected error matching a request and consume one of its remaining uses.
+ * @param {string} method - HTTP method.
+ * @param {string} path - API path.
+ * @returns {Object|null} - The injected error, if any.
+ */
+const takeInjectedError = (method, path) => {
+  const match = injectedErrors.find((entry) =>
+    (entry.method === '*' || entry.method === method) &&
+    (entry.path instanceof RegExp ? entry.path.test(path) : entry.path === path)
+  );
+  if (!match) return null;
+  match.remaining -= 1;
+  if (match.remaining <= 0) injectedErrors = injectedErrors.filter((entry) => entry !== match);
+  return match;
+};
+
+/**
+ * Build an Axios-like error so that `fetcher` handles mock failures exactly like real ones.
+ * @param {string} message - Error message.
+ * @param {Object} config - Axios request config.
+ * @param {Object} [response] - The response, omitted for network errors.
+ * @returns {Error} - The error.
+ */
+const createAxiosError = (message, config, response) => {
+  const error = new Error(message);
+  error.isAxiosError = true;
+  error.config = config;
+  error.request = {};
+  error.code = response ? (response.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST') : 'ERR_NETWORK';
+  if (response) error.response = response;
+  return error;
+};
+
+/**
+ * Create the error Axios rejects with when a request is cancelled (recognised by `axios.isCancel`).
+ * @param {Object} config - Axios request config.
+ * @returns {Error}
+ */
+const createCanceledError = (config) => {
+  const error = new Error('canceled');
+  error.name = 'CanceledError';
+  error.code = 'ERR_CANCELED';
+  error.config = config;
+  error.__CANCEL__ = true; // The marker `axios.isCancel` checks
+  return error;
+};
+
+/**
+ * Run a request against the mock routes.
+ * @param {string} method - HTTP method.
+ * @param {string} path - API path.
+ * @param {Object} request - `{ query, body, headers }`.
+ * @returns {Promise<Object>} - `{ status, data }`.
+ */
+const dispatch = async (method, path, { query, body, headers }) => {
+  const matched = routes
+    .filter((entry) => entry.method === method)
+    .map((entry) => ({ entry, match: entry.regex.exec(path) }))
+    .find(({ match }) => match);
+
+  if (!matched) return { status: 404, data: { message: `No mock route for ${method} ${path}.` } };
+
+  const { entry, match } = matched;
+  const params = Object.fromEntries(entry.keys.map((key, index) => [key, decodeURIComponent(match[index + 1])]));
+
+  try {
+    let user = null;
+    if (entry.auth) {
+      const bearer = (headers.authorization || '').replace(/^Bearer\s+/i, '');
+      const payload = bearer ? readToken(bearer) : null;
+      user = payload ? findUser(payload._id) : null;
+      if (!user) throw new MockHttpError(401, 'Not authorized, token failed.');
+    }
+
+    const result = await entry.handler({ params, query, body, user, headers }); // Handlers reading files are async
+    return result && result.status !== undefined && 'data' in result ? result : { status: 200, data: result };
+  } catch (error) {
+    if (error instanceof MockHttpError) {
+      return { status: error.status, data: { message: error.message, ...error.details } };
+    }
+    throw error; // A bug in the mock itself should surface, not be disguised as an API error
+  }
+};
+
+/**
+ * Axios adapter that serves requests from the mock backend.
+ * @param {Object} config - Axios request config.
+ * @returns {Promise<Object>} - An Axios response, or a rejected Axios-like error.
+ */
+export const mockAdapter = async (config) => {
+  if (!db) reset();
+
+  const method = (config.method || 'get').toUpperCase();
+  const { path, query } = resolveRequest(config);
+  const headers = { authorization: readHeader(config.headers, 'Authorization') };
+  const body = parseBody(config.data);
+
+  if (config.signal && config.signal.aborted) throw createCanceledError(config);
+  await simulateLatency(config.signal);
+  if (config.signal && config.signal.aborted) throw createCanceledError(config); // Cancelled: never reaches the routes
+
+  const injected = takeInjectedError(method, path);
+  let result;
+  if (injected && injected.network) {
+    throw createAxiosError('Network Error', config); // No response at all, like an offline device
+  } else if (injected) {
+    result = { status: injected.status, data: { message: injected.message } };
+  } else {
+    result = await dispatch(method, path, { query, body, headers });
+  }
+
+  const response = {
+    data: clone(result.data),
+    status: result.status,
+    statusText: String(result.status),
+    headers: { 'content-type': 'application/json', ...(injected && injected.headers) },
+    config,
+    request: {},
+  };
+
+  const validateStatus = config.validateStatus || ((status) => status >= 200 && status < 300);
+  if (!validateStatus(response.status)) {
+    throw createAxiosError(`Request failed with status code ${response.status}`, config, response);
+  }
+  return response;
+};
+
+// CONTROLS
+
+/**
+ * Replace the database with fixture data. Collections that are not provided fall back to the defaults.
+ * @param {Object} [fixtures] - `{ users, books, shelves }`.
+ */
+export const seed = (fixtures = {}) => {
+  db = {
+    users: clone(fixtures.users || defaultFixtures.users),
+    books: clone(fixtures.books || defaultFixtures.books),
+    shelves: clone(fixtures.shelves || defaultFixtures.shelves),
+    refreshTokens: {},
+    resetTokens: {},
+  };
+};
+
+/**
+ * Restore the default fixtures, latency and token lifetime, and clear injected errors.
+ */
+export const reset = () => {
+  seed();
+  latency = { min: DEFAULT_LATENCY, max: DEFAULT_LATENCY };
+  tokenTtl = DEFAULT_TOKEN_TTL_SECONDS;
+  injectedErrors = [];
+  mockEventServer.reset(); // Connected clients reconnect and resync with the new data
+};
+
+/**
+ * Set the simulated latency applied to every request.
+ * @param {number|Object} value - A fixed delay in ms, or `{ min, max }` for a random delay in that range.
+ */
+export const setLatency = (value) => {
+  latency = typeof value === 'number' ? { min: value, max: value } : { min: value.min || 0, max: value.max || value.min || 0 };
+};
+
+/**
+ * Set the lifetime of tokens issued from now on (a short lifetime exercises the token refresh flow).
+ * @param {number} seconds - Token lifetime in seconds.
+ */
+export const setTokenTtl = (seconds) => {
+  tokenTtl = seconds;
+};
+
+/**
+ * Make matching requests fail instead of reaching their route handler.
+ * @param {Object} options
+ * @param {string} [options.method='*'] - HTTP method to match, or '*' for any.
+ * @param {string|RegExp} options.path - API path to match (e.g. '/books' or /^\/shelves/).
+ * @param {number} [options.status=500] - Response status.
+ * @param {string} [options.message] - Response message.
+ * @param {boolean} [options.network=false] - Fail without a response, like a network outage.
+ * @param {Object} [options.headers] - Extra response headers (e.g. `Retry-After`).
+ * @param {number} [options.times=Infinity] - How many requests should fail before the error is removed.
+ * @returns {Function} - Removes the injected error.
+ */
+export const injectError = ({ method = '*', path, status = 500, message = 'Mock server error.', network = false, headers, times = Infinity }) => {
+  const entry = { method: method.toUpperCase(), path, status, message, network, headers, remaining: times };
+  injectedErrors.push(entry);
+  return () => {
+    injectedErrors = injectedErrors.filter((item) => item !== entry);
+  };
+};
+
+/**
+ * Remove every injected error.
+ */
+export const clearErrors = () => {
+  injectedErrors = [];
+};
+
+/**
+ * Read a snapshot of the mock database (useful for assertions in tests).
+ * @returns {Object} - A deep copy of `{ users, books, shelves }`.
+ */
+export const getData = () => {
+  if (!db) reset();
+  return clone({ users: db.users, books: db.books, shelves: db.shelves });
+};
+
+/**
+ * Connect to the mock event stream as the user of a token. Has the signature of the realtime client's transports
+ * (see utils/realtime.js), so it replaces the backend's stream when the mock API is enabled.
+ * @param {Object} options - `{ token, lastEventId, onOpen, onEvent, onError }`.
+ * @returns {Object} - `{ close }`.
+ */
+export const connectEvents = ({ token, ...options }) => {
+  if (!db) reset();
+  const payload = token ? readToken(token) : null;
+  const user = payload ? findUser(payload._id) : null;
+  if (!user) {
+    // Rejected like an unauthorized request; the client retries with the token it has by then
+    const timer = setTimeout(() => options.onError(new Error('Not authorized, token failed.')), 0);
+    return { close: () => clearTimeout(timer) };
+  }
+  return mockEventServer.connect({ ...options, userId: user._id });
+};
+
+export const mockServer = {
+  adapter: mockAdapter,
+  connectEvents,
+  events: mockEventServer,
+  seed,
+  reset,
+  setLatency,
+  setTokenTtl,
+  injectError,
+  clearErrors,
+  getData,
+};
+
+reset(); // Start with the default fixtures
+
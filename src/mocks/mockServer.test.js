@@ -0,0 +1,280 @@
+import { mockServer } from './mockServer';
+
+/**
+ * Send a request straight to the mock adapter, the way Axios would.
+ */
+const request = (method, url, { data, token } = {}) =>
+  mockServer.adapter({
+    method,
+    url,
+    baseURL: 'http://localhost:5000/api',
+    data: data === undefined ? undefined : JSON.stringify(data),
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+
+const login = async () => {
+  const response = await request('post', '/auth/login', {
+    data: { email: 'reader@shelflife.test', password: 'password123' },
+  });
+  return response.data.token;
+};
+
+describe('mockServer', () => {
+  beforeEach(() => {
+    mockServer.reset();
+  });
+
+  test('issues a decodable token on login and rejects bad credentials', async () => {
+    const token = await login();
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    expect(payload.username).toBe('reader');
+
+    await expect(
+      request('post', '/auth/login', { data: { email: 'reader@shelflife.test', password: 'wrong' } })
+    ).rejects.toMatchObject({ response: { status: 401 } });
+  });
+
+  test('requires a token for protected routes', async () => {
+    await expect(request('get', '/books')).rejects.toMatchObject({ response: { status: 401 } });
+
+    const token = await login();
+    const response = await request('get', '/books', { token });
+    expect(response.data.length).toBeGreaterThan(0);
+  });
+
+  test('serves seeded fixtures and populates shelf books', async () => {
+    mockServer.seed({
+      books: [{ _id: 'b1', title: 'Only Book', authors: ['Someone'], shelf: 'read', reviews: [] }],
+      shelves: [{ _id: 's1', name: 'Mine', userId: 'user-1', books: ['b1'] }],
+    });
+    const token = await login();
+
+    const shelf = await request('get', '/shelves/s1', { token });
+    expect(shelf.data.books).toEqual([expect.objectContaining({ _id: 'b1', title: 'Only Book' })]);
+
+    const search = await request('get', '/books/search?q=only', { token });
+    expect(search.data).toHaveLength(1);
+  });
+
+  test('lists the books of a person in any role', async () => {
+    mockServer.seed({
+      books: [
+        { _id: 'b1', title: 'The Arrival', authors: ['Shaun Tan'], reviews: [] },
+        { _id: 'b2', title: 'Tales', authors: [{ name: 'Someone' }, { name: 'Shaun Tan', role: 'illustrator' }], reviews: [] },
+        { _id: 'b3', title: 'Other', authors: ['Someone'], reviews: [] },
+      ],
+    });
+    const token = await login();
+
+    const books = await request('get', '/authors/shaun-tan/books', { token });
+    expect(books.data.map((book) => book._id)).toEqual(['b1', 'b2']);
+
+    const search = await request('get', '/books/search?q=tan', { token });
+    expect(search.data).toHaveLength(2);
+  });
+
+  test('lists the books of a series whatever the spelling of its name', async () => {
+    mockServer.seed({
+      books: [
+        { _id: 'b1', title: 'Dune', series: 'Dune', seriesPosition: 1, reviews: [] },
+        { _id: 'b2', title: 'Dune Messiah', series: 'dune', seriesPosition: 2, reviews: [] },
+        { _id: 'b3', title: 'Neuromancer', series: 'Sprawl', seriesPosition: 1, reviews: [] },
+        { _id: 'b4', title: 'Emma', reviews: [] },
+      ],
+    });
+    const token = await login();
+
+    const books = await request('get', '/series/dune/books', { token });
+    expect(books.data.map((book) => book._id)).toEqual(['b1', 'b2']);
+  });
+
+  test('counts, renames and merges tags regardless of case', async () => {
+    mockServer.seed({
+      books: [
+        { _id: 'b1', title: 'Dune', tags: ['sci-fi', 'classic'], reviews: [] },
+        { _id: 'b2', title: 'Neuromancer', tags: ['Sci-Fi', 'science fiction'], reviews: [] },
+        { _id: 'b3', title: 'Emma', tags: ['Classic'], reviews: [] },
+      ],
+    });
+    const token = await login();
+
+    const tags = await request('get', '/tags', { token });
+    expect(tags.data).toEqual([
+      { name: 'classic', count: 2 },
+      { name: 'sci-fi', count: 2 },
+      { name: 'science fiction', count: 1 },
+    ]);
+
+    await request('put', '/tags/classic', { token, data: { name: 'Classics' } });
+    const merged = await request('post', '/tags/merge', { token, data: { tags: ['sci-fi', 'science fiction'], into: 'SF' } });
+    expect(merged.data).toEqual([{ name: 'Classics', count: 2 }, { name: 'SF', count: 2 }]);
+
+    const books = await request('get', '/books', { token });
+    expect(books.data.map((book) => book.tags)).toEqual([['SF', 'Classics'], ['SF'], ['Classics']]);
+
+    await expect(request('put', '/tags/unknown', { token, data: { name: 'x' } }))
+      .rejects.toMatchObject({ response: { status: 404 } });
+    await expect(request('post', '/tags/merge', { token, data: { tags: ['SF'], into: ' , ' } }))
+      .rejects.toMatchObject({ response: { status: 400 } });
+  });
+
+  test('keeps a timestamped progress history for the books being read', async () => {
+    mockServer.seed({
+      books: [
+        { _id: 'b1', title: 'Dune', shelf: 'currentlyReading', reviews: [] },
+        { _id: 'b2', title: 'Emma', shelf: 'wantToRead', reviews: [] },
+      ],
+    });
+    const token = await login();
+
+    await request('post', '/books/b1/progress', { token, data: { unit: 'page', value: 40, total: 500 } });
+    const book = await request('post', '/books/b1/progress', { token, data: { unit: 'percent', value: 20, total: 500 } });
+    expect(book.data.progress.map(({ unit, value, total }) => ({ unit, value, total }))).toEqual([
+      { unit: 'page', value: 40, total: 500 },
+      { unit: 'percent', value: 20, total: undefined }, // Percentages have no total
+    ]);
+    expect(book.data.progress.every((entry) => !Number.isNaN(Date.parse(entry.loggedAt)))).toBe(true);
+
+    await expect(request('post', '/books/b1/progress', { token, data: { unit: 'page', value: 501, total: 500 } }))
+      .rejects.toMatchObject({ response: { status: 400, data: { errors: { value: expect.any(String) } } } });
+    await expect(request('post', '/books/b2/progress', { token, data: { unit: 'percent', value: 5 } }))
+      .rejects.toMatchObject({ response: { status: 409 } });
+  });
+
+  test('paginates book lists when a page is requested', async () => {
+    mockServer.seed({
+      books: ['One', 'Two', 'Three'].map((title, index) => ({ _id: `b${index}`, title, authors: [], shelf: 'read', reviews: [] })),
+      shelves: [],
+    });
+    const token = await login();
+
+    const secondPage = await request('get', '/books?page=2&limit=2', { token });
+    expect(secondPage.data).toEqual({ items: [expect.objectContaining({ title: 'Three' })], total: 3, page: 2, limit: 2 });
+
+    const shelfPage = await request('get', '/books/shelf/read?page=1&limit=2', { token });
+    expect(shelfPage.data.items).toHaveLength(2);
+    expect(shelfPage.data.total).toBe(3);
+  });
+
+  test('sorts and filters book lists by their bibliographic fields', async () => {
+    mockServer.seed({
+      books: [
+        { _id: 'b1', title: 'Dune', format: 'paperback', publishedDate: '1965-08-01', authors: [], reviews: [] },
+        { _id: 'b2', title: 'Neuromancer', format: 'ebook', publishedDate: '1984', authors: [], reviews: [] },
+        { _id: 'b3', title: 'Hyperion', format: 'ebook', publishedDate: '1989-05', authors: [], reviews: [] },
+      ],
+      shelves: [],
+    });
+    const token = await login();
+
+    const sorted = await request('get', '/books?page=1&limit=10&sort=-publishedDate', { token });
+    expect(sorted.data.items.map((book) => book._id)).toEqual(['b3', 'b2', 'b1']);
+
+    const ebooks = await request('get', '/books?page=1&limit=10&format=ebook&sort=title', { token });
+    expect(ebooks.data).toMatchObject({ total: 2, items: [{ _id: 'b3' }, { _id: 'b2' }] });
+  });
+
+  test('applies mutations to the in-memory database', async () => {
+    const token = await login();
+    await request('post', '/shelves/shelf-1/books', { data: { bookId: 'book-4' }, token });
+    await request('delete', '/books/book-1', { token });
+
+    const { books, shelves } = mockServer.getData();
+    expect(books.find((book) => book._id === 'book-1')).toBeUndefined();
+    expect(shelves.find((shelf) => shelf._id === 'shelf-1').books).toEqual(['book-4']);
+  });
+
+  test('applies batch edits to every book and shelf, or to none of them', async () => {
+    const token = await login();
+    const edited = await request('patch', '/books/batch', {
+      data: { bookIds: ['book-1', 'book-2'], changes: { shelf: 'wantToRead', addTags: ['classic'] } },
+      token,
+    });
+    expect(edited.data).toEqual([
+      expect.objectContaining({ _id: 'book-1', shelf: 'wantToRead', tags: ['classic'] }),
+      expect.objectContaining({ _id: 'book-2', shelf: 'wantToRead', tags: ['classic'] }),
+    ]);
+
+    await request('post', '/shelves/batch/books', { data: { shelfIds: ['shelf-1'], bookIds: ['book-2', 'book-4'] }, token });
+    await expect(
+      request('delete', '/books/batch', { data: { bookIds: ['book-2', 'missing'] }, token })
+    ).rejects.toMatchObject({ response: { status: 404 } });
+
+    const deleted = await request('delete', '/books/batch', { data: { bookIds: ['book-2', 'book-4'] }, token });
+    expect(deleted.data).toEqual({ deletedIds: ['book-2', 'book-4'] });
+    const { books, shelves } = mockServer.getData();
+    expect(books.map((book) => book._id)).not.toContain('book-2');
+    expect(shelves.find((shelf) => shelf._id === 'shelf-1').books).toEqual(['book-1']);
+  });
+
+  test('stores uploaded covers and rejects files that are not images', async () => {
+    const token = await login();
+    const upload = (file) => {
+      const data = new FormData();
+      data.append('cover', file, 'cover');
+      return mockServer.adapter({
+        method: 'post',
+        url: '/books/covers',
+        baseURL: 'http://localhost:5000/api',
+        data,
+        headers: { Authorization: `Bearer ${token}` },
+      });
+    };
+
+    const response = await upload(new Blob(['fake-jpeg'], { type: 'image/jpeg' }));
+    expect(response.status).toBe(201);
+    expect(response.data.coverImageUrl).toMatch(/^data:image\/jpeg;base64,/);
+
+    await expect(upload(new Blob(['%PDF'], { type: 'application/pdf' }))).rejects.toMatchObject({
+      response: { status: 415, data: { code: 'UNSUPPORTED_IMAGE_TYPE' } },
+    });
+  });
+
+  test('returns injected errors for the requested number of calls', async () => {
+    const token = await login();
+    mockServer.injectError({ method: 'get', path: '/books', status: 503, message: 'Down for maintenance', times: 1 });
+
+    await expect(request('get', '/books', { token })).rejects.toMatchObject({
+      response: { status: 503, data: { message: 'Down for maintenance' } },
+    });
+    await expect(request('get', '/books', { token })).resolves.toMatchObject({ status: 200 });
+  });
+
+  test('honours the request signal like a cancelled Axios request', async () => {
+    const token = await login();
+    mockServer.setLatency(50);
+    const controller = new AbortController();
+
+    const pending = mockServer.adapter({
+      method: 'post',
+      url: '/books',
+      baseURL: 'http://localhost:5000/api',
+      data: JSON.stringify({ title: 'Never Created' }),
+      headers: { Authorization: `Bearer ${token}` },
+      signal: controller.signal,
+    });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ code: 'ERR_CANCELED', __CANCEL__: true });
+    mockServer.setLatency(0);
+    const books = await request('get', '/books/search?q=never', { token });
+    expect(books.data).toHaveLength(0); // The cancelled request never reached the routes
+  });
+
+  test('simulates network failures without a response', async () => {
+    mockServer.injectError({ path: /^\/shelves/, network: true });
+    const error = await request('get', '/shelves').catch((err) => err);
+    expect(error.request).toBeDefined();
+    expect(error.response).toBeUndefined();
+  });
+
+  test('rejects expired tokens so the refresh flow can be exercised', async () => {
+    mockServer.setTokenTtl(-1);
+    const expired = await login();
+    await expect(request('get', '/books', { token: expired })).rejects.toMatchObject({ response: { status: 401 } });
+
+    mockServer.setTokenTtl(3600);
+    const refreshed = await request('post', '/users/refresh-token', { token: expired });
+    await expect(request('get', '/books', { token: refreshed.data.token })).resolves.toMatchObject({ status: 200 });
+  });
+});
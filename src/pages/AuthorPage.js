@@ -0,0 +1,55 @@
+/**
+ * AuthorPage.js
+ *
+ * Lists every book in the library credited to one person (`/authors/:authorId`), in any role, with the user's
+ * ratings. Author names in `Book` and `BookDetails` link here. The person's name is read from their books, since
+ * the library has no separate author records.
+ */
+
+import React from "react";
+import { useParams } from "react-router-dom"; // Extract URL params
+import { Layout } from "antd"; // Ant Design layout
+import { css } from "@emotion/react"; // Emotion for CSS-in-JS styling
+import { useTranslation } from "react-i18next"; // For internationalization
+import { useAuthorBooks } from "../hooks/useBookQueries"; // Loads the person's books, with its own loading/error state
+import { useAuth } from "../hooks/useAuth"; // The logged-in user, whose ratings are shown
+import { toContributors } from "../utils/authors"; // The person's name as credited on their books
+import AuthorBooks from "../components/authors/AuthorBooks"; // The books, with roles and ratings
+import LoadingErrorWrapper from "../components/ui/LoadingErrorWrapper"; // Reusable loading/error wrapper
+
+const { Content } = Layout;
+
+const authorPageStyles = css`
+  padding: 24px;
+
+  h1 {
+    margin-bottom: 4px;
+  }
+`;
+
+const AuthorPage = () => {
+  const { authorId } = useParams(); // Extract the person's ID from the URL params
+  const { data: books, isLoading, error } = useAuthorBooks(authorId);
+  const { user } = useAuth();
+  const { t } = useTranslation();
+
+  // The name as credited on the first book; the ID itself if no book credits the person
+  const author = (books || [])
+    .flatMap((book) => toContributors(book.authors))
+    .find((contributor) => contributor.id === authorId);
+  const name = author ? author.name : authorId;
+
+  return (
+    <LoadingErrorWrapper isLoading={isLoading} error={error}>
+      <Layout css={authorPageStyles}>
+        <Content>
+          <h1>{name}</h1>
+          <p>{t("authorPage.bookCount", { count: (books || []).length, defaultValue: "{{count}} book(s) in your library" })}</p>
+          <AuthorBooks books={books || []} authorId={authorId} user={user} />
+        </Content>
+      </Layout>
+    </LoadingErrorWrapper>
+  );
+};
+
+export default AuthorPage;
@@ -4,12 +4,14 @@
  * to input book details like title, authors, genre, and cover image URL. The page leverages the LoadingErrorWrapper to handle
  * the loading and error states.
  * The page uses conditional logic to differentiate between adding a new book and editing an existing one.
+ * A new book can be started from a photo of its barcode; `/books/create?isbn=...` pre-fills the form from the ISBN.
  */
 
 import React, { useMemo, useEffect } from 'react'; // React hooks for creating components, managing side effects, and memoizing data
-import { useParams, useNavigate } from 'react-router-dom'; // React Router hooks for extracting URL parameters and programmatic navigation
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom'; // React Router hooks for extracting URL parameters and programmatic navigation
 import { useBook } from '../../hooks/useBook'; // Custom hook for managing book-related actions and data
 import BookForm from '../components/books/BookForm'; // Component for rendering the book form
+import ScanBarcodeButton from '../components/books/ScanBarcodeButton'; // Start from a photo of the barcode
 import LoadingErrorWrapper from '../common/LoadingErrorWrapper'; // Reusable component to manage loading and error states
 import { useTranslation } from 'react-i18next'; // For handling translations
 import styled from '@emotion/styled'; // Emotion for CSS-in-JS styling
@@ -23,17 +25,20 @@ const BookFormPageWrapper = styled.div`
 const BookFormPage = () => {
   const { bookId } = useParams(); // Extract the book ID from the URL parameters to check if the user is editing a book
   const navigate = useNavigate(); // Navigation hook for redirecting the user after successful form submission
+  const [searchParams] = useSearchParams();
+  const initialIsbn = bookId ? null : searchParams.get('isbn'); // ISBN of a new book (e.g. read from a barcode)
   const { books, isLoading, error, getBookById } = useBook(); // Extract relevant functions and state from the useBook hook
   const { t } = useTranslation(); // Initialize translation hook for i18n support
 
   // Memoize the book data to avoid unnecessary re-fetching or re-renders
-  const book = useMemo(() => books.find((b) => b._id === bookId), [books, bookId]);
+  const book = useMemo(() => books.find((b) => b.id === bookId), [books, bookId]);
 
   // Fetch the book details when the component mounts if editing an existing book
   useEffect(() => {
-    if (bookId && !book) {
-      getBookById(bookId); // Fetch book details from context if not already available
-    }
+    if (!bookId || book) return undefined;
+    const controller = new AbortController(); // Cancels the request if the page changes or unmounts first
+    getBookById(bookId, { signal: controller.signal }); // Fetch book details from context if not already available
+    return () => controller.abort();
   }, [bookId, book, getBookById]);
 
   /**
@@ -57,11 +62,15 @@ const BookFormPage = () => {
         {/* Page title based on whether the user is adding or editing a book */}
         <h1>{bookId ? t('bookFormPage.editBookTitle') : t('bookFormPage.addBookTitle')}</h1>
 
+        {/* Adding a book: read its ISBN from a photo instead of typing it */}
+        {!bookId && <ScanBarcodeButton />}
+
         {/* Render the BookForm component with appropriate props */}
         <BookForm
           initialData={book} // Provide existing book data for editing
           onSubmit={handleBookFormSubmit} // Handle successful form submission
           onCancel={handleFormCancel} // Handle form cancellation
+          initialIsbn={initialIsbn} // Pre-fill a new book from its ISBN
         />
       </BookFormPageWrapper>
     </LoadingErrorWrapper>
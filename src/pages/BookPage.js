@@ -5,35 +5,30 @@
  * and react-spring/react-lazyload for animations and lazy loading.
  */
 
-import React, { useMemo } from "react";
+import React from "react";
 import { useParams } from "react-router-dom"; // Extract URL params
-import { useBook } from "../../hooks/useBook"; // Hook for managing book-related logic
-import { useAuth } from "../../hooks/useAuth"; // Hook for authentication
+import { useBookQuery } from "../hooks/useBookQueries"; // Loads this page's book, with its own loading/error state
+import { useAuth } from "../hooks/useAuth"; // Hook for authentication
 import { css } from "@emotion/react"; // Emotion for CSS-in-JS styling
 import { Layout, Row, Col } from "antd"; // Ant Design components for layout and UI elements
-import BookDetails from "../books/BookDetails"; // Component for displaying book details
-import BookActions from "../books/BookActions"; // Component for handling book actions (edit, delete, shelf update)
-import BookReview from "../books/BookReview"; // Component for displaying and adding book reviews
-import BookShelf from "../books/BookShelf"; // Component for displaying the shelf information
+import BookDetails from "../components/books/BookDetails"; // Component for displaying book details
+import BookActions from "../components/books/BookActions"; // Component for handling book actions (edit, delete, shelf update)
+import BookReview from "../components/books/BookReview"; // Component for displaying and adding book reviews
+import BookShelf from "../components/books/BookShelf"; // Component for displaying the shelf information
 import { useSpring, animated } from "react-spring"; // React Spring for animations
 import LazyLoad from "react-lazyload"; // Lazy loading to optimize component rendering
 import { useTranslation } from "react-i18next"; // For internationalization
-import LoadingErrorWrapper from "../common/LoadingErrorWrapper"; // Reusable loading/error wrapper
+import LoadingErrorWrapper from "../components/ui/LoadingErrorWrapper"; // Reusable loading/error wrapper
 
 const { Content } = Layout;
 
 const BookPage = () => {
   const { bookId } = useParams(); // Extract book ID from the URL params
-  const { books, isLoading, error } = useBook(); // Fetch books and their loading/error states from BookContext
+  // Load the book (a copy already loaded by a list shows right away); other requests never affect this status
+  const { data: book, isLoading, error } = useBookQuery(bookId);
   const { user } = useAuth(); // Access authenticated user information
   const { t } = useTranslation(); // Hook for translations
 
-  // Memoize the book object to avoid unnecessary re-renders
-  const book = useMemo(
-    () => books.find((b) => b._id === bookId),
-    [books, bookId]
-  );
-
   // React Spring animation for book details section
   const springProps = useSpring({
     opacity: 1,
@@ -87,8 +82,9 @@ const BookPage = () => {
                       {user && (
                         <div className="action-buttons">
                           <BookActions
-                            bookId={book._id}
+                            bookId={book.id}
                             currentShelf={book.shelf}
+                            tags={book.tags}
                           />
                         </div>
                       )}
@@ -103,7 +99,7 @@ const BookPage = () => {
 
                       {/* Render the BookReview component to display and add reviews for the book */}
                       <div className="book-review">
-                        <BookReview bookId={book._id} reviews={book.reviews} />
+                        <BookReview bookId={book.id} reviews={book.reviews} />
                       </div>
                     </>
                   ) : (
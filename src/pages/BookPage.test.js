@@ -0,0 +1,44 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { forceVisible } from 'react-lazyload';
+import { mockServer } from '../mocks/mockServer';
+import { setToken } from '../utils/tokenHandler';
+
+// The page loads its book through the fetcher, which picks the mock backend when it loads
+process.env.REACT_APP_USE_MOCK_API = 'true';
+const { StoreProvider } = require('../store/StoreProvider');
+const BookPage = require('./BookPage').default;
+
+describe('BookPage', () => {
+  beforeEach(async () => {
+    mockServer.reset();
+    const { data } = await mockServer.adapter({
+      method: 'post',
+      url: '/auth/login',
+      data: JSON.stringify({ email: 'reader@shelflife.test', password: 'password123' }),
+      headers: {},
+    });
+    setToken(data.token);
+  });
+
+  test('renders the book of the URL', async () => {
+    const { title } = mockServer.getData().books[0];
+
+    render(
+      <StoreProvider>
+        <MemoryRouter initialEntries={['/books/book-1']}>
+          <Routes>
+            <Route path="/books/:bookId" element={<BookPage />} />
+          </Routes>
+        </MemoryRouter>
+      </StoreProvider>
+    );
+
+    // The details are lazily rendered once loaded; jsdom lays nothing out, so they never scroll into view by themselves
+    await waitFor(() => {
+      forceVisible();
+      expect(screen.getAllByText(title).length).toBeGreaterThan(0);
+    });
+  });
+});
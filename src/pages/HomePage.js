@@ -3,33 +3,35 @@
  *
  * The primary landing page of the application where users can interact with their shelves and books.
  * It uses Ant Design for layout, Emotion for styling, react-spring for animations, and LazyLoad for performance optimization.
- * The page consists of a sidebar for navigation, a main section displaying shelves, and an optional featured book list.
+ * The page consists of a main section displaying shelves, and an optional featured book list.
+ * The books being read come first, with their progress and one-tap updates.
  */
 
 import React from "react";
 import { Layout, Row, Col } from "antd"; // Ant Design layout components
 import { css } from "@emotion/react"; // Emotion for CSS-in-JS styling
 import { useShelf } from "../hooks/useShelf"; // Custom hook for managing shelf state
-import { useBook } from "../hooks/useBook"; // Custom hook for managing book state
 import ShelfList from "../components/shelves/ShelfList"; // Component to display list of shelves
 import BookList from "../components/books/BookList"; // Component to display list of books
-import Sidebar from "../components/layout/Sidebar"; // Sidebar for navigation between shelves and categories
+import ScanBarcodeButton from "../components/books/ScanBarcodeButton"; // Add a book from a photo of its barcode
+import CurrentlyReading from "../components/progress/CurrentlyReading"; // Books being read, with their progress
 import { useAuth } from "../hooks/useAuth"; // Custom hook for managing authentication state
 import { useSpring, animated } from "react-spring"; // React Spring for smooth animations
 import LazyLoad from "react-lazyload"; // Lazy loading for optimizing component rendering
+import { useTranslation } from "react-i18next"; // For internationalization
 
 const { Header, Content } = Layout;
 
 /**
  * HomePage Component
  *
- * Displays the main content for the application, including user-created shelves, a list of books, and a sidebar for navigation.
+ * Displays the main content for the application, including user-created shelves and a list of books.
  * Integrates lazy loading for performance optimization and animations for smoother user experience.
  */
 const HomePage = () => {
-  const { user } = useAuth(); // Get the authenticated user from the AuthContext
-  const { shelves } = useShelf(); // Get the user's shelves from ShelfContext
-  const { books } = useBook(); // Get the user's books from BookContext
+  const { user } = useAuth(); // Get the authenticated user from useAuth
+  const { shelves } = useShelf(); // Get the user's shelves from useShelf
+  const { t } = useTranslation();
 
   // Animation configuration for the shelf list using React Spring
   const springProps = useSpring({
@@ -67,14 +69,15 @@ const HomePage = () => {
       </Header>
 
       <Layout>
-        {/* Sidebar for navigating shelves and book categories */}
-        <Sidebar />
-
         {/* Main content area displaying shelves and books */}
         <Content className="content">
           <Row gutter={[16, 16]}>
             {" "}
             {/* Ant Design's grid system with 16px gutter */}
+            <Col span={24}>
+              <h2>{t("home.currentlyReading", "Currently Reading")}</h2>
+              <CurrentlyReading /> {/* Progress of each book, updatable in one tap */}
+            </Col>
             <Col span={24}>
               <animated.div style={springProps}>
                 {" "}
@@ -90,10 +93,11 @@ const HomePage = () => {
             {/* Optionally, display a list of books from all shelves */}
             <Col span={24}>
               <h2>Books from All Shelves</h2> {/* Section heading for books */}
+              <ScanBarcodeButton type="primary" /> {/* Catalogue a physical book from its barcode */}
               {/* Lazy load the BookList component for optimization */}
               <LazyLoad height={200} offset={100}>
-                <BookList books={books} />{" "}
-                {/* Pass the books data to the BookList component */}
+                <BookList mode="infinite" />{" "}
+                {/* BookList loads the library page by page as the user scrolls */}
               </LazyLoad>
             </Col>
           </Row>
@@ -1,7 +1,7 @@
 /** 
  * LoginPage.js
  * This page handles user login using React Hook Form for form management,
- * Ant Design for UI components, and AuthContext for authentication.
+ * Ant Design for UI components, and the useAuth hook for authentication.
  * It also utilizes react-i18next for internationalization, Emotion for global styling, and react-spring for animation.
  */
 
@@ -3,21 +3,24 @@
  *
  * This page allows users to search for books and displays the results.
  * It uses Ant Design for layout, React Hook Form for managing the search form,
- * and the BookContext to handle book search-related actions.
+ * and BookList to fetch the matching books from the server one page at a time.
+ * Results can be narrowed to books with all of the chosen tags; the query and the tags are kept in the URL
+ * (`/search?q=dune&tags=classic`), so the tags page links to the books of a tag.
  * Lazy loading and animations are implemented with `react-lazyload` and `react-spring`,
  * and react-i18next is used for internationalization.
  */
 
-import React, { useState, useMemo } from "react";
+import React from "react";
+import { useSearchParams } from "react-router-dom"; // Query and tags live in the URL
 import { useForm } from "react-hook-form"; // For form handling
 import { useTranslation } from "react-i18next"; // For internationalization
-import { Input, Button, Layout, Pagination } from "antd"; // Ant Design components for UI elements
+import { Input, Button, Layout } from "antd"; // Ant Design components for UI elements
 import { css } from "@emotion/react"; // For styling
 import { useSpring, animated } from "react-spring"; // For animations
 import LazyLoad from "react-lazyload"; // For lazy loading
-import { useBook } from "../../hooks/useBook"; // Custom hook for book-related logic
 import BookList from "../../components/books/BookList"; // Component to display a list of books
-import LoadingErrorWrapper from "../../components/common/LoadingErrorWrapper"; // Reusable component for loading/error states
+import TagSelect from "../components/tags/TagSelect"; // Tag filter, with the tags of the library
+import { normalizeTags } from "../utils/tags"; // Tags of the URL, cleaned up
 import {
   buttonStyles,
   inputFieldStyles,
@@ -34,15 +37,10 @@ const { Content } = Layout; // Ant Design Layout component
  */
 const SearchPage = () => {
   const { t } = useTranslation(); // Translation hook from react-i18next
-  const { searchBooks, books, isLoading, error } = useBook(); // Extract necessary methods and state from useBook
-  const { register, handleSubmit } = useForm(); // React Hook Form setup
-  const [currentPage, setCurrentPage] = useState(1); // State for pagination
-
-  // Memoize the filtered books to prevent unnecessary re-renders
-  const paginatedBooks = useMemo(() => {
-    const startIndex = (currentPage - 1) * 10; // Pagination logic (10 books per page)
-    return books.slice(startIndex, startIndex + 10);
-  }, [books, currentPage]);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const submittedQuery = (searchParams.get("q") || "").trim(); // Query of the last search (BookList fetches its results)
+  const tags = normalizeTags(searchParams.get("tags") || ""); // Tag filter, applied as soon as it changes
+  const { register, handleSubmit } = useForm({ defaultValues: { query: submittedQuery } }); // React Hook Form setup
 
   // Animation for book results section
   const springProps = useSpring({
@@ -65,26 +63,33 @@ const SearchPage = () => {
       align-items: center;
       justify-content: space-between;
     }
-    .book-list {
-      margin-top: 20px;
+    .tag-filter {
+      margin-top: 12px;
+      min-width: 260px;
     }
-    .pagination {
+    .book-list {
       margin-top: 20px;
-      text-align: center;
     }
   `;
 
+  /**
+   * Put the query and the tags in the URL, leaving out the empty ones.
+   * @param {string} query - The search query.
+   * @param {string[]} nextTags - The tag filter.
+   */
+  const updateSearch = (query, nextTags) => {
+    setSearchParams({
+      ...(query && { q: query }),
+      ...(nextTags.length > 0 && { tags: nextTags.join(",") }),
+    });
+  };
+
   /**
    * Handle form submission for searching books.
    * @param {Object} data - Contains the search query from the form input.
    */
-  const onSubmit = async (data) => {
-    try {
-      await searchBooks(data.query); // Trigger search function from BookContext
-      setCurrentPage(1); // Reset to first page after a new search
-    } catch (err) {
-      console.error("Search error:", err);
-    }
+  const onSubmit = (data) => {
+    updateSearch(data.query.trim(), tags); // BookList fetches the first page of results for the new query
   };
 
   return (
@@ -105,27 +110,25 @@ const SearchPage = () => {
           </form>
         </div>
 
-        {/* Loading and error handling using reusable wrapper */}
-        <LoadingErrorWrapper isLoading={isLoading} error={error}>
+        {/* Tag filter: only books with all of these tags */}
+        <TagSelect
+          className="tag-filter"
+          allowNew={false} // Only tags some book has can match
+          aria-label={t("searchPage.tags", "Tags")}
+          value={tags}
+          onChange={(nextTags) => updateSearch(submittedQuery, nextTags)}
+        />
+
+        {/* Search results, fetched and paginated by the server (BookList handles loading and errors) */}
+        {/* With tags only, every book having them */}
+        {(submittedQuery || tags.length > 0) && (
           <div className="book-list">
             <LazyLoad height={200} offset={100}>
               <animated.div style={springProps}>
-                <BookList books={paginatedBooks} onUpdateShelf={() => {}} />{" "}
-                {/* Display paginated books */}
+                <BookList searchQuery={submittedQuery || undefined} tags={tags} mode="pagination" pageSize={10} />
               </animated.div>
             </LazyLoad>
           </div>
-        </LoadingErrorWrapper>
-
-        {/* Pagination component */}
-        {books.length > 0 && (
-          <Pagination
-            className="pagination"
-            current={currentPage}
-            total={books.length}
-            pageSize={10}
-            onChange={(page) => setCurrentPage(page)}
-          />
         )}
       </Content>
     </Layout>
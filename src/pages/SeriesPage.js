@@ -0,0 +1,59 @@
+/**
+ * SeriesPage.js
+ *
+ * Shows a whole series in reading order (`/series/:seriesId`): the books in the library, marked read or currently
+ * reading, and the numbered entries missing from the library. The series name is read from its books, since the
+ * library has no separate series records.
+ */
+
+import React from "react";
+import { useParams } from "react-router-dom"; // Extract URL params
+import { Layout } from "antd"; // Ant Design layout
+import { css } from "@emotion/react"; // Emotion for CSS-in-JS styling
+import { useTranslation } from "react-i18next"; // For internationalization
+import { useSeriesBooks } from "../hooks/useBookQueries"; // Loads the series' books, with its own loading/error state
+import { getSeriesEntries } from "../utils/series"; // Reading order and missing entries
+import SeriesEntries from "../components/series/SeriesEntries"; // The entries with their status
+import LoadingErrorWrapper from "../components/ui/LoadingErrorWrapper"; // Reusable loading/error wrapper
+
+const { Content } = Layout;
+
+const seriesPageStyles = css`
+  padding: 24px;
+
+  h1 {
+    margin-bottom: 4px;
+  }
+`;
+
+const SeriesPage = () => {
+  const { seriesId } = useParams(); // Extract the series ID from the URL params
+  const { data: books, isLoading, error } = useSeriesBooks(seriesId);
+  const { t } = useTranslation();
+
+  const entries = getSeriesEntries(books || []);
+  const name = books && books.length > 0 ? books[0].series : seriesId;
+  const count = (status) => entries.filter(({ book }) => (status ? book && book.shelf === status : !book)).length;
+
+  return (
+    <LoadingErrorWrapper isLoading={isLoading} error={error}>
+      <Layout css={seriesPageStyles}>
+        <Content>
+          <h1>{name}</h1>
+          <p>
+            {t("series.summary", {
+              read: count("read"),
+              reading: count("currentlyReading"),
+              missing: count(null),
+              total: entries.length,
+              defaultValue: "{{read}} of {{total}} read · {{reading}} currently reading · {{missing}} missing",
+            })}
+          </p>
+          <SeriesEntries entries={entries} />
+        </Content>
+      </Layout>
+    </LoadingErrorWrapper>
+  );
+};
+
+export default SeriesPage;
@@ -31,7 +31,7 @@ const ShelfFormPage = () => {
   const { shelves, addShelf, updateShelf } = useShelf(); // Extract addShelf and updateShelf functions from context
 
   // Memoize the shelf object to avoid unnecessary re-renders when editing
-  const shelf = useMemo(() => shelves.find((s) => s._id === shelfId), [shelves, shelfId]);
+  const shelf = useMemo(() => shelves.find((s) => s.id === shelfId), [shelves, shelfId]);
 
   /**
    * Callback for when the shelf is successfully created or updated.
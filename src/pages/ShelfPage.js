@@ -13,7 +13,6 @@ import ShelfDetails from '../../components/shelves/ShelfDetails'; // Component t
 import ShelfBooksList from '../../components/shelves/ShelfBooksList'; // Component to display books on the shelf
 import AddBookToShelf from '../../components/shelves/AddBookToShelf'; // Component to add books to the shelf
 import RemoveBookFromShelf from '../../components/shelves/RemoveBookFromShelf'; // Component to remove books from the shelf
-import Sidebar from '../../components/layout/Sidebar'; // Sidebar for easy navigation to other shelves
 import { useSpring, animated } from 'react-spring'; // For smooth animations
 import LazyLoad from 'react-lazyload'; // For optimizing component loading
 import { useTranslation } from 'react-i18next'; // For internationalization
@@ -25,10 +24,10 @@ const { Content } = Layout;
 const ShelfPage = () => {
   const { shelfId } = useParams(); // Extract the shelf ID from the URL
   const { t } = useTranslation(); // Hook for localization
-  const { shelves, isLoading, error } = useShelf(); // Access shelf data from ShelfContext
+  const { shelves, isLoading, error } = useShelf(); // Access shelf data from useShelf
 
   // Find the specific shelf by ID
-  const shelf = shelves.find((shelf) => shelf._id === shelfId);
+  const shelf = shelves.find((shelf) => shelf.id === shelfId);
 
   // React Spring animation for smooth appearance of the shelf details
   const springProps = useSpring({
@@ -87,8 +86,6 @@ const ShelfPage = () => {
 
   return (
     <Layout className="shelf-page" css={shelfPageStyles}>
-      {/* Sidebar for easy navigation */}
-      <Sidebar />
       <Content className="content">
         <LazyLoad height={200} offset={100}>
           {/* Animate shelf details with React Spring */}
@@ -0,0 +1,43 @@
+/**
+ * TagsPage.js
+ *
+ * The tags of the library (`/tags`), each with the number of books having it and a link to those books. Tags can
+ * be renamed and merged here, e.g. to fix a typo or to bring 'sci-fi' and 'science fiction' together.
+ */
+
+import React from "react";
+import { Layout } from "antd"; // Ant Design layout
+import { css } from "@emotion/react"; // Emotion for CSS-in-JS styling
+import { useTranslation } from "react-i18next"; // For internationalization
+import { useTags } from "../hooks/useBookQueries"; // Loads the tags, with their own loading/error state
+import TagManager from "../components/tags/TagManager"; // The tags, with renaming and merging
+import LoadingErrorWrapper from "../components/ui/LoadingErrorWrapper"; // Reusable loading/error wrapper
+
+const { Content } = Layout;
+
+const tagsPageStyles = css`
+  padding: 24px;
+
+  h1 {
+    margin-bottom: 4px;
+  }
+`;
+
+const TagsPage = () => {
+  const { data: tags, isLoading, error } = useTags();
+  const { t } = useTranslation();
+
+  return (
+    <LoadingErrorWrapper isLoading={isLoading} error={error}>
+      <Layout css={tagsPageStyles}>
+        <Content>
+          <h1>{t("tagsPage.title", "Tags")}</h1>
+          <p>{t("tagsPage.tagCount", { count: (tags || []).length, defaultValue: "{{count}} tag(s) in your library" })}</p>
+          <TagManager tags={tags || []} />
+        </Content>
+      </Layout>
+    </LoadingErrorWrapper>
+  );
+};
+
+export default TagsPage;
@@ -61,7 +61,7 @@ const UserProfilePage = () => {
     return (
       <Layout className="user-profile-page" css={userProfilePageStyles}>
         <Content>
-          <ErrorMessage message={error} /> {/* Display error message */}
+          <ErrorMessage error={error} /> {/* Display error message */}
         </Content>
       </Layout>
     );
@@ -17,6 +17,9 @@ import UserProfilePage from '../pages/UserProfilePage'; // Page for viewing and
 import SearchPage from '../pages/SearchPage'; // Page for searching books across the app
 import BookFormPage from '../pages/BookFormPage'; // Page for creating or editing a book
 import ShelfFormPage from '../pages/ShelfFormPage'; // Page for creating or editing a shelf
+import AuthorPage from '../pages/AuthorPage'; // Page listing the books of one author, translator, illustrator or narrator
+import SeriesPage from '../pages/SeriesPage'; // Page showing a series in reading order
+import TagsPage from '../pages/TagsPage'; // Page listing the tags, with renaming and merging
 import NotFoundPage from '../pages/NotFoundPage'; // Page for displaying a 404 error when a route is not found
 import PasswordResetPage from '../pages/PasswordResetPage'; // Page for requesting a password reset
 import PrivateRoute from './PrivateRoute'; // Custom PrivateRoute component for authenticated access
@@ -46,6 +49,9 @@ const AppRoutes = () => (
       <Route path="/books/create" element={<PrivateRoute element={<BookFormPage />} />} /> {/* Create a new book */}
       <Route path="/books/:bookId" element={<PrivateRoute element={<BookPage />} />} /> {/* Book details */}
       <Route path="/books/edit/:bookId" element={<PrivateRoute element={<BookFormPage />} />} /> {/* Edit an existing book */}
+      <Route path="/authors/:authorId" element={<PrivateRoute element={<AuthorPage />} />} /> {/* Books of one person */}
+      <Route path="/series/:seriesId" element={<PrivateRoute element={<SeriesPage />} />} /> {/* A series in reading order */}
+      <Route path="/tags" element={<PrivateRoute element={<TagsPage />} />} /> {/* Tags with their book counts */}
       <Route path="/shelves/create" element={<PrivateRoute element={<ShelfFormPage />} />} /> {/* Create a new shelf */}
       <Route path="/shelf/:shelfId" element={<PrivateRoute element={<ShelfPage />} />} /> {/* Shelf details */}
       <Route path="/shelves/edit/:shelfId" element={<PrivateRoute element={<ShelfFormPage />} />} /> {/* Edit an existing shelf */}
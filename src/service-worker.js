@@ -0,0 +1,61 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * service-worker.js
+ *
+ * Built by react-scripts (Workbox InjectManifest) into `build/service-worker.js`. It is only registered in production
+ * builds (see serviceWorkerRegistration.js).
+ * - Precaches the app shell (every file emitted by the build) and serves `index.html` for navigations, so the
+ *   app starts offline. Book and shelf data come from IndexedDB (see utils/offlineStore.js), not from here.
+ * - Caches cover images at runtime, including images from other origins (e.g. cover providers).
+ * - Waits for the page to confirm before activating a new version (see the update prompt in index.js).
+ */
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+
+const COVER_CACHE = 'shelflife-covers';
+const COVER_CACHE_MAX_ENTRIES = 300; // Enough for a large library without filling the disk
+const COVER_CACHE_MAX_AGE = 60 * 60 * 24 * 30; // Covers rarely change: keep them for 30 days
+
+clientsClaim();
+
+// Precache all of the assets generated by the build process.
+// Their URLs are injected into the manifest variable below; this variable must be present somewhere in the file.
+precacheAndRoute(self.__WB_MANIFEST);
+
+// App shell: serve index.html for every navigation request, so client-side routes work offline
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false; // Not a navigation: skip
+    if (url.pathname.startsWith('/_')) return false; // Reserved URLs: skip
+    if (url.pathname.match(fileExtensionRegexp)) return false; // A file (e.g. /logo.png): skip
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Cover images: cache first, from any origin. Cross-origin images without CORS are opaque (status 0) but still usable.
+// Images that are part of the build are answered by the precache route above before reaching this one.
+registerRoute(
+  ({ request }) => request.destination === 'image',
+  new CacheFirst({
+    cacheName: COVER_CACHE,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: COVER_CACHE_MAX_ENTRIES, maxAgeSeconds: COVER_CACHE_MAX_AGE, purgeOnQuotaError: true }),
+    ],
+  })
+);
+
+// The page sends SKIP_WAITING when the user accepts the "update available" prompt
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,75 @@
+/**
+ * serviceWorkerRegistration.js
+ *
+ * Registers the service worker built from `src/service-worker.js` (production builds only) and reports when a new
+ * version is waiting, so the app can offer to reload (see index.js).
+ */
+
+/**
+ * Register the service worker once the page has loaded.
+ * @param {Object} [config]
+ * @param {Function} [config.onSuccess] - Called with the registration once the app shell is cached for offline use.
+ * @param {Function} [config.onUpdate] - Called with the registration when a new version is installed and waiting.
+ */
+export const register = (config = {}) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The service worker won't work if PUBLIC_URL is on a different origin from the page (e.g. a CDN)
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+
+      // A version that finished installing while the page was closed is already waiting
+      if (registration.waiting && navigator.serviceWorker.controller && config.onUpdate) {
+        config.onUpdate(registration);
+      }
+
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (!installingWorker) return;
+
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state !== 'installed') return;
+          if (navigator.serviceWorker.controller) {
+            // An older version controls the page: the new one waits until the user accepts the update
+            if (config.onUpdate) config.onUpdate(registration);
+          } else if (config.onSuccess) {
+            // First install: everything is precached for offline use
+            config.onSuccess(registration);
+          }
+        };
+      };
+    } catch (error) {
+      console.error('Error during service worker registration:', error);
+    }
+  });
+};
+
+/**
+ * Activate the waiting service worker and reload the page once it has taken control.
+ * @param {ServiceWorkerRegistration} registration - The registration passed to `onUpdate`.
+ */
+export const applyUpdate = (registration) => {
+  if (!registration.waiting) {
+    window.location.reload();
+    return;
+  }
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
+
+/**
+ * Unregister the service worker (e.g. to debug caching issues).
+ */
+export const unregister = async () => {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.unregister();
+  } catch (error) {
+    console.error(error.message);
+  }
+};
@@ -0,0 +1,19 @@
+import React, { useEffect } from 'react';
+import { Provider } from 'react-redux'; // Makes the store available to `useSelector` and `useDispatch`
+import { store } from './index';
+import { connectStore } from './sync'; // Query cache, session, tabs and realtime -> store
+import { initializeSession } from './authActions'; // Restore the stored session
+
+/**
+ * StoreProvider wraps the app with the Redux store, connects it to the query cache, the other tabs and the
+ * realtime stream, and restores the stored session on startup.
+ */
+export const StoreProvider = ({ children }) => {
+  useEffect(() => connectStore(store), []);
+
+  useEffect(() => {
+    store.dispatch(initializeSession());
+  }, []);
+
+  return <Provider store={store}>{children}</Provider>;
+};
@@ -0,0 +1,23 @@
+/**
+ * actions.js
+ *
+ * Actions handled by more than one slice of the store.
+ */
+
+export const QUERY_DATA_RECEIVED = 'queries/dataReceived';
+export const SESSION_ENDED = 'session/ended';
+
+/**
+ * Data of a cached query changed (fetch, revalidation, optimistic update, rollback); dispatched for every change
+ * of the query cache (see store/sync.js). The books and shelves slices keep the entities it contains.
+ * @param {string} key - The query key (e.g. 'books:all', 'book:<id>', 'shelves:<userId>').
+ * @param {*} data - The new data of the query.
+ * @returns {Object}
+ */
+export const queryDataReceived = (key, data) => ({ type: QUERY_DATA_RECEIVED, payload: { key, data } });
+
+/**
+ * The session ended (logout, or another account logged in from another tab): every slice drops the user's data.
+ * @returns {Object}
+ */
+export const sessionEnded = () => ({ type: SESSION_ENDED });
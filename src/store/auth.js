@@ -0,0 +1,48 @@
+/**
+ * auth.js
+ *
+ * Auth slice of the store: the logged-in user (decoded from the access token), their profile and settings.
+ *
+ * state.auth: { user, profile, settings, isInitialized }
+ * `isInitialized` turns true once the stored session has been checked on startup (see `initializeSession`),
+ * so protected routes wait instead of redirecting to the login page.
+ */
+
+import { SESSION_ENDED } from './actions';
+
+const USER_CHANGED = 'auth/userChanged';
+const PROFILE_RECEIVED = 'auth/profileReceived';
+const SETTINGS_RECEIVED = 'auth/settingsReceived';
+const SESSION_INITIALIZED = 'auth/sessionInitialized';
+
+const initialState = { user: null, profile: null, settings: null, isInitialized: false };
+
+export const userChanged = (user) => ({ type: USER_CHANGED, payload: { user } });
+export const profileReceived = (profile) => ({ type: PROFILE_RECEIVED, payload: { profile } });
+export const settingsReceived = (settings) => ({ type: SETTINGS_RECEIVED, payload: { settings } });
+export const sessionInitialized = () => ({ type: SESSION_INITIALIZED });
+
+export const authReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case USER_CHANGED:
+      return { ...state, user: action.payload.user };
+    case PROFILE_RECEIVED:
+      return { ...state, profile: action.payload.profile };
+    case SETTINGS_RECEIVED:
+      return { ...state, settings: action.payload.settings };
+    case SESSION_INITIALIZED:
+      return { ...state, isInitialized: true };
+    case SESSION_ENDED:
+      return { ...initialState, isInitialized: state.isInitialized };
+    default:
+      return state;
+  }
+};
+
+// SELECTORS
+
+export const selectUser = (state) => state.auth.user;
+export const selectUserId = (state) => (state.auth.user ? state.auth.user.id : null);
+export const selectProfile = (state) => state.auth.profile;
+export const selectSettings = (state) => state.auth.settings;
+export const selectIsSessionInitialized = (state) => state.auth.isInitialized;
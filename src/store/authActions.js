@@ -0,0 +1,303 @@
+/**
+ * authActions.js
+ *
+ * Thunks for the session, the user's profile and settings (see `useAuth` for the facade components use).
+ * Session changes are shared with the other open tabs (see utils/tabSync.js); the tokens themselves live in the
+ * shared localStorage, so receiving tabs only decode them.
+ */
+
+import { jwtDecode } from 'jwt-decode'; // Utility to decode JWT tokens (named export since jwt-decode 4)
+import { authAPI } from '../api/authAPI'; // API functions for authentication and user profile management
+import { normalizeUser } from '../api/normalize'; // Token claims -> client user model (`id`, not `_id`)
+import { getToken, setToken, removeToken, removeRefreshToken, isTokenExpired } from '../utils/tokenHandler'; // Token handling utilities
+import { refreshSession } from '../utils/fetcher'; // Shared token refresh
+import { queryCache } from '../utils/queryCache'; // Shared query cache, cleared on logout
+import { hasFieldErrors } from '../utils/apiError'; // Validation errors belong to the form that caused them
+import { outbox } from '../utils/outbox'; // Offline changes, cleared on logout
+import { publishTabMessage, TAB_MESSAGES } from '../utils/tabSync'; // Session changes across tabs
+import { userChanged, profileReceived, settingsReceived, sessionInitialized } from './auth';
+import { sessionEnded } from './actions';
+import { trackRequest } from './requests';
+
+// Names of the auth requests in `state.requests`
+export const AUTH_REQUESTS = {
+  LOGIN: 'auth/login',
+  SIGNUP: 'auth/signup',
+  PROFILE: 'auth/profile', // fetchUserProfile
+  UPDATE_PROFILE: 'auth/updateProfile',
+  UPDATE_PASSWORD: 'auth/updatePassword',
+  PASSWORD_RESET: 'auth/passwordReset', // requestPasswordReset, resetPassword
+  SETTINGS: 'auth/settings', // fetchUserSettings
+  UPDATE_SETTINGS: 'auth/updateSettings',
+  USER: 'auth/user', // getUserById
+};
+
+// The user carried by a JWT, in the client model
+const decodeUser = (token) => normalizeUser(jwtDecode(token));
+
+/**
+ * Clear the session and the user's data in this tab.
+ */
+export const endSession = () => (dispatch) => {
+  removeToken(); // Remove token from localStorage
+  removeRefreshToken(); // Remove refresh token from localStorage
+  queryCache.clearQueries(); // Never show this user's cached books and shelves to the next one
+  outbox.clearOutbox(); // Nor replay their offline changes with someone else's token
+  dispatch(sessionEnded()); // Clear the user, profile, settings, books and shelves of the store
+};
+
+/**
+ * Log out the user and clear their data, in every open tab.
+ */
+export const logout = () => (dispatch) => {
+  dispatch(endSession());
+  publishTabMessage({ type: TAB_MESSAGES.LOGOUT });
+};
+
+/**
+ * Refresh the JWT token to prevent session expiry.
+ * Goes through the fetcher's shared refresh, so it never races a refresh triggered by a 401 elsewhere.
+ */
+export const refreshToken = () => async (dispatch) => {
+  const newToken = await refreshSession(); // Request new token from the server (deduplicated)
+  if (!newToken) {
+    console.error('Token refresh failed.');
+    dispatch(logout()); // Log out the user if token refresh fails
+  }
+  // On success `applySessionEvent` decodes the new token into `user`
+};
+
+/**
+ * Keep the user in sync with refreshes performed by the fetcher's 401 handling (see store/sync.js).
+ * A logout only happens when the refresh itself fails.
+ * @param {Object} event - `{ type: 'refreshed', token }` or `{ type: 'expired' }`.
+ */
+export const applySessionEvent = (event) => (dispatch) => {
+  if (event.type === 'refreshed') {
+    try {
+      dispatch(userChanged(decodeUser(event.token))); // Update the user with the refreshed token's data
+      publishTabMessage({ type: TAB_MESSAGES.TOKEN_REFRESHED }); // The new token is in the shared localStorage
+    } catch (decodeError) {
+      console.error('Token decoding failed:', decodeError);
+      dispatch(logout());
+    }
+  } else if (event.type === 'expired') {
+    dispatch(logout()); // The refresh failed, so the session is really over
+  }
+};
+
+/**
+ * Follow session changes made in other tabs. Tokens live in the shared localStorage, so only the state of this
+ * tab has to catch up: a login or refresh decodes the stored token, a logout ends the session here too.
+ * @param {Object} message - A message from another tab.
+ */
+export const applyAuthTabMessage = (message) => (dispatch) => {
+  if (message.type === TAB_MESSAGES.LOGOUT) {
+    dispatch(endSession()); // Not `logout`: the other tab already cleared the shared storage and told everyone
+    return;
+  }
+  if (message.type !== TAB_MESSAGES.LOGIN && message.type !== TAB_MESSAGES.TOKEN_REFRESHED) return;
+
+  const token = getToken();
+  if (!token) return;
+  try {
+    const user = decodeUser(token);
+    if (message.type === TAB_MESSAGES.LOGIN) {
+      // Possibly another account: never show the previous user's data
+      queryCache.clearQueries();
+      dispatch(sessionEnded());
+    }
+    dispatch(userChanged(user));
+  } catch (decodeError) {
+    console.error('Token decoding failed:', decodeError);
+  }
+};
+
+/**
+ * Restore the stored session on startup (refreshing an expired token), then mark the session as initialized.
+ */
+export const initializeSession = () => async (dispatch) => {
+  const token = getToken(); // Retrieve token from localStorage
+  if (token) {
+    if (isTokenExpired(token)) {
+      await dispatch(refreshToken()); // Refresh token if expired
+    } else {
+      try {
+        dispatch(userChanged(decodeUser(token))); // Decode token to extract user data
+      } catch (decodeError) {
+        console.error('Token decoding failed:', decodeError);
+        dispatch(logout()); // Log out if token decoding fails
+      }
+    }
+  }
+  dispatch(sessionInitialized()); // Protected routes can decide now
+};
+
+/**
+ * Store a token received from the API and log in with it, in every open tab.
+ * @param {string} token - The access token.
+ */
+const startSession = (token) => (dispatch) => {
+  setToken(token); // Store token in localStorage
+  dispatch(userChanged(decodeUser(token))); // Decode token to get user data
+  publishTabMessage({ type: TAB_MESSAGES.LOGIN }); // Log in the other open tabs too
+};
+
+/**
+ * Log in the user and store their JWT token.
+ * @param {string} email - User email
+ * @param {string} password - User password
+ */
+export const login = (email, password) => async (dispatch) => {
+  try {
+    const token = await dispatch(trackRequest(AUTH_REQUESTS.LOGIN, () => authAPI.login(email, password)));
+    dispatch(startSession(token));
+  } catch (err) {
+    // Recorded in the request's status, shown by the Login form
+  }
+};
+
+/**
+ * Sign up a new user and store their JWT token.
+ * @param {Object} userData - Data for new user registration
+ * @throws {ApiError} - When signup fails; `fieldErrors` lists the invalid fields
+ */
+export const signup = (userData) => async (dispatch) => {
+  const token = await dispatch(trackRequest(
+    AUTH_REQUESTS.SIGNUP,
+    () => authAPI.signup(userData), // Register user and retrieve token
+    { reportError: (err) => !hasFieldErrors(err) } // Invalid fields (e.g. a taken email) are shown by the Signup form
+  )); // On failure, the form stays in place and shows what failed
+  dispatch(startSession(token));
+};
+
+/**
+ * Fetch the user's profile.
+ */
+export const fetchUserProfile = () => async (dispatch) => {
+  try {
+    const userProfile = await dispatch(trackRequest(AUTH_REQUESTS.PROFILE, () => authAPI.getUserProfile(getToken())));
+    dispatch(profileReceived(userProfile)); // Store the profile
+  } catch (err) {
+    console.error('Error fetching user profile:', err);
+  }
+};
+
+/**
+ * Update the user's profile (e.g., username, email, profile picture).
+ * @param {Object} updatedData - Updated profile data
+ */
+export const updateProfile = (updatedData) => async (dispatch) => {
+  try {
+    const updatedProfile = await dispatch(trackRequest(
+      AUTH_REQUESTS.UPDATE_PROFILE,
+      () => authAPI.updateUserProfile(updatedData, getToken())
+    ));
+    dispatch(profileReceived(updatedProfile)); // Store the updated profile
+  } catch (err) {
+    console.error('Error updating profile:', err);
+  }
+};
+
+/**
+ * Update the user's password, then log out (the other sessions of the user end with it).
+ * @param {string} currentPassword - The user's current password
+ * @param {string} newPassword - The new password to set
+ */
+export const updatePassword = (currentPassword, newPassword) => async (dispatch) => {
+  try {
+    await dispatch(trackRequest(
+      AUTH_REQUESTS.UPDATE_PASSWORD,
+      () => authAPI.updateUserPassword(currentPassword, newPassword, getToken())
+    ));
+    dispatch(logout()); // Automatically log out the user after a successful password update
+  } catch (err) {
+    console.error('Error updating password:', err);
+  }
+};
+
+// PASSWORD MANAGEMENT
+
+/**
+ * Request a password reset.
+ * @param {string} email - The email of the user requesting the password reset
+ */
+export const requestPasswordReset = (email) => async (dispatch) => {
+  try {
+    await dispatch(trackRequest(AUTH_REQUESTS.PASSWORD_RESET, () => authAPI.requestPasswordReset(email)));
+  } catch (err) {
+    console.error('Error requesting password reset:', err);
+  }
+};
+
+/**
+ * Reset the user's password using a valid reset token.
+ * @param {string} resetToken - The password reset token provided via email
+ * @param {string} newPassword - The new password to set
+ */
+export const resetPassword = (resetToken, newPassword) => async (dispatch) => {
+  try {
+    await dispatch(trackRequest(AUTH_REQUESTS.PASSWORD_RESET, () => authAPI.resetPassword(resetToken, newPassword)));
+  } catch (err) {
+    console.error('Error resetting password:', err);
+  }
+};
+
+// USER SETTINGS
+
+/**
+ * Fetch user-specific settings (e.g., notification preferences).
+ */
+export const fetchUserSettings = () => async (dispatch) => {
+  try {
+    const userSettings = await dispatch(trackRequest(AUTH_REQUESTS.SETTINGS, () => authAPI.fetchUserSettings(getToken())));
+    dispatch(settingsReceived(userSettings)); // Store the settings
+  } catch (err) {
+    console.error('Error fetching user settings:', err);
+  }
+};
+
+/**
+ * Update user-specific settings (e.g., email preferences, notifications).
+ * @param {Object} updatedSettings - Updated user settings
+ */
+export const updateUserSettings = (updatedSettings) => async (dispatch) => {
+  try {
+    const newSettings = await dispatch(trackRequest(
+      AUTH_REQUESTS.UPDATE_SETTINGS,
+      () => authAPI.updateUserSettings(updatedSettings, getToken())
+    ));
+    dispatch(settingsReceived(newSettings)); // Store the updated settings
+  } catch (err) {
+    console.error('Error updating user settings:', err);
+  }
+};
+
+/**
+ * Fetch a user by their unique ID.
+ * @param {string} userId - The user's unique ID
+ * @returns {Function} - A thunk resolving with the user, or undefined if the request failed.
+ */
+export const getUserById = (userId) => async (dispatch) => {
+  try {
+    return await dispatch(trackRequest(AUTH_REQUESTS.USER, () => authAPI.getUserById(userId, getToken())));
+  } catch (err) {
+    console.error('Error fetching user by ID:', err);
+    return undefined;
+  }
+};
+
+// The actions exposed by `useAuth`
+export const authActions = {
+  login,
+  signup,
+  logout,
+  fetchUserProfile,
+  updateProfile,
+  updatePassword,
+  requestPasswordReset,
+  resetPassword,
+  fetchUserSettings,
+  updateUserSettings,
+  getUserById,
+};
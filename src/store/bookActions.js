@@ -0,0 +1,696 @@
+/**
+ * bookActions.js
+ *
+ * Thunks reading and changing books (see `useBook` for the facade components use).
+ *
+ * Query keys and tags used here:
+ * - 'books:all'               tags: books
+ * - 'books:shelf:<shelfId>'   tags: books, shelfBooks, shelfBooks:<shelfId>
+ * - 'books:search:<query>'    tags: books, search
+ * - 'books:author:<authorId>' tags: books, authorBooks
+ * - 'books:series:<seriesId>' tags: books, seriesBooks
+ * - 'books:page:<source>:<page>:<pageSize>[:<sort and filters>]', source = all | shelf:<shelfId> | search:<query>
+ *                             tags: books, bookPages (+ the shelf or search tags of the source)
+ * - 'book:<bookId>'           tags: book, book:<bookId>
+ * Shelf actions invalidate 'shelfBooks:<shelfId>' and 'book:<bookId>' when shelf contents change. Book mutations
+ * also invalidate 'tags', the tags of the library with their counts (see store/tagActions.js).
+ *
+ * Data goes through the query cache, which forwards every change to the store (see store/sync.js); thunks only
+ * choose what is displayed (`bookViewChanged`) and record the status of their requests.
+ *
+ * Reads accept `{ signal }` so components can cancel them when they unmount, and a new read of the same kind
+ * (another list, book or search) cancels the previous one: a slow, outdated response never overwrites newer state.
+ * The `load*` reads fetch without changing what the facade displays; the query hooks (hooks/useBookQueries.js) use
+ * them to give each component its own pending and error state.
+ *
+ * Mutations reject with the error after logging it, so mutation hooks (hooks/useBookMutations.js) can show it
+ * where it happened; the `useBook` facade keeps resolving with undefined instead, as the former context did.
+ *
+ * Mutations made offline are queued in the outbox (see utils/outbox.js) and applied to the cache locally,
+ * flagged with `pendingSync: true` until the outbox is replayed and the queries are refetched.
+ *
+ * Mutations confirmed by the server are announced to the other open tabs, which invalidate the same tags
+ * (scope 'books', see utils/tabSync.js). Changes made on other devices arrive as realtime events and are
+ * applied to the cache directly (see `applyBookEvent`).
+ */
+
+import { bookAPI } from '../api/bookAPI'; // API functions for interacting with book data
+import { queryCache } from '../utils/queryCache'; // Shared query cache (stale-while-revalidate, expiry, tag invalidation)
+import { optimisticUpdate } from '../utils/optimisticUpdate'; // Apply mutations immediately, roll back on failure
+import { isQueuedMutation } from '../utils/outbox'; // Recognise mutations queued offline
+import { isAbortError, startLatestRequest } from '../utils/abort'; // Cancel superseded and unmounted requests
+import { hasFieldErrors } from '../utils/apiError'; // Validation errors belong to the form that caused them
+import { publishLibraryChange, TAB_MESSAGES } from '../utils/tabSync'; // Changes across tabs
+import { REALTIME_EVENTS } from '../utils/realtime'; // Live updates from other devices
+import { translate } from '../utils/translate'; // For the "change reverted" notice
+import { toBookListParams } from '../utils/bookFilters'; // Sort and filters are part of the page keys
+import { normalizeTags, isSameTag } from '../utils/tags'; // Tags ignore case
+import { normalizeBook, getBookId } from '../api/normalize'; // Event payloads are server documents
+import { bookViewChanged, booksRemoved, selectBookById, BOOK_VIEWS } from './books';
+import { trackRequest } from './requests';
+
+// Names of the book requests in `state.requests`
+export const BOOK_REQUESTS = {
+  LIST: 'books/list', // fetchBooks, getBooksByShelf
+  DETAIL: 'books/detail', // getBookById
+  SEARCH: 'books/search', // searchBooks
+  SAVE: 'books/save', // addBook, updateBook
+  DELETE: 'books/delete', // deleteBook
+  MOVE: 'books/move', // updateBookShelf
+  REVIEW: 'books/review', // addReview
+  BULK_UPDATE: 'books/bulkUpdate', // updateBooks
+  BULK_DELETE: 'books/bulkDelete', // deleteBooks
+  COVER_UPLOAD: 'books/coverUpload', // uploadCover
+  PROGRESS: 'books/progress', // logProgress
+};
+
+const shelfBooksKeyPrefix = 'books:shelf:';
+const shelfPagesKeyPrefix = 'books:page:shelf:';
+
+// AbortControllers of the latest list, book and search requests, cancelled when superseded
+const listRequest = { current: null };
+const bookRequest = { current: null };
+const searchRequest = { current: null };
+
+// Let the other tabs refetch what a confirmed mutation changed
+const notifyOtherTabs = (tags) => publishLibraryChange('books', { tags });
+
+// Book lists are cached either as arrays or as pages (`{ items, total, page, pageSize, hasMore }`)
+const isBookListEntry = (key, entry) => (
+  key.startsWith('books:') && (Array.isArray(entry.data) || Boolean(entry.data && Array.isArray(entry.data.items)))
+);
+const mapBookList = (data, updateList) => (Array.isArray(data) ? updateList(data) : { ...data, items: updateList(data.items) });
+
+/**
+ * Replace a book everywhere it is cached: in every book list or page and in its own query.
+ * @param {string} bookId - The ID of the book.
+ * @param {Function} updateBookData - Receives the cached book and returns the updated one.
+ */
+const updateCachedBook = (bookId, updateBookData) => {
+  queryCache.updateQueries(
+    isBookListEntry,
+    (data) => mapBookList(data, (list) => list.map(item => (item.id === bookId ? updateBookData(item) : item)))
+  );
+  queryCache.setQueryData(`book:${bookId}`, (cached) => (cached ? updateBookData(cached) : undefined));
+};
+
+/**
+ * Apply the changes of a batch edit to a book, as the server does (see `bookAPI.updateBooks`).
+ * @param {Object} book - The book.
+ * @param {Object} changes - `{ shelf, genre, addTags, removeTags }`.
+ * @returns {Object} - The changed book.
+ */
+const applyBookChanges = (book, { shelf, genre, addTags = [], removeTags = [] }) => {
+  const tags = (book.tags || []).filter((tag) => !removeTags.some((removed) => isSameTag(removed, tag)));
+  return {
+    ...book,
+    ...(shelf !== undefined && { shelf }),
+    ...(genre !== undefined && { genre }),
+    ...((addTags.length > 0 || removeTags.length > 0) && { tags: normalizeTags([...tags, ...addTags]) }),
+  };
+};
+
+/**
+ * Query key of a single book.
+ * @param {string} bookId - The ID of the book.
+ * @returns {string}
+ */
+export const getBookQueryKey = (bookId) => `book:${bookId}`;
+
+/**
+ * Query key, tags and query function of a book list: every book, or the books of one shelf.
+ * @param {Object} [options] - `{ shelfId }`.
+ * @returns {Object} - `{ key, tags, queryFn }`.
+ */
+export const getBookListQuery = ({ shelfId } = {}) => (shelfId
+  ? {
+    key: `${shelfBooksKeyPrefix}${shelfId}`,
+    tags: ['books', 'shelfBooks', `shelfBooks:${shelfId}`],
+    queryFn: (query) => bookAPI.getBooksByShelf(shelfId, query),
+  }
+  : { key: 'books:all', tags: ['books'], queryFn: (query) => bookAPI.getAllBooks(query) });
+
+/**
+ * Query key of the results of a search.
+ * @param {string} query - The search query.
+ * @returns {string}
+ */
+export const getSearchQueryKey = (query) => `books:search:${query}`;
+
+/**
+ * Query key of the books of a person (see utils/authors.js).
+ * @param {string} authorId - The ID of the person.
+ * @returns {string}
+ */
+export const getAuthorBooksQueryKey = (authorId) => `books:author:${authorId}`;
+
+/**
+ * Query key of the books of a series (see utils/series.js).
+ * @param {string} seriesId - The ID of the series.
+ * @returns {string}
+ */
+export const getSeriesBooksQueryKey = (seriesId) => `books:series:${seriesId}`;
+
+/**
+ * Query key and tags of one page of books.
+ * @param {Object} options - `{ shelfId, query, page, pageSize, sort, filters }`, as accepted by `bookAPI.getBooksPage`.
+ * @returns {Object} - `{ key, tags }`.
+ */
+const getBooksPageQuery = ({ shelfId, query, page, pageSize, sort, filters }) => {
+  const listParams = new URLSearchParams(toBookListParams({ sort, filters })).toString(); // e.g. 'sort=title&format=ebook'
+  const suffix = listParams ? `:${listParams}` : '';
+  if (query) {
+    return { key: `books:page:search:${query}:${page}:${pageSize}${suffix}`, tags: ['books', 'bookPages', 'search'] };
+  }
+  if (shelfId) {
+    return {
+      key: `${shelfPagesKeyPrefix}${shelfId}:${page}:${pageSize}${suffix}`,
+      tags: ['books', 'bookPages', 'shelfBooks', `shelfBooks:${shelfId}`],
+    };
+  }
+  return { key: `books:page:all:${page}:${pageSize}${suffix}`, tags: ['books', 'bookPages'] };
+};
+
+/**
+ * Apply a live update from the server (see utils/realtime.js) to the cached books, and so to the store.
+ * Events also arrive for this device's own changes, so applying one twice is harmless.
+ * @param {Object} event - `{ type, data }`.
+ */
+export const applyBookEvent = ({ type, data }) => {
+  switch (type) {
+    case REALTIME_EVENTS.BOOK_CREATED: {
+      const book = normalizeBook(data.book);
+      queryCache.setQueryData('books:all', (cached) => (
+        cached && !cached.some(item => item.id === book.id) ? [...cached, book] : undefined
+      ));
+      // Lists it may belong to, and the tag counts
+      queryCache.invalidateQueries({ tags: ['shelfBooks', 'search', 'bookPages', 'authorBooks', 'seriesBooks', 'tags'] });
+      break;
+    }
+    case REALTIME_EVENTS.BOOK_UPDATED:
+    case REALTIME_EVENTS.REVIEW_CREATED: {
+      const book = normalizeBook(data.book);
+      updateCachedBook(book.id, (cached) => ({ ...cached, ...book }));
+      if (type === REALTIME_EVENTS.BOOK_UPDATED) {
+        // Its shelf, title, authors, series or tags may have changed
+        queryCache.invalidateQueries({ tags: ['shelfBooks', 'search', 'authorBooks', 'seriesBooks', 'tags'] });
+      }
+      break;
+    }
+    case REALTIME_EVENTS.BOOK_DELETED: {
+      const bookId = getBookId(data.bookId);
+      queryCache.updateQueries(
+        isBookListEntry,
+        (list) => mapBookList(list, (items) => items.filter(item => item.id !== bookId))
+      );
+      queryCache.invalidateQueries({ tags: ['shelves', 'tags'] });
+      break;
+    }
+    case REALTIME_EVENTS.RESYNC:
+      queryCache.invalidateQueries({ tags: ['books', 'book'] }); // Missed events: refetch what is displayed
+      break;
+    default:
+      break; // Shelf events are applied by shelfActions.js
+  }
+};
+
+/**
+ * Refetch the books another tab changed (displayed queries refetch right away, the others on next use).
+ * @param {Object} message - A message from another tab (see utils/tabSync.js).
+ */
+export const applyBookTabMessage = (message) => {
+  if (message.type !== TAB_MESSAGES.LIBRARY_CHANGED || message.scope !== 'books') return;
+  queryCache.invalidateQueries({ tags: message.tags, keys: message.keys });
+};
+
+/**
+ * Fetch a book list (all books, or one shelf's) through the query cache, without displaying it.
+ * @param {Object} [options] - `{ shelfId }`.
+ * @param {Object} [requestOptions] - `{ signal }` to cancel the request.
+ * @returns {Function} - A thunk resolving with the books.
+ */
+export const loadBooks = ({ shelfId } = {}, { signal } = {}) => () => {
+  const { key, tags, queryFn } = getBookListQuery({ shelfId });
+  return queryCache.fetchQuery(key, queryFn, { tags, signal });
+};
+
+/**
+ * Fetch a single book through the query cache, without displaying it.
+ * @param {string} bookId - The ID of the book.
+ * @param {Object} [options] - `{ signal }` to cancel the request.
+ * @returns {Function} - A thunk resolving with the book.
+ */
+export const loadBook = (bookId, { signal } = {}) => () => {
+  const key = getBookQueryKey(bookId);
+  return queryCache.fetchQuery(key, (query) => bookAPI.getBookById(bookId, query), { tags: ['book', key], signal });
+};
+
+/**
+ * Search through the query cache, without displaying the results. Identical searches are deduplicated and
+ * cached briefly.
+ * @param {string} query - The search query.
+ * @param {Object} [options] - `{ signal }` to cancel the request.
+ * @returns {Function} - A thunk resolving with the results.
+ */
+export const loadSearchResults = (query, { signal } = {}) => () => queryCache.fetchQuery(
+  getSearchQueryKey(query),
+  (options) => bookAPI.searchBooks(query, options),
+  { tags: ['books', 'search'], signal }
+);
+
+/**
+ * Fetch the books of a person through the query cache, without displaying them.
+ * @param {string} authorId - The ID of the person.
+ * @param {Object} [options] - `{ signal }` to cancel the request.
+ * @returns {Function} - A thunk resolving with the books.
+ */
+export const loadAuthorBooks = (authorId, { signal } = {}) => () => queryCache.fetchQuery(
+  getAuthorBooksQueryKey(authorId),
+  (options) => bookAPI.getBooksByAuthor(authorId, options),
+  { tags: ['books', 'authorBooks'], signal }
+);
+
+/**
+ * Fetch the books of a series through the query cache, without displaying them.
+ * @param {string} seriesId - The ID of the series.
+ * @param {Object} [options] - `{ signal }` to cancel the request.
+ * @returns {Function} - A thunk resolving with the books.
+ */
+export const loadSeriesBooks = (seriesId, { signal } = {}) => () => queryCache.fetchQuery(
+  getSeriesBooksQueryKey(seriesId),
+  (options) => bookAPI.getBooksBySeries(seriesId, options),
+  { tags: ['books', 'seriesBooks'], signal }
+);
+
+/**
+ * Load a book list through the query cache and display it in `books`.
+ * Cached data is shown without a loading state; stale data is revalidated in the background.
+ * A list loaded earlier and still in flight is cancelled.
+ * @param {string} [shelfId] - Only the books of this shelf.
+ * @param {AbortSignal} [signal] - Cancels the request (e.g. when the calling component unmounts).
+ */
+const displayBookList = (shelfId, signal) => async (dispatch) => {
+  const { key } = getBookListQuery({ shelfId });
+  const request = startLatestRequest(listRequest, signal);
+  dispatch(bookViewChanged(BOOK_VIEWS.LIST, key));
+
+  try {
+    await dispatch(trackRequest(
+      BOOK_REQUESTS.LIST,
+      () => dispatch(loadBooks({ shelfId }, { signal: request.signal })),
+      { hasData: queryCache.getQueryData(key) !== undefined, isLatest: request.isLatest }
+    ));
+  } catch (err) {
+    if (isAbortError(err)) return; // Superseded or unmounted: nothing to report
+    console.error('Error fetching books:', err);
+  }
+};
+
+/**
+ * Fetch all books from the server and display them in `books`.
+ * Served from the shared query cache when possible to avoid redundant network requests.
+ * @param {Object} [options] - `{ signal }` to cancel the request.
+ */
+export const fetchBooks = ({ signal } = {}) => displayBookList(null, signal);
+
+/**
+ * Fetch a single book by its ID and display it in `book`.
+ * Served from the shared query cache when possible to optimize performance.
+ * Fetching another book cancels the previous request, so the last book asked for is the one displayed.
+ * @param {string} bookId - The ID of the book to fetch.
+ * @param {Object} [options] - `{ signal }` to cancel the request.
+ */
+export const getBookById = (bookId, { signal } = {}) => async (dispatch) => {
+  const key = getBookQueryKey(bookId);
+  const request = startLatestRequest(bookRequest, signal);
+  dispatch(bookViewChanged(BOOK_VIEWS.DETAIL, key));
+
+  try {
+    await dispatch(trackRequest(
+      BOOK_REQUESTS.DETAIL,
+      () => dispatch(loadBook(bookId, { signal: request.signal })),
+      { hasData: queryCache.getQueryData(key) !== undefined, isLatest: request.isLatest }
+    ));
+  } catch (err) {
+    if (isAbortError(err)) return; // Superseded or unmounted: nothing to report
+    console.error('Error fetching book by ID:', err);
+  }
+};
+
+/**
+ * Fetch the books of a shelf and display them in `books`.
+ * Served from the shared query cache; shelf mutations invalidate it.
+ * @param {string} shelfId - The ID of the shelf to fetch books from.
+ * @param {Object} [options] - `{ signal }` to cancel the request.
+ */
+export const getBooksByShelf = (shelfId, { signal } = {}) => displayBookList(shelfId, signal);
+
+/**
+ * Fetch one page of books through the shared query cache (server-driven pagination).
+ * Unlike `fetchBooks`, this does not change the displayed `books`: callers such as `useBookPages` keep the pages
+ * they show.
+ * @param {Object} options - `{ shelfId, query, page, pageSize, sort, filters }`, as accepted by
+ *   `bookAPI.getBooksPage`, and an optional `signal` to cancel the request.
+ * @returns {Function} - A thunk resolving with `{ items, total, page, pageSize, hasMore }`.
+ */
+export const fetchBooksPage = ({ signal, ...pageOptions }) => () => {
+  const { key, tags } = getBooksPageQuery(pageOptions);
+  return queryCache.fetchQuery(
+    key,
+    (query) => bookAPI.getBooksPage({ ...pageOptions, ...query }),
+    { tags, signal }
+  );
+};
+
+/**
+ * Subscribe to changes of a cached page (revalidations, invalidations, optimistic updates).
+ * Not an action: the facade exposes it as is.
+ * @param {Object} options - The options the page was fetched with.
+ * @param {Function} listener - Receives the new page.
+ * @returns {Function} - Unsubscribe function.
+ */
+export const subscribeBooksPage = (options, listener) => (
+  queryCache.subscribeQuery(getBooksPageQuery(options).key, listener)
+);
+
+/**
+ * Move a book to another shelf.
+ * Optimistic: every cached copy of the book moves to the new shelf right away (including the cached
+ * shelf lists it leaves and joins); the change is rolled back if the API call fails.
+ * @param {string} bookId - The ID of the book to update.
+ * @param {string} newShelfId - The ID of the new shelf for the book.
+ * @throws {ApiError} - When the server rejects the move (after rolling it back).
+ */
+export const updateBookShelf = (bookId, newShelfId) => async (dispatch) => {
+  try {
+    const updatedBook = await dispatch(trackRequest(BOOK_REQUESTS.MOVE, () => optimisticUpdate({
+      affects: (key) => key.startsWith('books:') || key === `book:${bookId}`,
+      apply: () => {
+        const targetKey = `${shelfBooksKeyPrefix}${newShelfId}`;
+        let movedBook = null; // Any cached copy of the book, to show on the target shelf
+        updateCachedBook(bookId, (cached) => {
+          movedBook = { ...cached, shelf: newShelfId };
+          return movedBook;
+        });
+        // Take the book off the shelf lists and pages it leaves and put it on the list of the shelf it joins
+        // (pages of the target shelf are refetched once the server confirms, to keep their order and totals right)
+        const isTargetShelf = (key) => key === targetKey || key.startsWith(`${shelfPagesKeyPrefix}${newShelfId}:`);
+        queryCache.updateQueries(
+          (key, entry) => (key.startsWith(shelfBooksKeyPrefix) || key.startsWith(shelfPagesKeyPrefix))
+            && !isTargetShelf(key) && isBookListEntry(key, entry),
+          (data) => mapBookList(data, (list) => list.filter(item => item.id !== bookId))
+        );
+        if (movedBook) {
+          queryCache.setQueryData(targetKey, (list) => (
+            list ? [...list.filter(item => item.id !== bookId), movedBook] : undefined
+          ));
+        }
+      },
+      mutate: () => bookAPI.updateBookShelf(bookId, newShelfId), // Update the book's shelf via API
+      revertedMessage: translate('bookShelf.moveReverted', 'The book could not be moved. Your change was reverted.'),
+    })));
+
+    if (isQueuedMutation(updatedBook)) return queryCache.getQueryData(`book:${bookId}`); // Keep the local move until sync
+
+    queryCache.invalidateQueries({ tags: ['shelfBooks'] }); // Reconcile the shelf lists with the server
+    notifyOtherTabs(['books', `book:${bookId}`]);
+
+    return updatedBook;
+  } catch (err) {
+    console.error('Error updating book shelf:', err);
+    throw err;
+  }
+};
+
+/**
+ * Add a new book.
+ * Adds it to the cached list of all books and invalidates the lists it may belong to.
+ * Offline, the book is added locally under a temporary ID until the outbox is replayed.
+ * @param {Object} bookData - Data of the book to be added.
+ * @throws {ApiError} - When the book cannot be saved; `fieldErrors` lists the invalid fields.
+ */
+export const addBook = (bookData) => async (dispatch) => {
+  try {
+    const result = await dispatch(trackRequest(
+      BOOK_REQUESTS.SAVE,
+      () => bookAPI.createBook(bookData), // Add a new book via API
+      { reportError: (err) => !hasFieldErrors(err) } // Invalid fields are shown next to the fields by BookForm
+    ));
+    const newBook = isQueuedMutation(result)
+      ? { ...bookData, id: result.tempId, reviews: [], pendingSync: true }
+      : result;
+
+    queryCache.setQueryData('books:all', (cached) => (cached ? [...cached, newBook] : undefined));
+    queryCache.invalidateQueries({ tags: ['shelfBooks', 'search', 'bookPages', 'authorBooks', 'seriesBooks', 'tags'] });
+    if (!isQueuedMutation(result)) notifyOtherTabs(['books', 'tags']);
+
+    return newBook;
+  } catch (err) {
+    console.error('Error adding book:', err);
+    throw err; // The form keeps its values and shows what failed
+  }
+};
+
+/**
+ * Update an existing book's details.
+ * @param {string} bookId - The ID of the book to update.
+ * @param {Object} bookData - The updated book data.
+ * @throws {ApiError} - When the book cannot be saved; `fieldErrors` lists the invalid fields.
+ */
+export const updateBook = (bookId, bookData) => async (dispatch) => {
+  try {
+    const result = await dispatch(trackRequest(
+      BOOK_REQUESTS.SAVE,
+      () => bookAPI.updateBook(bookId, bookData), // Update the book via API
+      { reportError: (err) => !hasFieldErrors(err) } // Invalid fields are shown next to the fields by BookForm
+    ));
+
+    if (isQueuedMutation(result)) {
+      updateCachedBook(bookId, (cached) => ({ ...cached, ...bookData, pendingSync: true })); // Apply locally until sync
+      return queryCache.getQueryData(`book:${bookId}`);
+    }
+
+    updateCachedBook(bookId, () => result);
+    // Titles, authors, series and tags shown there may have changed
+    queryCache.invalidateQueries({ tags: ['search', 'shelves', 'authorBooks', 'seriesBooks', 'tags'] });
+    notifyOtherTabs(['books', `book:${bookId}`, 'shelves', 'tags']);
+
+    return result;
+  } catch (err) {
+    console.error('Error updating book:', err);
+    throw err; // The form keeps its values and shows what failed
+  }
+};
+
+/**
+ * Delete a book.
+ * Removes the book from every cached list and from the store, and invalidates the shelves that referenced it.
+ * @param {string} bookId - The ID of the book to be deleted.
+ * @throws {ApiError} - When the book cannot be deleted.
+ */
+export const deleteBook = (bookId) => async (dispatch) => {
+  try {
+    await dispatch(trackRequest(BOOK_REQUESTS.DELETE, () => bookAPI.deleteBook(bookId))); // Delete the book via API
+
+    queryCache.updateQueries(
+      isBookListEntry,
+      (data) => mapBookList(data, (list) => list.filter(item => item.id !== bookId))
+    );
+    dispatch(booksRemoved([bookId]));
+    queryCache.invalidateQueries({ tags: ['shelves', 'tags'] }); // Shelves and tag counts are refetched without the book
+    notifyOtherTabs(['books', `book:${bookId}`, 'shelves', 'tags']);
+  } catch (err) {
+    console.error('Error deleting book:', err);
+    throw err;
+  }
+};
+
+/**
+ * Apply the same changes to several books at once (bulk actions of the selection mode): move them to a shelf,
+ * set their genre, or add and remove tags.
+ * Offline, the changes are applied locally until the outbox is replayed.
+ * @param {string[]} bookIds - The IDs of the books.
+ * @param {Object} changes - `{ shelf, genre, addTags, removeTags }`; only the fields given are changed.
+ * @returns {Function} - A thunk resolving with the updated books.
+ * @throws {ApiError} - When the books cannot be updated (none of them is).
+ */
+export const updateBooks = (bookIds, changes) => async (dispatch, getState) => {
+  try {
+    const result = await dispatch(trackRequest(
+      BOOK_REQUESTS.BULK_UPDATE,
+      () => bookAPI.updateBooks(bookIds, changes) // One request for every book
+    ));
+
+    if (isQueuedMutation(result)) {
+      bookIds.forEach((bookId) => updateCachedBook(bookId, (cached) => ({
+        ...applyBookChanges(cached, changes),
+        pendingSync: true,
+      })));
+      return bookIds.map((bookId) => selectBookById(getState(), bookId)).filter(Boolean);
+    }
+
+    result.forEach((book) => updateCachedBook(book.id, () => book));
+    // Moved books leave and join shelf lists, retagged books tag-filtered pages; genres and tags may change
+    // search results and tags their counts
+    const movesBooks = changes.shelf !== undefined || Boolean(changes.addTags || changes.removeTags);
+    queryCache.invalidateQueries({ tags: movesBooks ? ['shelfBooks', 'bookPages', 'search', 'tags'] : ['search'] });
+    notifyOtherTabs(['books', 'tags', ...bookIds.map((bookId) => `book:${bookId}`)]);
+
+    return result;
+  } catch (err) {
+    console.error('Error updating books:', err);
+    throw err;
+  }
+};
+
+/**
+ * Delete several books at once (bulk actions of the selection mode).
+ * Removes the books from every cached list and from the store, and invalidates the shelves that referenced them.
+ * @param {string[]} bookIds - The IDs of the books to delete.
+ * @returns {Function} - A thunk resolving with the IDs of the deleted books.
+ * @throws {ApiError} - When the books cannot be deleted (none of them is).
+ */
+export const deleteBooks = (bookIds) => async (dispatch) => {
+  try {
+    const result = await dispatch(trackRequest(BOOK_REQUESTS.BULK_DELETE, () => bookAPI.deleteBooks(bookIds)));
+    const deletedIds = isQueuedMutation(result) ? bookIds : result.deletedIds; // Offline: removed locally until sync
+
+    queryCache.updateQueries(
+      isBookListEntry,
+      (data) => mapBookList(data, (list) => list.filter(item => !deletedIds.includes(item.id)))
+    );
+    dispatch(booksRemoved(deletedIds));
+    if (!isQueuedMutation(result)) {
+      queryCache.invalidateQueries({ tags: ['shelves', 'bookPages', 'tags'] }); // Shelves, page totals and tag counts
+      notifyOtherTabs(['books', 'shelves', 'tags', ...deletedIds.map((bookId) => `book:${bookId}`)]);
+    }
+
+    return deletedIds;
+  } catch (err) {
+    console.error('Error deleting books:', err);
+    throw err;
+  }
+};
+
+/**
+ * Upload a cover image. The book itself is not changed: BookForm saves the returned URL with the other fields.
+ * @param {Blob} image - The cropped cover image.
+ * @returns {Function} - A thunk resolving with the URL of the stored image.
+ * @throws {ApiError} - When the image cannot be uploaded (e.g. too large or offline).
+ */
+export const uploadCover = (image) => async (dispatch) => {
+  try {
+    const { coverImageUrl } = await dispatch(trackRequest(BOOK_REQUESTS.COVER_UPLOAD, () => bookAPI.uploadCover(image)));
+    return coverImageUrl;
+  } catch (err) {
+    console.error('Error uploading cover:', err);
+    throw err;
+  }
+};
+
+/**
+ * Search for books by title or author.
+ * Identical searches are deduplicated and cached briefly. A new search cancels the previous one, so results of an
+ * older query can never replace newer ones.
+ * @param {string} query - The search query (e.g., part of the title or author's name).
+ * @param {Object} [options] - `{ signal }` to cancel the request.
+ * @returns {Function} - A thunk resolving with the results, or undefined if the search failed or was cancelled.
+ */
+export const searchBooks = (query, { signal } = {}) => async (dispatch) => {
+  const request = startLatestRequest(searchRequest, signal);
+  dispatch(bookViewChanged(BOOK_VIEWS.SEARCH, getSearchQueryKey(query)));
+
+  try {
+    return await dispatch(trackRequest(
+      BOOK_REQUESTS.SEARCH,
+      () => dispatch(loadSearchResults(query, { signal: request.signal })),
+      { isLatest: request.isLatest }
+    ));
+  } catch (err) {
+    if (isAbortError(err)) return undefined; // Superseded or unmounted: nothing to report
+    console.error('Error searching for books:', err);
+    return undefined;
+  }
+};
+
+/**
+ * Add a review to a book.
+ * Updates every cached copy of the book after adding the review.
+ * Offline, the review is added locally until the outbox is replayed.
+ * @param {string} bookId - The ID of the book to review.
+ * @param {Object} reviewData - The review data (rating and comment).
+ * @throws {ApiError} - When the review cannot be saved.
+ */
+export const addReview = (bookId, reviewData) => async (dispatch) => {
+  try {
+    const result = await dispatch(trackRequest(
+      BOOK_REQUESTS.REVIEW,
+      () => bookAPI.addReview(bookId, reviewData) // Add review via API
+    ));
+
+    if (isQueuedMutation(result)) {
+      updateCachedBook(bookId, (cached) => ({
+        ...cached,
+        reviews: [...(cached.reviews || []), { ...reviewData, pendingSync: true }],
+      }));
+      return queryCache.getQueryData(`book:${bookId}`);
+    }
+
+    updateCachedBook(bookId, () => result);
+    notifyOtherTabs([`book:${bookId}`]);
+
+    return result;
+  } catch (err) {
+    console.error('Error adding review:', err);
+    throw err;
+  }
+};
+
+/**
+ * Log the reading progress of a book being read.
+ * Optimistic: the entry is added to every cached copy of the book right away, so progress bars move on the first
+ * tap; it is removed again if the server rejects it. Offline, it stays local until the outbox is replayed.
+ * @param {string} bookId - The ID of the book.
+ * @param {Object} progress - `{ unit, value, total }` (see utils/progress.js).
+ * @returns {Function} - A thunk resolving with the updated book.
+ * @throws {ApiError} - When the progress cannot be logged (after removing the entry).
+ */
+export const logProgress = (bookId, progress) => async (dispatch) => {
+  try {
+    const result = await dispatch(trackRequest(BOOK_REQUESTS.PROGRESS, () => optimisticUpdate({
+      affects: (key) => key.startsWith('books:') || key === `book:${bookId}`,
+      apply: () => updateCachedBook(bookId, (cached) => ({
+        ...cached,
+        progress: [...(cached.progress || []), { ...progress, pendingSync: true }], // Timestamped by the server
+      })),
+      mutate: () => bookAPI.logProgress(bookId, progress),
+      revertedMessage: translate('progress.reverted', 'Your progress could not be saved. It was removed.'),
+    })));
+
+    if (isQueuedMutation(result)) return queryCache.getQueryData(`book:${bookId}`); // Keep the local entry until sync
+
+    updateCachedBook(bookId, () => result);
+    notifyOtherTabs([`book:${bookId}`]);
+
+    return result;
+  } catch (err) {
+    console.error('Error logging progress:', err);
+    throw err;
+  }
+};
+
+// The actions exposed by `useBook`
+export const bookActions = {
+  fetchBooks,
+  getBookById,
+  getBooksByShelf,
+  fetchBooksPage,
+  updateBookShelf,
+  addBook,
+  updateBook,
+  deleteBook,
+  updateBooks,
+  deleteBooks,
+  searchBooks,
+  addReview,
+};
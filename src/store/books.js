@@ -0,0 +1,194 @@
+/**
+ * books.js
+ *
+ * Books slice of the store: every book the app has loaded, stored once by ID, and the queries that list them.
+ *
+ * state.books: {
+ *   byId: { [bookId]: book },
+ *   queries: { [queryKey]: bookId[] | page with `items: bookId[]` | bookId },
+ *   views: { list, detail, search }, // Query keys of the list, book and search results currently displayed
+ * }
+ *
+ * Entities come from the query cache (see store/sync.js): every list, page, book and populated shelf it receives
+ * is merged in here, so an edit made through one query shows up everywhere the book is displayed.
+ */
+
+import { createSelector } from './createSelector'; // Memoized derived data
+import { QUERY_DATA_RECEIVED, SESSION_ENDED } from './actions';
+
+const VIEW_CHANGED = 'books/viewChanged';
+const BOOKS_REMOVED = 'books/removed';
+
+export const BOOK_VIEWS = {
+  LIST: 'list', // `books` of useBook
+  DETAIL: 'detail', // `book`
+  SEARCH: 'search', // `searchResults`
+};
+
+const initialState = {
+  byId: {},
+  queries: {},
+  views: { [BOOK_VIEWS.LIST]: null, [BOOK_VIEWS.DETAIL]: null, [BOOK_VIEWS.SEARCH]: null },
+};
+
+const EMPTY_LIST = []; // Shared, so empty results keep their identity
+
+/**
+ * Display another query in one of the views.
+ * @param {string} view - One of `BOOK_VIEWS`.
+ * @param {string} key - The query key.
+ * @returns {Object}
+ */
+export const bookViewChanged = (view, key) => ({ type: VIEW_CHANGED, payload: { view, key } });
+
+/**
+ * Forget deleted books.
+ * @param {string[]} bookIds - IDs of the books.
+ * @returns {Object}
+ */
+export const booksRemoved = (bookIds) => ({ type: BOOKS_REMOVED, payload: { bookIds } });
+
+const isBook = (item) => Boolean(item) && typeof item === 'object' && typeof item.id === 'string';
+const isBookListKey = (key) => key.startsWith('books:');
+const isBookKey = (key) => key.startsWith('book:');
+const isShelfKey = (key) => key.startsWith('shelves:') || key.startsWith('shelf:');
+
+/**
+ * The books contained in the data of a query: a list, a page, a single book, or the populated books of shelves.
+ * @param {string} key - The query key.
+ * @param {*} data - The data of the query.
+ * @returns {Object[]}
+ */
+const extractBooks = (key, data) => {
+  if (isBookKey(key)) return isBook(data) ? [data] : [];
+  if (isBookListKey(key)) {
+    const items = Array.isArray(data) ? data : (data && data.items) || [];
+    return items.filter(isBook);
+  }
+  if (isShelfKey(key)) {
+    const shelves = Array.isArray(data) ? data : [data];
+    return shelves.flatMap((shelf) => (shelf && Array.isArray(shelf.books) ? shelf.books.filter(isBook) : []));
+  }
+  return [];
+};
+
+/**
+ * What the slice keeps of a book query: the IDs of its books, in order.
+ * @param {string} key - The query key.
+ * @param {*} data - The data of the query.
+ * @returns {*}
+ */
+const toQueryResult = (key, data) => {
+  if (isBookKey(key)) return isBook(data) ? data.id : null;
+  if (Array.isArray(data)) return data.map((book) => book.id);
+  if (data && Array.isArray(data.items)) return { ...data, items: data.items.map((book) => book.id) };
+  return data;
+};
+
+// Whether two lists of book IDs are the same, so an unchanged list keeps its identity
+const sameIds = (a, b) => (
+  Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((bookId, index) => bookId === b[index])
+);
+
+const shallowEqual = (a, b) => {
+  const keys = Object.keys(b);
+  return keys.length === Object.keys(a).length && keys.every((key) => a[key] === b[key]);
+};
+
+/**
+ * Merge books into the entities, keeping the fields a partial copy (e.g. a placeholder) lacks.
+ * @param {Object} byId - The current entities.
+ * @param {Object[]} books - The received books.
+ * @returns {Object} - The entities, unchanged if nothing changed.
+ */
+const mergeBooks = (byId, books) => {
+  let next = byId;
+  books.forEach((book) => {
+    const merged = byId[book.id] ? { ...byId[book.id], ...book } : book;
+    if (byId[book.id] && shallowEqual(byId[book.id], merged)) return;
+    if (next === byId) next = { ...byId };
+    next[book.id] = merged;
+  });
+  return next;
+};
+
+export const booksReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case QUERY_DATA_RECEIVED: {
+      const { key, data } = action.payload;
+      const byId = mergeBooks(state.byId, extractBooks(key, data));
+      const isBookQuery = isBookListKey(key) || isBookKey(key);
+      const result = isBookQuery ? toQueryResult(key, data) : undefined;
+      const queries = !isBookQuery || result === state.queries[key] || sameIds(result, state.queries[key])
+        ? state.queries
+        : { ...state.queries, [key]: result };
+      return byId === state.byId && queries === state.queries ? state : { ...state, byId, queries };
+    }
+    case VIEW_CHANGED:
+      return { ...state, views: { ...state.views, [action.payload.view]: action.payload.key } };
+    case BOOKS_REMOVED: {
+      const byId = { ...state.byId };
+      action.payload.bookIds.forEach((bookId) => delete byId[bookId]);
+      return { ...state, byId };
+    }
+    case SESSION_ENDED:
+      return initialState;
+    default:
+      return state;
+  }
+};
+
+// SELECTORS
+
+export const selectBooksById = (state) => state.books.byId;
+
+/**
+ * @param {Object} state - The store state.
+ * @param {string} bookId - The ID of the book.
+ * @returns {Object|null}
+ */
+export const selectBookById = (state, bookId) => state.books.byId[bookId] || null;
+
+/**
+ * Books of a list of IDs, skipping the ones that are gone.
+ * @param {Object} byId - The book entities.
+ * @param {string[]} [bookIds] - The IDs.
+ * @returns {Object[]}
+ */
+const denormalizeBooks = (byId, bookIds) => (
+  Array.isArray(bookIds) ? bookIds.map((bookId) => byId[bookId]).filter(Boolean) : EMPTY_LIST
+);
+
+const selectViewResult = (view) => (state) => state.books.queries[state.books.views[view]];
+
+// The books of the displayed list (all books or a shelf)
+export const selectBooks = createSelector([selectBooksById, selectViewResult(BOOK_VIEWS.LIST)], denormalizeBooks);
+
+// The results of the current search
+export const selectSearchResults = createSelector(
+  [selectBooksById, selectViewResult(BOOK_VIEWS.SEARCH)],
+  denormalizeBooks
+);
+
+/**
+ * Create a selector of the books of any query: `(state, key) => books`. Each caller creates its own, so the
+ * memoization of one query's books is not undone by another's.
+ * @returns {Function}
+ */
+export const makeSelectQueryBooks = () => createSelector(
+  [selectBooksById, (state, key) => state.books.queries[key]],
+  denormalizeBooks
+);
+
+// The displayed book
+export const selectBook = (state) => {
+  const bookId = selectViewResult(BOOK_VIEWS.DETAIL)(state);
+  return bookId ? selectBookById(state, bookId) : null;
+};
+
+/**
+ * Query keys currently displayed, which invalidations refetch right away (see store/sync.js).
+ * @param {Object} state - The store state.
+ * @returns {string[]}
+ */
+export const selectDisplayedBookKeys = (state) => Object.values(state.books.views).filter(Boolean);
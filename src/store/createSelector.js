@@ -0,0 +1,27 @@
+/**
+ * createSelector.js
+ *
+ * Memoized selectors: the result is recomputed only when one of the input selectors returns something new,
+ * so derived arrays (e.g. the books of the displayed list) keep their identity and `useSelector` does not
+ * re-render components for unrelated changes.
+ */
+
+/**
+ * @param {Function[]} inputSelectors - Each receives the selector's arguments (`state`, ...).
+ * @param {Function} combiner - Receives the input selectors' results and returns the derived value.
+ * @returns {Function} - The memoized selector.
+ */
+export const createSelector = (inputSelectors, combiner) => {
+  let lastInputs = null;
+  let lastResult;
+
+  return (...args) => {
+    const inputs = inputSelectors.map((select) => select(...args));
+    const unchanged = lastInputs !== null && inputs.every((input, index) => input === lastInputs[index]);
+    if (!unchanged) {
+      lastResult = combiner(...inputs);
+      lastInputs = inputs;
+    }
+    return lastResult;
+  };
+};
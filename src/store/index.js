@@ -0,0 +1,38 @@
+/**
+ * store/index.js
+ *
+ * The Redux store of the app: normalized books and shelves, the session, and the status of every request.
+ *
+ * - Slices (reducers, action creators, selectors): auth.js, books.js, shelves.js, requests.js.
+ * - Thunks calling the API: authActions.js, bookActions.js, shelfActions.js.
+ * - Connection to the query cache, other tabs and the realtime stream: sync.js.
+ *
+ * Components use the `useAuth`, `useBook` and `useShelf` facades (src/hooks), the query and mutation hooks when they
+ * need the status of their own requests, or `useSelector` with the selectors to follow a single value. The store shows up in the Redux DevTools browser extension when installed.
+ */
+
+import { legacy_createStore as createStore, applyMiddleware, compose } from 'redux';
+import { rootReducer } from './reducer';
+
+/**
+ * Let action creators return functions receiving `(dispatch, getState)` (async flows, see *Actions.js).
+ */
+const thunk = ({ dispatch, getState }) => (next) => (action) => (
+  typeof action === 'function' ? action(dispatch, getState) : next(action)
+);
+
+// Redux DevTools browser extension, when installed
+const composeEnhancers = (typeof window !== 'undefined' && window.__REDUX_DEVTOOLS_EXTENSION_COMPOSE__) || compose;
+
+/**
+ * @param {Object} [preloadedState] - Initial state (e.g. in tests).
+ * @returns {Object} - A new store.
+ */
+export const createAppStore = (preloadedState) => createStore(
+  rootReducer,
+  preloadedState,
+  composeEnhancers(applyMiddleware(thunk))
+);
+
+// The app's store
+export const store = createAppStore();
@@ -0,0 +1,18 @@
+import { combineReducers } from 'redux';
+import { authReducer } from './auth';
+import { booksReducer } from './books';
+import { shelvesReducer } from './shelves';
+import { tagsReducer } from './tags';
+import { requestsReducer } from './requests';
+
+/**
+ * Root reducer of the store. Kept apart from store/index.js, which wires the store to the API and the browser,
+ * so the slices can be tested on their own.
+ */
+export const rootReducer = combineReducers({
+  auth: authReducer,
+  books: booksReducer,
+  shelves: shelvesReducer,
+  tags: tagsReducer,
+  requests: requestsReducer,
+});
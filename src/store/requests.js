@@ -0,0 +1,138 @@
+/**
+ * requests.js
+ *
+ * Status of every named request (e.g. 'books/list', 'shelves/save', 'auth/login'): whether it is pending, and
+ * the error it failed with. Components can follow one request instead of a shared loading flag; the `useBook`,
+ * `useShelf` and `useAuth` facades derive their `isLoading` and `error` from the requests of their domain.
+ *
+ * state.requests: { [name]: { status, error, hasData, sequence } }
+ * - `hasData`: the request revalidates data that is already displayed (no loading state needed).
+ * - `sequence`: increases with every change, so the last settled request of a domain can be told apart.
+ */
+
+import { isAbortError } from '../utils/abort'; // Cancelled requests are expected, not errors
+import { SESSION_ENDED } from './actions';
+
+export const REQUEST_STATUS = {
+  IDLE: 'idle', // Never sent, or cancelled
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+const REQUEST_STARTED = 'requests/started';
+const REQUEST_SUCCEEDED = 'requests/succeeded';
+const REQUEST_FAILED = 'requests/failed';
+const REQUEST_CANCELLED = 'requests/cancelled';
+
+const IDLE_REQUEST = { status: REQUEST_STATUS.IDLE, error: null, hasData: false, sequence: 0 };
+
+let sequence = 0; // Orders request changes (timestamps can collide)
+const nextSequence = () => {
+  sequence += 1;
+  return sequence;
+};
+
+export const requestStarted = (name, { hasData = false } = {}) => ({
+  type: REQUEST_STARTED,
+  payload: { name, hasData, sequence: nextSequence() },
+});
+export const requestSucceeded = (name) => ({ type: REQUEST_SUCCEEDED, payload: { name, sequence: nextSequence() } });
+export const requestFailed = (name, error) => ({ type: REQUEST_FAILED, payload: { name, error, sequence: nextSequence() } });
+export const requestCancelled = (name) => ({ type: REQUEST_CANCELLED, payload: { name, sequence: nextSequence() } });
+
+export const requestsReducer = (state = {}, action) => {
+  switch (action.type) {
+    case REQUEST_STARTED: {
+      const { name, hasData } = action.payload;
+      return { ...state, [name]: { status: REQUEST_STATUS.PENDING, error: null, hasData, sequence: action.payload.sequence } };
+    }
+    case REQUEST_SUCCEEDED:
+      return { ...state, [action.payload.name]: { ...IDLE_REQUEST, status: REQUEST_STATUS.SUCCEEDED, sequence: action.payload.sequence } };
+    case REQUEST_FAILED: {
+      const { name, error } = action.payload;
+      return { ...state, [name]: { ...IDLE_REQUEST, status: REQUEST_STATUS.FAILED, error, sequence: action.payload.sequence } };
+    }
+    case REQUEST_CANCELLED:
+      return { ...state, [action.payload.name]: { ...IDLE_REQUEST, sequence: action.payload.sequence } };
+    case SESSION_ENDED:
+      return {}; // Never show the previous user's errors
+    default:
+      return state;
+  }
+};
+
+/**
+ * @param {Object} state - The store state.
+ * @param {string} name - The request name.
+ * @returns {Object} - `{ status, error, hasData, sequence }`.
+ */
+export const selectRequest = (state, name) => state.requests[name] || IDLE_REQUEST;
+
+/**
+ * Whether one of the requests is loading data nothing is displayed for yet (revalidations do not count).
+ * @param {Object} state - The store state.
+ * @param {string[]} names - The request names.
+ * @returns {boolean}
+ */
+export const selectIsLoading = (state, names) => names.some((name) => {
+  const request = selectRequest(state, name);
+  return request.status === REQUEST_STATUS.PENDING && !request.hasData;
+});
+
+/**
+ * The error of the last request of a domain, if that request failed. A newer request of the domain, started or
+ * settled, replaces it, like the single `error` state of the former contexts.
+ * @param {Object} state - The store state.
+ * @param {string} domain - Request name prefix (e.g. 'books/').
+ * @returns {Error|null}
+ */
+export const selectLastError = (state, domain) => {
+  let last = IDLE_REQUEST;
+  Object.keys(state.requests).forEach((name) => {
+    const request = state.requests[name];
+    if (name.startsWith(domain) && request.sequence > last.sequence) last = request;
+  });
+  return last.status === REQUEST_STATUS.FAILED ? last.error : null;
+};
+
+/**
+ * Run an API call as a named request, recording its status and error.
+ * @param {string} name - The request name.
+ * @param {Function} run - Returns a promise for the result.
+ * @param {Object} [options]
+ * @param {boolean} [options.hasData=false] - Data is already displayed (a revalidation, not a load).
+ * @param {Function} [options.isLatest] - Returns false once a newer request of the same name superseded this one;
+ *   a superseded request leaves the status to the newer one.
+ * @param {Function} [options.reportError] - Returns whether an error belongs in the request's status; errors it
+ *   rejects (e.g. invalid fields, shown by the form that caused them) only mark the request as failed.
+ * @returns {Function} - A thunk resolving with the result, or rejecting with the error.
+ */
+export const trackRequest = (name, run, {
+  hasData = false,
+  isLatest = () => true,
+  reportError = () => true,
+} = {}) => async (dispatch) => {
+  dispatch(requestStarted(name, { hasData }));
+  try {
+    const result = await run();
+    if (isLatest()) dispatch(requestSucceeded(name));
+    return result;
+  } catch (error) {
+    if (isLatest()) {
+      if (isAbortError(error)) dispatch(requestCancelled(name)); // Unmounted: nothing to report
+      else dispatch(requestFailed(name, reportError(error) ? error : null));
+    }
+    throw error;
+  }
+};
+
+/**
+ * Wrap a thunk action creator so its thunk resolves with undefined instead of rejecting. For callers that learn
+ * about failures from the request status (e.g. the shared `error` of the facades) rather than from the promise.
+ * @param {Function} actionCreator - Returns a thunk.
+ * @returns {Function} - An action creator taking the same arguments.
+ */
+export const withoutRejection = (actionCreator) => (...args) => (dispatch) => (
+  dispatch(actionCreator(...args)).catch(() => undefined)
+);
@@ -0,0 +1,429 @@
+/**
+ * shelfActions.js
+ *
+ * Thunks reading and changing the user's shelves (see `useShelf` for the facade components use).
+ *
+ * Query keys: 'shelves:<userId>' (the user's shelves) and 'shelf:<shelfId>', both tagged 'shelves'. Like books,
+ * shelves go through the query cache, which forwards every change to the store (see store/sync.js).
+ *
+ * Mutations reject with the error after logging it, for the mutation hooks (hooks/useShelfMutations.js); the
+ * `useShelf` facade resolves with undefined instead, except for the form actions (createShelf, updateShelf).
+ */
+
+import { shelfAPI } from '../api/shelfAPI'; // API functions for shelf operations
+import { queryCache } from '../utils/queryCache'; // Shared query cache (stale-while-revalidate, expiry, tag invalidation)
+import { optimisticUpdate } from '../utils/optimisticUpdate'; // Apply mutations immediately, roll back on failure
+import { isQueuedMutation } from '../utils/outbox'; // Recognise mutations queued offline
+import { isAbortError, startLatestRequest } from '../utils/abort'; // Cancel superseded requests
+import { hasFieldErrors } from '../utils/apiError'; // Validation errors belong to the form that caused them
+import { publishLibraryChange, TAB_MESSAGES } from '../utils/tabSync'; // Changes across tabs
+import { REALTIME_EVENTS } from '../utils/realtime'; // Live updates from other devices
+import { translate } from '../utils/translate'; // For the "change reverted" notice
+import { getBookId, normalizeShelf } from '../api/normalize'; // Shelf books are IDs in requests and populated books in responses
+import { selectUser } from './auth';
+import { trackRequest } from './requests';
+
+// Names of the shelf requests in `state.requests`
+export const SHELF_REQUESTS = {
+  LIST: 'shelves/list', // fetchShelves
+  DETAIL: 'shelves/detail', // getShelfById
+  SAVE: 'shelves/save', // createShelf, updateShelf
+  DELETE: 'shelves/delete', // deleteShelf
+  BOOKS: 'shelves/books', // addBookToShelf, removeBookFromShelf
+  BULK_BOOKS: 'shelves/bulkBooks', // addBooksToShelves, removeBooksFromShelves
+};
+
+// AbortController of the latest request for the user's shelves
+const shelvesRequest = { current: null };
+
+// Let the other tabs refetch what a confirmed mutation changed (scope 'shelves', see utils/tabSync.js)
+const notifyOtherTabs = (tags) => publishLibraryChange('shelves', { tags });
+
+/**
+ * Query key of a user's shelves.
+ * @param {Object|null} user - The user.
+ * @returns {string|null}
+ */
+export const getShelvesKey = (user) => (user ? `shelves:${user.id}` : null);
+
+/**
+ * Apply an update to the cached shelves of a user.
+ * @param {Object} user - The user.
+ * @param {Function} updateShelves - Receives the current shelves and returns the updated ones.
+ */
+const updateCachedShelves = (user, updateShelves) => {
+  queryCache.setQueryData(getShelvesKey(user), (cached) => updateShelves(cached || []), { tags: ['shelves'] });
+};
+
+/**
+ * Change the books of a cached shelf, both in the shelves list and in the shelf's own query.
+ * @param {Object} user - The user.
+ * @param {string} shelfId - ID of the shelf.
+ * @param {Function} updateBooks - Receives the shelf's books and returns the new ones.
+ */
+const updateCachedShelfBooks = (user, shelfId, updateBooks) => {
+  const updateShelfBooks = (shelf) => ({ ...shelf, books: updateBooks(shelf.books || []) });
+  updateCachedShelves(user, prevShelves => prevShelves.map(shelf =>
+    shelf.id === shelfId ? updateShelfBooks(shelf) : shelf
+  ));
+  queryCache.setQueryData(`shelf:${shelfId}`, (cached) => (cached ? updateShelfBooks(cached) : undefined));
+};
+
+/**
+ * Predicate selecting the cached queries a mutation of one shelf touches, for rollback snapshots.
+ * @param {Object} user - The user.
+ * @param {string} shelfId - ID of the shelf.
+ * @returns {Function}
+ */
+const affectsShelf = (user, shelfId) => (key) => (
+  key === getShelvesKey(user) || key === `shelf:${shelfId}` || key === `books:shelf:${shelfId}`
+);
+
+// Same as `affectsShelf`, for a mutation of several shelves
+const affectsShelves = (user, shelfIds) => (key) => shelfIds.some((shelfId) => affectsShelf(user, shelfId)(key));
+
+/**
+ * Store a shelf returned by the API in the shelves list and in its own query.
+ * @param {Object} user - The user.
+ * @param {Object} updatedShelf - The shelf returned by the API.
+ */
+const storeShelf = (user, updatedShelf) => {
+  updateCachedShelves(user, prevShelves => prevShelves.map(shelf =>
+    shelf.id === updatedShelf.id ? updatedShelf : shelf
+  ));
+  queryCache.setQueryData(`shelf:${updatedShelf.id}`, updatedShelf, { tags: ['shelves'] });
+};
+
+/**
+ * Apply a change made on another device (see utils/realtime.js) to the cached shelves of the logged-in user.
+ * Events also arrive for this device's own changes; applying one twice is harmless.
+ * @param {Object} event - `{ type, data }`.
+ * @returns {Function} - A thunk.
+ */
+export const applyShelfEvent = ({ type, data }) => (dispatch, getState) => {
+  const user = selectUser(getState());
+  if (!user) return;
+
+  switch (type) {
+    case REALTIME_EVENTS.SHELF_CREATED: {
+      const shelf = normalizeShelf(data.shelf);
+      updateCachedShelves(user, prevShelves => (
+        prevShelves.some(item => item.id === shelf.id) ? prevShelves : [...prevShelves, shelf]
+      ));
+      break;
+    }
+    case REALTIME_EVENTS.SHELF_UPDATED:
+      storeShelf(user, normalizeShelf(data.shelf));
+      break;
+    case REALTIME_EVENTS.SHELF_BOOK_ADDED:
+    case REALTIME_EVENTS.SHELF_BOOK_REMOVED:
+      storeShelf(user, normalizeShelf(data.shelf));
+      queryCache.invalidateQueries({ tags: [`shelfBooks:${data.shelfId}`, `book:${data.bookId}`] });
+      break;
+    case REALTIME_EVENTS.SHELF_DELETED:
+      updateCachedShelves(user, prevShelves => prevShelves.filter(shelf => shelf.id !== String(data.shelfId)));
+      queryCache.invalidateQueries({ tags: [`shelfBooks:${data.shelfId}`] });
+      break;
+    case REALTIME_EVENTS.RESYNC:
+      queryCache.invalidateQueries({ tags: ['shelves'] }); // Missed events: refetch
+      break;
+    default:
+      break; // Book events are applied by bookActions.js
+  }
+};
+
+/**
+ * Refetch the shelves another tab changed.
+ * @param {Object} message - A message from another tab (see utils/tabSync.js).
+ */
+export const applyShelfTabMessage = (message) => {
+  if (message.type !== TAB_MESSAGES.LIBRARY_CHANGED || message.scope !== 'shelves') return;
+  queryCache.invalidateQueries({ tags: message.tags, keys: message.keys });
+};
+
+/**
+ * Fetch the logged-in user's shelves through the shared query cache (nothing to fetch when logged out).
+ * Cached shelves are shown right away and revalidated in the background once stale.
+ * Fetched whenever the user changes (see store/sync.js).
+ * @param {Object} [options] - `{ signal }` to cancel the request (e.g. when the user changes).
+ */
+export const fetchShelves = ({ signal } = {}) => async (dispatch, getState) => {
+  const shelvesKey = getShelvesKey(selectUser(getState()));
+  if (!shelvesKey) return; // Avoid fetching if no user is authenticated
+
+  const request = startLatestRequest(shelvesRequest, signal);
+  try {
+    await dispatch(trackRequest(
+      SHELF_REQUESTS.LIST,
+      () => queryCache.fetchQuery(
+        shelvesKey,
+        (options) => shelfAPI.getAllShelves(options),
+        { tags: ['shelves'], signal: request.signal }
+      ),
+      { hasData: queryCache.getQueryData(shelvesKey) !== undefined, isLatest: request.isLatest }
+    ));
+  } catch (err) {
+    if (isAbortError(err)) return; // Another user's shelves are being fetched
+    console.error('Error fetching shelves:', err);
+  }
+};
+
+/**
+ * Fetch a specific shelf by its ID.
+ * @param {string} shelfId - The ID of the shelf to fetch.
+ * @param {Object} [options] - `{ signal }` to cancel the request (e.g. when the calling component unmounts).
+ * @returns {Function} - A thunk resolving with the shelf, or undefined if the request was cancelled.
+ */
+export const getShelfById = (shelfId, { signal } = {}) => async (dispatch, getState) => {
+  if (!selectUser(getState())) return undefined;
+
+  try {
+    return await dispatch(trackRequest(
+      SHELF_REQUESTS.DETAIL,
+      () => queryCache.fetchQuery(
+        `shelf:${shelfId}`,
+        (options) => shelfAPI.getShelfById(shelfId, options),
+        { tags: ['shelves'], signal }
+      )
+    ));
+  } catch (err) {
+    if (isAbortError(err)) return undefined; // Cancelled by the caller: nothing to report
+    console.error('Error fetching shelf by ID:', err);
+    throw err;
+  }
+};
+
+/**
+ * Create a new shelf for the authenticated user and add it to the cached shelves.
+ * Offline, the shelf is added locally under a temporary ID until the outbox is replayed.
+ * @param {string} shelfName - The name of the new shelf.
+ * @throws {ApiError} - When the shelf cannot be saved; `fieldErrors` lists the invalid fields.
+ */
+export const createShelf = (shelfName) => async (dispatch, getState) => {
+  const user = selectUser(getState());
+  if (!user) return;
+
+  try {
+    const result = await dispatch(trackRequest(
+      SHELF_REQUESTS.SAVE,
+      () => shelfAPI.createShelf({ userId: user.id, name: shelfName }),
+      { reportError: (err) => !hasFieldErrors(err) } // Invalid fields are shown next to the fields by the form
+    ));
+    const newShelf = isQueuedMutation(result)
+      ? { id: result.tempId, userId: user.id, name: shelfName, books: [], pendingSync: true }
+      : result;
+    updateCachedShelves(user, prevShelves => [...prevShelves, newShelf]);
+    if (!isQueuedMutation(result)) notifyOtherTabs(['shelves']);
+  } catch (err) {
+    console.error('Error creating shelf:', err);
+    throw err; // The form keeps its values and shows what failed
+  }
+};
+
+/**
+ * Update an existing shelf by shelf ID and store the result in the cache.
+ * @param {string} shelfId - ID of the shelf to be updated.
+ * @param {object} updateData - Data to update the shelf with.
+ * @throws {ApiError} - When the shelf cannot be saved; `fieldErrors` lists the invalid fields.
+ */
+export const updateShelf = (shelfId, updateData) => async (dispatch, getState) => {
+  const user = selectUser(getState());
+  if (!user) return;
+
+  try {
+    const result = await dispatch(trackRequest(
+      SHELF_REQUESTS.SAVE,
+      () => shelfAPI.updateShelf(shelfId, updateData),
+      { reportError: (err) => !hasFieldErrors(err) } // Invalid fields are shown next to the fields by the form
+    ));
+    const cachedShelves = queryCache.getQueryData(getShelvesKey(user)) || [];
+    const updatedShelf = isQueuedMutation(result)
+      ? { ...cachedShelves.find(shelf => shelf.id === shelfId), ...updateData, pendingSync: true } // Apply locally until sync
+      : result;
+    storeShelf(user, updatedShelf);
+    if (!isQueuedMutation(result)) notifyOtherTabs(['shelves']);
+  } catch (err) {
+    console.error('Error updating shelf:', err);
+    throw err; // The form keeps its values and shows what failed
+  }
+};
+
+/**
+ * Delete a shelf by ID.
+ * Optimistic: the shelf disappears right away and comes back if the API call fails.
+ * @param {string} shelfId - ID of the shelf to delete.
+ * @throws {ApiError} - When the shelf cannot be deleted (after restoring it).
+ */
+export const deleteShelf = (shelfId) => async (dispatch, getState) => {
+  const user = selectUser(getState());
+  if (!user) return;
+
+  try {
+    const result = await dispatch(trackRequest(SHELF_REQUESTS.DELETE, () => optimisticUpdate({
+      affects: affectsShelf(user, shelfId),
+      apply: () => updateCachedShelves(user, prevShelves => prevShelves.filter(shelf => shelf.id !== shelfId)),
+      mutate: () => shelfAPI.deleteShelf(shelfId),
+      revertedMessage: translate('shelfList.deleteReverted', 'The shelf could not be deleted. Your change was reverted.'),
+    })));
+    if (isQueuedMutation(result)) return; // Keep the local change until sync
+    queryCache.invalidateQueries({ tags: [`shelfBooks:${shelfId}`] });
+    notifyOtherTabs(['shelves', `shelfBooks:${shelfId}`]);
+  } catch (err) {
+    console.error('Error deleting shelf:', err);
+    throw err;
+  }
+};
+
+/**
+ * Add a book to a specific shelf.
+ * Optimistic: the book shows up on the shelf right away (using any cached copy of the book) and is
+ * taken off again if the API call fails. On success, the shelf's book list and the book itself are refetched.
+ * @param {string} shelfId - ID of the shelf to add the book to.
+ * @param {string} bookId - ID of the book to add.
+ * @throws {ApiError} - When the book cannot be added (after taking it off again).
+ */
+export const addBookToShelf = (shelfId, bookId) => async (dispatch, getState) => {
+  const user = selectUser(getState());
+  if (!user) return;
+
+  try {
+    const updatedShelf = await dispatch(trackRequest(SHELF_REQUESTS.BOOKS, () => optimisticUpdate({
+      affects: affectsShelf(user, shelfId),
+      apply: () => {
+        const cachedBook = queryCache.getQueryData(`book:${bookId}`);
+        updateCachedShelfBooks(user, shelfId, (books) => [
+          ...books.filter(book => getBookId(book) !== bookId),
+          cachedBook || { id: bookId }, // Placeholder until the populated shelf comes back
+        ]);
+        if (cachedBook) {
+          queryCache.setQueryData(`books:shelf:${shelfId}`, (list) => (list ? [...list, cachedBook] : undefined));
+        }
+      },
+      mutate: () => shelfAPI.addBookToShelf(shelfId, bookId),
+      revertedMessage: translate('addBook.reverted', 'The book could not be added to the shelf. Your change was reverted.'),
+    })));
+    if (isQueuedMutation(updatedShelf)) return; // Keep the local change until sync
+    storeShelf(user, updatedShelf);
+    queryCache.invalidateQueries({ tags: [`shelfBooks:${shelfId}`, `book:${bookId}`] });
+    notifyOtherTabs(['shelves', `shelfBooks:${shelfId}`, `book:${bookId}`]);
+  } catch (err) {
+    console.error('Error adding book to shelf:', err);
+    throw err;
+  }
+};
+
+/**
+ * Remove a book from a specific shelf.
+ * Optimistic: the book leaves the shelf right away and is put back if the API call fails.
+ * On success, the shelf's book list and the book itself are refetched.
+ * @param {string} shelfId - ID of the shelf to remove the book from.
+ * @param {string} bookId - ID of the book to remove.
+ * @throws {ApiError} - When the book cannot be removed (after putting it back).
+ */
+export const removeBookFromShelf = (shelfId, bookId) => async (dispatch, getState) => {
+  const user = selectUser(getState());
+  if (!user) return;
+
+  try {
+    const updatedShelf = await dispatch(trackRequest(SHELF_REQUESTS.BOOKS, () => optimisticUpdate({
+      affects: affectsShelf(user, shelfId),
+      apply: () => {
+        updateCachedShelfBooks(user, shelfId, (books) => books.filter(book => getBookId(book) !== bookId));
+        queryCache.setQueryData(`books:shelf:${shelfId}`, (list) => (
+          list ? list.filter(book => getBookId(book) !== bookId) : undefined
+        ));
+      },
+      mutate: () => shelfAPI.removeBookFromShelf(shelfId, bookId),
+      revertedMessage: translate('removeBook.reverted', 'The book could not be removed from the shelf. Your change was reverted.'),
+    })));
+    if (isQueuedMutation(updatedShelf)) return; // Keep the local change until sync
+    storeShelf(user, updatedShelf);
+    queryCache.invalidateQueries({ tags: [`shelfBooks:${shelfId}`, `book:${bookId}`] });
+    notifyOtherTabs(['shelves', `shelfBooks:${shelfId}`, `book:${bookId}`]);
+  } catch (err) {
+    console.error('Error removing book from shelf:', err);
+    throw err;
+  }
+};
+
+/**
+ * Add several books to several shelves at once (bulk actions of the selection mode).
+ * Optimistic: the books show up on every shelf right away and are taken off again if the API call fails.
+ * @param {string[]} shelfIds - IDs of the shelves.
+ * @param {string[]} bookIds - IDs of the books to add to each shelf.
+ * @throws {ApiError} - When the books cannot be added (after taking them off again).
+ */
+export const addBooksToShelves = (shelfIds, bookIds) => async (dispatch, getState) => {
+  const user = selectUser(getState());
+  if (!user) return undefined;
+
+  try {
+    const updatedShelves = await dispatch(trackRequest(SHELF_REQUESTS.BULK_BOOKS, () => optimisticUpdate({
+      affects: affectsShelves(user, shelfIds),
+      apply: () => shelfIds.forEach((shelfId) => updateCachedShelfBooks(user, shelfId, (books) => [
+        ...books,
+        ...bookIds
+          .filter((bookId) => !books.some((book) => getBookId(book) === bookId))
+          .map((bookId) => queryCache.getQueryData(`book:${bookId}`) || { id: bookId }), // Placeholder until the shelves come back
+      ])),
+      mutate: () => shelfAPI.addBooksToShelves(shelfIds, bookIds),
+      revertedMessage: translate('bulkActions.addReverted', 'The books could not be added to the shelves. Your change was reverted.'),
+    })));
+    if (isQueuedMutation(updatedShelves)) return undefined; // Keep the local change until sync
+    updatedShelves.forEach((shelf) => storeShelf(user, shelf));
+    const tags = [...shelfIds.map((shelfId) => `shelfBooks:${shelfId}`), ...bookIds.map((bookId) => `book:${bookId}`)];
+    queryCache.invalidateQueries({ tags });
+    notifyOtherTabs(['shelves', ...tags]);
+    return updatedShelves;
+  } catch (err) {
+    console.error('Error adding books to shelves:', err);
+    throw err;
+  }
+};
+
+/**
+ * Remove several books from several shelves at once (bulk actions of the selection mode).
+ * Optimistic: the books leave the shelves right away and are put back if the API call fails.
+ * @param {string[]} shelfIds - IDs of the shelves.
+ * @param {string[]} bookIds - IDs of the books to remove from each shelf.
+ * @throws {ApiError} - When the books cannot be removed (after putting them back).
+ */
+export const removeBooksFromShelves = (shelfIds, bookIds) => async (dispatch, getState) => {
+  const user = selectUser(getState());
+  if (!user) return undefined;
+
+  try {
+    const updatedShelves = await dispatch(trackRequest(SHELF_REQUESTS.BULK_BOOKS, () => optimisticUpdate({
+      affects: affectsShelves(user, shelfIds),
+      apply: () => shelfIds.forEach((shelfId) => {
+        updateCachedShelfBooks(user, shelfId, (books) => books.filter(book => !bookIds.includes(getBookId(book))));
+        queryCache.setQueryData(`books:shelf:${shelfId}`, (list) => (
+          list ? list.filter(book => !bookIds.includes(getBookId(book))) : undefined
+        ));
+      }),
+      mutate: () => shelfAPI.removeBooksFromShelves(shelfIds, bookIds),
+      revertedMessage: translate('bulkActions.removeReverted', 'The books could not be removed from the shelf. Your change was reverted.'),
+    })));
+    if (isQueuedMutation(updatedShelves)) return undefined; // Keep the local change until sync
+    updatedShelves.forEach((shelf) => storeShelf(user, shelf));
+    const tags = [...shelfIds.map((shelfId) => `shelfBooks:${shelfId}`), ...bookIds.map((bookId) => `book:${bookId}`)];
+    queryCache.invalidateQueries({ tags });
+    notifyOtherTabs(['shelves', ...tags]);
+    return updatedShelves;
+  } catch (err) {
+    console.error('Error removing books from shelves:', err);
+    throw err;
+  }
+};
+
+// The actions exposed by `useShelf`
+export const shelfActions = {
+  createShelf,
+  updateShelf,
+  deleteShelf,
+  addBookToShelf,
+  removeBookFromShelf,
+  addBooksToShelves,
+  removeBooksFromShelves,
+  getShelfById,
+};
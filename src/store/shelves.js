@@ -0,0 +1,71 @@
+/**
+ * shelves.js
+ *
+ * Shelves slice of the store: the user's shelves by ID, in display order. Shelves reference their books by ID;
+ * the books themselves live in the books slice, so a book edited anywhere is up to date on every shelf.
+ *
+ * state.shelves: {
+ *   byId: { [shelfId]: shelf with `bookIds` instead of `books` },
+ *   ids: shelfId[], // The user's shelves ('shelves:<userId>' query), in order
+ * }
+ */
+
+import { createSelector } from './createSelector'; // Memoized derived data
+import { selectBooksById } from './books';
+import { QUERY_DATA_RECEIVED, SESSION_ENDED } from './actions';
+import { getBookId } from '../api/normalize'; // Shelf books are IDs or populated books
+
+const initialState = { byId: {}, ids: [] };
+
+/**
+ * Store a shelf with references to its books.
+ * @param {Object} shelf - A shelf from the API or the cache (`books` as IDs or populated books).
+ * @returns {Object}
+ */
+const normalizeShelfBooks = ({ books = [], ...shelf }) => ({ ...shelf, bookIds: books.map(getBookId) });
+
+export const shelvesReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case QUERY_DATA_RECEIVED: {
+      const { key, data } = action.payload;
+      if (key.startsWith('shelves:') && Array.isArray(data)) {
+        const byId = { ...state.byId };
+        data.forEach((shelf) => {
+          byId[shelf.id] = normalizeShelfBooks(shelf);
+        });
+        return { byId, ids: data.map((shelf) => shelf.id) };
+      }
+      if (key.startsWith('shelf:') && data && data.id) {
+        return { ...state, byId: { ...state.byId, [data.id]: normalizeShelfBooks(data) } };
+      }
+      return state;
+    }
+    case SESSION_ENDED:
+      return initialState;
+    default:
+      return state;
+  }
+};
+
+// SELECTORS
+
+export const selectShelvesById = (state) => state.shelves.byId;
+export const selectShelfIds = (state) => state.shelves.ids;
+
+/**
+ * @param {Object} state - The store state.
+ * @param {string} shelfId - The ID of the shelf.
+ * @returns {Object|null} - The shelf, with `bookIds`.
+ */
+export const selectShelfById = (state, shelfId) => state.shelves.byId[shelfId] || null;
+
+// The user's shelves, with their books (books that are not loaded yet stay IDs, as the API sends them)
+export const selectShelves = createSelector(
+  [selectShelvesById, selectShelfIds, selectBooksById],
+  (byId, ids, booksById) => ids
+    .filter((shelfId) => byId[shelfId])
+    .map((shelfId) => {
+      const { bookIds, ...shelf } = byId[shelfId];
+      return { ...shelf, books: bookIds.map((bookId) => booksById[bookId] || bookId) };
+    })
+);
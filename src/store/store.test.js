@@ -0,0 +1,115 @@
+import { createAppStore } from './index';
+import { queryDataReceived, sessionEnded } from './actions';
+import { bookViewChanged, BOOK_VIEWS, selectBooks, selectBook, selectBookById, makeSelectQueryBooks } from './books';
+import { selectShelves } from './shelves';
+import { selectTags } from './tags';
+import { userChanged, selectUser } from './auth';
+import {
+  trackRequest,
+  withoutRejection,
+  selectRequest,
+  selectIsLoading,
+  selectLastError,
+  REQUEST_STATUS,
+} from './requests';
+import { ApiError, ERROR_CODES } from '../utils/apiError';
+
+const dune = { id: 'book-1', title: 'Dune', shelf: 'shelf-1', reviews: [] };
+const emma = { id: 'book-2', title: 'Emma', shelf: 'shelf-1', reviews: [] };
+
+describe('store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createAppStore();
+  });
+
+  test('keeps one copy of each book, shared by every list, the displayed book and the shelves', () => {
+    store.dispatch(bookViewChanged(BOOK_VIEWS.LIST, 'books:all'));
+    store.dispatch(bookViewChanged(BOOK_VIEWS.DETAIL, 'book:book-1'));
+    store.dispatch(queryDataReceived('books:all', [dune, emma]));
+    store.dispatch(queryDataReceived('shelves:user-1', [{ id: 'shelf-1', name: 'Read', books: [dune, 'book-3'] }]));
+    expect(store.getState().shelves.byId['shelf-1'].bookIds).toEqual(['book-1', 'book-3']); // References only
+
+    // A review added through the book's own query shows up everywhere
+    const review = { id: 'review-1', rating: 5 };
+    store.dispatch(queryDataReceived('book:book-1', { ...dune, reviews: [review] }));
+    const state = store.getState();
+    expect(selectBook(state).reviews).toEqual([review]);
+    expect(selectBooks(state)[0]).toBe(selectBook(state));
+    expect(selectShelves(state)[0].books).toEqual([selectBookById(state, 'book-1'), 'book-3']); // Unknown books stay IDs
+  });
+
+  test('keeps derived lists identical while their books do not change', () => {
+    store.dispatch(bookViewChanged(BOOK_VIEWS.LIST, 'books:all'));
+    store.dispatch(queryDataReceived('books:all', [dune, emma]));
+    const books = selectBooks(store.getState());
+
+    store.dispatch(userChanged({ id: 'user-1' }));
+    store.dispatch(queryDataReceived('books:all', [{ ...dune }, { ...emma }])); // Same data, new objects
+    expect(selectBooks(store.getState())).toBe(books);
+  });
+
+  test('records the status of each request and the last error of each domain', async () => {
+    const error = new ApiError('Server error', { status: 500, code: ERROR_CODES.SERVER_ERROR });
+    const invalid = new ApiError('Invalid', { status: 422, fieldErrors: { title: 'Required' } });
+    let finishSearch;
+
+    const search = store.dispatch(trackRequest('books/search', () => new Promise((resolve) => { finishSearch = resolve; })));
+    const revalidation = store.dispatch(trackRequest('books/list', () => Promise.resolve([]), { hasData: true }));
+    expect(selectIsLoading(store.getState(), ['books/search'])).toBe(true);
+    expect(selectIsLoading(store.getState(), ['books/list'])).toBe(false); // Data is already displayed
+    await revalidation;
+
+    await expect(store.dispatch(trackRequest('books/detail', () => Promise.reject(error)))).rejects.toBe(error);
+    expect(selectLastError(store.getState(), 'books/')).toBe(error);
+    expect(selectLastError(store.getState(), 'shelves/')).toBeNull();
+
+    finishSearch([]);
+    await search;
+    expect(selectRequest(store.getState(), 'books/search').status).toBe(REQUEST_STATUS.SUCCEEDED);
+    expect(selectLastError(store.getState(), 'books/')).toBeNull(); // A newer request settled
+
+    await expect(store.dispatch(trackRequest('books/save', () => Promise.reject(invalid), {
+      reportError: (err) => !err.fieldErrors,
+    }))).rejects.toBe(invalid);
+    expect(selectRequest(store.getState(), 'books/save').status).toBe(REQUEST_STATUS.FAILED);
+    expect(selectLastError(store.getState(), 'books/')).toBeNull(); // Shown next to the fields instead
+  });
+
+  test('selects the books of any query, whether or not it is displayed', () => {
+    const selectSearch = makeSelectQueryBooks();
+    const selectShelf = makeSelectQueryBooks();
+    store.dispatch(queryDataReceived('books:search:dune', [dune]));
+    store.dispatch(queryDataReceived('books:shelf:shelf-1', [dune, emma]));
+
+    const results = selectSearch(store.getState(), 'books:search:dune');
+    expect(results).toEqual([dune]);
+    expect(selectShelf(store.getState(), 'books:shelf:shelf-1')).toEqual([dune, emma]);
+    expect(selectSearch(store.getState(), 'books:search:dune')).toBe(results); // Each selector keeps its own memo
+    expect(selectSearch(store.getState(), 'books:search:emma')).toEqual([]); // Not loaded yet
+  });
+
+  test('lets callers that follow the request status ignore the rejection', async () => {
+    const error = new ApiError('Server error', { status: 500, code: ERROR_CODES.SERVER_ERROR });
+    const failingAction = () => trackRequest('books/review', () => Promise.reject(error));
+
+    await expect(store.dispatch(failingAction())).rejects.toBe(error);
+    await expect(store.dispatch(withoutRejection(failingAction)())).resolves.toBeUndefined();
+    expect(selectLastError(store.getState(), 'books/')).toBe(error);
+  });
+
+  test('forgets the user and their library when the session ends', () => {
+    store.dispatch(userChanged({ id: 'user-1' }));
+    store.dispatch(queryDataReceived('books:all', [dune]));
+    store.dispatch(queryDataReceived('tags', [{ name: 'classic', count: 1 }]));
+    expect(selectTags(store.getState())).toEqual([{ name: 'classic', count: 1 }]);
+    store.dispatch(sessionEnded());
+
+    const state = store.getState();
+    expect(selectUser(state)).toBeNull();
+    expect(state.books.byId).toEqual({});
+    expect(state.shelves.ids).toEqual([]);
+    expect(selectTags(state)).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * sync.js
+ *
+ * Connects the store to what changes outside of it:
+ * - the query cache: every change of a cached query is dispatched, so the slices keep its books and shelves;
+ *   the queries the store displays stay subscribed, so invalidations refetch them right away;
+ * - the fetcher's session events (token refreshed, session expired);
+ * - the other open tabs (session and library changes, see utils/tabSync.js);
+ * - the realtime stream of the user's other devices (see utils/realtime.js), open while logged in;
+ * - the logged-in user: their shelves are fetched whenever it changes.
+ */
+
+import { queryCache } from '../utils/queryCache'; // Source of the books and shelves
+import { subscribeToSession } from '../utils/fetcher'; // Token refreshed or session expired
+import { subscribeTabMessages } from '../utils/tabSync'; // Changes made in other tabs
+import { realtime } from '../utils/realtime'; // Live updates from other devices
+import { queryDataReceived } from './actions';
+import { selectUserId } from './auth';
+import { selectDisplayedBookKeys } from './books';
+import { applySessionEvent, applyAuthTabMessage } from './authActions';
+import { applyBookEvent, applyBookTabMessage } from './bookActions';
+import { applyShelfEvent, applyShelfTabMessage, fetchShelves, getShelvesKey } from './shelfActions';
+
+/**
+ * Keep a query subscribed in the query cache while it is displayed, so invalidations refetch it right away (its
+ * data reaches the store either way). Used for the store's own views and by the query hooks (see hooks/useStoreQuery.js).
+ * @param {string} key - The query key.
+ * @returns {Function} - Stops watching.
+ */
+export const watchQuery = (key) => queryCache.subscribeQuery(key, () => {});
+
+/**
+ * Keep the displayed queries subscribed in the query cache. Subscribed queries are the ones invalidations
+ * refetch right away (the data itself reaches the store through `subscribeAllQueries`).
+ * @param {string[]} keys - The displayed query keys.
+ * @param {Map} subscriptions - key -> unsubscribe function, updated in place.
+ */
+const watchQueries = (keys, subscriptions) => {
+  subscriptions.forEach((unsubscribe, key) => {
+    if (keys.includes(key)) return;
+    unsubscribe();
+    subscriptions.delete(key);
+  });
+  keys.forEach((key) => {
+    if (!subscriptions.has(key)) subscriptions.set(key, watchQuery(key));
+  });
+};
+
+/**
+ * @param {Object} store - The Redux store.
+ * @returns {Function} - Disconnects the store.
+ */
+export const connectStore = (store) => {
+  const { dispatch, getState } = store;
+  const subscriptions = new Map(); // Displayed query key -> unsubscribe function
+  let userId = null; // The user whose shelves and live updates are loaded
+  let shelvesController = null; // Cancels the shelves request of the previous user
+
+  const onUserChanged = (nextUserId) => {
+    userId = nextUserId;
+    if (shelvesController) shelvesController.abort();
+    shelvesController = null;
+    realtime.stop(); // Logged out, or another account: its stream starts fresh
+    if (!userId) return;
+    realtime.start();
+    shelvesController = new AbortController();
+    dispatch(fetchShelves({ signal: shelvesController.signal }));
+  };
+
+  const onStateChanged = () => {
+    const state = getState();
+    const nextUserId = selectUserId(state);
+    if (nextUserId !== userId) onUserChanged(nextUserId);
+    const shelvesKey = getShelvesKey(state.auth.user);
+    watchQueries(shelvesKey ? [...selectDisplayedBookKeys(state), shelvesKey] : selectDisplayedBookKeys(state), subscriptions);
+  };
+
+  const disconnectors = [
+    queryCache.subscribeAllQueries((key, data) => dispatch(queryDataReceived(key, data))),
+    subscribeToSession((event) => dispatch(applySessionEvent(event))),
+    subscribeTabMessages((message) => {
+      dispatch(applyAuthTabMessage(message));
+      applyBookTabMessage(message);
+      applyShelfTabMessage(message);
+    }),
+    realtime.subscribe((event) => {
+      applyBookEvent(event);
+      dispatch(applyShelfEvent(event));
+    }),
+    store.subscribe(onStateChanged),
+  ];
+  onStateChanged();
+
+  return () => {
+    disconnectors.forEach((disconnect) => disconnect());
+    watchQueries([], subscriptions);
+    if (userId) onUserChanged(null);
+  };
+};
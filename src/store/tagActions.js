@@ -0,0 +1,92 @@
+/**
+ * tagActions.js
+ *
+ * Thunks reading and managing the tags of the library.
+ *
+ * Query key: 'tags' (tagged 'tags'), the tags with the number of books having each. Book mutations invalidate it
+ * (see store/bookActions.js). Renaming and merging tags rewrite every book having them on the server, so the
+ * cached books are refetched rather than patched one by one.
+ *
+ * Mutations reject with the error after logging it, for the mutation hooks (hooks/useBookMutations.js).
+ */
+
+import { tagAPI } from '../api/tagAPI'; // API functions for the tags of the library
+import { queryCache } from '../utils/queryCache'; // Shared query cache (stale-while-revalidate, expiry, tag invalidation)
+import { hasFieldErrors } from '../utils/apiError'; // Validation errors belong to the form that caused them
+import { publishLibraryChange } from '../utils/tabSync'; // Changes across tabs
+import { TAGS_QUERY_KEY } from './tags';
+import { trackRequest } from './requests';
+
+// Names of the tag requests in `state.requests`
+export const TAG_REQUESTS = {
+  RENAME: 'tags/rename', // renameTag
+  MERGE: 'tags/merge', // mergeTags
+};
+
+// Everything showing the tags of books; the other tabs refetch the same (scope 'books', see utils/tabSync.js)
+const RETAGGED_QUERY_TAGS = ['books', 'book', 'shelves', 'tags'];
+
+/**
+ * Store the tags the server answered with and refetch the books whose tags changed.
+ * @param {Object[]} tags - `[{ name, count }]`.
+ */
+const applyRetag = (tags) => {
+  queryCache.setQueryData(TAGS_QUERY_KEY, tags, { tags: ['tags'] });
+  queryCache.invalidateQueries({ tags: ['books', 'book', 'shelves'] });
+  publishLibraryChange('books', { tags: RETAGGED_QUERY_TAGS });
+};
+
+/**
+ * Fetch the tags of the library through the query cache.
+ * @param {Object} [options] - `{ signal }` to cancel the request.
+ * @returns {Function} - A thunk resolving with `[{ name, count }]`.
+ */
+export const loadTags = ({ signal } = {}) => () => queryCache.fetchQuery(
+  TAGS_QUERY_KEY,
+  (options) => tagAPI.getTags(options),
+  { tags: ['tags'], signal }
+);
+
+/**
+ * Rename a tag on every book having it; renaming to an existing tag merges the two.
+ * @param {string} name - The current name of the tag.
+ * @param {string} newName - The new name.
+ * @returns {Function} - A thunk resolving with the tags of the library after the change.
+ * @throws {ApiError} - When the tag cannot be renamed; `fieldErrors` flags an invalid name.
+ */
+export const renameTag = (name, newName) => async (dispatch) => {
+  try {
+    const tags = await dispatch(trackRequest(
+      TAG_REQUESTS.RENAME,
+      () => tagAPI.renameTag(name, newName),
+      { reportError: (err) => !hasFieldErrors(err) } // An invalid name is shown next to the field
+    ));
+    applyRetag(tags);
+    return tags;
+  } catch (err) {
+    console.error('Error renaming tag:', err);
+    throw err;
+  }
+};
+
+/**
+ * Merge several tags into one, on every book having one of them.
+ * @param {string[]} tags - The tags to merge.
+ * @param {string} into - The tag they are merged into (an existing tag or a new name).
+ * @returns {Function} - A thunk resolving with the tags of the library after the change.
+ * @throws {ApiError} - When the tags cannot be merged; `fieldErrors` flags an invalid name.
+ */
+export const mergeTags = (tags, into) => async (dispatch) => {
+  try {
+    const result = await dispatch(trackRequest(
+      TAG_REQUESTS.MERGE,
+      () => tagAPI.mergeTags(tags, into),
+      { reportError: (err) => !hasFieldErrors(err) } // An invalid name is shown next to the field
+    ));
+    applyRetag(result);
+    return result;
+  } catch (err) {
+    console.error('Error merging tags:', err);
+    throw err;
+  }
+};
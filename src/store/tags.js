@@ -0,0 +1,39 @@
+/**
+ * tags.js
+ *
+ * Tags slice of the store: the tags of the library with the number of books having each, from the 'tags' query.
+ * The tags are derived from the books on the server, so the slice is replaced whenever the query is refetched
+ * (after book edits, see store/bookActions.js) rather than patched.
+ *
+ * state.tags: {
+ *   list: [{ name, count }] | null, // Alphabetically; null until loaded
+ * }
+ */
+
+import { QUERY_DATA_RECEIVED, SESSION_ENDED } from './actions';
+
+export const TAGS_QUERY_KEY = 'tags';
+
+const initialState = { list: null };
+
+export const tagsReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case QUERY_DATA_RECEIVED: {
+      const { key, data } = action.payload;
+      if (key === TAGS_QUERY_KEY && Array.isArray(data)) return { list: data };
+      return state;
+    }
+    case SESSION_ENDED:
+      return initialState;
+    default:
+      return state;
+  }
+};
+
+// SELECTORS
+
+/**
+ * @param {Object} state - The store state.
+ * @returns {Object[]|null} - `[{ name, count }]`, or null until loaded.
+ */
+export const selectTags = (state) => state.tags.list;
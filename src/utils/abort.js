@@ -0,0 +1,91 @@
+/**
+ * abort.js
+ *
+ * Helpers for cancelling requests with `AbortSignal`s: superseded requests (a new search, another book) and
+ * requests whose component unmounted are aborted, and their results never reach the state.
+ */
+
+/**
+ * Create the error a cancelled request rejects with.
+ * @param {string} [message='The request was cancelled.']
+ * @returns {Error} - With `name = 'AbortError'`, like a cancelled `fetch`.
+ */
+export const createAbortError = (message = 'The request was cancelled.') => {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  error.isAbortError = true;
+  return error;
+};
+
+/**
+ * Whether an error (or any error it wraps through `cause`) comes from a cancelled request.
+ * Cancelled requests are expected: callers ignore them instead of reporting an error.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => {
+  for (let current = error; current; current = current.cause) {
+    if (current.isAbortError || current.name === 'AbortError' || current.name === 'CanceledError') return true;
+  }
+  return false;
+};
+
+/**
+ * Throw an abort error if the signal is already aborted.
+ * @param {AbortSignal} [signal]
+ */
+export const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) throw createAbortError();
+};
+
+/**
+ * Reject as soon as the signal aborts, otherwise settle like the promise.
+ * The promise itself keeps running: use this when the underlying work is shared with other callers.
+ * @param {Promise<*>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<*>}
+ */
+export const abortable = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(createAbortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+/**
+ * Combine signals: the returned signal aborts when any of them does (like `AbortSignal.any`).
+ * @param {...(AbortSignal|undefined)} signals - Missing signals are ignored.
+ * @returns {AbortSignal|undefined}
+ */
+export const anySignal = (...signals) => {
+  const present = signals.filter(Boolean);
+  if (present.length <= 1) return present[0];
+
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  present.forEach((signal) => {
+    if (signal.aborted) abort();
+    else signal.addEventListener('abort', abort, { once: true });
+  });
+  return controller.signal;
+};
+
+/**
+ * Start the latest request of one kind (e.g. "the displayed book"), cancelling the previous one still in flight.
+ * @param {Object} requestRef - A ref (`{ current }`) holding the `AbortController` of the latest request of this kind.
+ * @param {AbortSignal} [signal] - The caller's own signal (e.g. aborted when its component unmounts).
+ * @returns {Object} - `{ signal, isLatest }`: the signal to pass down, aborted when superseded or when the caller's
+ *   signal aborts, and whether this request is still the latest (only the latest may update shared state).
+ */
+export const startLatestRequest = (requestRef, signal) => {
+  if (requestRef.current) requestRef.current.abort();
+  const controller = new AbortController();
+  requestRef.current = controller;
+  return {
+    signal: anySignal(controller.signal, signal),
+    isLatest: () => requestRef.current === controller,
+  };
+};
@@ -0,0 +1,196 @@
+/**
+ * apiError.js
+ *
+ * The error model of failed API calls. `fetcher` rejects with an `ApiError` carrying the HTTP status, a machine
+ * code, the per-field validation errors sent by the server and whether sending the request again may succeed.
+ * Components never parse messages: they map `code` to a localized message (see ErrorMessage) and `fieldErrors`
+ * to the matching form fields (see `applyFieldErrors`).
+ */
+
+import { isRetryableError } from './retry'; // Same rule as the fetcher's own retries
+
+// Machine codes of the failures the client tells apart. The server may send a more specific `code` in its error
+// body (e.g. 'EMAIL_TAKEN'); the generic code of the status is then kept as `statusCode` for fallback messages.
+export const ERROR_CODES = {
+  NETWORK_ERROR: 'NETWORK_ERROR', // No response: offline, DNS, CORS or the server is down
+  BAD_REQUEST: 'BAD_REQUEST', // 400 without field errors
+  VALIDATION_ERROR: 'VALIDATION_ERROR', // 400 or 422 with field errors
+  UNAUTHORIZED: 'UNAUTHORIZED', // 401
+  FORBIDDEN: 'FORBIDDEN', // 403
+  NOT_FOUND: 'NOT_FOUND', // 404
+  CONFLICT: 'CONFLICT', // 409 (e.g. the email is already registered)
+  RATE_LIMITED: 'RATE_LIMITED', // 429
+  SERVER_ERROR: 'SERVER_ERROR', // 5xx
+  INVALID_RESPONSE: 'INVALID_RESPONSE', // The response does not match its schema (see api/schemas.js)
+  REQUEST_FAILED: 'REQUEST_FAILED', // The request could not be sent at all
+  UNKNOWN: 'UNKNOWN', // Anything else
+};
+
+/**
+ * An API call that failed.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - The server's message, or a description of the failure (for logs, not for users).
+   * @param {Object} [details]
+   * @param {number|null} [details.status=null] - HTTP status, null when no response was received.
+   * @param {string} [details.code=ERROR_CODES.UNKNOWN] - Machine code (one of `ERROR_CODES` or a server code).
+   * @param {string} [details.statusCode] - Generic code of the status, when `code` is a more specific server code.
+   * @param {Object} [details.fieldErrors={}] - Validation messages by field name.
+   * @param {boolean} [details.retryable=false] - Whether sending the request again may succeed.
+   * @param {Error} [details.cause] - The underlying error.
+   */
+  constructor(message, {
+    status = null, code = ERROR_CODES.UNKNOWN, statusCode = code, fieldErrors = {}, retryable = false, cause,
+  } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.statusCode = statusCode;
+    this.fieldErrors = fieldErrors;
+    this.retryable = retryable;
+    this.isNetworkError = code === ERROR_CODES.NETWORK_ERROR; // See `isNetworkError` in fetcher.js
+    if (cause && !this.cause) this.cause = cause; // Runtimes without `Error` options
+  }
+}
+
+/**
+ * The generic code of an HTTP status.
+ * @param {number} status
+ * @param {boolean} [hasFieldErrors=false] - Whether the response listed invalid fields.
+ * @returns {string} - One of `ERROR_CODES`.
+ */
+export const getStatusCode = (status, hasFieldErrors = false) => {
+  if (hasFieldErrors && (status === 400 || status === 422)) return ERROR_CODES.VALIDATION_ERROR;
+  if (status === 400 || status === 422) return ERROR_CODES.BAD_REQUEST;
+  if (status === 401) return ERROR_CODES.UNAUTHORIZED;
+  if (status === 403) return ERROR_CODES.FORBIDDEN;
+  if (status === 404) return ERROR_CODES.NOT_FOUND;
+  if (status === 409) return ERROR_CODES.CONFLICT;
+  if (status === 429) return ERROR_CODES.RATE_LIMITED;
+  if (status >= 500) return ERROR_CODES.SERVER_ERROR;
+  return ERROR_CODES.UNKNOWN;
+};
+
+/**
+ * Read the field errors of an error body, in any of the shapes backends commonly send:
+ * `{ errors: { title: 'Required' } }`, `{ errors: [{ field: 'title', message: 'Required' }] }` or the
+ * express-validator shape `{ errors: [{ path|param: 'title', msg: 'Required' }] }`.
+ * @param {Object} [data] - The response body.
+ * @returns {Object} - Messages by field name (the first one when a field has several).
+ */
+export const parseFieldErrors = (data) => {
+  const errors = data && typeof data === 'object' ? data.errors : null;
+  const fieldErrors = {};
+  if (Array.isArray(errors)) {
+    errors.forEach((item) => {
+      const field = item && (item.field || item.path || item.param);
+      if (field && !fieldErrors[field]) fieldErrors[field] = item.message || item.msg || '';
+    });
+  } else if (errors && typeof errors === 'object') {
+    Object.entries(errors).forEach(([field, value]) => {
+      fieldErrors[field] = typeof value === 'string' ? value : (value && (value.message || value.msg)) || '';
+    });
+  }
+  return fieldErrors;
+};
+
+/**
+ * Turn a failed Axios request into an `ApiError`.
+ * @param {Error} error - The Axios error (with `response` for HTTP errors, `request` for network errors).
+ * @returns {ApiError}
+ */
+export const fromAxiosError = (error) => {
+  const retryable = isRetryableError(error);
+
+  if (error.response) {
+    const { status, data } = error.response;
+    const fieldErrors = parseFieldErrors(data);
+    const statusCode = getStatusCode(status, Object.keys(fieldErrors).length > 0);
+    const serverCode = data && typeof data.code === 'string' ? data.code : null;
+    const message = (data && data.message) || `Request failed with status ${status}.`;
+    return new ApiError(message, {
+      status, code: serverCode || statusCode, statusCode, fieldErrors, retryable, cause: error,
+    });
+  }
+  if (error.request) {
+    return new ApiError('No response received from server.', {
+      code: ERROR_CODES.NETWORK_ERROR, retryable, cause: error,
+    });
+  }
+  return new ApiError('Failed to make the request.', { code: ERROR_CODES.REQUEST_FAILED, cause: error });
+};
+
+/**
+ * Find the `ApiError` behind an error: the API modules wrap fetcher errors with their own message and `cause`.
+ * @param {*} error
+ * @returns {ApiError|null}
+ */
+export const findApiError = (error) => {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof ApiError) return current;
+  }
+  return null;
+};
+
+/**
+ * The `ApiError` behind any error, so callers can rely on `code`, `status` and `fieldErrors` being present.
+ * Errors that did not come from a response (schema drift, bugs) become `INVALID_RESPONSE` or `UNKNOWN`.
+ * @param {*} error
+ * @returns {ApiError}
+ */
+export const toApiError = (error) => {
+  const apiError = findApiError(error);
+  if (apiError) return apiError;
+
+  let isSchemaError = false;
+  for (let current = error; current; current = current.cause) {
+    if (current.isSchemaError) isSchemaError = true;
+  }
+  return new ApiError((error && error.message) || String(error), {
+    code: isSchemaError ? ERROR_CODES.INVALID_RESPONSE : ERROR_CODES.UNKNOWN,
+    cause: error instanceof Error ? error : undefined,
+  });
+};
+
+/**
+ * The per-field validation errors behind an error, if any.
+ * @param {*} error
+ * @returns {Object} - Messages by field name; empty when the error is not a validation error.
+ */
+export const getFieldErrors = (error) => {
+  const apiError = findApiError(error);
+  return apiError ? apiError.fieldErrors : {};
+};
+
+/**
+ * Whether an error is fully explained by invalid fields, which forms show next to the fields themselves
+ * instead of in a banner.
+ * @param {*} error
+ * @returns {boolean}
+ */
+export const hasFieldErrors = (error) => Object.keys(getFieldErrors(error)).length > 0;
+
+/**
+ * Show the server's field errors on a form, through react-hook-form's `setError` (or any function with its
+ * signature). Errors about fields the form does not have are combined into the form-level 'root.server' error.
+ * @param {*} error - The error of the failed submission.
+ * @param {Function} setError - `setError` from `useForm`.
+ * @param {string[]} fields - The fields of the form.
+ * @returns {boolean} - Whether the error had field errors (and was therefore shown).
+ */
+export const applyFieldErrors = (error, setError, fields) => {
+  const fieldErrors = getFieldErrors(error);
+  const invalid = Object.keys(fieldErrors);
+  const shown = invalid.filter((field) => fields.includes(field));
+  const others = invalid.filter((field) => !fields.includes(field));
+
+  shown.forEach((field, index) => {
+    setError(field, { type: 'server', message: fieldErrors[field] }, { shouldFocus: index === 0 });
+  });
+  if (others.length > 0) {
+    setError('root.server', { type: 'server', message: others.map((field) => fieldErrors[field]).join(' ') });
+  }
+  return invalid.length > 0;
+};
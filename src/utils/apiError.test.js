@@ -0,0 +1,64 @@
+import { ApiError, ERROR_CODES, fromAxiosError, toApiError, applyFieldErrors, parseFieldErrors } from './apiError';
+import { getErrorMessage } from './errorMessages';
+import { mockServer } from '../mocks/mockServer';
+
+// The Axios error of a mock request that fails
+const failedRequest = (method, url, data) => mockServer.adapter({
+  method,
+  url,
+  baseURL: 'http://localhost:5000/api',
+  data: JSON.stringify(data),
+  headers: {},
+}).then(() => { throw new Error('Expected the request to fail'); }, (error) => error);
+
+describe('apiError', () => {
+  beforeEach(() => {
+    mockServer.reset();
+  });
+
+  test('maps HTTP and network failures to status, code, field errors and retryability', async () => {
+    const taken = fromAxiosError(await failedRequest('post', '/auth/signup', {
+      username: 'again', email: 'reader@shelflife.test', password: 'password123',
+    }));
+    expect(taken).toBeInstanceOf(ApiError);
+    expect(taken).toMatchObject({
+      status: 409, code: 'EMAIL_TAKEN', statusCode: ERROR_CODES.CONFLICT, retryable: false,
+      fieldErrors: { email: 'A user with this email already exists.' },
+    });
+
+    const missing = fromAxiosError(await failedRequest('post', '/auth/signup', { username: 'new' }));
+    expect(missing.statusCode).toBe(ERROR_CODES.VALIDATION_ERROR);
+    expect(Object.keys(missing.fieldErrors)).toEqual(['email', 'password']);
+
+    const offline = fromAxiosError(Object.assign(new Error('Network Error'), { request: {} }));
+    expect(offline).toMatchObject({ status: null, code: ERROR_CODES.NETWORK_ERROR, retryable: true, isNetworkError: true });
+
+    expect(parseFieldErrors({ errors: [{ path: 'title', msg: 'Title is required' }] })).toEqual({ title: 'Title is required' });
+  });
+
+  test('finds the ApiError wrapped by the API modules and localizes it by code', () => {
+    const apiError = new ApiError('A user with this email already exists.', {
+      status: 409, code: 'ACCOUNT_LOCKED', statusCode: ERROR_CODES.CONFLICT,
+    });
+    const wrapped = new Error('Failed to sign up.', { cause: apiError });
+    expect(toApiError(wrapped)).toBe(apiError);
+    expect(toApiError(new Error('boom')).code).toBe(ERROR_CODES.UNKNOWN);
+
+    // Without translations, the default of the first known code (here the status's) is used
+    const t = jest.fn((keys, { defaultValue }) => defaultValue);
+    expect(getErrorMessage(t, wrapped)).toBe('This conflicts with existing data.');
+    expect(t).toHaveBeenCalledWith(['errors.ACCOUNT_LOCKED', 'errors.CONFLICT', 'errors.UNKNOWN'], expect.any(Object));
+  });
+
+  test('applies field errors to the matching form fields and the rest to the form', () => {
+    const error = new ApiError('Invalid book.', {
+      status: 422, code: ERROR_CODES.VALIDATION_ERROR, fieldErrors: { title: 'Too long.', isbn: 'Unknown ISBN.' },
+    });
+    const setError = jest.fn();
+
+    expect(applyFieldErrors(error, setError, ['title', 'authors'])).toBe(true);
+    expect(setError).toHaveBeenCalledWith('title', { type: 'server', message: 'Too long.' }, { shouldFocus: true });
+    expect(setError).toHaveBeenCalledWith('root.server', { type: 'server', message: 'Unknown ISBN.' });
+    expect(applyFieldErrors(new Error('Server down'), setError, ['title'])).toBe(false);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * authors.js
+ *
+ * The people credited on a book. A book's `authors` is a list of contributors `{ id, name, role }`, where the role
+ * is one of `AUTHOR_ROLES` and the ID identifies the person across books (it is the slug of their name unless the
+ * backend assigns one), so `/authors/:authorId` can list everything they worked on.
+ *
+ * Older documents list authors as plain names; `toContributors` turns them into contributors with the role 'author'.
+ */
+
+import { toSlug } from './slug'; // IDs from names
+
+// Roles a person can have on a book, in display order
+export const AUTHOR_ROLES = ['author', 'translator', 'illustrator', 'narrator'];
+
+// English defaults of the `authorRoles.<role>` i18n keys
+export const AUTHOR_ROLE_LABELS = {
+  author: 'Author',
+  translator: 'Translator',
+  illustrator: 'Illustrator',
+  narrator: 'Narrator',
+};
+
+// Names typed or pasted together are separated by commas, semicolons or new lines ("Gaiman, Pratchett")
+const NAME_SEPARATORS = /[,;\n]/;
+
+/**
+ * The ID of a person, from their name ('Ursula K. Le Guin' -> 'ursula-k-le-guin').
+ * @param {string} name
+ * @returns {string} - The ID, or '' for an empty name. A name without letters or digits is kept whole, URL-encoded
+ *   ('???' -> '%3F%3F%3F').
+ */
+export const getAuthorId = toSlug;
+
+/**
+ * A contributor from a name or a (server) contributor document.
+ * @param {string|Object} value - 'Neil Gaiman', or `{ _id|id, name, role }`.
+ * @returns {Object|null} - `{ id, name, role }`, or null without a name.
+ */
+const toContributor = (value) => {
+  const { _id, id, name, role, ...rest } = typeof value === 'string' ? { name: value } : (value || {});
+  const trimmedName = String(name || '').trim();
+  if (!trimmedName) return null;
+  const serverId = id !== undefined && id !== null ? id : _id;
+  return {
+    ...rest,
+    id: serverId !== undefined && serverId !== null ? String(serverId) : getAuthorId(trimmedName),
+    name: trimmedName,
+    role: AUTHOR_ROLES.includes(role) ? role : 'author',
+  };
+};
+
+/**
+ * Normalize the `authors` of a book: names become authors, empty entries and duplicates are dropped.
+ * @param {Array<string|Object>} [authors]
+ * @returns {Object[]} - Contributors `{ id, name, role }`.
+ */
+export const toContributors = (authors) => {
+  if (!Array.isArray(authors)) return [];
+  const seen = new Set();
+  return authors.map(toContributor).filter((contributor) => {
+    const key = `${contributor && contributor.id}|${contributor && contributor.role}`;
+    if (!contributor || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Split text typed or pasted into the authors field into names.
+ * @param {string} text - e.g. 'Neil Gaiman, Terry Pratchett'.
+ * @returns {string[]}
+ */
+export const parseAuthorNames = (text) => String(text || '')
+  .split(NAME_SEPARATORS)
+  .map((name) => name.trim())
+  .filter(Boolean);
+
+/**
+ * Whether a book credits a person, in any role.
+ * @param {Object} book
+ * @param {string} authorId
+ * @returns {boolean}
+ */
+export const hasAuthor = (book, authorId) => toContributors(book.authors).some((author) => author.id === authorId);
+
+/**
+ * The roles of a person on a book, e.g. ['author', 'illustrator'].
+ * @param {Object} book
+ * @param {string} authorId
+ * @returns {string[]}
+ */
+export const getAuthorRoles = (book, authorId) => toContributors(book.authors)
+  .filter((author) => author.id === authorId)
+  .map((author) => author.role);
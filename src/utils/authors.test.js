@@ -0,0 +1,46 @@
+import { getAuthorId, toContributors, parseAuthorNames, hasAuthor, getAuthorRoles } from './authors';
+
+describe('authors', () => {
+  test('derives the same ID from different spellings of a name', () => {
+    expect(getAuthorId('Ursula K. Le Guin')).toBe('ursula-k-le-guin');
+    expect(getAuthorId('  Paul Éluard ')).toBe(getAuthorId('paul eluard'));
+    expect(getAuthorId('???')).toBe('%3F%3F%3F'); // Never empty
+    expect(getAuthorId('')).toBe('');
+  });
+
+  test('identifies authors whose names are not in the Latin script', () => {
+    expect(getAuthorId('Лев Толстой')).toBe('лев-толстой');
+    expect(getAuthorId('村上春樹')).toBe('村上春樹');
+    expect(toContributors(['Лев Толстой', 'Фёдор Достоевский', '村上春樹'])).toEqual([
+      { id: 'лев-толстой', name: 'Лев Толстой', role: 'author' },
+      { id: 'фёдор-достоевский', name: 'Фёдор Достоевский', role: 'author' },
+      { id: '村上春樹', name: '村上春樹', role: 'author' },
+    ]);
+  });
+
+  test('turns names and server documents into contributors', () => {
+    expect(toContributors([
+      'Neil Gaiman',
+      { _id: 42, name: ' Terry Pratchett ', role: 'author' },
+      { name: 'Jean Bailhache', role: 'translator' },
+      { name: 'Someone', role: 'editor' }, // Unknown roles fall back to 'author'
+      { name: '  ' },
+      'Neil Gaiman', // Duplicate
+    ])).toEqual([
+      { id: 'neil-gaiman', name: 'Neil Gaiman', role: 'author' },
+      { id: '42', name: 'Terry Pratchett', role: 'author' },
+      { id: 'jean-bailhache', name: 'Jean Bailhache', role: 'translator' },
+      { id: 'someone', name: 'Someone', role: 'author' },
+    ]);
+    expect(toContributors(undefined)).toEqual([]);
+  });
+
+  test('splits pasted names and finds a person on a book', () => {
+    expect(parseAuthorNames('Gaiman, Pratchett;\nLe Guin,')).toEqual(['Gaiman', 'Pratchett', 'Le Guin']);
+
+    const book = { authors: ['Shaun Tan', { name: 'Shaun Tan', role: 'illustrator' }] };
+    expect(hasAuthor(book, 'shaun-tan')).toBe(true);
+    expect(hasAuthor(book, 'neil-gaiman')).toBe(false);
+    expect(getAuthorRoles(book, 'shaun-tan')).toEqual(['author', 'illustrator']);
+  });
+});
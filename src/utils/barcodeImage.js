@@ -0,0 +1,89 @@
+/**
+ * barcodeImage.js
+ *
+ * Reads the ISBN barcode of a photo chosen by the user (see components/books/ScanBarcodeButton.js). The image is
+ * decoded by the browser, drawn on a canvas and searched for an EAN-13 (see ean13.js); nothing is uploaded.
+ */
+
+import { decodeEan13, toLuminance } from './ean13'; // Barcode decoding from pixels
+import { isValidIsbn13 } from './isbn'; // Book barcodes are ISBN-13s
+
+// Why a photo could not be read, for the message shown to the user
+export const BARCODE_ERRORS = {
+  UNREADABLE_IMAGE: 'UNREADABLE_IMAGE', // Not an image, or a format the browser cannot decode (e.g. HEIC)
+  NOT_FOUND: 'BARCODE_NOT_FOUND', // No barcode could be read
+  NOT_AN_ISBN: 'BARCODE_NOT_AN_ISBN', // A barcode, but not a book's (e.g. a price add-on or another product)
+};
+
+// Longer side of the copies searched for a barcode: phone photos are large, and a smaller copy averages out
+// sensor noise and JPEG artefacts when the full-size one cannot be read
+const IMAGE_SIZES = [1600, 800];
+
+/**
+ * Create an error with one of the `BARCODE_ERRORS` codes.
+ * @param {string} code
+ * @param {string} message - For logs.
+ * @param {Error} [cause]
+ * @returns {Error}
+ */
+const createBarcodeError = (code, message, cause) => {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Decode an image file with the browser.
+ * @param {File} file
+ * @returns {Promise<HTMLImageElement>}
+ */
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = (event) => {
+    URL.revokeObjectURL(url);
+    reject(createBarcodeError(BARCODE_ERRORS.UNREADABLE_IMAGE, `Cannot decode ${file.name}`, event.error));
+  };
+  image.src = url;
+});
+
+/**
+ * The pixels of an image, scaled down so that its longer side is at most `maxSize`.
+ * @param {HTMLImageElement} image
+ * @param {number} maxSize
+ * @returns {ImageData}
+ */
+const getPixels = (image, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Read the ISBN barcode of a photo.
+ * @param {File} file - The photo, e.g. of a book's back cover.
+ * @returns {Promise<string>} - The ISBN-13.
+ * @throws {Error} - With a `code` from `BARCODE_ERRORS`.
+ */
+export const readIsbnFromImage = async (file) => {
+  if (!file || !/^image\//.test(file.type)) {
+    throw createBarcodeError(BARCODE_ERRORS.UNREADABLE_IMAGE, 'Not an image file');
+  }
+  const image = await loadImage(file);
+
+  let code = null;
+  for (let index = 0; index < IMAGE_SIZES.length && !code; index += 1) {
+    code = decodeEan13(toLuminance(getPixels(image, IMAGE_SIZES[index])));
+  }
+  if (!code) throw createBarcodeError(BARCODE_ERRORS.NOT_FOUND, `No barcode found in ${file.name}`);
+  if (!isValidIsbn13(code)) throw createBarcodeError(BARCODE_ERRORS.NOT_AN_ISBN, `${code} is not an ISBN`);
+  return code;
+};
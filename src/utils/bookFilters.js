@@ -0,0 +1,91 @@
+/**
+ * bookFilters.js
+ *
+ * Sorting and filtering of book lists by their bibliographic fields. Server-driven lists send the same options
+ * to the API (see `toBookListParams` and bookAPI.getBooksPage); lists already in memory, and backends that ignore
+ * the parameters, are sorted and filtered here. The mock backend uses these functions too.
+ *
+ * A sort is a field name, prefixed with '-' for descending order ('title', '-publishedDate').
+ * Filters are `{ format, language, publisher, tags }`; empty filters match every book. Books must have every one of
+ * the `tags`, which travel as a comma-separated parameter.
+ */
+
+import { normalizeTags, hasTags } from './tags'; // Tags compare regardless of case
+
+// Sort options offered by BookList
+export const BOOK_SORTS = [
+  'title', '-title', 'originalTitle', '-publishedDate', 'publishedDate', 'pageCount', '-pageCount', 'publisher',
+];
+
+const SORTABLE_FIELDS = ['title', 'originalTitle', 'publisher', 'publishedDate', 'pageCount'];
+const FILTER_FIELDS = ['format', 'language', 'publisher', 'tags'];
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Compare two values of a field; numbers numerically, text alphabetically regardless of case and accents.
+ * Publication dates ('1965', '1965-08-01') compare correctly as text.
+ */
+const compareValues = (a, b) => (
+  typeof a === 'number' && typeof b === 'number'
+    ? a - b
+    : String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true })
+);
+
+/**
+ * Sort books. Books without a value for the field come last in both directions; the sort is stable.
+ * @param {Object[]} books
+ * @param {string} [sort] - One of `BOOK_SORTS`; anything else keeps the order.
+ * @returns {Object[]} - A new array (or the same one when not sorting).
+ */
+export const sortBooks = (books, sort) => {
+  const descending = typeof sort === 'string' && sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  if (!SORTABLE_FIELDS.includes(field)) return books;
+
+  return books
+    .map((book, index) => ({ book, index }))
+    .sort((a, b) => {
+      const aValue = a.book[field];
+      const bValue = b.book[field];
+      if (isEmpty(aValue) || isEmpty(bValue)) {
+        return (isEmpty(aValue) - isEmpty(bValue)) || a.index - b.index;
+      }
+      return (descending ? compareValues(bValue, aValue) : compareValues(aValue, bValue)) || a.index - b.index;
+    })
+    .map(({ book }) => book);
+};
+
+/**
+ * Keep the books matching every filter. Format and language match exactly, the publisher partially, and books
+ * must have all the tags.
+ * @param {Object[]} books
+ * @param {Object} [filters] - `{ format, language, publisher, tags }`; `tags` is a list or comma-separated.
+ * @returns {Object[]} - A new array (or the same one without filters).
+ */
+export const filterBooks = (books, filters = {}) => {
+  const { format, language, publisher } = filters;
+  const tags = normalizeTags(filters.tags);
+  if (isEmpty(format) && isEmpty(language) && isEmpty(publisher) && tags.length === 0) return books;
+  const publisherText = isEmpty(publisher) ? '' : String(publisher).toLowerCase();
+  return books.filter((book) => (
+    (isEmpty(format) || book.format === format)
+    && (isEmpty(language) || book.language === language)
+    && (!publisherText || String(book.publisher || '').toLowerCase().includes(publisherText))
+    && hasTags(book, tags)
+  ));
+};
+
+/**
+ * The query parameters of a sort and filters, without the empty ones.
+ * @param {Object} [options] - `{ sort, filters }`.
+ * @returns {Object} - e.g. `{ sort: '-publishedDate', format: 'ebook', tags: 'fantasy,favorites' }`.
+ */
+export const toBookListParams = ({ sort, filters = {} } = {}) => {
+  const params = isEmpty(sort) ? {} : { sort };
+  FILTER_FIELDS.forEach((field) => {
+    const value = field === 'tags' ? normalizeTags(filters.tags).join(',') : filters[field];
+    if (!isEmpty(value)) params[field] = value;
+  });
+  return params;
+};
@@ -0,0 +1,39 @@
+import { sortBooks, filterBooks, toBookListParams } from './bookFilters';
+
+const books = [
+  { id: '1', title: 'dune', publishedDate: '1965-08-01', pageCount: 412, format: 'paperback', language: 'en', publisher: 'Chilton' },
+  { id: '2', title: 'Éclipse', format: 'ebook', language: 'fr' },
+  { id: '3', title: 'Book 10', publishedDate: '1965', pageCount: 96, format: 'ebook', language: 'en', publisher: 'Ace Books' },
+  { id: '4', title: 'Book 9', publishedDate: '2001-03', pageCount: 96, format: 'hardcover', language: 'en' },
+];
+const ids = (list) => list.map((book) => book.id);
+
+describe('bookFilters', () => {
+  test('sorts text naturally and keeps books without a value last', () => {
+    expect(ids(sortBooks(books, 'title'))).toEqual(['4', '3', '1', '2']);
+    expect(ids(sortBooks(books, '-publishedDate'))).toEqual(['4', '1', '3', '2']);
+    expect(ids(sortBooks(books, 'publishedDate'))).toEqual(['3', '1', '4', '2']);
+    expect(ids(sortBooks(books, 'pageCount'))).toEqual(['3', '4', '1', '2']); // Ties keep their order
+    expect(sortBooks(books, 'unknown')).toBe(books);
+  });
+
+  test('filters by format, language and part of the publisher', () => {
+    expect(ids(filterBooks(books, { format: 'ebook', language: 'en' }))).toEqual(['3']);
+    expect(ids(filterBooks(books, { publisher: 'ace' }))).toEqual(['3']);
+    expect(filterBooks(books, { format: '' })).toBe(books);
+  });
+
+  test('filters by tags, as a list or a parameter', () => {
+    const tagged = [{ id: '1', tags: ['Fantasy', 'Favorites'] }, { id: '2', tags: ['fantasy'] }, { id: '3' }];
+    expect(ids(filterBooks(tagged, { tags: ['fantasy'] }))).toEqual(['1', '2']);
+    expect(ids(filterBooks(tagged, { tags: 'fantasy,favorites' }))).toEqual(['1']);
+    expect(toBookListParams({ filters: { tags: ['Fantasy', 'fantasy', 'Favorites'] } })).toEqual({ tags: 'Fantasy,Favorites' });
+    expect(toBookListParams({ filters: { tags: [] } })).toEqual({});
+  });
+
+  test('builds query parameters without empty options', () => {
+    expect(toBookListParams({ sort: '-pageCount', filters: { format: 'ebook', language: '' } }))
+      .toEqual({ sort: '-pageCount', format: 'ebook' });
+    expect(toBookListParams()).toEqual({});
+  });
+});
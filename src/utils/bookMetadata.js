@@ -0,0 +1,89 @@
+/**
+ * bookMetadata.js
+ *
+ * Bibliographic fields of the book model beyond title and authors: allowed formats, languages (ISO 639 codes,
+ * named in the user's language), publication dates and the limits BookForm validates against.
+ */
+
+// Physical or digital edition of a book
+export const BOOK_FORMATS = ['hardcover', 'paperback', 'ebook', 'audiobook'];
+
+// English defaults of the `bookFormats.<format>` i18n keys
+export const BOOK_FORMAT_LABELS = {
+  hardcover: 'Hardcover',
+  paperback: 'Paperback',
+  ebook: 'E-book',
+  audiobook: 'Audiobook',
+};
+
+// Languages offered first in BookForm and the BookList filter; any ISO 639-1/2 code is accepted
+export const COMMON_LANGUAGES = ['en', 'fr', 'de', 'es', 'it', 'pt', 'nl', 'sv', 'pl', 'ru', 'ja', 'zh', 'ko', 'ar'];
+
+export const MAX_TITLE_LENGTH = 300; // Title and original title
+export const MAX_PUBLISHER_LENGTH = 200;
+export const MAX_DESCRIPTION_LENGTH = 5000;
+export const MAX_PAGE_COUNT = 20000;
+
+// A publication date is as precise as it is known: '1965', '1965-08' or '1965-08-01'
+const PUBLISHED_DATE_PATTERN = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+// English month names, as catalogs write them ('Sep', 'September')
+const MONTH_NAME_PATTERN = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?(\s|,|$)/i;
+
+/**
+ * Whether a value is an ISO 639-1 or 639-2 language code ('en', 'fra').
+ * @param {string} code
+ * @returns {boolean}
+ */
+export const isLanguageCode = (code) => typeof code === 'string' && /^[a-z]{2,3}$/.test(code);
+
+/**
+ * The name of a language in the user's language, e.g. 'French' or 'français'.
+ * @param {string} code - ISO 639 code.
+ * @param {string} [locale='en'] - Language of the name.
+ * @returns {string} - The name, or the code itself when the browser cannot name it.
+ */
+export const getLanguageName = (code, locale = 'en') => {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code; // Older browsers, or an invalid code
+  }
+};
+
+/**
+ * Whether a value is a valid publication date: a year, a month or a day, not in the future.
+ * @param {string} value - '1965', '1965-08' or '1965-08-01'.
+ * @returns {boolean}
+ */
+export const isValidPublishedDate = (value) => {
+  const match = PUBLISHED_DATE_PATTERN.exec(value || '');
+  if (!match) return false;
+  const [, year, month = '01', day = '01'] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  const isRealDate = date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day); // Not 1965-02-30
+  return isRealDate && Number(year) <= new Date().getFullYear() + 1; // Announced books may be dated next year
+};
+
+/**
+ * Convert a free-text publication date, as catalogs return it ('September 1995', 'Sep 01, 1995'), to the
+ * format of the book model, keeping only the parts it states.
+ * @param {string} value
+ * @returns {string|undefined} - '1995', '1995-09' or '1995-09-01', or undefined when it names no year.
+ */
+export const toPublishedDate = (value) => {
+  const text = String(value || '').trim();
+  if (PUBLISHED_DATE_PATTERN.test(text)) return text;
+  const yearMatch = /\b(\d{4})\b/.exec(text);
+  if (!yearMatch) return undefined;
+  const year = yearMatch[1];
+
+  const parsed = new Date(text);
+  const isMonthKnown = MONTH_NAME_PATTERN.test(text)
+    && !Number.isNaN(parsed.getTime())
+    && parsed.getFullYear() === Number(year);
+  if (!isMonthKnown) return year; // Parsers otherwise make up January
+  const month = String(parsed.getMonth() + 1).padStart(2, '0');
+  const hasDay = /\b\d{1,2}\b/.test(text.replace(year, '')); // 'Sep 01, 1995', but not 'September 1995'
+  return hasDay ? `${year}-${month}-${String(parsed.getDate()).padStart(2, '0')}` : `${year}-${month}`;
+};
@@ -0,0 +1,28 @@
+import { isLanguageCode, isValidPublishedDate, toPublishedDate, getLanguageName } from './bookMetadata';
+
+describe('bookMetadata', () => {
+  test('accepts publication dates as precise as they are known', () => {
+    expect(isValidPublishedDate('1965')).toBe(true);
+    expect(isValidPublishedDate('1965-08')).toBe(true);
+    expect(isValidPublishedDate('1965-08-01')).toBe(true);
+    expect(isValidPublishedDate('1965-02-30')).toBe(false);
+    expect(isValidPublishedDate('1965-13')).toBe(false);
+    expect(isValidPublishedDate('August 1965')).toBe(false);
+    expect(isValidPublishedDate(`${new Date().getFullYear() + 5}`)).toBe(false);
+  });
+
+  test('converts catalog dates without inventing a month or day', () => {
+    expect(toPublishedDate('1995')).toBe('1995');
+    expect(toPublishedDate('September 1995')).toBe('1995-09');
+    expect(toPublishedDate('Sep 01, 1995')).toBe('1995-09-01');
+    expect(toPublishedDate('c1995')).toBe(undefined);
+    expect(toPublishedDate('printed in 1995 (reprint)')).toBe('1995');
+    expect(toPublishedDate('')).toBe(undefined);
+  });
+
+  test('recognises and names language codes', () => {
+    expect(isLanguageCode('fr')).toBe(true);
+    expect(isLanguageCode('French')).toBe(false);
+    expect(getLanguageName('fr', 'en')).toBe('French');
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * ean13.js
+ *
+ * EAN-13 barcode decoding from the pixels of a photo, entirely client-side (see barcodeImage.js for reading an
+ * image file). The ISBN printed on a book's back cover is an EAN-13 starting with 978 or 979.
+ *
+ * Lines across the image are binarized and turned into runs of bars and spaces; a barcode is 59 runs (start
+ * guard, six left digits of four runs each, middle guard, six right digits, end guard) over 95 modules. Each
+ * digit is the pattern closest to its four run widths scaled to seven modules, which tolerates blur and
+ * slightly uneven bar widths. Horizontal and vertical lines are read in both directions, so rotated and
+ * upside-down photos work too, and the value read on most lines wins.
+ */
+
+// Run widths (in modules) of the left-hand "L" codes, space first; the right-hand "R" codes have the same widths
+// starting with a bar, and the left-hand "G" codes are the L widths reversed
+const L_PATTERNS = [
+  [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+  [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2],
+];
+const G_PATTERNS = L_PATTERNS.map((pattern) => [...pattern].reverse());
+
+// The first digit is not drawn: it is encoded by which of the six left digits use G codes
+const FIRST_DIGIT_PARITIES = [
+  'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL',
+];
+
+const RUN_COUNT = 59; // Bars and spaces of a barcode
+const MODULE_COUNT = 95; // Its width in modules
+const MAX_PATTERN_ERROR = 1.5; // In modules; distinct patterns differ by at least 2
+const SCAN_LINES = 24; // Lines read in each direction
+
+/**
+ * Convert RGBA pixels to luminance.
+ * @param {ImageData} imageData - `{ data, width, height }` as returned by a canvas.
+ * @returns {Object} - `{ data: Uint8ClampedArray, width, height }`, one value (0 = black) per pixel.
+ */
+export const toLuminance = ({ data, width, height }) => {
+  const luminance = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < luminance.length; i += 1) {
+    luminance[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+  }
+  return { data: luminance, width, height };
+};
+
+/**
+ * Split a line of pixels into runs of dark and light pixels. Each pixel is compared with the mean of its
+ * neighbourhood, so shadows and uneven lighting across the photo do not swallow bars.
+ * @param {number[]} line - Luminance values.
+ * @returns {Object[]} - `{ dark, width }` runs, in order.
+ */
+const toRuns = (line) => {
+  const radius = Math.max(8, Math.round(line.length / 24));
+  const sums = new Float64Array(line.length + 1);
+  line.forEach((value, index) => { sums[index + 1] = sums[index] + value; });
+
+  const runs = [];
+  line.forEach((value, index) => {
+    const from = Math.max(0, index - radius);
+    const to = Math.min(line.length, index + radius + 1);
+    const dark = value < (sums[to] - sums[from]) / (to - from);
+    const last = runs[runs.length - 1];
+    if (last && last.dark === dark) last.width += 1;
+    else runs.push({ dark, width: 1 });
+  });
+  return runs;
+};
+
+/**
+ * The digit whose pattern is closest to four run widths.
+ * @param {Object[]} runs - The four runs of a digit.
+ * @param {number[][]} patterns - The patterns to compare with, indexed by digit.
+ * @returns {Object|null} - `{ digit, error }`, or null when no pattern is close enough.
+ */
+const matchDigit = (runs, patterns) => {
+  const total = runs.reduce((sum, run) => sum + run.width, 0);
+  const widths = runs.map((run) => (run.width * 7) / total);
+  let best = null;
+  patterns.forEach((pattern, digit) => {
+    const error = pattern.reduce((sum, width, index) => sum + Math.abs(width - widths[index]), 0);
+    if (!best || error < best.error) best = { digit, error };
+  });
+  return best && best.error <= MAX_PATTERN_ERROR ? best : null;
+};
+
+/**
+ * Whether the EAN-13 check digit of thirteen digits is right.
+ * @param {string} code
+ * @returns {boolean}
+ */
+const hasValidCheckDigit = (code) => {
+  const sum = code.split('').reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+  return sum % 10 === 0;
+};
+
+/**
+ * Decode the barcode starting at a run, if there is one.
+ * @param {Object[]} runs - The runs of a line.
+ * @param {number} start - Index of the first bar of the start guard.
+ * @returns {string|null} - The thirteen digits.
+ */
+const decodeAt = (runs, start) => {
+  const barcode = runs.slice(start, start + RUN_COUNT);
+  const module = barcode.reduce((sum, run) => sum + run.width, 0) / MODULE_COUNT;
+  const isGuard = (from, count) => barcode.slice(from, from + count).every((run) => (
+    run.width >= module * 0.4 && run.width <= module * 2.2
+  ));
+  if (!isGuard(0, 3) || !isGuard(27, 5) || !isGuard(56, 3)) return null;
+
+  let parities = '';
+  let digits = '';
+  for (let index = 0; index < 6; index += 1) {
+    const digitRuns = barcode.slice(3 + index * 4, 7 + index * 4);
+    const even = matchDigit(digitRuns, L_PATTERNS);
+    const odd = matchDigit(digitRuns, G_PATTERNS);
+    if (!even && !odd) return null;
+    const isG = Boolean(odd && (!even || odd.error < even.error));
+    parities += isG ? 'G' : 'L';
+    digits += (isG ? odd : even).digit;
+  }
+  for (let index = 0; index < 6; index += 1) {
+    const match = matchDigit(barcode.slice(32 + index * 4, 36 + index * 4), L_PATTERNS);
+    if (!match) return null;
+    digits += match.digit;
+  }
+
+  const firstDigit = FIRST_DIGIT_PARITIES.indexOf(parities);
+  if (firstDigit === -1) return null;
+  const code = `${firstDigit}${digits}`;
+  return hasValidCheckDigit(code) ? code : null;
+};
+
+/**
+ * Decode a barcode on a line of pixels, read left to right.
+ * @param {number[]} line - Luminance values.
+ * @returns {string|null} - The thirteen digits, or null when the line crosses no readable barcode.
+ */
+export const decodeEan13Line = (line) => {
+  const runs = toRuns(line);
+  for (let start = 0; start + RUN_COUNT <= runs.length; start += 1) {
+    if (runs[start].dark) {
+      const code = decodeAt(runs, start);
+      if (code) return code;
+    }
+  }
+  return null;
+};
+
+/**
+ * The lines to read across an image: evenly spaced rows and columns, each in both directions.
+ * @param {Object} image - `{ data, width, height }` luminance (see `toLuminance`).
+ * @returns {number[][]}
+ */
+const getScanLines = ({ data, width, height }) => {
+  const lines = [];
+  for (let step = 1; step <= SCAN_LINES; step += 1) {
+    const y = Math.floor((height * step) / (SCAN_LINES + 1));
+    const row = Array.from(data.subarray(y * width, (y + 1) * width));
+    const x = Math.floor((width * step) / (SCAN_LINES + 1));
+    const column = Array.from({ length: height }, (_, index) => data[index * width + x]);
+    lines.push(row, [...row].reverse(), column, [...column].reverse());
+  }
+  return lines;
+};
+
+/**
+ * Find and decode an EAN-13 barcode in an image.
+ * @param {Object} image - `{ data, width, height }` luminance (see `toLuminance`).
+ * @returns {string|null} - The thirteen digits read on most lines, or null when no barcode was found.
+ */
+export const decodeEan13 = (image) => {
+  const votes = {};
+  getScanLines(image).forEach((line) => {
+    const code = decodeEan13Line(line);
+    if (code) votes[code] = (votes[code] || 0) + 1;
+  });
+  const codes = Object.keys(votes);
+  return codes.length > 0 ? codes.reduce((best, code) => (votes[code] > votes[best] ? code : best)) : null;
+};
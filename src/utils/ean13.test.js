@@ -0,0 +1,108 @@
+import { decodeEan13, decodeEan13Line, toLuminance } from './ean13';
+
+const L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const R = L.map((code) => code.replace(/[01]/g, (bit) => (bit === '1' ? '0' : '1')));
+// Which of the six left digits use G codes, by first digit (GS1 General Specifications, EAN-13 symbol)
+const G_POSITIONS = [[], [2, 4, 5], [2, 3, 5], [2, 3, 4], [1, 4, 5], [1, 2, 5], [1, 2, 3], [1, 3, 5], [1, 3, 4], [1, 2, 4]];
+
+// 6901234567892 as printed, guards included: a barcode written out by hand to check `encode` below against
+const KNOWN_GOOD = {
+  code: '6901234567892',
+  modules: [
+    '101', // Start guard
+    '0001011', '0100111', '0110011', '0011011', '0111101', '0100011', // 9 L, 0 G, 1 G, 2 G, 3 L, 4 L
+    '01010', // Middle guard
+    '1001110', '1010000', '1000100', '1001000', '1110100', '1101100', // 5 6 7 8 9 2, R codes
+    '101', // End guard
+  ].join(''),
+};
+
+/**
+ * The modules of an EAN-13 barcode, guards included ('1' = bar).
+ */
+const encode = (code) => {
+  const digits = code.split('').map(Number);
+  const left = digits.slice(1, 7).map((digit, index) => (G_POSITIONS[digits[0]].includes(index) ? G : L)[digit]).join('');
+  const right = digits.slice(7).map((digit) => R[digit]).join('');
+  return `101${left}01010${right}101`;
+};
+
+/**
+ * Draw a barcode as a line of pixels, `scale` pixels per module (not necessarily whole), slightly blurred,
+ * on a background getting darker from left to right like a photo in uneven light.
+ * @param {string} code - The EAN-13 to draw, or its modules (95 characters of '0' and '1').
+ */
+const drawLine = (code, scale) => {
+  const modules = `${'0'.repeat(11)}${code.length === 95 ? code : encode(code)}${'0'.repeat(11)}`; // With quiet zones
+  const length = Math.round(modules.length * scale);
+  const sharp = Array.from({ length }, (_, x) => (modules[Math.floor(x / scale)] === '1' ? 30 : 230));
+  return sharp.map((value, x) => {
+    const blurred = (sharp[Math.max(0, x - 1)] + value * 2 + sharp[Math.min(length - 1, x + 1)]) / 4;
+    return blurred - (x / length) * 60;
+  });
+};
+
+/**
+ * An RGBA image with the barcode drawn across its middle rows.
+ */
+const drawImage = (code, { scale = 3, height = 60 } = {}) => {
+  const line = drawLine(code, scale);
+  const width = line.length;
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = Math.floor(height / 4); y < Math.floor((height * 3) / 4); y += 1) {
+    line.forEach((value, x) => {
+      const offset = (y * width + x) * 4;
+      data[offset] = value;
+      data[offset + 1] = value;
+      data[offset + 2] = value;
+    });
+  }
+  return { data, width, height };
+};
+
+describe('ean13', () => {
+  test('decodes lines at whole and fractional module widths', () => {
+    expect(decodeEan13Line(drawLine('9780261102217', 2))).toBe('9780261102217');
+    expect(decodeEan13Line(drawLine('9780441172719', 2.7))).toBe('9780441172719');
+    expect(decodeEan13Line(drawLine('4006381333931', 4.3))).toBe('4006381333931');
+  });
+
+  test('decodes the first digit from the parity of the left digits', () => {
+    expect(KNOWN_GOOD.modules).toHaveLength(95);
+    expect(encode(KNOWN_GOOD.code)).toBe(KNOWN_GOOD.modules);
+    expect(decodeEan13Line(drawLine(KNOWN_GOOD.modules, 3))).toBe('6901234567892');
+    // The other first digits (4 and 9 are covered above), each with a parity pattern of its own
+    [
+      '0012345678905', '1012345678904', '2012345678903', '3012345678902',
+      '5012345678900', '6291041500213', '7501031311309', '8711253001202',
+    ].forEach((code) => {
+      expect(decodeEan13Line(drawLine(code, 3))).toBe(code);
+    });
+  });
+
+  test('rejects damaged barcodes and lines without one', () => {
+    const line = drawLine('9780261102217', 3);
+    expect(decodeEan13Line(line.map((value, x) => (x > line.length / 2 && x < line.length / 2 + 6 ? 230 : value))))
+      .toBe(null);
+    expect(decodeEan13Line(Array.from({ length: 300 }, (_, x) => (x % 7 < 3 ? 20 : 220)))).toBe(null);
+  });
+
+  test('finds the barcode in an image, in any orientation', () => {
+    const image = toLuminance(drawImage('9780261102217'));
+    expect(decodeEan13(image)).toBe('9780261102217');
+
+    // Upside down
+    const flipped = { ...image, data: Uint8ClampedArray.from(image.data).reverse() };
+    expect(decodeEan13(flipped)).toBe('9780261102217');
+
+    // Rotated a quarter turn
+    const rotated = { data: new Uint8ClampedArray(image.data.length), width: image.height, height: image.width };
+    for (let y = 0; y < image.height; y += 1) {
+      for (let x = 0; x < image.width; x += 1) rotated.data[x * rotated.width + y] = image.data[y * image.width + x];
+    }
+    expect(decodeEan13(rotated)).toBe('9780261102217');
+
+    expect(decodeEan13({ data: new Uint8ClampedArray(100 * 40).fill(200), width: 100, height: 40 })).toBe(null);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * errorMessages.js
+ *
+ * Localized messages for failed API calls, looked up by error code under the `errors.` i18n namespace.
+ * A server-specific code without a translation falls back to the generic code of its status
+ * (e.g. 'errors.EMAIL_TAKEN', then 'errors.CONFLICT'), so users never see raw server messages.
+ */
+
+import { ERROR_CODES, toApiError } from './apiError'; // Error model of the fetcher
+
+// English defaults, used until the translation files provide the keys
+const DEFAULT_MESSAGES = {
+  [ERROR_CODES.NETWORK_ERROR]: 'Cannot reach the server. Check your connection and try again.',
+  [ERROR_CODES.BAD_REQUEST]: 'The request could not be processed.',
+  [ERROR_CODES.VALIDATION_ERROR]: 'Some fields are invalid. Please correct them and try again.',
+  [ERROR_CODES.UNAUTHORIZED]: 'Your session has expired or your credentials are incorrect. Please log in again.',
+  [ERROR_CODES.FORBIDDEN]: 'You are not allowed to do this.',
+  [ERROR_CODES.NOT_FOUND]: 'We could not find what you were looking for.',
+  [ERROR_CODES.CONFLICT]: 'This conflicts with existing data.',
+  [ERROR_CODES.RATE_LIMITED]: 'Too many requests. Please wait a moment and try again.',
+  [ERROR_CODES.SERVER_ERROR]: 'The server ran into a problem. Please try again later.',
+  [ERROR_CODES.INVALID_RESPONSE]: 'The server sent an unexpected response.',
+  [ERROR_CODES.REQUEST_FAILED]: 'The request could not be sent.',
+  [ERROR_CODES.UNKNOWN]: 'Something went wrong. Please try again.',
+  // Server codes
+  EMAIL_TAKEN: 'An account with this email already exists.',
+  INVALID_CREDENTIALS: 'Invalid email or password.',
+  IMAGE_TOO_LARGE: 'This image is too large. Choose a smaller one.',
+  UNSUPPORTED_IMAGE_TYPE: 'Use a JPEG, PNG, WebP or GIF image.',
+  ISBN_NOT_FOUND: 'No book was found for this ISBN. Fill in the details yourself.', // See api/metadataAPI.js
+  NOT_CURRENTLY_READING: 'Progress can only be logged for books you are currently reading.',
+};
+
+/**
+ * The localized message of an error.
+ * @param {Function} t - Translation function from `useTranslation`.
+ * @param {*} error - An error (usually an `ApiError`), or a string, translated as an i18n key for compatibility.
+ * @returns {string} - The message to show, or an empty string when there is no error.
+ */
+export const getErrorMessage = (t, error) => {
+  if (!error) return '';
+  if (typeof error === 'string') return t(error);
+
+  const { code, statusCode } = toApiError(error);
+  const defaultValue = DEFAULT_MESSAGES[code] || DEFAULT_MESSAGES[statusCode] || DEFAULT_MESSAGES[ERROR_CODES.UNKNOWN];
+  return t([`errors.${code}`, `errors.${statusCode}`, `errors.${ERROR_CODES.UNKNOWN}`], { defaultValue });
+};
@@ -1,18 +1,95 @@
 import axios from 'axios';
-import { tokenHandler } from './tokenHandler';
+import { getToken, refreshAuthToken } from './tokenHandler';
+import { outbox } from './outbox'; // Queue of mutations made offline
+import { assertSchema } from './schema'; // Response contract checks
+import { createAbortError, isAbortError } from './abort'; // Cancelled requests reject with an abort error
+import { withRetry, isRetryableError } from './retry'; // Backoff for idempotent requests
+import { reportRequestSucceeded, reportRequestFailed } from './networkStatus'; // Connectivity shown in the Header
+import { ApiError, ERROR_CODES, fromAxiosError } from './apiError'; // Typed errors for failed calls
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api'; // API base URL
+const REFRESH_URL = '/users/refresh-token'; // Endpoint used to exchange an expired token for a new one
+const USE_MOCK_API = process.env.REACT_APP_USE_MOCK_API === 'true'; // Serve every request from the in-browser mock backend
+const VALIDATE_RESPONSES = process.env.NODE_ENV !== 'production'; // Check response schemas in development and tests only
+const RETRY_METHODS = ['GET', 'HEAD', 'OPTIONS']; // Idempotent requests, safe to send more than once
 
 // Create an Axios instance with a base URL
 const axiosInstance = axios.create({
   baseURL: API_URL
 });
 
+if (USE_MOCK_API) {
+  // Required lazily so the mock backend and its fixtures stay out of builds that do not use them
+  const { mockServer } = require('../mocks/mockServer');
+  axiosInstance.defaults.adapter = mockServer.adapter;
+  if (process.env.NODE_ENV === 'development') {
+    window.shelflifeMock = mockServer; // Console access to seed data, latency and injected errors
+  }
+}
+
+let refreshPromise = null; // The in-flight token refresh, shared by every request that has to wait for it
+const sessionListeners = new Set(); // Callbacks notified when the session is refreshed or expires
+
+/**
+ * Notify every session listener about a session change.
+ *
+ * @param {object} event - `{ type: 'refreshed', token }` or `{ type: 'expired' }`.
+ */
+const notifySessionListeners = (event) => {
+  sessionListeners.forEach((listener) => listener(event));
+};
+
+/**
+ * Subscribe to session changes triggered by the fetcher (token refreshed, session expired).
+ * The store uses this (see store/sync.js) to keep its `user` in sync and to log out when a refresh fails.
+ *
+ * @param {Function} listener - Called with `{ type: 'refreshed', token }` or `{ type: 'expired' }`.
+ * @returns {Function} - Unsubscribe function.
+ */
+export const subscribeToSession = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+/**
+ * Refresh the JWT token once, no matter how many callers ask for it at the same time.
+ * While the refresh is running, new requests wait in the request interceptor and requests that failed
+ * with a 401 wait in the response interceptor; all of them are replayed once it settles.
+ *
+ * @returns {Promise<string|null>} - The new token, or null if the refresh failed (the session is then expired).
+ */
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = refreshAuthToken(async ({ token, refreshToken }) => {
+      const response = await axiosInstance.post(
+        REFRESH_URL,
+        refreshToken ? { refreshToken } : undefined,
+        {
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
+          skipAuthRefresh: true, // Never queue or retry the refresh request itself
+        }
+      );
+      return response.data;
+    })
+      .then((newToken) => {
+        notifySessionListeners(newToken ? { type: 'refreshed', token: newToken } : { type: 'expired' });
+        return newToken;
+      })
+      .finally(() => {
+        refreshPromise = null; // Allow a later 401 to start a new refresh
+      });
+  }
+  return refreshPromise;
+};
+
 // Interceptor to include JWT token in the Authorization header, if available
 axiosInstance.interceptors.request.use(
-  (config) => {
-    const token = tokenHandler.getToken(); // Retrieve the token from localStorage
-    if (token) {
+  async (config) => {
+    if (refreshPromise && !config.skipAuthRefresh) {
+      await refreshPromise; // Hold new requests until the running refresh has finished
+    }
+    const token = getToken(); // Retrieve the token from localStorage
+    if (token && !config.skipAuthRefresh) {
       config.headers.Authorization = `Bearer ${token}`; // Attach token to Authorization header
     }
     return config; // Proceed with the request
@@ -27,44 +104,125 @@ axiosInstance.interceptors.response.use(
   (response) => {
     return response; // Return the response if it's successful
   },
-  (error) => {
-    if (error.response && error.response.status === 401) {
-      // If the response status is 401 (Unauthorized), handle token expiration or invalidation
-      console.error('Unauthorized. Redirecting to login...');
-      tokenHandler.removeToken(); // Remove the token from localStorage
-      // Add logic to redirect to the login page or display an unauthorized message
-      window.location.href = '/login'; // Redirect to the login page (optional)
+  async (error) => {
+    const { config, response } = error;
+    const sentToken = Boolean(config && config.headers && config.headers.Authorization); // Anonymous calls (e.g. a failed login) have nothing to refresh
+    const canRefresh = sentToken && !config.skipAuthRefresh && !config._retriedAfterRefresh;
+
+    if (response && response.status === 401 && canRefresh) {
+      // The token expired or was invalidated: refresh it once and replay the original request
+      const newToken = await refreshSession();
+      if (newToken) {
+        config._retriedAfterRefresh = true; // Replay only once, so a persistent 401 cannot loop
+        return axiosInstance(config); // The request interceptor attaches the new token
+      }
+      // The refresh itself failed: subscribers (the store) log the user out
     }
     return Promise.reject(error); // Return the error for further handling
   }
 );
 
+/**
+ * Whether an error (or any error it wraps through `cause`) means the server could not be reached.
+ * @param {Error} error - The error thrown by `fetcher` or by an API module wrapping it.
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => {
+  for (let current = error; current; current = current.cause) {
+    if (current.isNetworkError) return true;
+  }
+  return false;
+};
+
+/**
+ * Replay the mutations queued offline, in order (see outbox.js).
+ * Requests go through the Axios instance, so tokens are attached and refreshed as usual.
+ * @returns {Promise<Object>} - `{ replayed, conflicts, pending }` counts.
+ */
+export const syncOutbox = () => outbox.replayOutbox((entry) => (
+  axiosInstance(entry.url, { method: entry.method, data: entry.body, headers: entry.headers })
+    .then((response) => response.data)
+));
+
 /**
  * A function to make HTTP requests using the Axios instance.
  * It handles request errors and returns the response data.
  *
+ * Mutations that pass `offline: { description, createsResource }` are queued in the outbox instead of failing when
+ * the server cannot be reached, and queue behind earlier offline mutations so the order is kept. They then resolve
+ * with a placeholder recognised by `outbox.isQueuedMutation`.
+ *
+ * Idempotent requests (GET) that fail with a network error, a 5xx or a 429 are retried with jittered exponential
+ * backoff, honouring `Retry-After` (see retry.js). Outcomes feed the connectivity status (see networkStatus.js).
+ *
+ * Requests made with a `signal` (an `AbortSignal`) are cancelled when it aborts and reject with an abort error
+ * (see `isAbortError` in utils/abort.js), which callers ignore.
+ *
+ * Calls that pass a `schema` (see api/schemas.js) have their response checked against it in development and tests,
+ * so a backend that drifts from the contract fails here with a readable error rather than deep inside a component.
+ *
  * @param {string} url - The API endpoint to request.
- * @param {object} [options={}] - Optional Axios config (method, data, headers, etc.).
+ * @param {object} [options={}] - Optional Axios config (method, data, headers, signal, etc.). A fetch-style `body` is sent as `data`.
  * @returns {Promise<any>} - The response data from the API.
- * @throws {Error} - Throws an error if the request fails.
+ * Failures reject with an `ApiError` (see apiError.js): HTTP status, machine `code`, the server's `fieldErrors`
+ * and whether the request is `retryable`.
+ *
+ * @throws {ApiError} - If the request fails (`isNetworkError` tells whether the server was unreachable) or if the
+ *   response does not match `schema` (code `INVALID_RESPONSE`, with the schema error as `cause`).
  */
 export const fetcher = async (url, options = {}) => {
+  const { body, offline, schema, ...config } = options; // The API modules pass fetch-style `body`, Axios expects `data`
+  const queueMutation = () => outbox.enqueueMutation({ url, method: config.method, body, headers: config.headers, ...offline });
+
+  if (offline && (navigator.onLine === false || outbox.hasPendingMutations())) {
+    return queueMutation(); // Offline, or earlier offline changes are still waiting: keep the order
+  }
+
+  const method = (config.method || 'GET').toUpperCase();
+  const sendRequest = () => axiosInstance(url, body === undefined ? config : { ...config, data: body }); // Make the request using axiosInstance
+
+  let response;
   try {
-    const response = await axiosInstance(url, options); // Make the request using axiosInstance
-    return response.data; // Return the response data
+    response = RETRY_METHODS.includes(method)
+      ? await withRetry(sendRequest, {
+        signal: config.signal,
+        onRetry: (error, attempt, delay) => {
+          reportRequestFailed(); // Degraded while retrying
+          console.warn(`Retrying ${method} ${url} in ${Math.round(delay)} ms (attempt ${attempt + 2}):`, error.message);
+        },
+      })
+      : await sendRequest();
+    reportRequestSucceeded();
   } catch (error) {
+    if (axios.isCancel(error) || isAbortError(error)) {
+      throw createAbortError(); // Cancelled by the caller: not a failure, and never queued for later
+    }
+    if (isRetryableError(error)) reportRequestFailed();
+    else if (error.response) reportRequestSucceeded(); // A 4xx still means the server is reachable and healthy
+
     if (error.response) {
       // Handle server response errors (4xx or 5xx)
       console.error('Error Response:', error.response.data, error.response.status, error.response.headers);
-      throw new Error(error.response.data.message || 'An error occurred.'); // Use custom or default error message
     } else if (error.request) {
       // Handle cases where no response was received from the server
+      if (offline) return queueMutation(); // The connection dropped: replay the mutation once it is back
       console.error('No Response:', error.request);
-      throw new Error('No response received from server.');
     } else {
       // Handle errors in setting up the request
       console.error('Request Error:', error.message);
-      throw new Error('Failed to make the request.');
+    }
+    throw fromAxiosError(error); // Status, code, field errors and retryability (see apiError.js)
+  }
+
+  if (schema && VALIDATE_RESPONSES) {
+    try {
+      assertSchema(schema, response.data, `${method} ${url}`);
+    } catch (schemaError) {
+      console.error(schemaError.message); // Report the contract drift even when callers wrap the error
+      throw new ApiError(schemaError.message, {
+        status: response.status, code: ERROR_CODES.INVALID_RESPONSE, cause: schemaError,
+      });
     }
   }
-};
\ No newline at end of file
+  return response.data; // Return the response data
+};
@@ -0,0 +1,119 @@
+import { mockServer } from '../mocks/mockServer';
+import { getToken, setToken, setRefreshToken, getRefreshToken } from './tokenHandler';
+
+// Every request the fetcher sends, as `{ method, url, token }`, recorded on the way to the mock backend
+const sent = [];
+const serve = mockServer.adapter;
+mockServer.adapter = (config) => {
+  const authorization = config.headers && config.headers.Authorization;
+  sent.push({
+    method: (config.method || 'get').toUpperCase(),
+    url: config.url,
+    token: authorization ? authorization.replace(/^Bearer /, '') : null,
+  });
+  return serve(config);
+};
+
+// The fetcher picks its adapter when it loads, so it is required once the recording adapter is in place
+process.env.REACT_APP_USE_MOCK_API = 'true';
+const { fetcher, subscribeToSession } = require('./fetcher');
+
+const sentTo = (url) => sent.filter((request) => request.url === url);
+
+/**
+ * Wait until a condition holds, checking every millisecond (for at most a second).
+ */
+const waitFor = async (condition) => {
+  for (let elapsed = 0; !condition(); elapsed += 1) {
+    if (elapsed > 1000) throw new Error('Timed out waiting for a condition.');
+    await new Promise((resolve) => setTimeout(resolve, 1));
+  }
+};
+
+/**
+ * Sign in as the fixture user with a token that has already expired, so the next request gets a 401.
+ */
+const signInExpired = async () => {
+  mockServer.setTokenTtl(-60);
+  const { data } = await serve({
+    method: 'post',
+    url: '/auth/login',
+    data: JSON.stringify({ email: 'reader@shelflife.test', password: 'password123' }),
+    headers: {},
+  });
+  mockServer.setTokenTtl(60 * 60); // Tokens from the refresh are valid
+  setToken(data.token);
+  setRefreshToken(data.refreshToken);
+  return data.token;
+};
+
+describe('fetcher token refresh', () => {
+  let sessionEvents;
+  let unsubscribe;
+
+  beforeEach(() => {
+    mockServer.reset();
+    localStorage.clear();
+    sent.length = 0;
+    sessionEvents = [];
+    unsubscribe = subscribeToSession((event) => sessionEvents.push(event.type));
+    jest.spyOn(console, 'error').mockImplementation(() => {}); // Failed requests and refreshes are logged
+  });
+
+  afterEach(() => {
+    unsubscribe();
+  });
+
+  test('refreshes once for concurrent 401s and replays each request', async () => {
+    const expiredToken = await signInExpired();
+
+    const results = await Promise.all([fetcher('/books'), fetcher('/shelves'), fetcher('/books?shelf=read')]);
+
+    expect(results.every(Array.isArray)).toBe(true);
+    ['/books', '/shelves', '/books?shelf=read'].forEach((url) => expect(sentTo(url)).toHaveLength(2)); // 401, then replayed
+    expect(sentTo('/users/refresh-token')).toHaveLength(1);
+    expect(sessionEvents).toEqual(['refreshed']);
+    expect(getToken()).not.toBe(expiredToken);
+  });
+
+  test('sends queued and replayed requests with the new token', async () => {
+    const expiredToken = await signInExpired();
+    mockServer.setLatency(10); // Keeps the refresh running while another request starts
+
+    const failed = fetcher('/books'); // Gets a 401, refreshes, and is replayed
+    await waitFor(() => sentTo('/users/refresh-token').length === 1);
+    const queued = fetcher('/shelves'); // Started during the refresh: held until it has finished
+    await Promise.all([failed, queued]);
+
+    const newToken = getToken();
+    expect(newToken).not.toBe(expiredToken);
+    expect(sentTo('/books').map(({ token }) => token)).toEqual([expiredToken, newToken]);
+    expect(sentTo('/shelves').map(({ token }) => token)).toEqual([newToken]);
+    expect(sentTo('/users/refresh-token')).toHaveLength(1);
+  });
+
+  test('expires the session without looping when the refresh fails', async () => {
+    await signInExpired();
+    mockServer.injectError({ method: 'POST', path: '/users/refresh-token', status: 401, message: 'Invalid refresh token.' });
+
+    await expect(Promise.all([fetcher('/books'), fetcher('/shelves')])).rejects.toThrow('Not authorized, token failed.');
+
+    expect(sentTo('/users/refresh-token')).toHaveLength(1);
+    expect(sentTo('/books')).toHaveLength(1); // Not replayed
+    expect(sentTo('/shelves')).toHaveLength(1);
+    expect(sessionEvents).toEqual(['expired']);
+    expect(getToken()).toBe(null); // Signed out
+    expect(getRefreshToken()).toBe(null);
+  });
+
+  test('replays a request only once when it gets a 401 again', async () => {
+    await signInExpired();
+    mockServer.injectError({ method: 'GET', path: '/books', status: 401, message: 'Token revoked.', times: 2 });
+
+    await expect(fetcher('/books')).rejects.toThrow('Token revoked.');
+
+    expect(sentTo('/books')).toHaveLength(2); // The request and its one replay
+    expect(sentTo('/users/refresh-token')).toHaveLength(1);
+    expect(sessionEvents).toEqual(['refreshed']);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * imageCrop.js
+ *
+ * Cropping of uploaded cover images (see components/books/CoverCropper.js). Crops are rectangles of the standard
+ * cover aspect ratio in the natural pixels of the image, `{ x, y, width, height }`; they always stay inside the
+ * image. `cropImage` draws the cropped area on a canvas and returns the image to upload.
+ */
+
+export const COVER_ASPECT_RATIO = 2 / 3; // Width / height of a book cover
+export const COVER_WIDTH = 600; // Width of uploaded covers, in pixels (smaller crops are not enlarged)
+export const MAX_ZOOM = 4; // The smallest crop is a quarter of the largest one
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * The largest crop of an image, centered.
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {number} [aspect=COVER_ASPECT_RATIO] - Width / height of the crop.
+ * @returns {Object} - `{ x, y, width, height }`.
+ */
+export const getLargestCrop = (imageWidth, imageHeight, aspect = COVER_ASPECT_RATIO) => {
+  const width = Math.min(imageWidth, imageHeight * aspect);
+  const height = width / aspect;
+  return { x: (imageWidth - width) / 2, y: (imageHeight - height) / 2, width, height };
+};
+
+/**
+ * Move a crop, keeping it inside the image.
+ * @param {Object} crop
+ * @param {number} dx - Horizontal move, in image pixels.
+ * @param {number} dy - Vertical move, in image pixels.
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @returns {Object} - The moved crop.
+ */
+export const moveCrop = (crop, dx, dy, imageWidth, imageHeight) => ({
+  ...crop,
+  x: clamp(crop.x + dx, 0, imageWidth - crop.width),
+  y: clamp(crop.y + dy, 0, imageHeight - crop.height),
+});
+
+/**
+ * Resize a crop around its center: zoom 1 is the largest crop, zoom 2 half its width, and so on.
+ * @param {Object} crop
+ * @param {number} zoom - Between 1 and `MAX_ZOOM`.
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {number} [aspect=COVER_ASPECT_RATIO]
+ * @returns {Object} - The resized crop, moved back inside the image if needed.
+ */
+export const zoomCrop = (crop, zoom, imageWidth, imageHeight, aspect = COVER_ASPECT_RATIO) => {
+  const largest = getLargestCrop(imageWidth, imageHeight, aspect);
+  const scale = clamp(zoom, 1, MAX_ZOOM);
+  const width = largest.width / scale;
+  const height = largest.height / scale;
+  const resized = {
+    x: crop.x + (crop.width - width) / 2,
+    y: crop.y + (crop.height - height) / 2,
+    width,
+    height,
+  };
+  return moveCrop(resized, 0, 0, imageWidth, imageHeight);
+};
+
+/**
+ * Draw the cropped area of an image and encode it.
+ * @param {HTMLImageElement} image - A loaded image.
+ * @param {Object} crop - The area to keep, in the image's natural pixels.
+ * @param {Object} [options]
+ * @param {number} [options.width=COVER_WIDTH] - Width of the result (never more than the crop's).
+ * @param {string} [options.type='image/jpeg'] - Format of the result.
+ * @param {number} [options.quality=0.9] - JPEG/WebP quality.
+ * @returns {Promise<Blob>}
+ */
+export const cropImage = (image, crop, { width = COVER_WIDTH, type = 'image/jpeg', quality = 0.9 } = {}) => (
+  new Promise((resolve, reject) => {
+    const scale = Math.min(1, width / crop.width);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(crop.width * scale);
+    canvas.height = Math.round(crop.height * scale);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff'; // Transparent PNGs get a white background in JPEG
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The image could not be encoded.'))), type, quality);
+  })
+);
@@ -0,0 +1,25 @@
+import { getLargestCrop, moveCrop, zoomCrop, MAX_ZOOM } from './imageCrop';
+
+describe('imageCrop', () => {
+  test('fits the largest cover-shaped crop in landscape and portrait images', () => {
+    expect(getLargestCrop(1200, 900)).toEqual({ x: 300, y: 0, width: 600, height: 900 });
+    expect(getLargestCrop(400, 1000)).toEqual({ x: 0, y: 200, width: 400, height: 600 });
+  });
+
+  test('keeps moved crops inside the image', () => {
+    const crop = { x: 300, y: 0, width: 600, height: 900 };
+    expect(moveCrop(crop, -50, 20, 1200, 900)).toEqual({ x: 250, y: 0, width: 600, height: 900 });
+    expect(moveCrop(crop, 1000, 0, 1200, 900)).toMatchObject({ x: 600 });
+    expect(moveCrop(crop, -1000, 0, 1200, 900)).toMatchObject({ x: 0 });
+  });
+
+  test('zooms around the center of the crop, within bounds', () => {
+    const largest = getLargestCrop(1200, 900);
+    expect(zoomCrop(largest, 2, 1200, 900)).toEqual({ x: 450, y: 225, width: 300, height: 450 });
+    expect(zoomCrop(largest, 10, 1200, 900).width).toBe(600 / MAX_ZOOM);
+
+    // Zooming out near an edge moves the crop back inside the image
+    const corner = { x: 0, y: 0, width: 150, height: 225 };
+    expect(zoomCrop(corner, 1, 1200, 900)).toEqual({ x: 0, y: 0, width: 600, height: 900 });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * isbn.js
+ *
+ * ISBN-10 and ISBN-13 helpers: clean up what the user typed, check the check digit, and convert ISBN-10 to the
+ * ISBN-13 used as the lookup key (see api/metadataAPI.js).
+ */
+
+/**
+ * Strip the separators an ISBN is usually written with (hyphens, spaces) and a leading "ISBN" label.
+ * @param {string} value - The ISBN as typed, e.g. 'ISBN 978-0-261-10221-7'.
+ * @returns {string} - Digits only, with an uppercase 'X' check digit for ISBN-10.
+ */
+export const cleanIsbn = (value) => String(value || '')
+  .replace(/^\s*isbn(-1[03])?:?/i, '')
+  .replace(/[\s-]/g, '')
+  .toUpperCase();
+
+/**
+ * Whether a cleaned value is a valid ISBN-10: nine digits and a check digit (0-9 or X) making the weighted sum
+ * (10 x d1 + 9 x d2 + ... + 1 x d10) a multiple of 11.
+ * @param {string} isbn - A cleaned ISBN (see `cleanIsbn`).
+ * @returns {boolean}
+ */
+export const isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  const sum = isbn.split('').reduce((total, char, index) => (
+    total + (char === 'X' ? 10 : Number(char)) * (10 - index)
+  ), 0);
+  return sum % 11 === 0;
+};
+
+/**
+ * The ISBN-13 check digit of its first twelve digits (weights alternate 1 and 3).
+ * @param {string} digits - Twelve digits.
+ * @returns {string} - The check digit.
+ */
+const isbn13CheckDigit = (digits) => {
+  const sum = digits.split('').reduce((total, char, index) => total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Whether a cleaned value is a valid ISBN-13 (an EAN-13 starting with 978 or 979).
+ * @param {string} isbn - A cleaned ISBN (see `cleanIsbn`).
+ * @returns {boolean}
+ */
+export const isValidIsbn13 = (isbn) => (
+  /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12]
+);
+
+/**
+ * Whether a value, as typed, is a valid ISBN-10 or ISBN-13.
+ * @param {string} value - The ISBN, with or without separators.
+ * @returns {boolean}
+ */
+export const isValidIsbn = (value) => {
+  const isbn = cleanIsbn(value);
+  return isValidIsbn10(isbn) || isValidIsbn13(isbn);
+};
+
+/**
+ * The ISBN-13 of a valid ISBN-10 or ISBN-13, as typed.
+ * @param {string} value - The ISBN, with or without separators.
+ * @returns {string|null} - The ISBN-13, or null when the value is not a valid ISBN.
+ */
+export const toIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  if (!isValidIsbn10(isbn)) return null;
+  const digits = `978${isbn.slice(0, 9)}`;
+  return `${digits}${isbn13CheckDigit(digits)}`;
+};
@@ -0,0 +1,26 @@
+import { cleanIsbn, isValidIsbn, isValidIsbn10, isValidIsbn13, toIsbn13 } from './isbn';
+
+describe('isbn', () => {
+  test('cleans separators and the ISBN label', () => {
+    expect(cleanIsbn('ISBN-10: 0-8044-2957-x')).toBe('080442957X');
+    expect(cleanIsbn(' 978 0 261 10221 7 ')).toBe('9780261102217');
+    expect(cleanIsbn(undefined)).toBe('');
+  });
+
+  test('checks the check digit of ISBN-10 and ISBN-13', () => {
+    expect(isValidIsbn10('080442957X')).toBe(true);
+    expect(isValidIsbn10('0804429579')).toBe(false);
+    expect(isValidIsbn13('9780261102217')).toBe(true);
+    expect(isValidIsbn13('9780261102218')).toBe(false);
+    expect(isValidIsbn13('1234567890128')).toBe(false); // A valid EAN-13 but not a book
+    expect(isValidIsbn('978-0-261-10221-7')).toBe(true);
+    expect(isValidIsbn('12345')).toBe(false);
+  });
+
+  test('converts ISBN-10 to ISBN-13', () => {
+    expect(toIsbn13('0-261-10221-X')).toBe(null); // Wrong check digit
+    expect(toIsbn13('0261102214')).toBe('9780261102217');
+    expect(toIsbn13('978-0-261-10221-7')).toBe('9780261102217');
+    expect(toIsbn13('080442957X')).toBe('9780804429573');
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * networkStatus.js
+ *
+ * Connectivity as the user experiences it, shared by the fetcher (which reports request outcomes) and the UI:
+ * - 'online': the browser is online and the last request reached a healthy server.
+ * - 'offline': the browser reports no connection.
+ * - 'degraded': the browser is online but requests are failing or being retried (server down, flaky network,
+ *   rate limiting). Back to 'online' after the next successful request.
+ */
+
+export const NETWORK_STATUS = {
+  ONLINE: 'online',
+  OFFLINE: 'offline',
+  DEGRADED: 'degraded',
+};
+
+const listeners = new Set(); // Callbacks receiving the new status
+let serverReachable = true; // Outcome of the last request, as reported by the fetcher
+
+const isBrowserOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * The current connectivity status.
+ * @returns {string} - One of `NETWORK_STATUS`.
+ */
+export const getNetworkStatus = () => {
+  if (!isBrowserOnline()) return NETWORK_STATUS.OFFLINE;
+  return serverReachable ? NETWORK_STATUS.ONLINE : NETWORK_STATUS.DEGRADED;
+};
+
+let lastStatus = getNetworkStatus(); // Only actual changes are broadcast
+
+const notify = () => {
+  const status = getNetworkStatus();
+  if (status === lastStatus) return;
+  lastStatus = status;
+  listeners.forEach((listener) => listener(status));
+};
+
+/**
+ * Record that a request got a healthy response (any response below 500, except 429).
+ */
+export const reportRequestSucceeded = () => {
+  serverReachable = true;
+  notify();
+};
+
+/**
+ * Record that a request failed in a way that points to connectivity or server health (network error, 5xx, 429).
+ */
+export const reportRequestFailed = () => {
+  serverReachable = false;
+  notify();
+};
+
+/**
+ * Subscribe to status changes.
+ * @param {Function} listener - Receives the new status.
+ * @returns {Function} - Unsubscribe function.
+ */
+export const subscribeNetworkStatus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// The browser's own connectivity events
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', notify);
+  window.addEventListener('offline', notify);
+}
+
+export const networkStatus = {
+  getNetworkStatus,
+  reportRequestSucceeded,
+  reportRequestFailed,
+  subscribeNetworkStatus,
+};
@@ -0,0 +1,178 @@
+/**
+ * offlineStore.js
+ *
+ * Promise-based access to the IndexedDB database that keeps the app usable offline.
+ * - `queries`: the last known data of every query in the shared query cache (books, shelves, reviews).
+ * - `outbox`: mutations made offline, waiting to be replayed in order (see outbox.js).
+ *
+ * When IndexedDB is unavailable (private browsing in some browsers, tests), the same API is backed by
+ * in-memory maps, so callers never have to check.
+ */
+
+const DB_NAME = 'shelflife';
+const DB_VERSION = 2; // 2: cached data uses the normalized client model (see api/normalize.js)
+const QUERIES_STORE = 'queries'; // { key, data, updatedAt }
+const OUTBOX_STORE = 'outbox'; // { id (auto-increment), ...entry }
+
+let dbPromise = null; // The opened database, shared by every call
+
+// In-memory fallback used when IndexedDB is unavailable
+const memory = {
+  [QUERIES_STORE]: new Map(),
+  [OUTBOX_STORE]: new Map(),
+  nextOutboxId: 1,
+};
+
+/**
+ * Wrap an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} - The request result.
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open (and create or upgrade) the database once.
+ * @returns {Promise<IDBDatabase|null>} - The database, or null when IndexedDB is unavailable.
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      dbPromise = Promise.resolve(null);
+    } else {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        // Queries saved by version 1 hold raw server documents (`_id`): drop them, they are refetched when online
+        if (event.oldVersion === 1) db.deleteObjectStore(QUERIES_STORE);
+        if (!db.objectStoreNames.contains(QUERIES_STORE)) db.createObjectStore(QUERIES_STORE, { keyPath: 'key' });
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      dbPromise = promisify(request).catch((error) => {
+        console.error('IndexedDB unavailable, offline data will not survive a reload:', error);
+        return null;
+      });
+    }
+  }
+  return dbPromise;
+};
+
+/**
+ * Run a single operation on an object store.
+ * @param {string} storeName - The object store.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {Function} operation - Receives the IDBObjectStore and returns an IDBRequest.
+ * @param {Function} fallback - Receives the in-memory map when IndexedDB is unavailable.
+ * @returns {Promise<*>} - The operation result.
+ */
+const withStore = async (storeName, mode, operation, fallback) => {
+  const db = await openDatabase();
+  if (!db) return fallback(memory[storeName]);
+  return promisify(operation(db.transaction(storeName, mode).objectStore(storeName)));
+};
+
+/**
+ * Read the persisted data of a query.
+ * @param {string} key - The query key.
+ * @returns {Promise<Object|undefined>} - `{ key, data, updatedAt }`, or undefined if nothing is stored.
+ */
+export const readQuery = (key) => withStore(
+  QUERIES_STORE, 'readonly',
+  (store) => store.get(key),
+  (map) => map.get(key)
+);
+
+/**
+ * Persist the data of a query.
+ * @param {string} key - The query key.
+ * @param {*} data - The data (must be structured-cloneable).
+ * @returns {Promise<void>}
+ */
+export const writeQuery = (key, data) => {
+  const record = { key, data, updatedAt: Date.now() };
+  return withStore(
+    QUERIES_STORE, 'readwrite',
+    (store) => store.put(record),
+    (map) => { map.set(key, record); }
+  );
+};
+
+/**
+ * Remove every persisted query (e.g. on logout).
+ * @returns {Promise<void>}
+ */
+export const clearPersistedQueries = () => withStore(
+  QUERIES_STORE, 'readwrite',
+  (store) => store.clear(),
+  (map) => { map.clear(); }
+);
+
+/**
+ * Read every outbox entry, oldest first.
+ * @returns {Promise<Object[]>}
+ */
+export const readOutbox = () => withStore(
+  OUTBOX_STORE, 'readonly',
+  (store) => store.getAll(),
+  (map) => [...map.values()]
+);
+
+/**
+ * Add an entry to the outbox.
+ * @param {Object} entry - The entry, without an ID.
+ * @returns {Promise<number>} - The ID assigned to the entry (increasing, so it also gives the replay order).
+ */
+export const addOutboxEntry = (entry) => withStore(
+  OUTBOX_STORE, 'readwrite',
+  (store) => store.add(entry),
+  (map) => {
+    const id = memory.nextOutboxId++;
+    map.set(id, { ...entry, id });
+    return id;
+  }
+);
+
+/**
+ * Replace an outbox entry (e.g. to flag a conflict or rewrite a temporary ID).
+ * @param {Object} entry - The entry, with its ID.
+ * @returns {Promise<void>}
+ */
+export const putOutboxEntry = (entry) => withStore(
+  OUTBOX_STORE, 'readwrite',
+  (store) => store.put(entry),
+  (map) => { map.set(entry.id, entry); }
+);
+
+/**
+ * Remove an outbox entry.
+ * @param {number} id - The entry ID.
+ * @returns {Promise<void>}
+ */
+export const deleteOutboxEntry = (id) => withStore(
+  OUTBOX_STORE, 'readwrite',
+  (store) => store.delete(id),
+  (map) => { map.delete(id); }
+);
+
+/**
+ * Remove every outbox entry.
+ * @returns {Promise<void>}
+ */
+export const clearOutboxEntries = () => withStore(
+  OUTBOX_STORE, 'readwrite',
+  (store) => store.clear(),
+  (map) => { map.clear(); }
+);
+
+export const offlineStore = {
+  readQuery,
+  writeQuery,
+  clearPersistedQueries,
+  readOutbox,
+  addOutboxEntry,
+  putOutboxEntry,
+  deleteOutboxEntry,
+  clearOutboxEntries,
+};
@@ -0,0 +1,59 @@
+/**
+ * optimisticUpdate.js
+ *
+ * Runs a mutation optimistically against the shared query cache:
+ * 1. Records the cached queries the mutation affects, before and after applying its change.
+ * 2. Applies the expected result to the cache right away, so the store (and every component showing the data) updates immediately.
+ * 3. Sends the request; if it fails, undoes only this mutation's change and shows a "change reverted" notice.
+ *
+ * Several mutations can be in flight on the same queries (e.g. two books moved in a row), so a failed one must not
+ * put back a whole earlier state: that would wipe the changes made since by the others, or bring back a change
+ * that was already reverted. A query still holding exactly what this mutation wrote gets its previous data back;
+ * a query changed since by something else is refetched, so the server decides what it holds.
+ */
+
+import { message } from 'antd'; // Ant Design message API for the revert notice
+import { queryCache } from './queryCache'; // Shared query cache holding the state being updated
+
+/**
+ * Undo the change an optimistic update made to the cache.
+ * @param {Array<[string, *]>} before - The affected queries before the change (see `queryCache.snapshotQueries`).
+ * @param {Array<[string, *]>} after - The same queries right after it.
+ */
+const revertChange = (before, after) => {
+  const previous = new Map(before);
+  const written = new Map(after.filter(([key, data]) => !previous.has(key) || previous.get(key) !== data));
+  const current = new Map(queryCache.snapshotQueries((key) => written.has(key)));
+
+  const restorable = [];
+  const overwritten = [];
+  written.forEach((data, key) => {
+    if (current.get(key) === data && previous.has(key)) restorable.push([key, previous.get(key)]);
+    else overwritten.push(key); // Changed since, or only created by this update
+  });
+
+  queryCache.restoreQueries(restorable);
+  if (overwritten.length > 0) queryCache.invalidateQueries({ keys: overwritten });
+};
+
+/**
+ * @param {Object} options
+ * @param {Function} options.affects - Predicate `(key, entry)` selecting the queries the change may touch.
+ * @param {Function} options.apply - Applies the optimistic change to the cache.
+ * @param {Function} options.mutate - Sends the request; returns a promise for the server result.
+ * @param {string} options.revertedMessage - Notice shown when the change is rolled back.
+ * @returns {Promise<*>} - The server result. Rejects with the request error after rolling back.
+ */
+export const optimisticUpdate = async ({ affects, apply, mutate, revertedMessage }) => {
+  const before = queryCache.snapshotQueries(affects);
+  apply();
+  const after = queryCache.snapshotQueries(affects);
+
+  try {
+    return await mutate();
+  } catch (error) {
+    revertChange(before, after);
+    message.warning(revertedMessage);
+    throw error;
+  }
+};
@@ -0,0 +1,109 @@
+import { message } from 'antd';
+import { queryCache } from './queryCache';
+import { optimisticUpdate } from './optimisticUpdate';
+
+// Let pending promise callbacks (rollbacks, refetches) run
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * A request whose outcome the test decides.
+ */
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+
+/**
+ * Optimistically remove a book from a cached list, with a request settled by the test.
+ */
+const removeBook = (key, bookId) => {
+  const request = deferred();
+  const result = optimisticUpdate({
+    affects: (cachedKey) => cachedKey === key,
+    apply: () => queryCache.setQueryData(key, (books) => books.filter((id) => id !== bookId)),
+    mutate: () => request.promise,
+    revertedMessage: `Could not remove ${bookId}.`,
+  });
+  return { result, request };
+};
+
+describe('optimisticUpdate', () => {
+  beforeEach(() => {
+    queryCache.clearQueries();
+    jest.spyOn(message, 'warning').mockImplementation(() => {});
+  });
+
+  test('rolls back a failed mutation and warns about it', async () => {
+    queryCache.setQueryData('books:shelf:read', ['a', 'b']);
+    const { result, request } = removeBook('books:shelf:read', 'a');
+    expect(queryCache.getQueryData('books:shelf:read')).toEqual(['b']); // Applied right away
+
+    const error = new Error('Server error');
+    request.reject(error);
+
+    await expect(result).rejects.toBe(error);
+    expect(queryCache.getQueryData('books:shelf:read')).toEqual(['a', 'b']);
+    expect(message.warning).toHaveBeenCalledWith('Could not remove a.');
+  });
+
+  test('undoes only its own change when other mutations are in flight', async () => {
+    queryCache.setQueryData('books:shelf:read', ['a', 'b']);
+    queryCache.setQueryData('books:shelf:wantToRead', ['c', 'd']);
+    const first = removeBook('books:shelf:read', 'a');
+    const second = removeBook('books:shelf:wantToRead', 'c');
+
+    first.request.reject(new Error('Server error'));
+    await expect(first.result).rejects.toThrow('Server error');
+
+    expect(queryCache.getQueryData('books:shelf:read')).toEqual(['a', 'b']);
+    expect(queryCache.getQueryData('books:shelf:wantToRead')).toEqual(['d']); // Still pending: kept
+
+    second.request.resolve({});
+    await second.result;
+    expect(queryCache.getQueryData('books:shelf:wantToRead')).toEqual(['d']);
+  });
+
+  test('refetches a query changed since instead of wiping the changes made after its own', async () => {
+    const server = { books: ['a', 'b', 'c'] };
+    const queryFn = jest.fn(() => Promise.resolve([...server.books]));
+    await queryCache.fetchQuery('books:shelf:read', queryFn);
+    const unsubscribe = queryCache.subscribeQuery('books:shelf:read', () => {}); // Displayed: refetched when invalidated
+
+    const first = removeBook('books:shelf:read', 'a');
+    const second = removeBook('books:shelf:read', 'b');
+    expect(queryCache.getQueryData('books:shelf:read')).toEqual(['c']);
+
+    server.books = ['a', 'c']; // The server removed 'b' but not 'a'
+    first.request.reject(new Error('Server error'));
+    await expect(first.result).rejects.toThrow('Server error');
+    await flushPromises();
+
+    expect(queryFn).toHaveBeenCalledTimes(2);
+    expect(queryCache.getQueryData('books:shelf:read')).toEqual(['a', 'c']); // Not the state from before both
+    second.request.resolve({});
+    await second.result;
+    unsubscribe();
+  });
+
+  test('does not bring back a change already reverted when a later mutation fails', async () => {
+    const queryFn = jest.fn(() => Promise.resolve(['a', 'b', 'c'])); // Neither removal reaches the server
+    await queryCache.fetchQuery('books:shelf:read', queryFn);
+    const unsubscribe = queryCache.subscribeQuery('books:shelf:read', () => {});
+
+    const first = removeBook('books:shelf:read', 'a');
+    const second = removeBook('books:shelf:read', 'b');
+
+    first.request.reject(new Error('Server error'));
+    await expect(first.result).rejects.toThrow('Server error');
+    await flushPromises();
+    second.request.reject(new Error('Server error'));
+    await expect(second.result).rejects.toThrow('Server error');
+    await flushPromises();
+
+    expect(queryCache.getQueryData('books:shelf:read')).toEqual(['a', 'b', 'c']); // 'a' is not removed again
+    expect(message.warning).toHaveBeenCalledTimes(2);
+    unsubscribe();
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * outbox.js
+ *
+ * Mutations made while offline are queued here (and persisted in IndexedDB through offlineStore.js) instead of failing.
+ * When connectivity returns they are replayed in the order they were made:
+ * - A success removes the entry. If the entry created a resource under a temporary ID (e.g. a book created offline),
+ *   the real ID replaces the temporary one in every later entry.
+ * - A network failure, a server error (5xx) or an expired session stops the replay; it resumes on the next attempt.
+ * - Any other rejection (404 for a resource deleted meanwhile, 409, validation errors...) flags the entry as a
+ *   conflict. Conflicts stay in the outbox until the user retries or discards them; later entries keep replaying.
+ *
+ * This module does not send requests itself: `replayOutbox` receives a `send` function (see `syncOutbox` in fetcher.js).
+ */
+
+import { offlineStore } from './offlineStore'; // IndexedDB persistence of the outbox
+
+const QUEUED = Symbol('queuedOffline'); // Marks the result of a mutation that was queued instead of sent
+
+let entries = []; // In-memory mirror of the persisted outbox, oldest first
+let loadPromise = null; // Loading of the persisted outbox, done once
+let replayPromise = null; // The replay in progress, shared by concurrent callers
+const listeners = new Set(); // Callbacks receiving the entries whenever they change
+
+/**
+ * Notify subscribers that the outbox changed.
+ */
+const notify = () => {
+  const snapshot = entries.slice();
+  listeners.forEach((listener) => listener(snapshot));
+};
+
+/**
+ * Load the persisted outbox (once) into memory.
+ * @returns {Promise<Object[]>} - The entries.
+ */
+export const loadOutbox = () => {
+  if (!loadPromise) {
+    loadPromise = offlineStore.readOutbox().then((stored) => {
+      entries = stored.sort((a, b) => a.id - b.id);
+      notify();
+      return entries;
+    });
+  }
+  return loadPromise;
+};
+
+/**
+ * @returns {Object[]} - Every entry (pending and conflicting), oldest first.
+ */
+export const getOutboxEntries = () => entries.slice();
+
+/**
+ * Whether mutations are waiting to be replayed. New mutations must queue behind them to keep the order.
+ * @returns {boolean}
+ */
+export const hasPendingMutations = () => entries.some((entry) => entry.status === 'pending');
+
+/**
+ * Whether a mutation result is a queued placeholder rather than the server response.
+ * @param {*} result - The value returned by the API call.
+ * @returns {boolean}
+ */
+export const isQueuedMutation = (result) => Boolean(result && result[QUEUED]);
+
+/**
+ * Queue a mutation for replay.
+ * @param {Object} request
+ * @param {string} request.url - The endpoint, relative to the API base URL.
+ * @param {string} request.method - The HTTP method.
+ * @param {*} [request.body] - The request body.
+ * @param {Object} [request.headers] - Extra request headers.
+ * @param {string} request.description - What the mutation does, shown in the offline banner.
+ * @param {boolean} [request.createsResource] - Whether the mutation creates a resource that needs a temporary ID.
+ * @returns {Promise<Object>} - The queued placeholder: `{ outboxId, tempId }`, recognised by `isQueuedMutation`.
+ */
+export const enqueueMutation = async ({ url, method, body, headers, description, createsResource = false }) => {
+  await loadOutbox();
+  const entry = {
+    url,
+    method,
+    body,
+    headers,
+    description,
+    tempId: createsResource ? `offline-${Date.now()}-${Math.random().toString(36).slice(2, 8)}` : null,
+    status: 'pending',
+    error: null,
+    createdAt: Date.now(),
+  };
+  const id = await offlineStore.addOutboxEntry(entry);
+  entries.push({ ...entry, id });
+  notify();
+  return { [QUEUED]: true, outboxId: id, tempId: entry.tempId };
+};
+
+/**
+ * Replace a temporary ID with the real one in the URL and body of every entry still waiting.
+ * @param {string} tempId - The temporary ID.
+ * @param {string} realId - The ID assigned by the server.
+ */
+const remapTempId = async (tempId, realId) => {
+  const remapped = entries.map((entry) => {
+    if (entry.status !== 'pending') return entry;
+    const url = entry.url.split(tempId).join(realId);
+    const body = typeof entry.body === 'string' ? entry.body.split(tempId).join(realId) : entry.body;
+    return url === entry.url && body === entry.body ? entry : { ...entry, url, body };
+  });
+  await Promise.all(remapped.filter((entry, index) => entry !== entries[index]).map(offlineStore.putOutboxEntry));
+  entries = remapped;
+};
+
+/**
+ * Whether a replay failure means "try again later" rather than "the server rejected this change".
+ * @param {Object} error - The error thrown by `send` (an Axios error).
+ * @returns {boolean}
+ */
+const isTransientFailure = (error) => {
+  const status = error.response && error.response.status;
+  return !status || status >= 500 || status === 401 || status === 408 || status === 429;
+};
+
+/**
+ * Replay the pending entries, in order, with the given sender.
+ * @param {Function} send - Receives an entry and returns a promise for the response data; rejects with an Axios error.
+ * @returns {Promise<Object>} - `{ replayed, conflicts, pending }` counts.
+ */
+const runReplay = async (send) => {
+  await loadOutbox();
+  const result = { replayed: 0, conflicts: 0, pending: 0 };
+
+  for (;;) {
+    const entry = entries.find((candidate) => candidate.status === 'pending');
+    if (!entry) break;
+
+    try {
+      const data = await send(entry);
+      await offlineStore.deleteOutboxEntry(entry.id);
+      entries = entries.filter((candidate) => candidate.id !== entry.id);
+      const realId = data && (data._id || data.id);
+      if (entry.tempId && realId) await remapTempId(entry.tempId, realId);
+      result.replayed += 1;
+    } catch (error) {
+      if (isTransientFailure(error)) break; // Still offline or the server is struggling: keep the order, retry later
+
+      const flagged = {
+        ...entry,
+        status: 'conflict',
+        error: (error.response.data && error.response.data.message) || error.message,
+      };
+      await offlineStore.putOutboxEntry(flagged);
+      entries = entries.map((candidate) => (candidate.id === entry.id ? flagged : candidate));
+      result.conflicts += 1;
+    }
+    notify();
+  }
+
+  result.pending = entries.filter((candidate) => candidate.status === 'pending').length;
+  return result;
+};
+
+/**
+ * Replay the outbox. Concurrent calls share the same replay.
+ * @param {Function} send - Receives an entry and returns a promise for the response data.
+ * @returns {Promise<Object>} - `{ replayed, conflicts, pending }` counts.
+ */
+export const replayOutbox = (send) => {
+  if (!replayPromise) {
+    replayPromise = runReplay(send).finally(() => {
+      replayPromise = null;
+    });
+  }
+  return replayPromise;
+};
+
+/**
+ * Put a conflicting entry back in the queue, to be replayed on the next sync.
+ * @param {number} id - The entry ID.
+ */
+export const retryMutation = async (id) => {
+  const entry = entries.find((candidate) => candidate.id === id);
+  if (!entry) return;
+  const retried = { ...entry, status: 'pending', error: null };
+  await offlineStore.putOutboxEntry(retried);
+  entries = entries.map((candidate) => (candidate.id === id ? retried : candidate));
+  notify();
+};
+
+/**
+ * Drop an entry (typically a conflict the user gave up on).
+ * @param {number} id - The entry ID.
+ */
+export const discardMutation = async (id) => {
+  await offlineStore.deleteOutboxEntry(id);
+  entries = entries.filter((candidate) => candidate.id !== id);
+  notify();
+};
+
+/**
+ * Drop every entry (e.g. on logout, so the next user never replays someone else's changes).
+ */
+export const clearOutbox = async () => {
+  await offlineStore.clearOutboxEntries();
+  entries = [];
+  notify();
+};
+
+/**
+ * Subscribe to outbox changes.
+ * @param {Function} listener - Receives the entries.
+ * @returns {Function} - Unsubscribe function.
+ */
+export const subscribeOutbox = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+export const outbox = {
+  loadOutbox,
+  getOutboxEntries,
+  hasPendingMutations,
+  isQueuedMutation,
+  enqueueMutation,
+  replayOutbox,
+  retryMutation,
+  discardMutation,
+  clearOutbox,
+  subscribeOutbox,
+};
@@ -0,0 +1,62 @@
+import { outbox } from './outbox';
+
+// Axios-like errors, as thrown by the sender used in fetcher.js
+const httpError = (status, message) => Object.assign(new Error(message), { response: { status, data: { message } } });
+const networkError = () => Object.assign(new Error('Network Error'), { request: {} });
+
+describe('outbox', () => {
+  beforeEach(async () => {
+    await outbox.clearOutbox();
+  });
+
+  test('replays queued mutations in order and swaps temporary IDs for real ones', async () => {
+    const created = await outbox.enqueueMutation({
+      url: '/books', method: 'POST', body: '{"title":"Dune"}', description: 'Add "Dune"', createsResource: true,
+    });
+    await outbox.enqueueMutation({
+      url: `/books/${created.tempId}/review`, method: 'POST', body: '{"rating":5}', description: 'Review a book',
+    });
+    expect(outbox.isQueuedMutation(created)).toBe(true);
+    expect(outbox.hasPendingMutations()).toBe(true);
+
+    const sent = [];
+    const result = await outbox.replayOutbox(async (entry) => {
+      sent.push(`${entry.method} ${entry.url}`);
+      return entry.url === '/books' ? { _id: 'book-9' } : {};
+    });
+
+    expect(sent).toEqual(['POST /books', 'POST /books/book-9/review']);
+    expect(result).toEqual({ replayed: 2, conflicts: 0, pending: 0 });
+    expect(outbox.getOutboxEntries()).toHaveLength(0);
+  });
+
+  test('stops on network failures and keeps the remaining order', async () => {
+    await outbox.enqueueMutation({ url: '/books/book-1/shelf', method: 'PUT', description: 'Move a book' });
+    await outbox.enqueueMutation({ url: '/books/book-2/shelf', method: 'PUT', description: 'Move a book' });
+
+    const send = jest.fn().mockRejectedValue(networkError());
+    const result = await outbox.replayOutbox(send);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(result).toEqual({ replayed: 0, conflicts: 0, pending: 2 });
+  });
+
+  test('flags rejected mutations as conflicts and keeps replaying the rest', async () => {
+    await outbox.enqueueMutation({ url: '/books/gone', method: 'PUT', description: 'Edit a book' });
+    await outbox.enqueueMutation({ url: '/books/book-2/review', method: 'POST', description: 'Review a book' });
+
+    const send = jest.fn()
+      .mockRejectedValueOnce(httpError(404, 'Book not found'))
+      .mockResolvedValueOnce({});
+    const result = await outbox.replayOutbox(send);
+
+    expect(result).toEqual({ replayed: 1, conflicts: 1, pending: 0 });
+    const [conflict] = outbox.getOutboxEntries();
+    expect(conflict).toMatchObject({ status: 'conflict', error: 'Book not found', url: '/books/gone' });
+
+    await outbox.retryMutation(conflict.id);
+    expect(outbox.hasPendingMutations()).toBe(true);
+    await outbox.discardMutation(conflict.id);
+    expect(outbox.getOutboxEntries()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * progress.js
+ *
+ * Reading progress of the books being read. Progress is logged as entries kept in a history on the book:
+ *
+ *   { id, unit, value, total, loggedAt }
+ *
+ * where `unit` is 'page' (value: the page reached, total: the pages of the book), 'percent' (value: 0–100, no total)
+ * or 'time' (value: the audiobook position in seconds, total: its length in seconds), and `loggedAt` is set by
+ * the server. The latest entry is the current progress.
+ */
+
+export const PROGRESS_UNITS = ['page', 'percent', 'time'];
+
+// English defaults of the `progress.units.<unit>` i18n keys
+export const PROGRESS_UNIT_LABELS = {
+  page: 'Page',
+  percent: 'Percent',
+  time: 'Timestamp',
+};
+
+// What one tap on "+" adds, per unit (see `advanceProgress`)
+export const PROGRESS_STEPS = {
+  page: 10, // pages
+  percent: 5, // percent
+  time: 15 * 60, // seconds of audio
+};
+
+export const MAX_PROGRESS_TOTAL = { page: 100000, time: 1000 * 3600 }; // Pages; seconds (1000 hours)
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * The unit progress is logged in by default: time for audiobooks, pages when the page count is known, percent
+ * otherwise.
+ * @param {Object} book
+ * @returns {string} - One of `PROGRESS_UNITS`.
+ */
+export const getDefaultProgressUnit = (book) => {
+  if (book.format === 'audiobook') return 'time';
+  return isNumber(book.pageCount) && book.pageCount > 0 ? 'page' : 'percent';
+};
+
+/**
+ * Read an audiobook timestamp: 'h:mm:ss', 'm:ss', or minutes alone ('90').
+ * @param {string} text
+ * @returns {number|null} - Seconds, or null when the text is not a timestamp.
+ */
+export const parseTimestamp = (text) => {
+  const match = /^\s*(?:(\d+):)?(\d+)(?::(\d{1,2}))?\s*$/.exec(String(text || ''));
+  if (!match) return null;
+  const [, first, second, third] = match;
+  if (third !== undefined) {
+    // h:mm:ss
+    if (Number(second) > 59 || Number(third) > 59) return null;
+    return Number(first || 0) * 3600 + Number(second) * 60 + Number(third);
+  }
+  if (first !== undefined) {
+    // m:ss
+    if (Number(second) > 59) return null;
+    return Number(first) * 60 + Number(second);
+  }
+  return Number(second) * 60; // Minutes
+};
+
+/**
+ * Write seconds as an audiobook timestamp.
+ * @param {number} seconds
+ * @returns {string} - 'h:mm:ss' ('0:45:00' for 45 minutes).
+ */
+export const formatTimestamp = (seconds) => {
+  const total = Math.max(0, Math.round(seconds));
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${Math.floor(total / 3600)}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+};
+
+/**
+ * Describe an entry for display: 'Page 120 of 300', '45%' or '1:02:03 of 10:00:00'.
+ * @param {Function} t - Translation function from `useTranslation`.
+ * @param {Object} entry - A progress entry.
+ * @returns {string}
+ */
+export const formatProgress = (t, { unit, value, total }) => {
+  if (unit === 'page') return t('progress.pageOf', { value, total, defaultValue: 'Page {{value}} of {{total}}' });
+  if (unit === 'time') {
+    return t('progress.timeOf', { value: formatTimestamp(value), total: formatTimestamp(total), defaultValue: '{{value}} of {{total}}' });
+  }
+  return t('progress.percentValue', { value, defaultValue: '{{value}}%' });
+};
+
+/**
+ * Check a progress entry before it is logged.
+ * @param {Object} entry - `{ unit, value, total }`.
+ * @returns {Object} - Error codes by field (`unit`, `value`, `total`); empty when the entry is valid. Codes:
+ *   'invalidUnit', 'invalidValue', 'totalRequired', 'invalidTotal', 'beyondTotal'.
+ */
+export const validateProgress = ({ unit, value, total }) => {
+  if (!PROGRESS_UNITS.includes(unit)) return { unit: 'invalidUnit' };
+  if (!isNumber(value) || value < 0 || (unit === 'page' && !Number.isInteger(value))) return { value: 'invalidValue' };
+  if (unit === 'percent') return value > 100 ? { value: 'beyondTotal' } : {};
+  if (total === undefined || total === null) return { total: 'totalRequired' };
+  if (!isNumber(total) || total <= 0 || total > MAX_PROGRESS_TOTAL[unit] || (unit === 'page' && !Number.isInteger(total))) {
+    return { total: 'invalidTotal' };
+  }
+  return value > total ? { value: 'beyondTotal' } : {};
+};
+
+/**
+ * How far an entry is, in percent.
+ * @param {Object|null} entry - A progress entry.
+ * @returns {number|null} - 0–100, rounded to one decimal; null without an entry.
+ */
+export const getProgressPercent = (entry) => {
+  if (!entry || !isNumber(entry.value)) return null;
+  const percent = entry.unit === 'percent' ? entry.value : (entry.value / entry.total) * 100;
+  if (!isNumber(percent)) return null;
+  return Math.round(Math.min(100, Math.max(0, percent)) * 10) / 10;
+};
+
+/**
+ * The progress history of a book, oldest first. Entries not confirmed by the server yet (no `loggedAt`) are the
+ * latest.
+ * @param {Object} book
+ * @returns {Object[]}
+ */
+export const getProgressHistory = (book) => {
+  const entries = book.progress || [];
+  const confirmed = entries.filter((entry) => entry.loggedAt).sort((a, b) => a.loggedAt.localeCompare(b.loggedAt));
+  return [...confirmed, ...entries.filter((entry) => !entry.loggedAt)];
+};
+
+/**
+ * The current progress of a book: its latest entry.
+ * @param {Object} book
+ * @returns {Object|null}
+ */
+export const getCurrentProgress = (book) => {
+  const history = getProgressHistory(book);
+  return history.length > 0 ? history[history.length - 1] : null;
+};
+
+/**
+ * The entry one tap on "+" logs: the current progress moved on by one step (see `PROGRESS_STEPS`), in the same
+ * unit, up to the end of the book. Without progress yet, the first step in the book's default unit.
+ * @param {Object} book
+ * @returns {Object|null} - `{ unit, value, total }`, or null when the book is finished or its length is unknown.
+ */
+export const advanceProgress = (book) => {
+  const current = getCurrentProgress(book);
+  const unit = current ? current.unit : getDefaultProgressUnit(book);
+  const value = current ? current.value : 0;
+  let total;
+  if (unit === 'percent') total = 100;
+  else if (current) total = current.total;
+  else total = unit === 'page' ? book.pageCount : undefined; // The length of an audiobook is entered with its first timestamp
+  if (!isNumber(total) || value >= total) return null;
+
+  const nextValue = Math.min(total, value + PROGRESS_STEPS[unit]);
+  return unit === 'percent' ? { unit, value: nextValue } : { unit, value: nextValue, total };
+};
@@ -0,0 +1,49 @@
+import {
+  parseTimestamp,
+  formatTimestamp,
+  validateProgress,
+  getProgressPercent,
+  getCurrentProgress,
+  advanceProgress,
+} from './progress';
+
+describe('progress', () => {
+  test('reads and writes audiobook timestamps', () => {
+    expect(parseTimestamp('1:02:03')).toBe(3723);
+    expect(parseTimestamp('45:30')).toBe(2730);
+    expect(parseTimestamp('90')).toBe(5400); // Minutes
+    expect([parseTimestamp('1:75'), parseTimestamp('1:00:60'), parseTimestamp('soon')]).toEqual([null, null, null]);
+    expect(formatTimestamp(3723)).toBe('1:02:03');
+  });
+
+  test('validates entries and tells how far they are', () => {
+    expect(validateProgress({ unit: 'page', value: 120, total: 300 })).toEqual({});
+    expect(validateProgress({ unit: 'page', value: 320, total: 300 })).toEqual({ value: 'beyondTotal' });
+    expect(validateProgress({ unit: 'time', value: 60 })).toEqual({ total: 'totalRequired' });
+    expect(validateProgress({ unit: 'percent', value: 101 })).toEqual({ value: 'beyondTotal' });
+    expect(validateProgress({ unit: 'chapter', value: 1 })).toEqual({ unit: 'invalidUnit' });
+
+    expect(getProgressPercent({ unit: 'page', value: 5, total: 100 })).toBe(5);
+    expect(getProgressPercent({ unit: 'time', value: 1, total: 3 })).toBe(33.3);
+    expect(getProgressPercent({ unit: 'percent', value: 95 })).toBe(95);
+    expect(getProgressPercent(null)).toBeNull();
+  });
+
+  test('moves the latest entry on by one step, up to the end of the book', () => {
+    const book = {
+      pageCount: 300,
+      progress: [
+        { unit: 'page', value: 120, total: 300, loggedAt: '2026-10-02T08:00:00.000Z' },
+        { unit: 'page', value: 40, total: 300, loggedAt: '2026-10-01T08:00:00.000Z' },
+        { unit: 'page', value: 295, total: 300 }, // Not confirmed yet: the latest
+      ],
+    };
+    expect(getCurrentProgress(book).value).toBe(295);
+    expect(advanceProgress(book)).toEqual({ unit: 'page', value: 300, total: 300 });
+    expect(advanceProgress({ ...book, progress: [{ unit: 'page', value: 300, total: 300 }] })).toBeNull(); // Finished
+
+    expect(advanceProgress({ pageCount: 300 })).toEqual({ unit: 'page', value: 10, total: 300 });
+    expect(advanceProgress({})).toEqual({ unit: 'percent', value: 5 });
+    expect(advanceProgress({ format: 'audiobook' })).toBeNull(); // Its length is not known yet
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * queryCache.js
+ *
+ * A small shared cache for API queries, used by every store action (see src/store) to fetch and update data.
+ * - Stale-while-revalidate: stale data is returned immediately while a background request refreshes it.
+ * - Time-based expiry: entries are fresh for `staleTime`, then stale, then expired (fetched again before use) after
+ *   `cacheTime`. An entry nobody subscribes to is removed `cacheTime` after its last subscriber left (or after it was
+ *   last fetched or written, if it never had one); its persisted copy stays, as the offline fallback.
+ * - Tag-based invalidation: queries carry tags (e.g. 'books', 'shelf:<id>') so a mutation of shelves
+ *   can invalidate the affected book queries.
+ * - Deduping: concurrent requests for the same key share one in-flight promise.
+ * - Cancellation: callers pass an `AbortSignal` and stop waiting when it aborts; the shared request itself is
+ *   aborted once nobody needs it anymore.
+ * - Persistence (optional, see `setQueryPersister`): data is saved as it changes, and a query that fails because the
+ *   server is unreachable falls back to the saved data, so pages still load offline.
+ *
+ * Components never use this directly: every change is forwarded to the Redux store (see store/sync.js), which
+ * keeps the cached books and shelves normalized by ID for the selectors.
+ */
+
+import { abortable, createAbortError } from './abort'; // Cancellation helpers
+
+const DEFAULT_STALE_TIME = 30 * 1000; // Data is considered fresh for 30 seconds
+const DEFAULT_CACHE_TIME = 5 * 60 * 1000; // Unused data is removed after 5 minutes
+
+const entries = new Map(); // key -> { data, updatedAt, staleTime, cacheTime, tags, queryFn, run, removalTimer }
+const listeners = new Map(); // key -> Set of callbacks receiving the latest data
+const globalListeners = new Set(); // Callbacks receiving `(key, data)` for every key
+let persister = null; // { read(key), write(key, data), clear(), shouldFallBack(error) }, see setQueryPersister
+
+/**
+ * Save the data of a key through the persister, if any. Failures only cost offline availability.
+ * @param {string} key - The query key.
+ * @param {*} data - The data.
+ */
+const persist = (key, data) => {
+  if (!persister) return;
+  Promise.resolve(persister.write(key, data)).catch((error) => {
+    console.error(`Persisting "${key}" failed:`, error);
+  });
+};
+
+/**
+ * Notify the subscribers of a key that its data changed.
+ * @param {string} key - The query key.
+ * @param {*} data - The new data.
+ */
+const notify = (key, data) => {
+  const keyListeners = listeners.get(key);
+  if (keyListeners) keyListeners.forEach((listener) => listener(data));
+  globalListeners.forEach((listener) => listener(key, data));
+};
+
+/**
+ * Remove an entry `cacheTime` from now, unless someone subscribes to its key by then (see `subscribeQuery`).
+ * A request still in flight at that point postpones the removal by another `cacheTime`.
+ * @param {string} key - The query key.
+ * @param {Object} entry - The cache entry.
+ */
+const scheduleRemoval = (key, entry) => {
+  clearTimeout(entry.removalTimer);
+  if (listeners.has(key)) return; // Displayed: kept until its last subscriber leaves
+  entry.removalTimer = setTimeout(() => {
+    if (entries.get(key) !== entry || listeners.has(key)) return;
+    if (entry.run) scheduleRemoval(key, entry);
+    else entries.delete(key);
+  }, entry.cacheTime);
+};
+
+/**
+ * Whether an entry has outlived its cache time and must be fetched again before use.
+ * @param {Object} entry - The cache entry.
+ * @returns {boolean}
+ */
+const isExpired = (entry) => Date.now() - entry.updatedAt > entry.cacheTime;
+
+/**
+ * Whether an entry should be revalidated (older than its stale time, or invalidated).
+ * @param {Object} entry - The cache entry.
+ * @returns {boolean}
+ */
+const isStale = (entry) => Date.now() - entry.updatedAt > entry.staleTime;
+
+/**
+ * Run the query function for a key, sharing the request with concurrent callers.
+ * The query function receives `{ signal }`, aborted once every caller waiting with a signal has aborted, unless a
+ * caller without a signal (or a background revalidation) still needs the result.
+ * @param {string} key - The query key.
+ * @param {Object} entry - The cache entry holding the query function and options.
+ * @param {AbortSignal} [signal] - Stops this caller from waiting when aborted.
+ * @returns {Promise<*>} - The fetched data.
+ */
+const runQuery = (key, entry, signal) => {
+  if (!entry.run) {
+    const run = { controller: new AbortController(), waiters: 0, keepAlive: false }; // One request and who needs it
+    entry.run = run;
+    run.promise = Promise.resolve()
+      .then(() => entry.queryFn({ signal: run.controller.signal }))
+      .then((data) => {
+        // Ignore results for entries that were removed (e.g. on logout) while the request was in flight
+        if (entries.get(key) === entry) {
+          entry.data = data;
+          entry.hasData = true;
+          entry.updatedAt = Date.now();
+          notify(key, data);
+          persist(key, data);
+        }
+        return data;
+      })
+      .catch(async (error) => {
+        if (run.controller.signal.aborted) throw error; // Cancelled: nothing to fall back to
+        // Unreachable server: serve the last saved data, marked stale so it is refetched on next use
+        const saved = persister && persister.shouldFallBack(error) ? await persister.read(key) : undefined;
+        if (!saved) throw error;
+        if (entries.get(key) === entry) {
+          entry.data = saved.data;
+          entry.hasData = true;
+          entry.updatedAt = Date.now() - entry.staleTime - 1;
+          notify(key, saved.data);
+        }
+        return saved.data;
+      })
+      .finally(() => {
+        if (entry.run === run) entry.run = null;
+      });
+  }
+
+  const { run } = entry;
+  if (!signal) {
+    run.keepAlive = true; // Someone waits without a way to cancel: never abort this request
+    return run.promise;
+  }
+
+  run.waiters += 1;
+  const onAbort = () => {
+    run.waiters -= 1;
+    if (run.waiters === 0 && !run.keepAlive) run.controller.abort(); // Nobody is waiting for the result anymore
+  };
+  const stopListening = () => signal.removeEventListener('abort', onAbort);
+  signal.addEventListener('abort', onAbort, { once: true });
+  run.promise.then(stopListening, stopListening);
+  return abortable(run.promise, signal);
+};
+
+/**
+ * Fetch a query through the cache.
+ * Fresh data resolves immediately; stale data resolves immediately and triggers a background revalidation
+ * whose result reaches subscribers; missing or expired data is fetched (once, even for concurrent callers).
+ *
+ * @param {string} key - Unique key describing the query (e.g. 'books:all', 'book:<id>').
+ * @param {Function} queryFn - Receives `{ signal }` and returns a promise for the data.
+ * @param {Object} [options]
+ * @param {string[]} [options.tags=[]] - Tags used for invalidation.
+ * @param {number} [options.staleTime] - How long the data stays fresh, in ms.
+ * @param {number} [options.cacheTime] - How long the data stays usable, and how long it is kept once unused, in ms.
+ * @param {AbortSignal} [options.signal] - Cancels this caller's wait (e.g. a superseded search, an unmounted component).
+ * @returns {Promise<*>} - The cached or fetched data. Rejects with an abort error (see utils/abort.js) when cancelled.
+ */
+export const fetchQuery = (key, queryFn, {
+  tags = [],
+  staleTime = DEFAULT_STALE_TIME,
+  cacheTime = DEFAULT_CACHE_TIME,
+  signal,
+} = {}) => {
+  if (signal && signal.aborted) return Promise.reject(createAbortError());
+
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = { data: undefined, hasData: false, updatedAt: 0, run: null };
+    entries.set(key, entry);
+  }
+  Object.assign(entry, { queryFn, tags: new Set(tags), staleTime, cacheTime }); // Latest options win
+  scheduleRemoval(key, entry);
+
+  if (!entry.hasData || isExpired(entry)) {
+    return runQuery(key, entry, signal); // Nothing usable cached: wait for the network
+  }
+  if (isStale(entry)) {
+    runQuery(key, entry).catch((error) => {
+      console.error(`Background revalidation of "${key}" failed:`, error); // Keep serving the stale data
+    });
+  }
+  return Promise.resolve(entry.data);
+};
+
+/**
+ * Read the cached data of a key without fetching.
+ * @param {string} key - The query key.
+ * @returns {*} - The data, or undefined if nothing usable is cached.
+ */
+export const getQueryData = (key) => {
+  const entry = entries.get(key);
+  return entry && entry.hasData && !isExpired(entry) ? entry.data : undefined;
+};
+
+/**
+ * Write data for a key (e.g. after a mutation) and notify its subscribers.
+ * @param {string} key - The query key.
+ * @param {*|Function} updater - The new data, or a function receiving the current data and returning the new data.
+ * @param {Object} [options]
+ * @param {string[]} [options.tags] - Tags for a key that is not cached yet.
+ */
+export const setQueryData = (key, updater, { tags = [] } = {}) => {
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = { hasData: false, run: null, tags: new Set(tags), staleTime: DEFAULT_STALE_TIME, cacheTime: DEFAULT_CACHE_TIME };
+    entries.set(key, entry);
+  }
+  const data = typeof updater === 'function' ? updater(entry.hasData ? entry.data : undefined) : updater;
+  if (data === undefined) return; // The updater had nothing to update
+  Object.assign(entry, { data, hasData: true, updatedAt: Date.now() });
+  scheduleRemoval(key, entry);
+  notify(key, data);
+  persist(key, data);
+};
+
+/**
+ * Apply an updater to every cached key matching a predicate (e.g. every book list containing a book).
+ * @param {Function} predicate - Receives `(key, entry)`; return true to update the entry.
+ * @param {Function} updater - Receives the current data and returns the new data.
+ */
+export const updateQueries = (predicate, updater) => {
+  entries.forEach((entry, key) => {
+    if (entry.hasData && predicate(key, entry)) setQueryData(key, updater);
+  });
+};
+
+/**
+ * Take a snapshot of the cached data of every key matching a predicate, so an optimistic update can be undone.
+ * @param {Function} predicate - Receives `(key, entry)`; return true to include the entry.
+ * @returns {Array<[string, *]>} - The snapshot, to be passed to `restoreQueries`.
+ */
+export const snapshotQueries = (predicate) => {
+  const snapshot = [];
+  entries.forEach((entry, key) => {
+    if (entry.hasData && predicate(key, entry)) snapshot.push([key, entry.data]);
+  });
+  return snapshot;
+};
+
+/**
+ * Put back the data captured by `snapshotQueries` and notify subscribers (e.g. to roll back a failed mutation).
+ * @param {Array<[string, *]>} snapshot - The snapshot to restore.
+ */
+export const restoreQueries = (snapshot) => {
+  snapshot.forEach(([key, data]) => setQueryData(key, () => data));
+};
+
+/**
+ * Invalidate queries by tag and/or key. Invalidated data is marked stale; queries that are currently
+ * displayed (have subscribers) are refetched right away, the others on their next use.
+ * @param {Object} criteria
+ * @param {string[]} [criteria.tags=[]] - Invalidate every query carrying one of these tags.
+ * @param {string[]} [criteria.keys=[]] - Invalidate these exact keys.
+ */
+export const invalidateQueries = ({ tags = [], keys = [] }) => {
+  entries.forEach((entry, key) => {
+    const matches = keys.includes(key) || tags.some((tag) => entry.tags && entry.tags.has(tag));
+    if (!matches) return;
+    entry.updatedAt = Math.min(entry.updatedAt || 0, Date.now() - entry.staleTime - 1); // Mark as stale
+    const keyListeners = listeners.get(key);
+    if (entry.queryFn && keyListeners && keyListeners.size > 0) {
+      runQuery(key, entry).catch((error) => {
+        console.error(`Refetch of invalidated query "${key}" failed:`, error);
+      });
+    }
+  });
+};
+
+/**
+ * Subscribe to data changes of a key (background revalidations, refetches, `setQueryData`).
+ * A subscribed key is never removed from the cache; once its last subscriber leaves, it is removed after `cacheTime`.
+ * @param {string} key - The query key.
+ * @param {Function} listener - Receives the new data.
+ * @returns {Function} - Unsubscribe function.
+ */
+export const subscribeQuery = (key, listener) => {
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(listener);
+  const entry = entries.get(key);
+  if (entry) clearTimeout(entry.removalTimer);
+  return () => {
+    const keyListeners = listeners.get(key);
+    keyListeners.delete(listener);
+    if (keyListeners.size > 0) return;
+    listeners.delete(key);
+    if (entries.has(key)) scheduleRemoval(key, entries.get(key));
+  };
+};
+
+/**
+ * Subscribe to data changes of every key (e.g. to mirror the cache in the Redux store).
+ * @param {Function} listener - Receives `(key, data)`.
+ * @returns {Function} - Unsubscribe function.
+ */
+export const subscribeAllQueries = (listener) => {
+  globalListeners.add(listener);
+  return () => globalListeners.delete(listener);
+};
+
+/**
+ * Drop every cached query (e.g. on logout, so the next user never sees the previous user's data).
+ */
+export const clearQueries = () => {
+  entries.forEach((entry) => {
+    if (entry.run) entry.run.controller.abort(); // Their results would be ignored anyway
+    clearTimeout(entry.removalTimer);
+  });
+  entries.clear();
+  if (persister) {
+    Promise.resolve(persister.clear()).catch((error) => {
+      console.error('Clearing persisted queries failed:', error);
+    });
+  }
+};
+
+/**
+ * Plug in persistent storage for the cache (e.g. IndexedDB, see OfflineContext).
+ * @param {Object|null} nextPersister
+ * @param {Function} nextPersister.read - `(key)` => promise for `{ data }` or undefined.
+ * @param {Function} nextPersister.write - `(key, data)` => promise.
+ * @param {Function} nextPersister.clear - `()` => promise.
+ * @param {Function} nextPersister.shouldFallBack - `(error)` => whether a failed query may use saved data.
+ */
+export const setQueryPersister = (nextPersister) => {
+  persister = nextPersister;
+};
+
+export const queryCache = {
+  fetchQuery,
+  getQueryData,
+  setQueryData,
+  updateQueries,
+  snapshotQueries,
+  restoreQueries,
+  invalidateQueries,
+  subscribeQuery,
+  subscribeAllQueries,
+  clearQueries,
+  setQueryPersister,
+};
@@ -0,0 +1,129 @@
+import { queryCache } from './queryCache';
+
+// Let pending promise callbacks (background revalidations, refetches) run
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('queryCache', () => {
+  let now;
+
+  beforeEach(() => {
+    queryCache.clearQueries();
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('dedupes concurrent requests for the same key', async () => {
+    const queryFn = jest.fn().mockResolvedValue(['book']);
+    const [first, second] = await Promise.all([
+      queryCache.fetchQuery('books:all', queryFn),
+      queryCache.fetchQuery('books:all', queryFn),
+    ]);
+    expect(first).toEqual(['book']);
+    expect(second).toBe(first);
+    expect(queryFn).toHaveBeenCalledTimes(1);
+  });
+
+  test('serves stale data immediately and revalidates it in the background', async () => {
+    const queryFn = jest.fn().mockResolvedValueOnce('old').mockResolvedValueOnce('new');
+    const listener = jest.fn();
+    queryCache.subscribeQuery('book:1', listener);
+
+    await queryCache.fetchQuery('book:1', queryFn, { staleTime: 1000 });
+    await expect(queryCache.fetchQuery('book:1', queryFn, { staleTime: 1000 })).resolves.toBe('old');
+    expect(queryFn).toHaveBeenCalledTimes(1); // Still fresh
+
+    now += 1001;
+    await expect(queryCache.fetchQuery('book:1', queryFn, { staleTime: 1000 })).resolves.toBe('old');
+    await flushPromises();
+    expect(queryFn).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith('new');
+  });
+
+  test('refetches subscribed queries when one of their tags is invalidated', async () => {
+    const shelfBooks = jest.fn().mockResolvedValueOnce([]).mockResolvedValueOnce(['book-4']);
+    const listener = jest.fn();
+    await queryCache.fetchQuery('books:shelf:shelf-1', shelfBooks, { tags: ['shelfBooks:shelf-1'] });
+    queryCache.subscribeQuery('books:shelf:shelf-1', listener);
+
+    queryCache.invalidateQueries({ tags: ['shelfBooks:shelf-2'] });
+    expect(shelfBooks).toHaveBeenCalledTimes(1); // Unrelated tag
+
+    queryCache.invalidateQueries({ tags: ['shelfBooks:shelf-1'] });
+    await flushPromises();
+    expect(shelfBooks).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenCalledWith(['book-4']);
+  });
+
+  test('restores snapshots taken before an optimistic update', () => {
+    const listener = jest.fn();
+    queryCache.setQueryData('shelves:user-1', [{ _id: 'shelf-1' }, { _id: 'shelf-2' }]);
+    queryCache.setQueryData('book:1', { id: '1' });
+    queryCache.subscribeQuery('shelves:user-1', listener);
+
+    const snapshot = queryCache.snapshotQueries((key) => key.startsWith('shelves:'));
+    queryCache.setQueryData('shelves:user-1', (shelves) => shelves.filter((shelf) => shelf._id !== 'shelf-1'));
+    queryCache.restoreQueries(snapshot);
+
+    expect(queryCache.getQueryData('shelves:user-1')).toEqual([{ _id: 'shelf-1' }, { _id: 'shelf-2' }]);
+    expect(listener).toHaveBeenLastCalledWith([{ _id: 'shelf-1' }, { _id: 'shelf-2' }]);
+    expect(snapshot).toHaveLength(1); // Only the matching keys are captured
+  });
+
+  test('drops expired entries and everything on clear', async () => {
+    await queryCache.fetchQuery('shelves:user-1', () => Promise.resolve(['shelf']), { cacheTime: 1000 });
+    expect(queryCache.getQueryData('shelves:user-1')).toEqual(['shelf']);
+
+    now += 1001;
+    expect(queryCache.getQueryData('shelves:user-1')).toBeUndefined();
+
+    queryCache.setQueryData('book:1', { id: '1' });
+    queryCache.clearQueries();
+    expect(queryCache.getQueryData('book:1')).toBeUndefined();
+  });
+
+  test('removes unused entries after their cache time, and subscribed ones once unsubscribed', async () => {
+    jest.useFakeTimers();
+    const isCached = (key) => queryCache.snapshotQueries((cachedKey) => cachedKey === key).length > 0;
+    await queryCache.fetchQuery('books:all', () => Promise.resolve(['book']), { cacheTime: 1000 });
+    await queryCache.fetchQuery('book:2', () => Promise.resolve({ id: '2' }), { cacheTime: 1000 });
+    const unsubscribe = queryCache.subscribeQuery('book:2', () => {});
+
+    jest.advanceTimersByTime(1001);
+    expect(isCached('books:all')).toBe(false);
+    expect(isCached('book:2')).toBe(true); // Displayed
+
+    unsubscribe();
+    jest.advanceTimersByTime(999);
+    expect(isCached('book:2')).toBe(true);
+    jest.advanceTimersByTime(1);
+    expect(isCached('book:2')).toBe(false);
+  });
+
+  test('cancels a shared request only once every caller has aborted', async () => {
+    let requestSignal;
+    const queryFn = jest.fn(({ signal }) => {
+      requestSignal = signal;
+      return new Promise(() => {}); // Never settles on its own
+    });
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const firstResult = queryCache.fetchQuery('books:search:dune', queryFn, { signal: first.signal });
+    const secondResult = queryCache.fetchQuery('books:search:dune', queryFn, { signal: second.signal });
+    await flushPromises();
+
+    first.abort();
+    await expect(firstResult).rejects.toMatchObject({ name: 'AbortError' });
+    expect(requestSignal.aborted).toBe(false); // The second caller still waits for it
+
+    second.abort();
+    await expect(secondResult).rejects.toMatchObject({ name: 'AbortError' });
+    expect(requestSignal.aborted).toBe(true);
+    expect(queryFn).toHaveBeenCalledTimes(1);
+  });
+});
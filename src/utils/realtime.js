@@ -0,0 +1,271 @@
+/**
+ * realtime.js
+ *
+ * Live updates from the server: changes made on another device (a shared household account, a second browser)
+ * arrive as events and are applied to the cached books and shelves without a refetch (see store/bookActions.js
+ * and store/shelfActions.js).
+ *
+ * The server stream is Server-Sent Events, or a WebSocket when `REACT_APP_REALTIME_URL` is a ws(s):// URL; the
+ * mock backend provides its own stream (see mocks/mockEventServer.js). Events are `{ id, type, data }`, with
+ * server documents (`_id`) in `data`. Dropped connections are reopened with jittered exponential backoff and
+ * resume after the last received event, so nothing is missed; when the server can no longer replay what was
+ * missed it sends `stream.resync` and the store refetches instead.
+ */
+
+import { getToken } from './tokenHandler'; // The stream authenticates with the current access token
+import { getRetryDelay } from './retry'; // Same backoff as retried requests
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api'; // API base URL (see fetcher.js)
+const REALTIME_URL = process.env.REACT_APP_REALTIME_URL || `${API_URL}/events`; // Event stream endpoint
+const USE_MOCK_API = process.env.REACT_APP_USE_MOCK_API === 'true'; // Use the mock backend's stream
+
+export const REALTIME_EVENTS = {
+  BOOK_CREATED: 'book.created', // { book }
+  BOOK_UPDATED: 'book.updated', // { book }
+  BOOK_DELETED: 'book.deleted', // { bookId }
+  REVIEW_CREATED: 'review.created', // { bookId, review, book }
+  SHELF_CREATED: 'shelf.created', // { shelf }
+  SHELF_UPDATED: 'shelf.updated', // { shelf }
+  SHELF_DELETED: 'shelf.deleted', // { shelfId }
+  SHELF_BOOK_ADDED: 'shelf.bookAdded', // { shelfId, bookId, shelf }
+  SHELF_BOOK_REMOVED: 'shelf.bookRemoved', // { shelfId, bookId, shelf }
+  RESYNC: 'stream.resync', // Events were missed and cannot be replayed: refetch everything
+};
+
+export const REALTIME_STATUS = {
+  IDLE: 'idle', // Not started (logged out)
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting', // Waiting to reopen a dropped connection
+};
+
+/**
+ * Build the URL of the stream, with the token (EventSource cannot send headers) and the resume point.
+ * @param {string} url - Stream endpoint.
+ * @param {Object} params - `{ token, lastEventId }`.
+ * @returns {string}
+ */
+const buildStreamUrl = (url, { token, lastEventId }) => {
+  const query = new URLSearchParams();
+  if (token) query.set('token', token);
+  if (lastEventId !== null && lastEventId !== undefined) query.set('lastEventId', lastEventId);
+  const search = query.toString();
+  return search ? `${url}${url.includes('?') ? '&' : '?'}${search}` : url;
+};
+
+/**
+ * Parse the payload of a stream message: `{ type, data }` (the SSE `id` is carried by the message itself) or,
+ * over a WebSocket, `{ id, type, data }`.
+ * @param {string} text - The raw message.
+ * @param {string} [id] - The SSE event ID.
+ * @returns {Object|null} - `{ id, type, data }`, or null for malformed messages.
+ */
+const parseMessage = (text, id) => {
+  try {
+    const message = JSON.parse(text);
+    if (!message || typeof message.type !== 'string') return null;
+    return { id: message.id !== undefined ? String(message.id) : id || null, type: message.type, data: message.data || {} };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Transport over Server-Sent Events. The client handles reconnection itself (to resume with its own backoff),
+ * so the EventSource is closed on the first error instead of letting the browser retry.
+ * @param {string} url - Stream endpoint.
+ * @returns {Function} - The transport: `({ token, lastEventId, onOpen, onEvent, onError }) => { close }`.
+ */
+export const createEventSourceTransport = (url) => ({ token, lastEventId, onOpen, onEvent, onError }) => {
+  const source = new EventSource(buildStreamUrl(url, { token, lastEventId }));
+  source.onopen = () => onOpen();
+  source.onmessage = (message) => {
+    const event = parseMessage(message.data, message.lastEventId);
+    if (event) onEvent(event);
+  };
+  source.onerror = (error) => {
+    source.close();
+    onError(error);
+  };
+  return { close: () => source.close() };
+};
+
+/**
+ * Transport over a WebSocket.
+ * @param {string} url - Stream endpoint (ws:// or wss://).
+ * @returns {Function} - The transport: `({ token, lastEventId, onOpen, onEvent, onError }) => { close }`.
+ */
+export const createWebSocketTransport = (url) => ({ token, lastEventId, onOpen, onEvent, onError }) => {
+  const socket = new WebSocket(buildStreamUrl(url, { token, lastEventId }));
+  let closedByClient = false;
+  socket.onopen = () => onOpen();
+  socket.onmessage = (message) => {
+    const event = parseMessage(message.data);
+    if (event) onEvent(event);
+  };
+  socket.onclose = (closeEvent) => {
+    if (!closedByClient) onError(closeEvent); // Errors are always followed by a close
+  };
+  return {
+    close: () => {
+      closedByClient = true;
+      socket.close();
+    },
+  };
+};
+
+/**
+ * The transport of this environment: the mock backend's stream, a WebSocket or Server-Sent Events.
+ * @returns {Function|null} - The transport, or null when the browser supports neither.
+ */
+const createDefaultTransport = () => {
+  if (USE_MOCK_API) {
+    // Required lazily, like in fetcher.js, so the mock backend stays out of builds that do not use it
+    return require('../mocks/mockServer').mockServer.connectEvents;
+  }
+  if (/^wss?:\/\//.test(REALTIME_URL)) {
+    return typeof WebSocket !== 'undefined' ? createWebSocketTransport(REALTIME_URL) : null;
+  }
+  return typeof EventSource !== 'undefined' ? createEventSourceTransport(REALTIME_URL) : null;
+};
+
+/**
+ * Create a client of the event stream.
+ * @param {Object} [options]
+ * @param {Function} [options.transport] - Opens a connection (see `createEventSourceTransport`); defaults to the
+ *   transport of this environment.
+ * @param {Function} [options.readToken=getToken] - Returns the access token to connect with.
+ * @returns {Object} - `{ start, stop, subscribe, getStatus, subscribeStatus }`.
+ */
+export const createRealtimeClient = ({ transport, readToken = getToken } = {}) => {
+  const listeners = new Set(); // Event listeners
+  const statusListeners = new Set(); // Status listeners
+  let status = REALTIME_STATUS.IDLE;
+  let started = false;
+  let connection = null; // The open connection, if any
+  let lastEventId = null; // Resume point
+  let attempt = 0; // Failed connections in a row, for the backoff
+  let reconnectTimer = null;
+
+  const setStatus = (nextStatus) => {
+    if (status === nextStatus) return;
+    status = nextStatus;
+    statusListeners.forEach((listener) => listener(status));
+  };
+
+  const dispatch = (event) => {
+    if (event.id !== null && event.id !== undefined) lastEventId = event.id;
+    listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Applying the realtime event "${event.type}" failed:`, error);
+      }
+    });
+  };
+
+  const scheduleReconnect = () => {
+    const delay = getRetryDelay(attempt, null); // No `Retry-After`: plain jittered backoff
+    attempt += 1;
+    setStatus(REALTIME_STATUS.RECONNECTING);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      open();
+    }, delay);
+  };
+
+  const open = () => {
+    const connect = transport || createDefaultTransport();
+    if (!connect) {
+      console.warn('Live updates are not available in this browser.');
+      return;
+    }
+    setStatus(attempt > 0 ? REALTIME_STATUS.RECONNECTING : REALTIME_STATUS.CONNECTING);
+
+    const current = {}; // Callbacks of a connection that was closed or replaced are ignored
+    const isCurrent = () => started && connection === current;
+    connection = current;
+    current.handle = connect({
+      token: readToken(),
+      lastEventId,
+      onOpen: () => {
+        if (!isCurrent()) return;
+        attempt = 0;
+        setStatus(REALTIME_STATUS.OPEN);
+      },
+      onEvent: (event) => {
+        if (isCurrent()) dispatch(event);
+      },
+      onError: () => {
+        if (!isCurrent()) return;
+        if (current.handle) current.handle.close();
+        connection = null;
+        scheduleReconnect();
+      },
+    });
+  };
+
+  // Reconnect right away when the browser comes back online instead of waiting for the backoff
+  const onOnline = () => {
+    if (!started || !reconnectTimer) return;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    open();
+  };
+
+  return {
+    /**
+     * Connect, if not connected yet (e.g. once the user is logged in).
+     */
+    start: () => {
+      if (started) return;
+      started = true;
+      attempt = 0;
+      if (typeof window !== 'undefined') window.addEventListener('online', onOnline);
+      open();
+    },
+
+    /**
+     * Disconnect and forget the resume point (e.g. on logout, so the next user starts fresh).
+     */
+    stop: () => {
+      if (!started) return;
+      started = false;
+      if (typeof window !== 'undefined') window.removeEventListener('online', onOnline);
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      if (connection && connection.handle) connection.handle.close();
+      connection = null;
+      lastEventId = null;
+      setStatus(REALTIME_STATUS.IDLE);
+    },
+
+    /**
+     * Receive the events of the stream.
+     * @param {Function} listener - Receives `{ id, type, data }`.
+     * @returns {Function} - Unsubscribe function.
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * @returns {string} - One of `REALTIME_STATUS`.
+     */
+    getStatus: () => status,
+
+    /**
+     * Receive status changes.
+     * @param {Function} listener - Receives the new status.
+     * @returns {Function} - Unsubscribe function.
+     */
+    subscribeStatus: (listener) => {
+      statusListeners.add(listener);
+      return () => statusListeners.delete(listener);
+    },
+  };
+};
+
+// The app's connection to the server's event stream
+export const realtime = createRealtimeClient();
@@ -0,0 +1,97 @@
+import { createRealtimeClient, REALTIME_EVENTS, REALTIME_STATUS } from './realtime';
+import { mockServer } from '../mocks/mockServer';
+
+// Send a request straight to the mock adapter, the way Axios would
+const request = (method, url, { data, token } = {}) =>
+  mockServer.adapter({
+    method,
+    url,
+    baseURL: 'http://localhost:5000/api',
+    data: data === undefined ? undefined : JSON.stringify(data),
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+
+// Let the mock event server deliver what it queued (it answers on later ticks, like a network)
+const flush = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+describe('realtime', () => {
+  let token;
+  let client;
+
+  beforeEach(async () => {
+    mockServer.reset();
+    jest.spyOn(Math, 'random').mockReturnValue(0); // Reconnect without backoff delay
+    const response = await request('post', '/auth/login', {
+      data: { email: 'reader@shelflife.test', password: 'password123' },
+    });
+    token = response.data.token;
+    client = createRealtimeClient({ transport: mockServer.connectEvents, readToken: () => token });
+  });
+
+  afterEach(() => {
+    client.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('receives the changes made by another device', async () => {
+    const events = [];
+    client.subscribe((event) => events.push(event));
+    client.start();
+    await flush();
+    expect(client.getStatus()).toBe(REALTIME_STATUS.OPEN);
+
+    const { data: books } = await request('get', '/books', { token });
+    await request('post', `/books/${books[0]._id}/review`, { token, data: { rating: 5, comment: 'Loved it' } });
+    const { data: shelf } = await request('post', '/shelves', { token, data: { name: 'Holiday' } });
+    await request('post', `/shelves/${shelf._id}/books`, { token, data: { bookId: books[0]._id } });
+    await flush();
+
+    expect(events.map((event) => event.type)).toEqual([
+      REALTIME_EVENTS.REVIEW_CREATED,
+      REALTIME_EVENTS.SHELF_CREATED,
+      REALTIME_EVENTS.SHELF_BOOK_ADDED,
+    ]);
+    expect(events[0].data.review).toMatchObject({ rating: 5, comment: 'Loved it' });
+    expect(events[2].data).toMatchObject({ shelfId: shelf._id, bookId: books[0]._id });
+  });
+
+  test('reconnects after a dropped connection and resumes after the last received event', async () => {
+    const events = [];
+    client.subscribe((event) => events.push(event));
+    client.start();
+    await flush();
+
+    const { data: books } = await request('get', '/books', { token });
+    await request('put', `/books/${books[0]._id}`, { token, data: { title: 'First edit' } });
+    await flush();
+
+    mockServer.events.dropConnections();
+    expect(client.getStatus()).toBe(REALTIME_STATUS.RECONNECTING);
+    await request('put', `/books/${books[0]._id}`, { token, data: { title: 'Edited while offline' } });
+    await flush();
+    await flush(); // Reconnect, then replay
+
+    expect(client.getStatus()).toBe(REALTIME_STATUS.OPEN);
+    expect(events.map((event) => event.data.book.title)).toEqual(['First edit', 'Edited while offline']); // No gaps, no duplicates
+  });
+
+  test('asks for a resync when the missed events cannot be replayed', async () => {
+    const events = [];
+    client.subscribe((event) => events.push(event));
+    client.start();
+    await flush();
+
+    const { data: books } = await request('get', '/books', { token });
+    await request('put', `/books/${books[0]._id}`, { token, data: { title: 'Edited' } });
+    await flush();
+
+    mockServer.reset(); // Server restart: the event log is gone
+    token = (await request('post', '/auth/login', {
+      data: { email: 'reader@shelflife.test', password: 'password123' },
+    })).data.token;
+    await flush();
+    await flush();
+
+    expect(events.map((event) => event.type)).toEqual([REALTIME_EVENTS.BOOK_UPDATED, REALTIME_EVENTS.RESYNC]);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * retry.js
+ *
+ * Retries for idempotent requests (see `fetcher`): network errors, 5xx and 429 responses are retried with jittered
+ * exponential backoff, and a `Retry-After` header from the server takes precedence over the computed delay.
+ */
+
+import { createAbortError } from './abort'; // Waiting between attempts stops when the request is cancelled
+
+export const MAX_RETRIES = 3; // Attempts after the first one
+const BASE_DELAY = 500; // Upper bound of the first backoff, in ms (then 1 s, 2 s, ...)
+const MAX_DELAY = 10 * 1000; // Upper bound of any computed backoff, in ms
+const MAX_RETRY_AFTER = 30 * 1000; // Waiting longer than this for `Retry-After` is worse than failing now
+
+/**
+ * Whether a failed request may succeed if sent again: no response at all, a server error or rate limiting.
+ * @param {Error} error - An Axios error.
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => {
+  if (!error || error.__CANCEL__) return false; // Cancelled by the caller
+  if (!error.response) return Boolean(error.request); // Network error (a setup error has no request)
+  const { status } = error.response;
+  return status >= 500 || status === 429;
+};
+
+/**
+ * Read a `Retry-After` header, given either in seconds or as an HTTP date.
+ * @param {Object} [headers] - Response headers (Axios lower-cases their names).
+ * @param {number} [now=Date.now()] - The current time, in ms.
+ * @returns {number|null} - The delay in ms, or null when the header is missing or invalid.
+ */
+export const parseRetryAfter = (headers, now = Date.now()) => {
+  const value = headers && (headers['retry-after'] || headers['Retry-After']);
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Delay before the next attempt: the server's `Retry-After` if it sent one, otherwise a "full jitter" exponential
+ * backoff (a random delay between 0 and `BASE_DELAY * 2^attempt`), which keeps many clients from retrying in sync.
+ * @param {number} attempt - The number of the failed attempt (0 for the first one).
+ * @param {Error} error - The error of the failed attempt.
+ * @returns {number|null} - The delay in ms, or null when waiting as long as the server asks is not worth it.
+ */
+export const getRetryDelay = (attempt, error) => {
+  const retryAfter = parseRetryAfter(error && error.response && error.response.headers);
+  if (retryAfter !== null) return retryAfter <= MAX_RETRY_AFTER ? retryAfter : null;
+  return Math.random() * Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt);
+};
+
+/**
+ * Wait for a delay, or reject as soon as the signal aborts.
+ * @param {number} delay - In ms.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+const wait = (delay, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, delay);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Run a request, retrying it while it fails with a retryable error.
+ * @param {Function} request - `(attempt) => promise`; called once per attempt.
+ * @param {Object} [options]
+ * @param {number} [options.retries=MAX_RETRIES] - Retries after the first attempt.
+ * @param {AbortSignal} [options.signal] - Stops retrying when aborted.
+ * @param {Function} [options.onRetry] - Called with `(error, attempt, delay)` before each wait.
+ * @returns {Promise<*>} - The result of the first successful attempt.
+ * @throws {Error} - The last error, once it is not retryable or the retries are used up.
+ */
+export const withRetry = async (request, { retries = MAX_RETRIES, signal, onRetry } = {}) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await request(attempt);
+    } catch (error) {
+      const delay = attempt < retries && isRetryableError(error) ? getRetryDelay(attempt, error) : null;
+      if (delay === null || (signal && signal.aborted)) throw error;
+      if (onRetry) onRetry(error, attempt, delay);
+      await wait(delay, signal);
+    }
+  }
+};
@@ -0,0 +1,46 @@
+import { withRetry, getRetryDelay, parseRetryAfter, isRetryableError } from './retry';
+
+// Axios-like errors
+const httpError = (status, headers = {}) => Object.assign(new Error(`Status ${status}`), { request: {}, response: { status, headers } });
+const networkError = () => Object.assign(new Error('Network Error'), { request: {} });
+
+describe('retry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('retries network errors, 5xx and 429 but not other client errors', () => {
+    expect(isRetryableError(networkError())).toBe(true);
+    expect(isRetryableError(httpError(503))).toBe(true);
+    expect(isRetryableError(httpError(429))).toBe(true);
+    expect(isRetryableError(httpError(404))).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('canceled'), { __CANCEL__: true, request: {} }))).toBe(false);
+  });
+
+  test('backs off exponentially with jitter and honours Retry-After', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    expect(getRetryDelay(0, networkError())).toBe(500);
+    expect(getRetryDelay(2, networkError())).toBe(2000);
+    expect(getRetryDelay(10, networkError())).toBe(10000); // Capped
+
+    expect(getRetryDelay(0, httpError(429, { 'retry-after': '3' }))).toBe(3000);
+    expect(parseRetryAfter({ 'retry-after': 'Thu, 01 Jan 1970 00:00:05 GMT' }, 1000)).toBe(4000);
+    expect(getRetryDelay(0, httpError(503, { 'retry-after': '3600' }))).toBeNull(); // Not worth waiting an hour
+  });
+
+  test('keeps trying until a request succeeds or the retries are used up', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0); // No waiting between attempts
+
+    const flaky = jest.fn()
+      .mockRejectedValueOnce(httpError(502))
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValueOnce('shelves');
+    const onRetry = jest.fn();
+    await expect(withRetry(flaky, { onRetry })).resolves.toBe('shelves');
+    expect(onRetry).toHaveBeenCalledTimes(2);
+
+    const down = jest.fn().mockRejectedValue(httpError(500));
+    await expect(withRetry(down, { retries: 2 })).rejects.toThrow('Status 500');
+    expect(down).toHaveBeenCalledTimes(3);
+  });
+});
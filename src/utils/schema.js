@@ -0,0 +1,112 @@
+/**
+ * schema.js
+ *
+ * A minimal runtime schema checker for API responses (see api/schemas.js for the contracts).
+ * Schemas are plain functions built with the helpers below; `validateSchema` collects every mismatch with its
+ * path (e.g. `books[2].title: expected a string, received undefined`) instead of stopping at the first one.
+ */
+
+/**
+ * Describe a value for error messages.
+ * @param {*} value
+ * @returns {string}
+ */
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'string') return value.length > 40 ? 'a string' : `"${value}"`;
+  if (typeof value === 'object') return 'an object';
+  return typeof value === 'undefined' ? 'undefined' : `${typeof value} ${String(value)}`;
+};
+
+// Join a parent path and a key: `books` + 2 -> `books[2]`, `user` + `id` -> `user.id`
+const joinPath = (path, key) => {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+};
+
+/**
+ * Build a schema from a type check.
+ * A schema is `(value, path) => issues[]`.
+ * @param {string} expected - What the value should be, for error messages.
+ * @param {Function} check - `(value) => boolean`.
+ * @returns {Function} - The schema.
+ */
+const primitive = (expected, check) => (value, path) => (
+  check(value) ? [] : [`${path || 'response'}: expected ${expected}, received ${describe(value)}`]
+);
+
+export const string = () => primitive('a string', (value) => typeof value === 'string');
+export const number = () => primitive('a number', (value) => typeof value === 'number' && !Number.isNaN(value));
+export const boolean = () => primitive('a boolean', (value) => typeof value === 'boolean');
+export const any = () => () => [];
+
+// Mongo-style IDs arrive as strings, or as numbers from some backends
+export const id = () => primitive('an ID', (value) => typeof value === 'string' || typeof value === 'number');
+
+/**
+ * Allow `undefined` (a missing field) or `null` in addition to the schema.
+ * @param {Function} schema
+ * @returns {Function}
+ */
+export const optional = (schema) => (value, path) => (value === undefined || value === null ? [] : schema(value, path));
+
+/**
+ * An array whose items all match a schema.
+ * @param {Function} itemSchema
+ * @returns {Function}
+ */
+export const arrayOf = (itemSchema) => (value, path) => {
+  if (!Array.isArray(value)) return [`${path || 'response'}: expected an array, received ${describe(value)}`];
+  return value.flatMap((item, index) => itemSchema(item, joinPath(path, index)));
+};
+
+/**
+ * An object with the given fields. Fields not listed in the shape are allowed (the backend may add more).
+ * @param {Object} shape - Field name -> schema.
+ * @returns {Function}
+ */
+export const object = (shape) => (value, path) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [`${path || 'response'}: expected an object, received ${describe(value)}`];
+  }
+  return Object.keys(shape).flatMap((key) => shape[key](value[key], joinPath(path, key)));
+};
+
+/**
+ * A value matching at least one of several schemas (e.g. a populated book or a book ID).
+ * @param {...Function} schemas
+ * @returns {Function}
+ */
+export const oneOf = (...schemas) => (value, path) => {
+  const attempts = schemas.map((schema) => schema(value, path));
+  if (attempts.some((issues) => issues.length === 0)) return [];
+  return attempts.reduce((best, issues) => (issues.length < best.length ? issues : best)); // The closest match
+};
+
+/**
+ * Check a value against a schema.
+ * @param {Function} schema
+ * @param {*} value
+ * @returns {string[]} - Every mismatch, empty when the value is valid.
+ */
+export const validateSchema = (schema, value) => schema(value, '');
+
+/**
+ * Check a value against a schema and throw a readable error when it does not match.
+ * @param {Function} schema
+ * @param {*} value
+ * @param {string} label - What was checked, e.g. `POST /auth/signup`.
+ * @throws {Error} - With `isSchemaError = true` and the list of `issues`.
+ */
+export const assertSchema = (schema, value, label) => {
+  const issues = validateSchema(schema, value);
+  if (issues.length === 0) return;
+
+  const shown = issues.slice(0, 5); // Enough to spot the drift without flooding the console
+  const more = issues.length > shown.length ? `\n  … and ${issues.length - shown.length} more` : '';
+  const error = new Error(`Unexpected response from ${label}:\n  ${shown.join('\n  ')}${more}`);
+  error.isSchemaError = true;
+  error.issues = issues;
+  throw error;
+};
@@ -0,0 +1,63 @@
+/**
+ * selection.js
+ *
+ * Multi-select of list items by ID (the selection mode of BookList and ShelfBooksList, see hooks/useSelection.js):
+ * click to toggle one item, shift-click to select a range, "select all" for the items on the page.
+ * The selection is a plain array of IDs kept in selection order; it may hold items of other pages.
+ */
+
+/**
+ * Add IDs to a selection, skipping the ones already selected.
+ * @param {string[]} selectedIds - The current selection.
+ * @param {string[]} ids - The IDs to add.
+ * @returns {string[]} - The new selection.
+ */
+export const addToSelection = (selectedIds, ids) => {
+  const added = ids.filter((id, index) => !selectedIds.includes(id) && ids.indexOf(id) === index);
+  return added.length > 0 ? [...selectedIds, ...added] : selectedIds;
+};
+
+/**
+ * Remove IDs from a selection.
+ * @param {string[]} selectedIds - The current selection.
+ * @param {string[]} ids - The IDs to remove.
+ * @returns {string[]} - The new selection.
+ */
+export const removeFromSelection = (selectedIds, ids) => {
+  const remaining = selectedIds.filter((id) => !ids.includes(id));
+  return remaining.length === selectedIds.length ? selectedIds : remaining;
+};
+
+/**
+ * Click on an item: toggle it, or, with `range`, apply the anchor's state to every item between the anchor
+ * (the item clicked before) and this one, like file managers do with shift-click.
+ * @param {string[]} selectedIds - The current selection.
+ * @param {string[]} orderedIds - The IDs of the displayed items, in display order.
+ * @param {string} id - The clicked item.
+ * @param {Object} [options]
+ * @param {string} [options.anchorId] - The item clicked before.
+ * @param {boolean} [options.range=false] - Select a range (shift-click).
+ * @returns {string[]} - The new selection.
+ */
+export const toggleSelection = (selectedIds, orderedIds, id, { anchorId, range = false } = {}) => {
+  const anchorIndex = range && anchorId ? orderedIds.indexOf(anchorId) : -1;
+  const index = orderedIds.indexOf(id);
+
+  if (anchorIndex === -1 || index === -1) {
+    // A plain click, or a shift-click without an anchor on this page
+    return selectedIds.includes(id) ? removeFromSelection(selectedIds, [id]) : addToSelection(selectedIds, [id]);
+  }
+
+  const rangeIds = orderedIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
+  return selectedIds.includes(anchorId)
+    ? addToSelection(selectedIds, rangeIds)
+    : removeFromSelection(selectedIds, rangeIds);
+};
+
+/**
+ * Whether every one of the IDs is selected (e.g. to check "select all on page").
+ * @param {string[]} selectedIds - The current selection.
+ * @param {string[]} ids - The IDs.
+ * @returns {boolean} - False for an empty list.
+ */
+export const isEverySelected = (selectedIds, ids) => ids.length > 0 && ids.every((id) => selectedIds.includes(id));
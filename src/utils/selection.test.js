@@ -0,0 +1,36 @@
+import { toggleSelection, addToSelection, removeFromSelection, isEverySelected } from './selection';
+
+const page = ['a', 'b', 'c', 'd', 'e'];
+
+describe('selection', () => {
+  test('toggles single items and keeps items of other pages', () => {
+    const selected = toggleSelection(['z'], page, 'b');
+    expect(selected).toEqual(['z', 'b']);
+    expect(toggleSelection(selected, page, 'b')).toEqual(['z']);
+  });
+
+  test('applies the state of the anchor to a shift-clicked range, in either direction', () => {
+    expect(toggleSelection(['b'], page, 'd', { anchorId: 'b', range: true })).toEqual(['b', 'c', 'd']);
+    expect(toggleSelection(['d'], page, 'a', { anchorId: 'd', range: true })).toEqual(['d', 'a', 'b', 'c']);
+
+    // Deselecting the anchor and shift-clicking deselects the range
+    expect(toggleSelection(['a', 'b', 'e'], page, 'a', { anchorId: 'c', range: true })).toEqual(['e']);
+
+    // Without an anchor on the page, a shift-click is a plain click
+    expect(toggleSelection([], page, 'c', { anchorId: 'z', range: true })).toEqual(['c']);
+  });
+
+  test('selects and deselects all items of a page', () => {
+    const selected = addToSelection(['b', 'z'], page);
+    expect(selected).toEqual(['b', 'z', 'a', 'c', 'd', 'e']);
+    expect(isEverySelected(selected, page)).toBe(true);
+    expect(removeFromSelection(selected, page)).toEqual(['z']);
+    expect(isEverySelected([], [])).toBe(false);
+  });
+
+  test('returns the same selection when nothing changes', () => {
+    const selected = ['a'];
+    expect(addToSelection(selected, ['a'])).toBe(selected);
+    expect(removeFromSelection(selected, ['b'])).toBe(selected);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * series.js
+ *
+ * Series a book belongs to. A book names its series (`series`), its position in it (`seriesPosition`, which can be
+ * fractional for in-between entries such as a novella numbered 2.5, or 0 for a prequel) and, when known, how many
+ * books the series has (`seriesLength`). A series is identified by the slug of its name, so `/series/:seriesId`
+ * gathers every book naming it, whatever the spelling.
+ */
+
+import { toSlug } from './slug'; // IDs from names
+
+export const MAX_SERIES_NAME_LENGTH = 200;
+export const MAX_SERIES_LENGTH = 1000; // Longest series a book can announce
+
+/**
+ * The ID of a series, from its name ('The Wheel of Time' -> 'the-wheel-of-time').
+ * @param {string} name
+ * @returns {string} - The ID, or '' for an empty name. A name without letters or digits is kept whole, URL-encoded
+ *   ('???' -> '%3F%3F%3F').
+ */
+export const getSeriesId = toSlug;
+
+/**
+ * Whether a value is a position in a series: 0 or more, with at most two decimals (1, 2.5, 0).
+ * @param {number} value
+ * @returns {boolean}
+ */
+export const isValidSeriesPosition = (value) => (
+  typeof value === 'number' && Number.isFinite(value) && value >= 0 && Number(value.toFixed(2)) === value
+);
+
+const hasPosition = (book) => isValidSeriesPosition(book.seriesPosition);
+
+/**
+ * The number of books in a series: the length announced by its books, or else the highest whole position known.
+ * @param {Object[]} books - The books of the series.
+ * @returns {number}
+ */
+export const getSeriesLength = (books) => Math.max(
+  0,
+  ...books.map((book) => (Number.isInteger(book.seriesLength) ? book.seriesLength : 0)),
+  ...books.filter(hasPosition).map((book) => Math.floor(book.seriesPosition))
+);
+
+/**
+ * The entries of a series in reading order. Whole positions up to the length of the series that no book fills are
+ * missing entries (`book: null`); fractional entries are only listed when they are in the library. Books without a
+ * position come last.
+ * @param {Object[]} books - The books of the series.
+ * @returns {Object[]} - `[{ position, book }]`; `position` is undefined for unnumbered books.
+ */
+export const getSeriesEntries = (books) => {
+  const numbered = books
+    .filter(hasPosition)
+    .map((book) => ({ position: book.seriesPosition, book }));
+  const missing = [];
+  for (let position = 1; position <= getSeriesLength(books); position += 1) {
+    if (!numbered.some((entry) => entry.position === position)) missing.push({ position, book: null });
+  }
+  const unnumbered = books.filter((book) => !hasPosition(book)).map((book) => ({ position: undefined, book }));
+
+  return [...numbered, ...missing]
+    .sort((a, b) => a.position - b.position || (a.book ? 0 : 1) - (b.book ? 0 : 1))
+    .concat(unnumbered);
+};
+
+/**
+ * The books before and after a book in its series, skipping entries missing from the library.
+ * @param {Object[]} books - The books of the series.
+ * @param {string} bookId - The book.
+ * @returns {Object} - `{ previous, next }`: books, or null at either end (or for an unnumbered book).
+ */
+export const getSeriesNeighbours = (books, bookId) => {
+  const inLibrary = getSeriesEntries(books).filter((entry) => entry.book && entry.position !== undefined);
+  const index = inLibrary.findIndex((entry) => entry.book.id === bookId);
+  if (index === -1) return { previous: null, next: null };
+  return {
+    previous: index > 0 ? inLibrary[index - 1].book : null,
+    next: index < inLibrary.length - 1 ? inLibrary[index + 1].book : null,
+  };
+};
@@ -0,0 +1,47 @@
+import { getSeriesId, isValidSeriesPosition, getSeriesLength, getSeriesEntries, getSeriesNeighbours } from './series';
+
+const books = [
+  { id: 'c', title: 'Three', series: 'The Saga', seriesPosition: 3 },
+  { id: 'a', title: 'One', series: 'the saga', seriesPosition: 1, seriesLength: 5 },
+  { id: 'n', title: 'Novella', series: 'The Saga', seriesPosition: 2.5 },
+  { id: 'x', title: 'Companion', series: 'The Saga' },
+];
+
+describe('series', () => {
+  test('identifies series by name and validates positions', () => {
+    expect(getSeriesId('The Saga')).toBe(getSeriesId('the saga'));
+    expect([0, 1, 2.5, 10.25].every(isValidSeriesPosition)).toBe(true);
+    expect([-1, 1.125, NaN, '2'].some(isValidSeriesPosition)).toBe(false);
+  });
+
+  test('lists entries in reading order with the missing ones', () => {
+    expect(getSeriesLength(books)).toBe(5);
+    expect(getSeriesEntries(books).map(({ position, book }) => [position, book && book.id])).toEqual([
+      [1, 'a'], [2, null], [2.5, 'n'], [3, 'c'], [4, null], [5, null], [undefined, 'x'],
+    ]);
+    expect(getSeriesLength(books.slice(0, 1))).toBe(3); // No announced length: the highest position known
+  });
+
+  test('finds the previous and next books in the library', () => {
+    expect(getSeriesNeighbours(books, 'n')).toEqual({ previous: books[1], next: books[0] });
+    expect(getSeriesNeighbours(books, 'a')).toEqual({ previous: null, next: books[2] });
+    expect(getSeriesNeighbours(books, 'x')).toEqual({ previous: null, next: null });
+  });
+
+  test('identifies series whose names are not in the Latin script', () => {
+    const russian = [
+      { id: 'r2', series: 'Война и мир', seriesPosition: 2 },
+      { id: 'r1', series: 'война и мир', seriesPosition: 1 },
+    ];
+    expect(getSeriesId('Война и мир')).toBe('война-и-мир');
+    expect(getSeriesId('三体')).not.toBe(getSeriesId('Война и мир'));
+    expect(getSeriesId('三体')).not.toBe('');
+    expect(getSeriesNeighbours(russian, 'r2')).toEqual({ previous: russian[1], next: null });
+  });
+
+  test('gives a series named with punctuation only an ID of its own', () => {
+    expect(getSeriesId('???')).toBe('%3F%3F%3F');
+    expect(getSeriesId('!!!')).not.toBe(getSeriesId('???'));
+    expect(getSeriesId('')).toBe('');
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * slug.js
+ *
+ * IDs derived from names, for people and series the library has no separate records of (see authors.js and
+ * series.js): the same name always gives the same ID, whatever its case, accents or punctuation.
+ */
+
+/**
+ * The slug of a name: lowercase words joined by dashes ('Ursula K. Le Guin' -> 'ursula-k-le-guin'). Letters and
+ * digits of every script are kept ('Лев Толстой' -> 'лев-толстой', '村上春樹' -> '村上春樹'); a name made of
+ * punctuation only is kept whole, URL-encoded, so that every name has an ID.
+ * @param {string} name
+ * @returns {string} - The slug, or '' for an empty name.
+ */
+export const toSlug = (name) => {
+  const trimmedName = String(name || '').trim();
+  const slug = trimmedName
+    .normalize('NFD')
+    .replace(/(\p{Script=Latin})[\u0300-\u036f]+/gu, '$1') // Latin accents: 'Éluard' and 'Eluard' give the same slug
+    .normalize('NFC') // Other scripts keep their marks ('й' and 'и' are different letters)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, '-') // Marks stay with their letters (Devanagari vowel signs)
+    .replace(/^-+|-+$/g, '');
+  return slug || encodeURIComponent(trimmedName);
+};
@@ -0,0 +1,110 @@
+/**
+ * tabSync.js
+ *
+ * Messages between the open tabs of the app, so a logout, a token refresh or a change to the library in one tab
+ * reaches the others without a reload. Uses a `BroadcastChannel`, or `storage` events where it is unavailable.
+ * A tab never receives its own messages.
+ *
+ * Messages are plain objects with a `type` (see `TAB_MESSAGES`):
+ * - auth:login / auth:logout / auth:token-refreshed: the session changed; tokens are shared through localStorage,
+ *   so receivers read them from there (see store/authActions.js).
+ * - library:changed `{ scope, tags, keys }`: data changed on the server; receivers invalidate these queries
+ *   (see store/bookActions.js and store/shelfActions.js, which own the 'books' and 'shelves' scopes).
+ */
+
+const CHANNEL_NAME = 'shelflife-sync'; // BroadcastChannel name
+const STORAGE_KEY = 'shelflife:tab-sync'; // localStorage key of the fallback transport
+
+export const TAB_MESSAGES = {
+  LOGIN: 'auth:login',
+  LOGOUT: 'auth:logout',
+  TOKEN_REFRESHED: 'auth:token-refreshed',
+  LIBRARY_CHANGED: 'library:changed',
+};
+
+// Identifies this tab, so the storage fallback can ignore the echo of its own messages
+const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const listeners = new Set(); // Callbacks receiving messages from other tabs
+let channel = null; // The BroadcastChannel, opened with the first subscription or message
+let connected = false;
+
+const deliver = (message) => {
+  if (!message || message.source === tabId) return;
+  listeners.forEach((listener) => {
+    try {
+      listener(message);
+    } catch (error) {
+      console.error(`Handling "${message.type}" from another tab failed:`, error);
+    }
+  });
+};
+
+const onStorage = (event) => {
+  if (event.key !== STORAGE_KEY || !event.newValue) return;
+  try {
+    deliver(JSON.parse(event.newValue));
+  } catch (error) {
+    // Not one of our messages
+  }
+};
+
+/**
+ * Open the transport once: a BroadcastChannel when supported, `storage` events otherwise.
+ */
+const connect = () => {
+  if (connected || typeof window === 'undefined') return;
+  connected = true;
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => deliver(event.data);
+  } else {
+    window.addEventListener('storage', onStorage);
+  }
+};
+
+/**
+ * Send a message to every other open tab.
+ * @param {Object} message - With a `type` from `TAB_MESSAGES`; must be serializable.
+ */
+export const publishTabMessage = (message) => {
+  connect();
+  const envelope = { ...message, source: tabId, sentAt: Date.now() };
+  try {
+    if (channel) {
+      channel.postMessage(envelope);
+    } else if (typeof localStorage !== 'undefined') {
+      // Writing (then removing) the key fires a `storage` event in the other tabs only
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(envelope));
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Notifying other tabs failed:', error); // Other tabs catch up on their next fetch
+  }
+};
+
+/**
+ * Tell the other tabs which queries a mutation made stale.
+ * @param {string} scope - The context owning the queries ('books' or 'shelves').
+ * @param {Object} criteria - `{ tags, keys }`, as for `queryCache.invalidateQueries`.
+ */
+export const publishLibraryChange = (scope, { tags = [], keys = [] }) => {
+  publishTabMessage({ type: TAB_MESSAGES.LIBRARY_CHANGED, scope, tags, keys });
+};
+
+/**
+ * Receive the messages of the other tabs.
+ * @param {Function} listener - Receives each message.
+ * @returns {Function} - Unsubscribe function.
+ */
+export const subscribeTabMessages = (listener) => {
+  connect();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const tabSync = {
+  publishTabMessage,
+  publishLibraryChange,
+  subscribeTabMessages,
+};
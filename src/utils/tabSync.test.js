@@ -0,0 +1,52 @@
+// An in-memory BroadcastChannel shared by every "tab" (isolated copy of the module) in this test
+class FakeBroadcastChannel {
+  static channels = [];
+
+  constructor(name) {
+    this.name = name;
+    FakeBroadcastChannel.channels.push(this);
+  }
+
+  postMessage(data) {
+    FakeBroadcastChannel.channels
+      .filter((channel) => channel !== this && channel.name === this.name && channel.onmessage)
+      .forEach((channel) => channel.onmessage({ data }));
+  }
+}
+
+const openTab = () => {
+  let tab;
+  jest.isolateModules(() => {
+    tab = require('./tabSync');
+  });
+  return tab;
+};
+
+describe('tabSync', () => {
+  beforeEach(() => {
+    FakeBroadcastChannel.channels = [];
+    global.BroadcastChannel = FakeBroadcastChannel;
+  });
+
+  afterEach(() => {
+    delete global.BroadcastChannel;
+  });
+
+  test('delivers messages to the other tabs only', () => {
+    const first = openTab();
+    const second = openTab();
+    const received = { first: [], second: [] };
+    first.subscribeTabMessages((message) => received.first.push(message));
+    const unsubscribe = second.subscribeTabMessages((message) => received.second.push(message));
+
+    first.publishLibraryChange('shelves', { tags: ['shelves', 'shelfBooks:shelf-1'] });
+    expect(received.first).toEqual([]);
+    expect(received.second).toEqual([
+      expect.objectContaining({ type: first.TAB_MESSAGES.LIBRARY_CHANGED, scope: 'shelves', tags: ['shelves', 'shelfBooks:shelf-1'] }),
+    ]);
+
+    unsubscribe();
+    first.publishTabMessage({ type: first.TAB_MESSAGES.LOGOUT });
+    expect(received.second).toHaveLength(1);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * tags.js
+ *
+ * Free-form tags of books, orthogonal to shelves: a book is on one reading shelf but can have any number of tags.
+ * Tags are compared regardless of case ('Sci-fi' and 'sci-fi' are one tag, spelled as first entered) and cannot
+ * contain commas, which separate them in list filters (`?tags=fantasy,favorites`).
+ */
+
+export const MAX_TAG_LENGTH = 50;
+
+/**
+ * Clean up a tag as typed: no commas, single spaces, at most `MAX_TAG_LENGTH` characters.
+ * @param {string} tag
+ * @returns {string} - The tag, or '' when nothing is left.
+ */
+export const normalizeTag = (tag) => String(tag || '')
+  .replace(/,/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, MAX_TAG_LENGTH)
+  .trim();
+
+/**
+ * Whether two tags are the same tag.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export const isSameTag = (a, b) => normalizeTag(a).toLocaleLowerCase() === normalizeTag(b).toLocaleLowerCase();
+
+/**
+ * Clean up a list of tags: empty ones and duplicates are dropped, the first spelling of each tag is kept.
+ * @param {string[]|string} [tags] - A list, or tags separated by commas.
+ * @returns {string[]}
+ */
+export const normalizeTags = (tags) => {
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list)) return [];
+  return list
+    .map(normalizeTag)
+    .filter((tag, index, all) => tag && all.findIndex((other) => isSameTag(other, tag)) === index);
+};
+
+/**
+ * Whether a book has every one of the tags.
+ * @param {Object} book
+ * @param {string[]} tags
+ * @returns {boolean}
+ */
+export const hasTags = (book, tags) => tags.every((tag) => (book.tags || []).some((bookTag) => isSameTag(bookTag, tag)));
+
+/**
+ * Replace tags in a list, e.g. to rename a tag or merge several into one.
+ * @param {string[]} [tags] - The tags of a book.
+ * @param {string[]} from - The tags to replace.
+ * @param {string} to - The tag replacing them.
+ * @returns {string[]} - The new tags (the same list when none of `from` is in it).
+ */
+export const replaceTags = (tags = [], from, to) => {
+  if (!tags.some((tag) => from.some((other) => isSameTag(tag, other)))) return tags;
+  return normalizeTags(tags.map((tag) => (from.some((other) => isSameTag(tag, other)) ? to : tag)));
+};
+
+/**
+ * The tags used by a list of books with the number of books having each, alphabetically.
+ * @param {Object[]} books
+ * @returns {Object[]} - `[{ name, count }]`.
+ */
+export const countTags = (books) => {
+  const counts = [];
+  books.forEach((book) => {
+    normalizeTags(book.tags).forEach((tag) => {
+      const entry = counts.find((item) => isSameTag(item.name, tag));
+      if (entry) entry.count += 1;
+      else counts.push({ name: tag, count: 1 });
+    });
+  });
+  return counts.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+};
@@ -0,0 +1,26 @@
+import { normalizeTag, normalizeTags, hasTags, replaceTags, countTags } from './tags';
+
+describe('tags', () => {
+  test('cleans up tags and drops duplicates regardless of case', () => {
+    expect(normalizeTag('  to   read, later ')).toBe('to read later');
+    expect(normalizeTags(['Sci-fi', 'sci-fi', '', 'Space opera'])).toEqual(['Sci-fi', 'Space opera']);
+    expect(normalizeTags('fantasy,favorites')).toEqual(['fantasy', 'favorites']);
+    expect(normalizeTags(undefined)).toEqual([]);
+  });
+
+  test('matches books having every tag', () => {
+    const book = { tags: ['Fantasy', 'Favorites'] };
+    expect(hasTags(book, ['fantasy'])).toBe(true);
+    expect(hasTags(book, ['fantasy', 'classics'])).toBe(false);
+    expect(hasTags({}, [])).toBe(true);
+  });
+
+  test('renames and merges tags, and counts them', () => {
+    const tags = ['scifi', 'Favorites'];
+    expect(replaceTags(tags, ['SciFi'], 'Science fiction')).toEqual(['Science fiction', 'Favorites']);
+    expect(replaceTags(tags, ['scifi', 'favorites'], 'Keep')).toEqual(['Keep']);
+    expect(replaceTags(tags, ['other'], 'Keep')).toBe(tags);
+
+    expect(countTags([{ tags: ['b', 'A'] }, { tags: ['a'] }, {}])).toEqual([{ name: 'A', count: 2 }, { name: 'b', count: 1 }]);
+  });
+});
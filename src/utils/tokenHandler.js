@@ -1,4 +1,4 @@
-import jwtDecode from 'jwt-decode'; // JavaScript library used to decode JSON Web Tokens (JWTs) without requiring them to be validated or verified. It extracts the payload of a JWT, which contains information like the token's expiration time, user roles, and other claims.
+import { jwtDecode } from 'jwt-decode'; // JavaScript library used to decode JSON Web Tokens (JWTs) without requiring them to be validated or verified. It extracts the payload of a JWT, which contains information like the token's expiration time, user roles, and other claims.
 const TOKEN_KEY = 'shelflife-token'; // The key used for storing the token in localStorage
 const REFRESH_TOKEN_KEY = 'shelflife-refresh-token'; // The key for storing the refresh token
 
@@ -56,31 +56,38 @@ export const isTokenExpired = (token) => {
   return exp * 1000 < Date.now(); // Check if token is expired
 };
 
+/**
+ * Retrieve the refresh token from localStorage.
+ *
+ * @returns {string|null} - The refresh token, or null if none is stored.
+ */
+export const getRefreshToken = () => {
+  return localStorage.getItem(REFRESH_TOKEN_KEY);
+};
+
 /**
  * Retrieve a new token using the refresh token.
- * 
+ * The HTTP call itself is supplied by the caller (see `refreshSession` in fetcher.js) so that it goes through
+ * the same Axios instance, base URL and adapter as every other API request.
+ *
+ * @param {Function} requestNewToken - Receives `{ token, refreshToken }` and resolves to the backend payload `{ token, refreshToken? }`.
  * @returns {Promise<string|null>} - A promise that resolves to the new token or null if refresh fails.
  */
-export const refreshAuthToken = async () => {
-  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
-  if (!refreshToken) return null;
+export const refreshAuthToken = async (requestNewToken) => {
+  const token = getToken();
+  const refreshToken = getRefreshToken();
+  if (!token && !refreshToken) return null; // Nothing to refresh with
 
   try {
-    const response = await fetch('/auth/refresh', { // Replace with actual refresh endpoint
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ refreshToken }),
-    });
-
-    if (!response.ok) throw new Error('Failed to refresh token');
+    const data = await requestNewToken({ token, refreshToken });
+    const { token: newToken, refreshToken: newRefreshToken } = data || {};
 
-    const data = await response.json();
-    const { token, refreshToken: newRefreshToken } = data;
+    if (!newToken) throw new Error('Failed to refresh token');
 
-    setToken(token); // Update stored token
+    setToken(newToken); // Update stored token
     if (newRefreshToken) setRefreshToken(newRefreshToken); // Update refresh token if available
 
-    return token;
+    return newToken;
   } catch (error) {
     console.error('Error refreshing token:', error);
     removeToken(); // Remove tokens if refresh fails
@@ -0,0 +1,12 @@
+import { getI18n } from 'react-i18next'; // The i18next instance registered with react-i18next, if any
+
+/**
+ * Translate outside of components (e.g. notices shown by store actions), where `useTranslation` is unavailable.
+ * @param {string} key - The translation key.
+ * @param {string} defaultValue - Text used when no translation (or no i18next instance) is available.
+ * @returns {string}
+ */
+export const translate = (key, defaultValue) => {
+  const i18n = getI18n();
+  return i18n ? i18n.t(key, defaultValue) : defaultValue;
+};